@@ -3,6 +3,9 @@
 
 // Function to load API key from localStorage
 function loadApiKeyFromStorage() {
+    if (typeof localStorage === 'undefined') {
+        return ''; // Node.js / headless runs have no storage
+    }
     try {
         return localStorage.getItem('deepseek_api_key') || '';
     } catch (error) {
@@ -65,39 +68,64 @@ const CONFIG = {
         battleScenarios: {
             enabled: true,
             rotationInterval: 5,  // Change scenario every 5 cycles
+            rotationUnit: 'battles',  // What the interval counts: 'battles' or 'generations'
+            rotationPolicy: 'round_robin',  // 'round_robin', 'weighted' (random by rotationWeights) or 'curriculum'
+            rotationWeights: {
+                'open_field': 1,
+                'urban_warfare': 1,
+                'chokepoint_control': 1,
+                'fortress_assault': 1
+            },
+            curriculum: ['open_field', 'urban_warfare', 'chokepoint_control', 'fortress_assault'],  // Easiest first
             
             // Available scenarios with tactical challenges
             scenarios: {
                 'open_field': {
                     name: 'Open Field Combat',
+                    generator: 'open_field',  // Obstacle generator (SCENARIO_GENERATORS in game-engine.js)
                     description: 'Wide open battlefield with minimal cover',
                     obstacleCount: 8,
                     obstacleSize: { min: 30, max: 60 },
+                    obstacleTypes: { cover: 0.5, rough_terrain: 0.35, destructible: 0.15 },
                     hillPosition: 'center',
+                    domination: { points: [{ x: 0.5, y: 0.2 }, { x: 0.5, y: 0.5 }, { x: 0.5, y: 0.8 }] },
                     tacticalFocus: 'mobility_and_accuracy'
                 },
                 'urban_warfare': {
                     name: 'Urban Combat',
+                    generator: 'urban',
                     description: 'Dense obstacle layout simulating urban combat',
                     obstacleCount: 20,
                     obstacleSize: { min: 40, max: 80 },
+                    obstacleTypes: { barrier: 0.5, destructible: 0.3, cover: 0.2 },
                     hillPosition: 'offset',
+                    domination: { points: [{ x: 0.35, y: 0.3 }, { x: 0.65, y: 0.3 }, { x: 0.35, y: 0.7 }, { x: 0.65, y: 0.7 }] },
                     tacticalFocus: 'positioning_and_cover'
                 },
                 'chokepoint_control': {
                     name: 'Chokepoint Defense',
+                    generator: 'chokepoint',
                     description: 'Narrow passages requiring tactical coordination',
                     obstacleCount: 12,
                     obstacleSize: { min: 50, max: 100 },
+                    obstacleTypes: { cover: 0.5, rough_terrain: 0.5 }, // scattered obstacles; passage walls are barriers
                     hillPosition: 'defended',
+                    domination: { points: [{ x: 0.5, y: 0.3 }, { x: 0.5, y: 0.7 }], scoreToWin: 80 },
                     tacticalFocus: 'teamwork_and_timing'
                 },
                 'fortress_assault': {
                     name: 'Fortress Assault',
+                    generator: 'fortress',
                     description: 'Asymmetric scenario with defensive advantages',
                     obstacleCount: 15,
                     obstacleSize: { min: 60, max: 120 },
+                    obstacleTypes: { cover: 0.6, barrier: 0.4 }, // inner keep; outer walls alternate barrier/destructible
                     hillPosition: 'fortified',
+                    maxPathAsymmetry: 0.5, // Attackers come the long way round the walls (MapValidator)
+                    domination: {
+                        points: [{ x: 0.5, y: 0.5 }, { x: 0.25, y: 0.2 }, { x: 0.75, y: 0.2 }, { x: 0.25, y: 0.8 }, { x: 0.75, y: 0.8 }],
+                        scoreToWin: 150
+                    },
                     tacticalFocus: 'adaptation_and_persistence'
                 }
             },
@@ -117,6 +145,14 @@ const CONFIG = {
             }
         },
         
+        // MAP-Elites archive (map-elites-archive.js): one elite genome per behavior cell
+        mapElites: {
+            engagementBins: 8,          // columns: average engagement distance
+            minEngagementDistance: 120, // pixels - tanks close in to about 80% of their 200-300 range,
+            maxEngagementDistance: 280, // so shots are spread over this band
+            hillBins: 8                 // rows: share of the battle the team held the hill
+        },
+        
         // Enable/disable LLM components
         enableComponents: {
             llmJudge: true,
@@ -1 +1 @@
-// Main application bootstrap and initializationlet gameEngine;let evolutionEngine;document.addEventListener('DOMContentLoaded', function() {    // Check if canvas exists before creating GameEngine    const canvas = document.getElementById('gameCanvas');    if (!canvas) {        setTimeout(() => {            const retryCanvas = document.getElementById('gameCanvas');            if (retryCanvas) {                initializeGame();            } else {            }        }, 100);        return;    }    initializeGame();});function initializeGame() {    // Initialize game engine using refactored system    gameEngine = new GameEngine('gameCanvas');    window.gameEngine = gameEngine; // Make globally accessible    // Initialize evolution engine    evolutionEngine = new EvolutionEngine();    window.evolutionEngine = evolutionEngine; // Make globally accessible    // Backward compatibility mappings for refactored variable names    window.game = gameEngine;    window.evolution = evolutionEngine;    // Initialize researcher insights with new modular system    if (typeof ResearcherInsights !== 'undefined') {        // Clean up any existing instance first        if (window.researcherInsights) {            if (typeof window.researcherInsights.destroy === 'function') {                window.researcherInsights.destroy();            }            // Remove existing dashboard if it exists            const existingDashboard = document.getElementById('researcher-insights-dashboard');            if (existingDashboard) {                existingDashboard.remove();            }        }        // Create new instance using the refactored modular system        window.researcherInsights = new ResearcherInsights();        // Also ensure backward compatibility by making components available globally        window.dataCollector = window.researcherInsights.dataCollector;        window.dashboardUI = window.researcherInsights.dashboardUI;        // Now initialize the candidate pool since ResearcherInsights is available        if (evolutionEngine && !evolutionEngine.candidatePoolInitialized) {            evolutionEngine.ensureCandidatePoolInitialized();        }    } else {    }    // Setup UI event handlers    setupEventHandlers();    // Initialize first battle with King of Hill mode via reset    resetBattle();    // Force update genome display immediately    setTimeout(() => {        updateGenomeDisplay();    }, 100);    // Auto-start if desired    if (window.AUTO_START) {        setTimeout(() => {            startEvolution();        }, 1000);    }}function setupEventHandlers() {    // Evolution control buttons    document.getElementById('startEvolution').addEventListener('click', startEvolution);    document.getElementById('pauseEvolution').addEventListener('click', pauseEvolution);    document.getElementById('resetBattle').addEventListener('click', resetBattle);    document.getElementById('researcherInsightsButton').addEventListener('click', openResearcherInsights);    document.getElementById('engineerInsightsButton').addEventListener('click', openEngineerInsights);    document.getElementById('analystInsightsButton').addEventListener('click', openAnalystInsights);    document.getElementById('cognitionInsightsButton').addEventListener('click', openCognitionInsights);    document.getElementById('creditsButton').addEventListener('click', showCredits);    // Battle scenario selector - preview obstacles when changed    document.getElementById('scenarioSelector').addEventListener('change', previewBattleScenario);    // Credits modal handlers    const modal = document.getElementById('creditsModal');    const closeBtn = modal.querySelector('.close');    closeBtn.addEventListener('click', hideCredits);    window.addEventListener('click', function(event) {        if (event.target === modal) {            hideCredits();        }    });    // Window resize handler    window.addEventListener('resize', handleResize);    // Battle end handler    window.addEventListener('battleEnd', (event) => {        if (gameEngine) {            gameEngine.resumedFromPause = false; // Clear resume flag when battle ends        }        // Track knowledge searches in cognition insights after each battle        if (window.cognitionInsights && event.detail) {            const battleResult = event.detail;            // Search for tactics based on battle outcome            if (battleResult.winner === 'red') {                window.cognitionInsights.trackKnowledgeSearch('red_victory_tactics', 2);            } else if (battleResult.winner === 'blue') {                window.cognitionInsights.trackKnowledgeSearch('blue_victory_tactics', 2);            } else {                window.cognitionInsights.trackKnowledgeSearch('defensive_stalemate_tactics', 1);            }            // Search for counter-tactics based on battle duration            if (battleResult.duration > 30) {                window.cognitionInsights.trackKnowledgeSearch('prolonged_battle_analysis', 3);            }            // Track cognitive adaptations based on battle outcome            if (battleResult.winner) {                // Teams adapt their strategies after each battle                window.cognitionInsights.trackCognitiveAdaptation();                // Additional adaptation for decisive victories (short battles)                if (battleResult.duration < 15) {                    window.cognitionInsights.trackCognitiveAdaptation();                }            }        }    });    // Keyboard shortcuts    document.addEventListener('keydown', handleKeydown);}    function startEvolution() {        // Check current game state and respond accordingly        if (game.gameState === 'paused') {            // Resume from pause - don't start new evolution experiment, just resume current battle            game.resume();            game.resumedFromPause = true; // Flag to prevent genome selection            evolution.isEvolutionRunning = true; // Resume evolution tracking            evolution.logEvolutionEvent('AlphaTanks evolution system resumed', 'system');            // Clear the resumedFromPause flag after 5 seconds to allow normal genome display            setTimeout(() => {                if (game) {                    game.resumedFromPause = false;                }            }, 5000);        } else if (game.gameState === 'ready' || game.gameState === 'ended') {            // Start fresh battle and evolution            game.resumedFromPause = false; // Clear flag for fresh start            // Clear genome cache so we get fresh data for new battle            genomeCache.lastPoolSize = 0;            genomeCache.lastCacheTime = 0;            genomeCache.redBest = null;            genomeCache.blueBest = null;            // Apply the selected scenario before starting            const scenarioSelector = document.getElementById('scenarioSelector');            const selectedScenario = scenarioSelector ? scenarioSelector.value : 'open_field';            // Reset and apply scenario            game.reset();            const seed = Date.now() % 10000;            game.initializeBattle(5, 5, 'king_of_hill', selectedScenario, seed);            // Log scenario application            const scenarios = window.CONFIG?.asiArch?.battleScenarios?.scenarios;            const scenarioName = scenarios?.[selectedScenario]?.name || selectedScenario;            evolution.logEvolutionEvent(`Starting evolution with scenario: ${scenarioName}`, 'system');            evolution.logEvolutionEvent(`Tactical focus: ${scenarios?.[selectedScenario]?.tacticalFocus || 'unknown'}`, 'initialization');            // Phase 2: Track evolution context for research reproducibility            if (window.researcherInsights) {                window.researcherInsights.trackScenarioContext(selectedScenario, seed, 'evolution_start');            }            if (window.engineerInsights) {                window.engineerInsights.trackSeededBattle(selectedScenario, seed);            }            // Ensure tactical display is initialized            if (!window.tacticalDisplay || !window.tacticalDisplay.isReady) {                // Debug logging removed for performance                window.tacticalDisplay = new TacticalEvolutionDisplay();            }            game.start();            evolution.startEvolution(); // This will start new experiments            // Track knowledge search for battle preparation            if (window.cognitionInsights) {                const battleQueries = [                    'pre_battle_reconnaissance',                    'tactical_formation_analysis',                     'enemy_pattern_assessment'                ];                const randomQuery = battleQueries[Math.floor(Math.random() * battleQueries.length)];                window.cognitionInsights.trackKnowledgeSearch(randomQuery, Math.floor(Math.random() * 3) + 1);                // Track cognitive adaptations for battle preparation                window.cognitionInsights.trackCognitiveAdaptation();            }            // Update genome display immediately for new battle (but don't spam it)            setTimeout(() => {                updateGenomeDisplay();            }, 1000);        } else if (game.gameState === 'running') {            // Already running, no action needed            return;        }        // Update UI        document.getElementById('startEvolution').disabled = true;        document.getElementById('pauseEvolution').disabled = false;        // Disable scenario selector during evolution        const startScenarioSelector = document.getElementById('scenarioSelector');        if (startScenarioSelector) {            startScenarioSelector.disabled = true;        }        // Log start/resume        if (game.gameState === 'running') {            evolution.logEvolutionEvent('AlphaTanks evolution system resumed', 'system');        }    }function pauseEvolution() {    // Pause evolution    evolution.pauseEvolution();    // Pause game    game.pause();    game.resumedFromPause = false; // Clear resume flag when pausing    // Update UI    document.getElementById('startEvolution').disabled = false;    document.getElementById('pauseEvolution').disabled = true;}function resetBattle() {    // Reset evolution    evolutionEngine.resetEvolution();    // Reset researcher insights data and charts    if (window.researcherInsights) {        window.researcherInsights.reset();    }    // Reset other insights systems if they exist    if (window.analystInsights && typeof window.analystInsights.reset === 'function') {        window.analystInsights.reset();    }    if (window.engineerInsights && typeof window.engineerInsights.reset === 'function') {        window.engineerInsights.reset();    }    if (window.cognitionInsights && typeof window.cognitionInsights.reset === 'function') {        window.cognitionInsights.reset();    }    // Update ASI-ARCH mode display in case API key status changed    if (window.asiArch && typeof window.asiArch.updateModeDisplay === 'function') {        window.asiArch.updateModeDisplay();    }    // Reset game state first    gameEngine.reset();    // Get current scenario from dropdown (if available)    const scenarioSelector = document.getElementById('scenarioSelector');    const currentScenario = scenarioSelector ? scenarioSelector.value : 'open_field';    // Initialize battle with current scenario (like Apply Scenario does)    const seed = Date.now() % 10000;    gameEngine.initializeBattle(5, 5, 'king_of_hill', currentScenario, seed);    // Phase 2: Track seeded battle and scenario context    if (window.engineerInsights) {        window.engineerInsights.trackSeededBattle(currentScenario, seed);    }    if (window.researcherInsights) {        window.researcherInsights.trackScenarioContext(currentScenario, seed, 'battle_reset');    }    // Set game state to ready so user can see the layout    gameEngine.gameState = 'ready';    // Render the battlefield immediately    gameEngine.render();    // Update UI - reset button should enable start button    document.getElementById('startEvolution').disabled = false;    document.getElementById('pauseEvolution').disabled = true;    // Re-enable scenario selector    const resetScenarioSelector = document.getElementById('scenarioSelector');    if (resetScenarioSelector) {        resetScenarioSelector.disabled = false;    }    // Log the reset with scenario info    const scenarios = window.CONFIG?.asiArch?.battleScenarios?.scenarios;    const scenarioName = scenarios?.[currentScenario]?.name || currentScenario;    evolutionEngine.logEvolutionEvent('System reset - Ready for new evolution cycle', 'system');    evolutionEngine.logEvolutionEvent(`Battle reset with scenario: ${scenarioName}`, 'initialization');}function previewBattleScenario() {    // Get selected scenario    const scenarioSelector = document.getElementById('scenarioSelector');    if (!scenarioSelector) return;    const selectedScenario = scenarioSelector.value;    // Only preview if not currently running evolution (scenario selector enabled)    if (scenarioSelector.disabled) return;    // Reset game state first to clear any existing battle    gameEngine.reset();    // Initialize battle with selected scenario for preview    const seed = Date.now() % 10000;    gameEngine.initializeBattle(5, 5, 'king_of_hill', selectedScenario, seed);    // Phase 2: Track scenario preview    if (window.engineerInsights) {        window.engineerInsights.trackSeededBattle(selectedScenario, seed);    }    // Set game state to ready so user can see the layout    gameEngine.gameState = 'ready';    // Render the battlefield immediately to show the obstacles    gameEngine.render();    // Log the preview    const scenarios = window.CONFIG?.asiArch?.battleScenarios?.scenarios;    const scenarioName = scenarios?.[selectedScenario]?.name || selectedScenario;}function initializeNewBattle() {    // Initialize new battle WITHOUT resetting evolution    gameEngine.reset();    // Get current scenario from dropdown (if available)    const scenarioSelector = document.getElementById('scenarioSelector');    const currentScenario = scenarioSelector ? scenarioSelector.value : 'open_field';    // Initialize with current scenario    gameEngine.initializeBattle(5, 5, 'king_of_hill', currentScenario, Date.now() % 10000);    // Don't reset generation or evolution state}function handleResize() {    if (game) {        game.setupCanvas();    }}function handleKeydown(event) {    switch(event.key) {        case 'Escape':            // Close credits modal if open            const modal = document.getElementById('creditsModal');            if (modal.style.display === 'block') {                event.preventDefault();                hideCredits();            }            break;        case ' ': // Spacebar            event.preventDefault();            if (evolution.isEvolutionRunning) {                pauseEvolution();            } else {                startEvolution();            }            break;        case 'r':        case 'R':            event.preventDefault();            resetBattle();            break;        case 'f':        case 'F':        case 'c':        case 'C':            event.preventDefault();            showCredits();            break;        case 'd':        case 'D':            event.preventDefault();            toggleDebugMode();            break;    }}function toggleDebugMode() {    window.DEBUG = !window.DEBUG;    if (window.DEBUG) {        evolution.logEvolutionEvent('Debug mode enabled - Additional tank AI information displayed', 'system');    }}// Performance monitoringfunction startPerformanceMonitoring() {    setInterval(() => {        const stats = {            fps: calculateFPS(),            tankCount: gameEngine ? (gameEngine.redTeam?.length || 0) + (gameEngine.blueTeam?.length || 0) : 0,            projectileCount: gameEngine ? (gameEngine.projectiles?.length || 0) : 0,            memoryUsage: performance.memory ? Math.round(performance.memory.usedJSHeapSize / 1024 / 1024) : 'N/A'        };        // Only update genome display if game is not actively running a battle        // to improve performance during gameplay        if (!gameEngine || gameEngine.gameState !== 'running') {            updateGenomeDisplay();        } else if (game && game.gameState === 'running') {            // During battles, only update genome display every 10 seconds to reduce load            if (!window.lastGenomeUpdate || Date.now() - window.lastGenomeUpdate > 10000) {                updateGenomeDisplay();                window.lastGenomeUpdate = Date.now();            }        }        // Log performance issues (throttled to avoid spam)        if (stats.fps < 30 && game && game.gameState === 'running') {            if (!window.lastPerfWarning || Date.now() - window.lastPerfWarning > 10000) {                window.lastPerfWarning = Date.now();            }        }        // Update debug display if enabled        if (window.DEBUG) {            updateDebugDisplay(stats);        }    }, 5000); // Reduced frequency from 2s to 5s to improve performance}let frameCount = 0;let lastFPSTime = performance.now();function calculateFPS() {    const now = performance.now();    frameCount++;    if (now - lastFPSTime >= 1000) {        const fps = Math.round(frameCount * 1000 / (now - lastFPSTime));        frameCount = 0;        lastFPSTime = now;        return fps;    }    return 60; // Default assumption}function updateDebugDisplay(stats) {    // Create debug overlay if it doesn't exist    let debugPanel = document.getElementById('debugPanel');    if (!debugPanel) {        debugPanel = document.createElement('div');        debugPanel.id = 'debugPanel';        debugPanel.style.cssText = `            position: fixed;            top: 10px;            right: 10px;            background: rgba(0,0,0,0.8);            color: #00ff88;            padding: 10px;            font-family: 'Courier New', monospace;            font-size: 12px;            border: 1px solid #00ff88;            border-radius: 3px;            z-index: 1000;        `;        document.body.appendChild(debugPanel);    }    debugPanel.innerHTML = `        <div>FPS: ${stats.fps}</div>        <div>Tanks: ${stats.tankCount}</div>        <div>Projectiles: ${stats.projectileCount}</div>        <div>Memory: ${stats.memoryUsage} MB</div>        <div>Generation: ${evolution ? evolution.currentGeneration : 0}</div>        <div>Experiments: ${evolution ? evolution.totalExperiments : 0}</div>    `;}// Auto-start for demonstrationfunction enableAutoStart() {    window.AUTO_START = true;}// Export for global accesswindow.startEvolution = startEvolution;window.pauseEvolution = pauseEvolution;window.resetBattle = resetBattle;window.toggleDebugMode = toggleDebugMode;window.enableAutoStart = enableAutoStart;// Start performance monitoringstartPerformanceMonitoring();// Researcher Insights function - now toggleablefunction openResearcherInsights() {    // Initialize basic tracking only once (no test data)    if (window.researcherInsights && !window.researcherInsights.testDataInitialized) {        // Mark as initialized without adding test data        window.researcherInsights.testDataInitialized = true;    }    // Always toggle the dashboard    if (window.researcherInsights) {        window.researcherInsights.toggle();    } else {    }}function openEngineerInsights() {    // Always toggle the dashboard    if (window.engineerInsights) {        window.engineerInsights.toggle();    } else {    }}function openAnalystInsights() {    // Always toggle the dashboard    if (window.analystInsights) {        window.analystInsights.toggle();    } else {    }}function openCognitionInsights() {    // Always toggle the dashboard    if (window.cognitionInsights) {        window.cognitionInsights.toggle();    } else {    }}// Helper function to clear test data (for debugging)function _clearResearcherTestData() {    if (window.researcherInsights) {        window.researcherInsights.clearGenerationData();    } else {    }}// Make it available globally for console debuggingwindow.clearResearcherTestData = _clearResearcherTestData;// Credits modal functionsfunction showCredits() {    const modal = document.getElementById('creditsModal');    modal.style.display = 'block';    // Add some animation    const modalContent = modal.querySelector('.modal-content');    modalContent.style.opacity = '0';    modalContent.style.transform = 'scale(0.7)';    setTimeout(() => {        modalContent.style.transition = 'all 0.3s ease';        modalContent.style.opacity = '1';        modalContent.style.transform = 'scale(1)';    }, 10);}function hideCredits() {    const modal = document.getElementById('creditsModal');    const modalContent = modal.querySelector('.modal-content');    modalContent.style.transition = 'all 0.2s ease';    modalContent.style.opacity = '0';    modalContent.style.transform = 'scale(0.7)';    setTimeout(() => {        modal.style.display = 'none';        modalContent.style.transition = '';    }, 200);}// Genome display functionality// NOTE: Team selection logic is tested in tests/blue-team-core.test.jsfunction updateGenomeDisplay() {    // If we recently resumed from pause and tanks exist, show current tank genomes    if (gameEngine && gameEngine.tanks && gameEngine.tanks.length > 0 && gameEngine.resumedFromPause) {        displayCurrentTankGenomes();        return;    }    // If game is paused, show genomes of current tanks instead of selecting new ones    if (gameEngine && gameEngine.gameState === 'paused' && gameEngine.tanks && gameEngine.tanks.length > 0) {        displayCurrentTankGenomes();        return;    }    if (!evolutionEngine || !evolutionEngine.candidatePool || evolutionEngine.candidatePool.length === 0) {        // Show "waiting for evolution" state        displayNoGenomeData();        return;    }    try {        // Get best performing genomes for each team        const redBest = getBestGenomeForTeam('red');        const blueBest = getBestGenomeForTeam('blue');        if (redBest && redBest.genome) {            // Check if this is a real battle-earned fitness or just initial placeholder            const hasRealFitness = (redBest.battles && redBest.battles > 0) || !redBest.isInitial;            if (hasRealFitness && typeof redBest.fitness === 'number') {                displayGenome('red', redBest.genome, redBest.fitness);            } else {                // Show genome traits but indicate fitness is still evolving                displayGenomeWithEvolvingFitness('red', redBest.genome);            }        } else {            displayNoGenomeDataForTeam('red');        }        if (blueBest && blueBest.genome) {            // Check if this is a real battle-earned fitness or just initial placeholder            const hasRealFitness = (blueBest.battles && blueBest.battles > 0) || !blueBest.isInitial;            if (hasRealFitness && typeof blueBest.fitness === 'number') {                displayGenome('blue', blueBest.genome, blueBest.fitness);            } else {                // Show genome traits but indicate fitness is still evolving                displayGenomeWithEvolvingFitness('blue', blueBest.genome);            }        } else {            // EMERGENCY FALLBACK: If Blue team has no champion, ensure it gets one            // If Red has a champion, create a Blue variant with no bias - just copy            if (redBest && redBest.genome) {                // Pure copy with no modifications - let evolution handle differentiation                const blueGenome = Array.isArray(redBest.genome) ? [...redBest.genome] : { ...redBest.genome };                displayGenomeWithEvolvingFitness('blue', blueGenome);            } else {                displayNoGenomeDataForTeam('blue');            }        }    } catch (error) {    }}function displayCurrentTankGenomes() {    // Display genomes of currently active tanks when paused    if (!gameEngine || !gameEngine.tanks || gameEngine.tanks.length === 0) {        displayNoGenomeData();        return;    }    // Get representative tanks from each team    const redTanks = gameEngine.tanks.filter(tank => tank.team === 'red' && tank.isAlive);    const blueTanks = gameEngine.tanks.filter(tank => tank.team === 'blue' && tank.isAlive);    // Display genomes of the first alive tank from each team    if (redTanks.length > 0 && redTanks[0].genome) {        // Calculate average fitness of red team or use first tank's fitness        const avgFitness = redTanks.reduce((sum, tank) => sum + (tank.fitness || 0.5), 0) / redTanks.length;        displayGenome('red', redTanks[0].genome, avgFitness);    } else {        displayNoGenomeDataForTeam('red');    }    if (blueTanks.length > 0 && blueTanks[0].genome) {        // Calculate average fitness of blue team or use first tank's fitness        const avgFitness = blueTanks.reduce((sum, tank) => sum + (tank.fitness || 0.5), 0) / blueTanks.length;        displayGenome('blue', blueTanks[0].genome, avgFitness);    } else {        displayNoGenomeDataForTeam('blue');    }}function displayNoGenomeData() {    displayNoGenomeDataForTeam('red');    displayNoGenomeDataForTeam('blue');}function displayNoGenomeDataForTeam(team) {    const traitNames = ['Aggression', 'Speed', 'Accuracy', 'Defense', 'Teamwork', 'Adaptability', 'Learning', 'RiskTaking', 'Evasion'];    // Note: ChampionFitness elements removed with Best Genomes panel - fitness now shown in Tactical Evolution Monitor    // Update each trait to show evolving state    traitNames.forEach((traitName, _index) => {        // Update trait value        const valueElement = document.getElementById(`${team}${traitName}`);        if (valueElement) {            valueElement.textContent = '—';        }        // Update trait bar to show minimal width        const barElement = document.getElementById(`${team}${traitName}Bar`);        if (barElement) {            barElement.style.width = '0%';            barElement.style.background = '#333';        }    });}// Cache for getBestGenomeForTeam to avoid heavy recomputationconst genomeCache = {    lastPoolSize: 0,    lastCacheTime: 0,    lastPoolChecksum: null, // Track actual pool content changes    redBest: null,    blueBest: null};function getBestGenomeForTeam(team) {    if (!evolution || !evolution.candidatePool || evolution.candidatePool.length === 0) {        return null;    }    // Add debug logging for tests    if (window.DEBUG_GENOME) {        // Debug logging removed for production    }    const currentTime = Date.now();    const poolSize = evolution.candidatePool.length;    // Calculate a simple checksum of pool content to detect fitness updates    const poolChecksum = evolution.candidatePool.reduce((sum, candidate, index) => {        const fitness = candidate.fitness || 0;        const battles = candidate.battles || 0;        const wins = candidate.wins || 0;        return sum + (fitness * 1000 + battles * 100 + wins * 10) * (index + 1);    }, 0);    // Debug logging (reduced frequency to improve performance)    const shouldLog = !window.lastDebugLog || (currentTime - window.lastDebugLog > 5000);    if (window.DEBUG_GENOME && shouldLog) {        window.lastDebugLog = currentTime;    }    // Check team-specific cache validity    const teamCacheKey = team === 'red' ? 'redBest' : 'blueBest';    const cached = genomeCache[teamCacheKey];    // Use cache if pool hasn't changed (size AND content) and team-specific cache is less than 2 seconds old    const cacheValid = (        poolSize === genomeCache.lastPoolSize &&         poolChecksum === genomeCache.lastPoolChecksum &&        currentTime - genomeCache.lastCacheTime < 2000 &&        cached !== null    );    if (cacheValid && cached) {        if (window.DEBUG_GENOME && shouldLog) {        }        return cached;    }    // Force fresh selection for this team - clear its cache entry    genomeCache[teamCacheKey] = null;    try {        // First, try to filter candidates by actual team assignment AND battle experience        let championCandidates = evolution.candidatePool.filter(candidate => {            if (!candidate || !candidate.genome) {                return false;            }            // Check genome format            const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;            const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';            if (!isValidArray && !isValidObject) {                return false;            }            // Filter by team assignment AND battle experience (proven champions only)            const isTeamMember = candidate.team === team;            const hasBattleExperience = candidate.battles && candidate.battles > 0;            const hasWins = candidate.wins && candidate.wins > 0;            if (isTeamMember && hasBattleExperience && hasWins) {                return true;            }            return false;        });        if (window.DEBUG_GENOME) {        }        // If no proven champions yet, fall back to experienced fighters (even without wins)        if (championCandidates.length === 0) {            // Reduce debug logging frequency for performance            const shouldLogSearch = !window.lastSearchLog || (currentTime - window.lastSearchLog > 10000);            if (shouldLogSearch) {                if (evolution.candidatePool.length > 0) {                    const teamBreakdown = evolution.candidatePool.reduce((acc, c) => {                        const teamKey = c.team || 'unassigned';                        acc[teamKey] = (acc[teamKey] || 0) + 1;                        return acc;                    }, {});                }                window.lastSearchLog = currentTime;            }            championCandidates = evolution.candidatePool.filter(candidate => {                if (!candidate || !candidate.genome) {                    return false;                }                const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;                const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';                if (!isValidArray && !isValidObject) {                    return false;                }                // Look for team members with any battle experience                const isTeamMember = candidate.team === team;                const hasBattleExperience = candidate.battles && candidate.battles > 0;                if (isTeamMember && hasBattleExperience) {                    return true;                }                return false;            });        }        // If still no battle-tested candidates, use current generation team members (early generation case)        if (championCandidates.length === 0) {            championCandidates = evolution.candidatePool.filter(candidate => {                if (!candidate || !candidate.genome) {                    return false;                }                const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;                const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';                if (!isValidArray && !isValidObject) {                    return false;                }                // Filter by team assignment only (for early generations)                if (candidate.team === team) {                    return true;                }                return false;            });            // Reduce debug logging frequency for performance              const shouldLogTeam = !window.lastTeamLog || (currentTime - window.lastTeamLog > 10000);            if (shouldLogTeam) {                window.lastTeamLog = currentTime;            }        }        // If no team-specific candidates, get overall best and assign based on traits        if (championCandidates.length === 0) {            const allCandidates = evolution.candidatePool.filter(candidate => {                if (!candidate || !candidate.genome) {                    return false;                }                const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;                const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';                return isValidArray || isValidObject;            });            if (allCandidates.length === 0) {                return null;            }            allCandidates.sort((a, b) => (b.fitness || 0) - (a.fitness || 0));            // IMPROVED TEAM DISTRIBUTION: Ensure both teams get fair representation            if (window.DEBUG_GENOME) {            }            // Find a candidate that isn't already assigned to the other team            let selectedCandidate = null;            if (team === 'red') {                // For Red, prefer candidates that aren't explicitly assigned to Blue                selectedCandidate = allCandidates.find(c => c.team !== 'blue') || allCandidates[0];            } else if (team === 'blue') {                // For Blue, prefer candidates that aren't explicitly assigned to Red                  selectedCandidate = allCandidates.find(c => c.team !== 'red') || allCandidates[Math.min(1, allCandidates.length - 1)];            }            if (selectedCandidate) {                selectedCandidate.tempTeam = team;                if (window.DEBUG_GENOME) {                }                return selectedCandidate;            }            return null;        }        // Sort by fitness and return the best        championCandidates.sort((a, b) => (b.fitness || 0) - (a.fitness || 0));        const best = championCandidates[0];        if (best) {            // Reduce success logging frequency for performance            const shouldLogSuccess = !window.lastSuccessLog || (currentTime - window.lastSuccessLog > 15000);            if (shouldLogSuccess) {                window.lastSuccessLog = currentTime;            }        } else {        }        // Update cache - but don't override other team's cache unless both teams are being updated        if (team === 'red') {            genomeCache.redBest = best;        } else {            genomeCache.blueBest = best;        }        // Update global cache metadata only if this is a fresh fetch (not using cached data)        genomeCache.lastPoolSize = poolSize;        genomeCache.lastPoolChecksum = poolChecksum;        genomeCache.lastCacheTime = currentTime;        return best;    } catch (error) {        return null;    }}function displayGenome(team, genome, fitness) {    const traitNames = ['Aggression', 'Speed', 'Accuracy', 'Defense', 'Teamwork', 'Adaptability', 'Learning', 'RiskTaking', 'Evasion'];    // Validate inputs and handle both array and object genome formats    if (!genome || typeof fitness !== 'number') {        return;    }    // Convert object genome to array format if needed    let genomeArray;    if (Array.isArray(genome)) {        genomeArray = genome;    } else if (typeof genome === 'object') {        // Convert object format to array format        genomeArray = [            genome.aggression || 0,            genome.speed || 0,            genome.accuracy || 0,            genome.defense || genome.caution || 0,            genome.teamwork || genome.cooperation || 0,            genome.adaptability || 0,            genome.learning || 0,            genome.riskTaking || 0,            genome.evasion || 0        ];    } else {        return;    }    // Note: ChampionFitness elements removed with Best Genomes panel - fitness now shown in Tactical Evolution Monitor    // Update each trait using the genomeArray    traitNames.forEach((traitName, index) => {        const value = genomeArray[index];        // Handle undefined or invalid values        if (typeof value !== 'number' || isNaN(value)) {            return; // Skip this trait        }        const displayValue = value.toFixed(2);        const percentage = Math.max(0, Math.min(100, (value * 100))).toFixed(0);        // Update trait value        const valueElement = document.getElementById(`${team}${traitName}`);        if (valueElement) {            valueElement.textContent = displayValue;        }        // Update trait bar        const barElement = document.getElementById(`${team}${traitName}Bar`);        if (barElement) {            barElement.style.width = `${percentage}%`;            // Color coding based on value            if (value < 0.3) {                barElement.style.background = '#ff4444'; // Low - Red            } else if (value < 0.7) {                barElement.style.background = '#ffaa00'; // Medium - Orange            } else {                barElement.style.background = '#00ff88'; // High - Green            }        }    });}function displayGenomeWithEvolvingFitness(team, genome) {    const traitNames = ['Aggression', 'Speed', 'Accuracy', 'Defense', 'Teamwork', 'Adaptability', 'Learning', 'RiskTaking', 'Evasion'];    // Convert object genome to array format if needed    let genomeArray;    if (Array.isArray(genome)) {        genomeArray = genome;    } else if (typeof genome === 'object' && genome) {        // Convert object format to array format        genomeArray = [            genome.aggression || 0,            genome.speed || 0,            genome.accuracy || 0,            genome.defense || genome.caution || 0,            genome.teamwork || genome.cooperation || 0,            genome.adaptability || 0,            genome.learning || 0,            genome.riskTaking || 0,            genome.evasion || 0        ];    } else {        genomeArray = null;    }    // Note: ChampionFitness elements removed with Best Genomes panel - fitness now shown in Tactical Evolution Monitor    // Update each trait with actual values but show fitness as evolving    traitNames.forEach((traitName, index) => {        // Update trait value with actual genome data        const valueElement = document.getElementById(`${team}${traitName}`);        if (valueElement && genomeArray && genomeArray[index] !== undefined) {            const value = genomeArray[index];            valueElement.textContent = value.toFixed(2);        } else if (valueElement) {            valueElement.textContent = '—';        }        // Update trait bar with actual values        const barElement = document.getElementById(`${team}${traitName}Bar`);        if (barElement && genomeArray && genomeArray[index] !== undefined) {            const value = genomeArray[index];            barElement.style.width = `${value * 100}%`;            // Color coding based on value            if (value < 0.3) {                barElement.style.background = '#ff4444'; // Low - Red            } else if (value < 0.7) {                barElement.style.background = '#ffaa00'; // Medium - Orange            } else {                barElement.style.background = '#00ff88'; // High - Green            }        }    });}// Demo data for initial showcasewindow.DEMO_MODE = false;// Demo mode functionality (can be called from console for testing)window.enableDemoMode = function() {    window.DEMO_MODE = true;    window.AUTO_START = true;    // Pre-populate some evolution history for demo    setTimeout(() => {        if (evolution) {            evolution.logEvolutionEvent('Demo mode activated - Showcasing ASI-ARCH capabilities', 'system');            evolution.logEvolutionEvent('Loading pre-trained tank architectures...', 'initialization');            evolution.logEvolutionEvent('Defensive formation strategy discovered', 'discovery');            evolution.logEvolutionEvent('Flanking behavior emerged in Generation 2', 'discovery');            evolution.logEvolutionEvent('High-accuracy targeting pattern identified', 'fitness');        }    }, 500);}// Call enableDemoMode() to showcase the system// enableDemoMode();
\ No newline at end of file
+// Main application bootstrap and initializationlet gameEngine;let evolutionEngine;let replayPlayer = null; // ReplayPlayer, created on first uselet mapEditor = null; // MapEditor, created on first usedocument.addEventListener('DOMContentLoaded', function() {    // Check if canvas exists before creating GameEngine    const canvas = document.getElementById('gameCanvas');    if (!canvas) {        setTimeout(() => {            const retryCanvas = document.getElementById('gameCanvas');            if (retryCanvas) {                initializeGame();            } else {            }        }, 100);        return;    }    initializeGame();});function initializeGame() {    // Initialize game engine using refactored system    gameEngine = new GameEngine('gameCanvas');    window.gameEngine = gameEngine; // Make globally accessible    // Initialize evolution engine    evolutionEngine = new EvolutionEngine();    window.evolutionEngine = evolutionEngine; // Make globally accessible    // Backward compatibility mappings for refactored variable names    window.game = gameEngine;    window.evolution = evolutionEngine;    // Initialize researcher insights with new modular system    if (typeof ResearcherInsights !== 'undefined') {        // Clean up any existing instance first        if (window.researcherInsights) {            if (typeof window.researcherInsights.destroy === 'function') {                window.researcherInsights.destroy();            }            // Remove existing dashboard if it exists            const existingDashboard = document.getElementById('researcher-insights-dashboard');            if (existingDashboard) {                existingDashboard.remove();            }        }        // Create new instance using the refactored modular system        window.researcherInsights = new ResearcherInsights();        // Also ensure backward compatibility by making components available globally        window.dataCollector = window.researcherInsights.dataCollector;        window.dashboardUI = window.researcherInsights.dashboardUI;        // Now initialize the candidate pool since ResearcherInsights is available        if (evolutionEngine && !evolutionEngine.candidatePoolInitialized) {            evolutionEngine.ensureCandidatePoolInitialized();        }    } else {    }    // Setup UI event handlers    setupEventHandlers();    // Initialize first battle with King of Hill mode via reset    resetBattle();    // Force update genome display immediately    setTimeout(() => {        updateGenomeDisplay();    }, 100);    // Auto-start if desired    if (window.AUTO_START) {        setTimeout(() => {            startEvolution();        }, 1000);    }}function setupEventHandlers() {    // Evolution control buttons    document.getElementById('startEvolution').addEventListener('click', startEvolution);    document.getElementById('pauseEvolution').addEventListener('click', pauseEvolution);    document.getElementById('resetBattle').addEventListener('click', resetBattle);    document.getElementById('researcherInsightsButton').addEventListener('click', openResearcherInsights);    document.getElementById('engineerInsightsButton').addEventListener('click', openEngineerInsights);    document.getElementById('analystInsightsButton').addEventListener('click', openAnalystInsights);    document.getElementById('cognitionInsightsButton').addEventListener('click', openCognitionInsights);    document.getElementById('creditsButton').addEventListener('click', showCredits);    // Battle scenario selector - preview obstacles when changed    document.getElementById('scenarioSelector').addEventListener('change', previewBattleScenario);    // Custom maps from scenario JSON files join the selector and the scenario rotation    const scenarioFileInput = document.getElementById('scenarioFileInput');    if (scenarioFileInput) {        document.getElementById('loadScenario').addEventListener('click', () => scenarioFileInput.click());        scenarioFileInput.addEventListener('change', loadScenarioFile);    }    // Play one tank yourself against the current champion genomes    document.getElementById('playVsChampion').addEventListener('click', playVsChampion);    // Team sizes and handicaps - preview the new formation, and apply to the next evolution battle    ['redTeamSize', 'blueTeamSize', 'redHealthMultiplier', 'blueHealthMultiplier'].forEach(id => {        const input = document.getElementById(id);        if (input) {            input.addEventListener('change', () => {                applyTeamSetup();                previewBattleScenario();            });        }    });    // Parent source: fitness-sorted candidate pool or MAP-Elites archive    const parentSourceSelector = document.getElementById('parentSourceSelector');    if (parentSourceSelector) {        parentSourceSelector.addEventListener('change', () => evolutionEngine.setParentSource(parentSourceSelector.value));    }    // Download every genome's and line-up's skill rating    const exportRatingsButton = document.getElementById('exportRatings');    if (exportRatingsButton) {        exportRatingsButton.addEventListener('click', exportRatings);    }    const evaluateAllMapsButton = document.getElementById('evaluateAllMaps');    if (evaluateAllMapsButton) {        evaluateAllMapsButton.addEventListener('click', evaluateOnAllMaps);    }    // Battle replay controls    setupReplayControls();    // Map editor controls    setupMapEditorControls();    // Credits modal handlers    const modal = document.getElementById('creditsModal');    const closeBtn = modal.querySelector('.close');    closeBtn.addEventListener('click', hideCredits);    window.addEventListener('click', function(event) {        if (event.target === modal) {            hideCredits();        }    });    // Rejected and regenerated maps (MapValidator) go to the evolution log    gameEngine.events.on('mapValidation', validation => {        if (MapValidator.hasRejections(validation)) {            evolutionEngine.logEvolutionEvent(MapValidator.describe(validation), 'system');        }    });    // Window resize handler    window.addEventListener('resize', handleResize);    // Battle end handler    window.addEventListener('battleEnd', (event) => {        if (gameEngine) {            gameEngine.resumedFromPause = false; // Clear resume flag when battle ends        }        // Player battles are reported in the log but never feed the research insights        if (event.detail && event.detail.humanControl) {            reportHumanBattle(event.detail);            return;        }        // Map editor previews only show how a map plays        if (event.detail && event.detail.preview) {            evolutionEngine.logEvolutionEvent(`Map preview ended: ${event.detail.winner} after ${event.detail.duration.toFixed(1)}s (${event.detail.victoryType})`, 'system');            return;        }        // Track knowledge searches in cognition insights after each battle        if (window.cognitionInsights && event.detail) {            const battleResult = event.detail;            // Search for tactics based on battle outcome            if (battleResult.winner === 'red') {                window.cognitionInsights.trackKnowledgeSearch('red_victory_tactics', 2);            } else if (battleResult.winner === 'blue') {                window.cognitionInsights.trackKnowledgeSearch('blue_victory_tactics', 2);            } else {                window.cognitionInsights.trackKnowledgeSearch('defensive_stalemate_tactics', 1);            }            // Search for counter-tactics based on battle duration            if (battleResult.duration > 30) {                window.cognitionInsights.trackKnowledgeSearch('prolonged_battle_analysis', 3);            }            // Track cognitive adaptations based on battle outcome            if (battleResult.winner) {                // Teams adapt their strategies after each battle                window.cognitionInsights.trackCognitiveAdaptation();                // Additional adaptation for decisive victories (short battles)                if (battleResult.duration < 15) {                    window.cognitionInsights.trackCognitiveAdaptation();                }            }        }    });    // Keyboard shortcuts    document.addEventListener('keydown', handleKeydown);}    function startEvolution() {        // A loaded replay hands the battlefield back before evolution continues        closeReplay();        // The map editor too        hideMapEditor();        // So does a player's battle - the evolved tanks start a fresh one        if (game.humanController) {            game.reset();        }        // Check current game state and respond accordingly        if (game.gameState === 'paused') {            // Resume from pause - don't start new evolution experiment, just resume current battle            game.resume();            game.resumedFromPause = true; // Flag to prevent genome selection            evolution.isEvolutionRunning = true; // Resume evolution tracking            evolution.logEvolutionEvent('AlphaTanks evolution system resumed', 'system');            // Clear the resumedFromPause flag after 5 seconds to allow normal genome display            setTimeout(() => {                if (game) {                    game.resumedFromPause = false;                }            }, 5000);        } else if (game.gameState === 'ready' || game.gameState === 'ended') {            // Start fresh battle and evolution            game.resumedFromPause = false; // Clear flag for fresh start            // Clear genome cache so we get fresh data for new battle            genomeCache.lastPoolSize = 0;            genomeCache.lastCacheTime = 0;            genomeCache.redBest = null;            genomeCache.blueBest = null;            // Apply the selected scenario before starting            const scenarioSelector = document.getElementById('scenarioSelector');            const selectedScenario = scenarioSelector ? scenarioSelector.value : 'open_field';            // Reset and apply scenario            game.reset();            const seed = Date.now() % 10000;            const teamSetup = applyTeamSetup();            game.initializeBattle(teamSetup.red, teamSetup.blue, 'king_of_hill', selectedScenario, seed, { handicaps: teamSetup.handicaps });            // Log scenario application            const scenarios = window.CONFIG?.asiArch?.battleScenarios?.scenarios;            const scenarioName = scenarios?.[selectedScenario]?.name || selectedScenario;            evolution.logEvolutionEvent(`Starting evolution with scenario: ${scenarioName}`, 'system');            evolution.logEvolutionEvent(`Tactical focus: ${scenarios?.[selectedScenario]?.tacticalFocus || 'unknown'}`, 'initialization');            if (window.engineerInsights) {                window.engineerInsights.trackSeededBattle(selectedScenario, seed);            }            // Ensure tactical display is initialized            if (!window.tacticalDisplay || !window.tacticalDisplay.isReady) {                // Debug logging removed for performance                window.tacticalDisplay = new TacticalEvolutionDisplay();            }            game.start();            evolution.startEvolution(); // This will start new experiments            // Track knowledge search for battle preparation            if (window.cognitionInsights) {                const battleQueries = [                    'pre_battle_reconnaissance',                    'tactical_formation_analysis',                     'enemy_pattern_assessment'                ];                const randomQuery = battleQueries[Math.floor(Math.random() * battleQueries.length)];                window.cognitionInsights.trackKnowledgeSearch(randomQuery, Math.floor(Math.random() * 3) + 1);                // Track cognitive adaptations for battle preparation                window.cognitionInsights.trackCognitiveAdaptation();            }            // Update genome display immediately for new battle (but don't spam it)            setTimeout(() => {                updateGenomeDisplay();            }, 1000);        } else if (game.gameState === 'running') {            // Already running, no action needed            return;        }        // Update UI        document.getElementById('startEvolution').disabled = true;        document.getElementById('pauseEvolution').disabled = false;        // Disable scenario selector during evolution        const startScenarioSelector = document.getElementById('scenarioSelector');        if (startScenarioSelector) {            startScenarioSelector.disabled = true;        }        // Log start/resume        if (game.gameState === 'running') {            evolution.logEvolutionEvent('AlphaTanks evolution system resumed', 'system');        }    }function pauseEvolution() {    // Pause evolution    evolution.pauseEvolution();    // Pause game    game.pause();    game.resumedFromPause = false; // Clear resume flag when pausing    // Update UI    document.getElementById('startEvolution').disabled = false;    document.getElementById('pauseEvolution').disabled = true;}function resetBattle() {    // Leave replay playback first so the reset applies to the live battlefield    closeReplay();    // Reset evolution    evolutionEngine.resetEvolution();    // Reset researcher insights data and charts    if (window.researcherInsights) {        window.researcherInsights.reset();    }    // Reset other insights systems if they exist    if (window.analystInsights && typeof window.analystInsights.reset === 'function') {        window.analystInsights.reset();    }    if (window.engineerInsights && typeof window.engineerInsights.reset === 'function') {        window.engineerInsights.reset();    }    if (window.cognitionInsights && typeof window.cognitionInsights.reset === 'function') {        window.cognitionInsights.reset();    }    // Update ASI-ARCH mode display in case API key status changed    if (window.asiArch && typeof window.asiArch.updateModeDisplay === 'function') {        window.asiArch.updateModeDisplay();    }    // Reset game state first    gameEngine.reset();    // Get current scenario from dropdown (if available)    const scenarioSelector = document.getElementById('scenarioSelector');    const currentScenario = scenarioSelector ? scenarioSelector.value : 'open_field';    // Initialize battle with current scenario (like Apply Scenario does)    const seed = Date.now() % 10000;    const teamSetup = applyTeamSetup();    gameEngine.initializeBattle(teamSetup.red, teamSetup.blue, 'king_of_hill', currentScenario, seed, { handicaps: teamSetup.handicaps });    // Phase 2: Track seeded battle (scenario context is tracked per evolution battle by EvolutionEngine)    if (window.engineerInsights) {        window.engineerInsights.trackSeededBattle(currentScenario, seed);    }    // Set game state to ready so user can see the layout    gameEngine.gameState = 'ready';    // Render the battlefield immediately    gameEngine.render();    // Update UI - reset button should enable start button    document.getElementById('startEvolution').disabled = false;    document.getElementById('pauseEvolution').disabled = true;    // Re-enable scenario selector    const resetScenarioSelector = document.getElementById('scenarioSelector');    if (resetScenarioSelector) {        resetScenarioSelector.disabled = false;    }    // Log the reset with scenario info    const scenarios = window.CONFIG?.asiArch?.battleScenarios?.scenarios;    const scenarioName = scenarios?.[currentScenario]?.name || currentScenario;    evolutionEngine.logEvolutionEvent('System reset - Ready for new evolution cycle', 'system');    evolutionEngine.logEvolutionEvent(`Battle reset with scenario: ${scenarioName}`, 'initialization');}function previewBattleScenario() {    // Get selected scenario    const scenarioSelector = document.getElementById('scenarioSelector');    if (!scenarioSelector) return;    const selectedScenario = scenarioSelector.value;    // Only preview if not currently running evolution (scenario selector enabled)    if (scenarioSelector.disabled) return;    // Reset game state first to clear any existing battle    gameEngine.reset();    // Initialize battle with selected scenario for preview    const seed = Date.now() % 10000;    const teamSetup = applyTeamSetup();    gameEngine.initializeBattle(teamSetup.red, teamSetup.blue, 'king_of_hill', selectedScenario, seed, { handicaps: teamSetup.handicaps });    // Phase 2: Track scenario preview    if (window.engineerInsights) {        window.engineerInsights.trackSeededBattle(selectedScenario, seed);    }    // Set game state to ready so user can see the layout    gameEngine.gameState = 'ready';    // Render the battlefield immediately to show the obstacles    gameEngine.render();    // Log the preview    const scenarios = window.CONFIG?.asiArch?.battleScenarios?.scenarios;    const scenarioName = scenarios?.[selectedScenario]?.name || selectedScenario;}function loadScenarioFile(event) {    const file = event.target.files[0];    if (!file) return;    const reader = new FileReader();    reader.onload = () => {        const scenarioSelector = document.getElementById('scenarioSelector');        if (scenarioSelector.disabled) {            evolution.logEvolutionEvent('Stop the evolution before loading a map', 'system');            return;        }        let scenarioId;        try {            scenarioId = ScenarioLoader.register(reader.result);        } catch (error) {            evolution.logEvolutionEvent(`Could not load map ${file.name}: ${error.message}`, 'system');            return;        }        const scenario = ScenarioLoader.getScenario(scenarioId);        addScenarioOption(scenarioId);        evolution.logEvolutionEvent(`Loaded map "${scenario.name}"${scenario.mode ? ` (${scenario.mode})` : ''}`, 'system');        previewBattleScenario();    };    reader.readAsText(file);    // Allow loading the same file again    event.target.value = '';}function addScenarioOption(scenarioId) {    // List a registered map in the scenario selector and pick it (unless an evolution run holds the selector)    const scenarioSelector = document.getElementById('scenarioSelector');    let option = Array.from(scenarioSelector.options).find(existing => existing.value === scenarioId);    if (!option) {        option = document.createElement('option');        option.value = scenarioId;        scenarioSelector.appendChild(option);    }    option.textContent = `🗺️ ${ScenarioLoader.getScenario(scenarioId).name}`;    if (!scenarioSelector.disabled) {        scenarioSelector.value = scenarioId;        // Rebuild the rotation so evolution battles visit the new map too        evolutionEngine.scenarioScheduler = new ScenarioScheduler();    }}function initializeNewBattle() {    // Initialize new battle WITHOUT resetting evolution    gameEngine.reset();    // Get current scenario from dropdown (if available)    const scenarioSelector = document.getElementById('scenarioSelector');    const currentScenario = scenarioSelector ? scenarioSelector.value : 'open_field';    // Initialize with current scenario    const teamSetup = applyTeamSetup();    gameEngine.initializeBattle(teamSetup.red, teamSetup.blue, 'king_of_hill', currentScenario, Date.now() % 10000, { handicaps: teamSetup.handicaps });    // Don't reset generation or evolution state}function applyTeamSetup() {    // Read team sizes and health handicaps from the setup controls (out-of-range values are clamped)    const teams = GAME_CONFIG.TEAMS;    const readNumber = (id, fallback, min, max) => {        const input = document.getElementById(id);        const value = input ? parseFloat(input.value) : NaN;        return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;    };    const red = Math.round(readNumber('redTeamSize', teams.DEFAULT_SIZE, teams.MIN_SIZE, teams.MAX_SIZE));    const blue = Math.round(readNumber('blueTeamSize', teams.DEFAULT_SIZE, teams.MIN_SIZE, teams.MAX_SIZE));    const handicaps = {        red: { healthMultiplier: readNumber('redHealthMultiplier', 1, teams.MIN_HEALTH_MULTIPLIER, teams.MAX_HEALTH_MULTIPLIER) },        blue: { healthMultiplier: readNumber('blueHealthMultiplier', 1, teams.MIN_HEALTH_MULTIPLIER, teams.MAX_HEALTH_MULTIPLIER) }    };    // Evolution experiments breed and fight with the same setup    if (evolutionEngine) {        evolutionEngine.researcher.setTeamSizes(red, blue);        evolutionEngine.engineer.setHandicaps(handicaps);    }    return { red, blue, handicaps };}function playVsChampion() {    // Designers' sanity check: does a high-fitness champion actually beat a person?    closeReplay();    hideMapEditor();    if (evolution.isEvolutionRunning) {        pauseEvolution();    }    // The paused evolution battle is replaced, so its result will never arrive    evolutionEngine.engineer.abandonBattle();    const humanTeamSelector = document.getElementById('humanTeamSelector');    const humanTeam = humanTeamSelector ? humanTeamSelector.value : 'red';    const scenarioSelector = document.getElementById('scenarioSelector');    const currentScenario = scenarioSelector ? scenarioSelector.value : 'open_field';    const teamSetup = applyTeamSetup();    // Every AI tank on both sides runs its team's champion; random genomes fill in before evolution has one    const championGenomes = (team, count) => {        const champion = getBestGenomeForTeam(team);        if (!champion || !champion.genome) {            return [];        }        return Array.from({ length: count }, () => Array.isArray(champion.genome) ? [...champion.genome] : { ...champion.genome });    };    const redGenomes = championGenomes('red', teamSetup.red);    const blueGenomes = championGenomes('blue', teamSetup.blue);    (humanTeam === 'red' ? redGenomes : blueGenomes)[0] = HumanController.createGenome();    gameEngine.reset();    const seed = Date.now() % 10000;    gameEngine.initializeBattle(teamSetup.red, teamSetup.blue, 'king_of_hill', currentScenario, seed, {        redGenomes,        blueGenomes,        handicaps: teamSetup.handicaps,        humanControl: { team: humanTeam, index: 0 }    });    gameEngine.start();    document.getElementById('startEvolution').disabled = false;    document.getElementById('pauseEvolution').disabled = true;    const enemyTeam = humanTeam === 'red' ? 'blue' : 'red';    evolutionEngine.logEvolutionEvent(`Player battle: you drive a ${humanTeam} tank against the ${enemyTeam} champion ` +        '(WASD/arrows move, mouse aims, click or Space fires)', 'system');}function reportHumanBattle(result) {    const team = result.humanControl.team;    let outcome = 'ended without a winner';    if (result.winner === team) {        outcome = 'won';    } else if (result.winner === 'red' || result.winner === 'blue') {        outcome = 'lost';    }    evolutionEngine.logEvolutionEvent(`Player battle ${outcome} after ${result.duration.toFixed(1)}s (${result.victoryType})`, 'system');}function handleResize() {    if (game) {        game.setupCanvas();    }    if (mapEditor && mapEditor.isOpen) {        mapEditor.render();    }}function handleKeydown(event) {    // While a player drives a tank, movement and fire keys belong to the tank    if (gameEngine && gameEngine.humanController && HumanController.isControlKey(event.key)) {        return;    }    // So do the map editor's name field and Delete key    if (mapEditor && mapEditor.isOpen) {        return;    }    switch(event.key) {        case 'Escape':            // Close credits modal if open            const modal = document.getElementById('creditsModal');            if (modal.style.display === 'block') {                event.preventDefault();                hideCredits();            }            break;        case ' ': // Spacebar            event.preventDefault();            if (replayPlayer && replayPlayer.replay) {                replayPlayer.togglePlay();            } else if (evolution.isEvolutionRunning) {                pauseEvolution();            } else {                startEvolution();            }            break;        case 'r':        case 'R':            event.preventDefault();            resetBattle();            break;        case 'f':        case 'F':        case 'c':        case 'C':            event.preventDefault();            showCredits();            break;        case 'd':        case 'D':            event.preventDefault();            toggleDebugMode();            break;    }}// Battle replay controlsfunction setupReplayControls() {    document.getElementById('watchReplay').addEventListener('click', () => {        const replay = getSelectedReplay();        if (replay) {            watchReplay(replay);        }    });    document.getElementById('saveReplay').addEventListener('click', saveReplay);    const fileInput = document.getElementById('replayFileInput');    document.getElementById('loadReplay').addEventListener('click', () => fileInput.click());    fileInput.addEventListener('change', loadReplayFile);    document.getElementById('replayPlayPause').addEventListener('click', () => {        if (replayPlayer) {            replayPlayer.togglePlay();        }    });    document.getElementById('replaySeek').addEventListener('input', (event) => {        if (replayPlayer) {            replayPlayer.seek(parseFloat(event.target.value));        }    });    document.getElementById('replaySpeed').addEventListener('change', (event) => {        if (replayPlayer) {            replayPlayer.setSpeed(parseFloat(event.target.value));        }    });    document.getElementById('closeReplay').addEventListener('click', closeReplay);    // Every finished battle on the page is recorded by the game engine    gameEngine.events.on('replayReady', refreshReplaySelector);}function refreshReplaySelector() {    const selector = document.getElementById('replaySelector');    if (!selector) return;    const history = gameEngine.replayHistory;    selector.innerHTML = '';    if (history.length === 0) {        selector.innerHTML = '<option value="">No battles recorded</option>';        return;    }    // Newest battle first    for (let i = history.length - 1; i >= 0; i--) {        const replay = history[i];        const result = replay.result || {};        const time = new Date(replay.recordedAt).toLocaleTimeString();        const option = document.createElement('option');        option.value = i;        option.textContent = `${time} - ${result.winner || '?'} wins - ${replay.scenarioId || 'default'} #${replay.seed} (${(result.duration || 0).toFixed(1)}s)`;        selector.appendChild(option);    }}function getSelectedReplay() {    const selector = document.getElementById('replaySelector');    if (!selector || selector.value === '') return null;    return gameEngine.replayHistory[parseInt(selector.value, 10)] || null;}function watchReplay(replayOrText) {    // Stop the live battle from advancing while the replay owns the canvas    if (evolution.isEvolutionRunning) {        pauseEvolution();    }    if (!replayPlayer) {        replayPlayer = new ReplayPlayer(gameEngine);        replayPlayer.events.on('frame', updateReplayControls);    }    try {        const replay = replayPlayer.load(replayOrText);        document.getElementById('replayPlaybackBar').style.display = 'flex';        document.getElementById('replaySeek').max = replayPlayer.duration;        replayPlayer.setSpeed(parseFloat(document.getElementById('replaySpeed').value));        replayPlayer.play();        evolution.logEvolutionEvent(`Watching replay: ${replay.scenarioId || 'default'} seed ${replay.seed}`, 'system');    } catch (error) {        evolution.logEvolutionEvent(`Could not load replay: ${error.message}`, 'system');    }}function saveReplay() {    const replay = getSelectedReplay() || (replayPlayer && replayPlayer.replay);    if (!replay) return;    const blob = new Blob([BattleRecorder.serialize(replay)], { type: 'application/json' });    const url = URL.createObjectURL(blob);    const link = document.createElement('a');    link.href = url;    link.download = `alphatanks-replay-${replay.scenarioId || 'default'}-${replay.seed}.json`;    link.click();    URL.revokeObjectURL(url);}function exportRatings() {    const data = {        generation: evolution.currentGeneration,        battles: evolution.totalBattles,        ratings: evolution.skillRatings.toJSON(),        timestamp: new Date().toISOString()    };    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });    const url = URL.createObjectURL(blob);    const link = document.createElement('a');    link.href = url;    link.download = `alphatanks-ratings-generation-${data.generation}.json`;    link.click();    URL.revokeObjectURL(url);}function evaluateOnAllMaps() {    // Both teams' champions fight once on every scenario, off-screen, to show which maps they struggle on    const redChampion = getBestGenomeForTeam('red');    const blueChampion = getBestGenomeForTeam('blue');    const breakdown = document.getElementById('scenario-breakdown');    if (!redChampion || !blueChampion || !redChampion.genome || !blueChampion.genome) {        if (breakdown) {            breakdown.textContent = 'Evolve a few battles first - both teams need a champion';        }        return;    }    const button = document.getElementById('evaluateAllMaps');    const teamSetup = applyTeamSetup();    const lineUp = (champion, count) => Array.from({ length: count }, () => [...champion.genome]);    if (button) {        button.disabled = true;    }    if (breakdown) {        breakdown.textContent = 'Evaluating...';    }    // Let the status render before the battles block the page    setTimeout(() => {        try {            const evaluation = new MultiScenarioEvaluator().evaluate(                lineUp(redChampion, teamSetup.red),                lineUp(blueChampion, teamSetup.blue),                { handicaps: teamSetup.handicaps }            );            if (window.tacticalDisplay) {                window.tacticalDisplay.updateScenarioBreakdown(evaluation);            }        } finally {            if (button) {                button.disabled = false;            }        }    }, 0);}function loadReplayFile(event) {    const file = event.target.files[0];    if (!file) return;    const reader = new FileReader();    reader.onload = () => watchReplay(reader.result);    reader.readAsText(file);    // Allow loading the same file again    event.target.value = '';}// Map editor controlsfunction setupMapEditorControls() {    document.getElementById('openMapEditor').addEventListener('click', openMapEditor);    document.getElementById('mapEditorEdit').addEventListener('click', openMapEditor);    document.getElementById('closeMapEditor').addEventListener('click', closeMapEditor);    document.getElementById('mapEditorTool').addEventListener('change', (event) => mapEditor.setTool(event.target.value));    document.getElementById('mapEditorObstacleType').addEventListener('change', (event) => mapEditor.setObstacleType(event.target.value));    document.getElementById('mapEditorName').addEventListener('input', (event) => mapEditor.setName(event.target.value));    document.getElementById('mapEditorCopy').addEventListener('click', () => mapEditor.copyBattlefield());    document.getElementById('mapEditorClear').addEventListener('click', () => mapEditor.clear());    document.getElementById('mapEditorPreview').addEventListener('click', previewEditedMap);    document.getElementById('mapEditorSave').addEventListener('click', saveEditedMap);}function openMapEditor() {    closeReplay();    if (evolution.isEvolutionRunning) {        pauseEvolution();    }    // The paused evolution battle is replaced, so its result will never arrive    evolutionEngine.engineer.abandonBattle();    // Stops any battle; the battlefield keeps its layout for "Copy battlefield"    gameEngine.reset();    if (!mapEditor) {        mapEditor = new MapEditor(gameEngine);        mapEditor.events.on('change', updateMapEditorStatus);    }    document.getElementById('mapEditorBar').style.display = '';    mapEditor.open();}function closeMapEditor() {    if (!mapEditor) return;    hideMapEditor();    gameEngine.reset();    previewBattleScenario();}function hideMapEditor() {    if (!mapEditor) return;    mapEditor.close();    document.getElementById('mapEditorBar').style.display = 'none';}function updateMapEditorStatus(errors) {    const status = document.getElementById('mapEditorStatus');    status.textContent = errors.length > 0 ? `⚠ ${errors[0]}` : `${mapEditor.map.obstacles.length} obstacles`;    status.title = errors.join('\n');    // Selecting an obstacle picks up its type    document.getElementById('mapEditorObstacleType').value = mapEditor.obstacleType;}function registerEditedMap() {    try {        const scenarioId = mapEditor.register();        addScenarioOption(scenarioId);        return scenarioId;    } catch (error) {        evolutionEngine.logEvolutionEvent(`Map editor: ${error.message}`, 'system');        return null;    }}function previewEditedMap() {    const scenarioId = registerEditedMap();    if (!scenarioId) return;    // Random tanks fight on the map; Edit goes back to the editor    mapEditor.close();    gameEngine.reset();    const teamSetup = applyTeamSetup();    gameEngine.initializeBattle(teamSetup.red, teamSetup.blue, 'king_of_hill', scenarioId, Date.now() % 10000, {        handicaps: teamSetup.handicaps,        preview: true    });    gameEngine.start();    document.getElementById('startEvolution').disabled = false;    document.getElementById('pauseEvolution').disabled = true;    evolutionEngine.logEvolutionEvent(`Map preview: random tanks battle on "${mapEditor.map.name}"`, 'system');}function saveEditedMap() {    const scenarioId = registerEditedMap();    if (!scenarioId) return;    const blob = new Blob([JSON.stringify(mapEditor.toScenario(), null, 4)], { type: 'application/json' });    const url = URL.createObjectURL(blob);    const link = document.createElement('a');    link.href = url;    link.download = `${scenarioId}.json`;    link.click();    URL.revokeObjectURL(url);    evolutionEngine.logEvolutionEvent(`Saved map "${mapEditor.map.name}" as ${scenarioId}.json`, 'system');}function closeReplay() {    if (!replayPlayer || !replayPlayer.replay) return;    replayPlayer.stop();    document.getElementById('replayPlaybackBar').style.display = 'none';}function updateReplayControls(progress) {    document.getElementById('replaySeek').value = progress.time;    document.getElementById('replayTime').textContent = `${progress.time.toFixed(1)}s / ${progress.duration.toFixed(1)}s`;    document.getElementById('replayPlayPause').textContent = progress.isPlaying ? '⏸ Pause' : '▶ Play';}function toggleDebugMode() {    window.DEBUG = !window.DEBUG;    if (window.DEBUG) {        evolution.logEvolutionEvent('Debug mode enabled - Additional tank AI information displayed', 'system');    }}// Performance monitoringfunction startPerformanceMonitoring() {    setInterval(() => {        const stats = {            fps: calculateFPS(),            tankCount: gameEngine ? (gameEngine.redTeam?.length || 0) + (gameEngine.blueTeam?.length || 0) : 0,            projectileCount: gameEngine ? (gameEngine.projectiles?.length || 0) : 0,            memoryUsage: performance.memory ? Math.round(performance.memory.usedJSHeapSize / 1024 / 1024) : 'N/A'        };        // Only update genome display if game is not actively running a battle        // to improve performance during gameplay        if (!gameEngine || gameEngine.gameState !== 'running') {            updateGenomeDisplay();        } else if (game && game.gameState === 'running') {            // During battles, only update genome display every 10 seconds to reduce load            if (!window.lastGenomeUpdate || Date.now() - window.lastGenomeUpdate > 10000) {                updateGenomeDisplay();                window.lastGenomeUpdate = Date.now();            }        }        // Log performance issues (throttled to avoid spam)        if (stats.fps < 30 && game && game.gameState === 'running') {            if (!window.lastPerfWarning || Date.now() - window.lastPerfWarning > 10000) {                window.lastPerfWarning = Date.now();            }        }        // Update debug display if enabled        if (window.DEBUG) {            updateDebugDisplay(stats);        }    }, 5000); // Reduced frequency from 2s to 5s to improve performance}let frameCount = 0;let lastFPSTime = performance.now();function calculateFPS() {    const now = performance.now();    frameCount++;    if (now - lastFPSTime >= 1000) {        const fps = Math.round(frameCount * 1000 / (now - lastFPSTime));        frameCount = 0;        lastFPSTime = now;        return fps;    }    return 60; // Default assumption}function updateDebugDisplay(stats) {    // Create debug overlay if it doesn't exist    let debugPanel = document.getElementById('debugPanel');    if (!debugPanel) {        debugPanel = document.createElement('div');        debugPanel.id = 'debugPanel';        debugPanel.style.cssText = `            position: fixed;            top: 10px;            right: 10px;            background: rgba(0,0,0,0.8);            color: #00ff88;            padding: 10px;            font-family: 'Courier New', monospace;            font-size: 12px;            border: 1px solid #00ff88;            border-radius: 3px;            z-index: 1000;        `;        document.body.appendChild(debugPanel);    }    debugPanel.innerHTML = `        <div>FPS: ${stats.fps}</div>        <div>Tanks: ${stats.tankCount}</div>        <div>Projectiles: ${stats.projectileCount}</div>        <div>Memory: ${stats.memoryUsage} MB</div>        <div>Generation: ${evolution ? evolution.currentGeneration : 0}</div>        <div>Experiments: ${evolution ? evolution.totalExperiments : 0}</div>    `;}// Auto-start for demonstrationfunction enableAutoStart() {    window.AUTO_START = true;}// Export for global accesswindow.startEvolution = startEvolution;window.pauseEvolution = pauseEvolution;window.resetBattle = resetBattle;window.toggleDebugMode = toggleDebugMode;window.enableAutoStart = enableAutoStart;// Start performance monitoringstartPerformanceMonitoring();// Researcher Insights function - now toggleablefunction openResearcherInsights() {    // Initialize basic tracking only once (no test data)    if (window.researcherInsights && !window.researcherInsights.testDataInitialized) {        // Mark as initialized without adding test data        window.researcherInsights.testDataInitialized = true;    }    // Always toggle the dashboard    if (window.researcherInsights) {        window.researcherInsights.toggle();    } else {    }}function openEngineerInsights() {    // Always toggle the dashboard    if (window.engineerInsights) {        window.engineerInsights.toggle();    } else {    }}function openAnalystInsights() {    // Always toggle the dashboard    if (window.analystInsights) {        window.analystInsights.toggle();    } else {    }}function openCognitionInsights() {    // Always toggle the dashboard    if (window.cognitionInsights) {        window.cognitionInsights.toggle();    } else {    }}// Helper function to clear test data (for debugging)function _clearResearcherTestData() {    if (window.researcherInsights) {        window.researcherInsights.clearGenerationData();    } else {    }}// Make it available globally for console debuggingwindow.clearResearcherTestData = _clearResearcherTestData;// Credits modal functionsfunction showCredits() {    const modal = document.getElementById('creditsModal');    modal.style.display = 'block';    // Add some animation    const modalContent = modal.querySelector('.modal-content');    modalContent.style.opacity = '0';    modalContent.style.transform = 'scale(0.7)';    setTimeout(() => {        modalContent.style.transition = 'all 0.3s ease';        modalContent.style.opacity = '1';        modalContent.style.transform = 'scale(1)';    }, 10);}function hideCredits() {    const modal = document.getElementById('creditsModal');    const modalContent = modal.querySelector('.modal-content');    modalContent.style.transition = 'all 0.2s ease';    modalContent.style.opacity = '0';    modalContent.style.transform = 'scale(0.7)';    setTimeout(() => {        modal.style.display = 'none';        modalContent.style.transition = '';    }, 200);}// Genome display functionality// NOTE: Team selection logic is tested in tests/blue-team-core.test.jsfunction updateGenomeDisplay() {    // If we recently resumed from pause and tanks exist, show current tank genomes    if (gameEngine && gameEngine.tanks && gameEngine.tanks.length > 0 && gameEngine.resumedFromPause) {        displayCurrentTankGenomes();        return;    }    // If game is paused, show genomes of current tanks instead of selecting new ones    if (gameEngine && gameEngine.gameState === 'paused' && gameEngine.tanks && gameEngine.tanks.length > 0) {        displayCurrentTankGenomes();        return;    }    if (!evolutionEngine || !evolutionEngine.candidatePool || evolutionEngine.candidatePool.length === 0) {        // Show "waiting for evolution" state        displayNoGenomeData();        return;    }    try {        // Get best performing genomes for each team        const redBest = getBestGenomeForTeam('red');        const blueBest = getBestGenomeForTeam('blue');        if (redBest && redBest.genome) {            // Check if this is a real battle-earned fitness or just initial placeholder            const hasRealFitness = (redBest.battles && redBest.battles > 0) || !redBest.isInitial;            if (hasRealFitness && typeof redBest.fitness === 'number') {                displayGenome('red', redBest.genome, redBest.fitness);            } else {                // Show genome traits but indicate fitness is still evolving                displayGenomeWithEvolvingFitness('red', redBest.genome);            }        } else {            displayNoGenomeDataForTeam('red');        }        if (blueBest && blueBest.genome) {            // Check if this is a real battle-earned fitness or just initial placeholder            const hasRealFitness = (blueBest.battles && blueBest.battles > 0) || !blueBest.isInitial;            if (hasRealFitness && typeof blueBest.fitness === 'number') {                displayGenome('blue', blueBest.genome, blueBest.fitness);            } else {                // Show genome traits but indicate fitness is still evolving                displayGenomeWithEvolvingFitness('blue', blueBest.genome);            }        } else {            // EMERGENCY FALLBACK: If Blue team has no champion, ensure it gets one            // If Red has a champion, create a Blue variant with no bias - just copy            if (redBest && redBest.genome) {                // Pure copy with no modifications - let evolution handle differentiation                const blueGenome = Array.isArray(redBest.genome) ? [...redBest.genome] : { ...redBest.genome };                displayGenomeWithEvolvingFitness('blue', blueGenome);            } else {                displayNoGenomeDataForTeam('blue');            }        }    } catch (error) {    }}function displayCurrentTankGenomes() {    // Display genomes of currently active tanks when paused    if (!gameEngine || !gameEngine.tanks || gameEngine.tanks.length === 0) {        displayNoGenomeData();        return;    }    // Get representative tanks from each team    const redTanks = gameEngine.tanks.filter(tank => tank.team === 'red' && tank.isAlive);    const blueTanks = gameEngine.tanks.filter(tank => tank.team === 'blue' && tank.isAlive);    // Display genomes of the first alive tank from each team    if (redTanks.length > 0 && redTanks[0].genome) {        // Calculate average fitness of red team or use first tank's fitness        const avgFitness = redTanks.reduce((sum, tank) => sum + (tank.fitness || 0.5), 0) / redTanks.length;        displayGenome('red', redTanks[0].genome, avgFitness);    } else {        displayNoGenomeDataForTeam('red');    }    if (blueTanks.length > 0 && blueTanks[0].genome) {        // Calculate average fitness of blue team or use first tank's fitness        const avgFitness = blueTanks.reduce((sum, tank) => sum + (tank.fitness || 0.5), 0) / blueTanks.length;        displayGenome('blue', blueTanks[0].genome, avgFitness);    } else {        displayNoGenomeDataForTeam('blue');    }}function displayNoGenomeData() {    displayNoGenomeDataForTeam('red');    displayNoGenomeDataForTeam('blue');}function displayNoGenomeDataForTeam(team) {    const traitNames = ['Aggression', 'Speed', 'Accuracy', 'Defense', 'Teamwork', 'Adaptability', 'Learning', 'RiskTaking', 'Evasion'];    // Note: ChampionFitness elements removed with Best Genomes panel - fitness now shown in Tactical Evolution Monitor    // Update each trait to show evolving state    traitNames.forEach((traitName, _index) => {        // Update trait value        const valueElement = document.getElementById(`${team}${traitName}`);        if (valueElement) {            valueElement.textContent = '—';        }        // Update trait bar to show minimal width        const barElement = document.getElementById(`${team}${traitName}Bar`);        if (barElement) {            barElement.style.width = '0%';            barElement.style.background = '#333';        }    });}// Cache for getBestGenomeForTeam to avoid heavy recomputationconst genomeCache = {    lastPoolSize: 0,    lastCacheTime: 0,    lastPoolChecksum: null, // Track actual pool content changes    redBest: null,    blueBest: null};function getBestGenomeForTeam(team) {    if (!evolution || !evolution.candidatePool || evolution.candidatePool.length === 0) {        return null;    }    // Add debug logging for tests    if (window.DEBUG_GENOME) {        // Debug logging removed for production    }    const currentTime = Date.now();    const poolSize = evolution.candidatePool.length;    // Calculate a simple checksum of pool content to detect fitness updates    const poolChecksum = evolution.candidatePool.reduce((sum, candidate, index) => {        const fitness = candidate.fitness || 0;        const battles = candidate.battles || 0;        const wins = candidate.wins || 0;        return sum + (fitness * 1000 + battles * 100 + wins * 10) * (index + 1);    }, 0);    // Debug logging (reduced frequency to improve performance)    const shouldLog = !window.lastDebugLog || (currentTime - window.lastDebugLog > 5000);    if (window.DEBUG_GENOME && shouldLog) {        window.lastDebugLog = currentTime;    }    // Check team-specific cache validity    const teamCacheKey = team === 'red' ? 'redBest' : 'blueBest';    const cached = genomeCache[teamCacheKey];    // Use cache if pool hasn't changed (size AND content) and team-specific cache is less than 2 seconds old    const cacheValid = (        poolSize === genomeCache.lastPoolSize &&         poolChecksum === genomeCache.lastPoolChecksum &&        currentTime - genomeCache.lastCacheTime < 2000 &&        cached !== null    );    if (cacheValid && cached) {        if (window.DEBUG_GENOME && shouldLog) {        }        return cached;    }    // Force fresh selection for this team - clear its cache entry    genomeCache[teamCacheKey] = null;    try {        // First, try to filter candidates by actual team assignment AND battle experience        let championCandidates = evolution.candidatePool.filter(candidate => {            if (!candidate || !candidate.genome) {                return false;            }            // Check genome format            const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;            const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';            if (!isValidArray && !isValidObject) {                return false;            }            // Filter by team assignment AND battle experience (proven champions only)            const isTeamMember = candidate.team === team;            const hasBattleExperience = candidate.battles && candidate.battles > 0;            const hasWins = candidate.wins && candidate.wins > 0;            if (isTeamMember && hasBattleExperience && hasWins) {                return true;            }            return false;        });        if (window.DEBUG_GENOME) {        }        // If no proven champions yet, fall back to experienced fighters (even without wins)        if (championCandidates.length === 0) {            // Reduce debug logging frequency for performance            const shouldLogSearch = !window.lastSearchLog || (currentTime - window.lastSearchLog > 10000);            if (shouldLogSearch) {                if (evolution.candidatePool.length > 0) {                    const teamBreakdown = evolution.candidatePool.reduce((acc, c) => {                        const teamKey = c.team || 'unassigned';                        acc[teamKey] = (acc[teamKey] || 0) + 1;                        return acc;                    }, {});                }                window.lastSearchLog = currentTime;            }            championCandidates = evolution.candidatePool.filter(candidate => {                if (!candidate || !candidate.genome) {                    return false;                }                const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;                const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';                if (!isValidArray && !isValidObject) {                    return false;                }                // Look for team members with any battle experience                const isTeamMember = candidate.team === team;                const hasBattleExperience = candidate.battles && candidate.battles > 0;                if (isTeamMember && hasBattleExperience) {                    return true;                }                return false;            });        }        // If still no battle-tested candidates, use current generation team members (early generation case)        if (championCandidates.length === 0) {            championCandidates = evolution.candidatePool.filter(candidate => {                if (!candidate || !candidate.genome) {                    return false;                }                const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;                const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';                if (!isValidArray && !isValidObject) {                    return false;                }                // Filter by team assignment only (for early generations)                if (candidate.team === team) {                    return true;                }                return false;            });            // Reduce debug logging frequency for performance              const shouldLogTeam = !window.lastTeamLog || (currentTime - window.lastTeamLog > 10000);            if (shouldLogTeam) {                window.lastTeamLog = currentTime;            }        }        // If no team-specific candidates, get overall best and assign based on traits        if (championCandidates.length === 0) {            const allCandidates = evolution.candidatePool.filter(candidate => {                if (!candidate || !candidate.genome) {                    return false;                }                const isValidArray = Array.isArray(candidate.genome) && candidate.genome.length >= 9;                const isValidObject = !Array.isArray(candidate.genome) && typeof candidate.genome === 'object';                return isValidArray || isValidObject;            });            if (allCandidates.length === 0) {                return null;            }            allCandidates.sort((a, b) => (b.fitness || 0) - (a.fitness || 0));            // IMPROVED TEAM DISTRIBUTION: Ensure both teams get fair representation            if (window.DEBUG_GENOME) {            }            // Find a candidate that isn't already assigned to the other team            let selectedCandidate = null;            if (team === 'red') {                // For Red, prefer candidates that aren't explicitly assigned to Blue                selectedCandidate = allCandidates.find(c => c.team !== 'blue') || allCandidates[0];            } else if (team === 'blue') {                // For Blue, prefer candidates that aren't explicitly assigned to Red                  selectedCandidate = allCandidates.find(c => c.team !== 'red') || allCandidates[Math.min(1, allCandidates.length - 1)];            }            if (selectedCandidate) {                selectedCandidate.tempTeam = team;                if (window.DEBUG_GENOME) {                }                return selectedCandidate;            }            return null;        }        // Sort by fitness and return the best        championCandidates.sort((a, b) => (b.fitness || 0) - (a.fitness || 0));        const best = championCandidates[0];        if (best) {            // Reduce success logging frequency for performance            const shouldLogSuccess = !window.lastSuccessLog || (currentTime - window.lastSuccessLog > 15000);            if (shouldLogSuccess) {                window.lastSuccessLog = currentTime;            }        } else {        }        // Update cache - but don't override other team's cache unless both teams are being updated        if (team === 'red') {            genomeCache.redBest = best;        } else {            genomeCache.blueBest = best;        }        // Update global cache metadata only if this is a fresh fetch (not using cached data)        genomeCache.lastPoolSize = poolSize;        genomeCache.lastPoolChecksum = poolChecksum;        genomeCache.lastCacheTime = currentTime;        return best;    } catch (error) {        return null;    }}function displayGenome(team, genome, fitness) {    const traitNames = ['Aggression', 'Speed', 'Accuracy', 'Defense', 'Teamwork', 'Adaptability', 'Learning', 'RiskTaking', 'Evasion'];    // Validate inputs and handle both array and object genome formats    if (!genome || typeof fitness !== 'number') {        return;    }    // Convert object genome to array format if needed    let genomeArray;    if (Array.isArray(genome)) {        genomeArray = genome;    } else if (typeof genome === 'object') {        // Convert object format to array format        genomeArray = [            genome.aggression || 0,            genome.speed || 0,            genome.accuracy || 0,            genome.defense || genome.caution || 0,            genome.teamwork || genome.cooperation || 0,            genome.adaptability || 0,            genome.learning || 0,            genome.riskTaking || 0,            genome.evasion || 0        ];    } else {        return;    }    // Note: ChampionFitness elements removed with Best Genomes panel - fitness now shown in Tactical Evolution Monitor    // Update each trait using the genomeArray    traitNames.forEach((traitName, index) => {        const value = genomeArray[index];        // Handle undefined or invalid values        if (typeof value !== 'number' || isNaN(value)) {            return; // Skip this trait        }        const displayValue = value.toFixed(2);        const percentage = Math.max(0, Math.min(100, (value * 100))).toFixed(0);        // Update trait value        const valueElement = document.getElementById(`${team}${traitName}`);        if (valueElement) {            valueElement.textContent = displayValue;        }        // Update trait bar        const barElement = document.getElementById(`${team}${traitName}Bar`);        if (barElement) {            barElement.style.width = `${percentage}%`;            // Color coding based on value            if (value < 0.3) {                barElement.style.background = '#ff4444'; // Low - Red            } else if (value < 0.7) {                barElement.style.background = '#ffaa00'; // Medium - Orange            } else {                barElement.style.background = '#00ff88'; // High - Green            }        }    });}function displayGenomeWithEvolvingFitness(team, genome) {    const traitNames = ['Aggression', 'Speed', 'Accuracy', 'Defense', 'Teamwork', 'Adaptability', 'Learning', 'RiskTaking', 'Evasion'];    // Convert object genome to array format if needed    let genomeArray;    if (Array.isArray(genome)) {        genomeArray = genome;    } else if (typeof genome === 'object' && genome) {        // Convert object format to array format        genomeArray = [            genome.aggression || 0,            genome.speed || 0,            genome.accuracy || 0,            genome.defense || genome.caution || 0,            genome.teamwork || genome.cooperation || 0,            genome.adaptability || 0,            genome.learning || 0,            genome.riskTaking || 0,            genome.evasion || 0        ];    } else {        genomeArray = null;    }    // Note: ChampionFitness elements removed with Best Genomes panel - fitness now shown in Tactical Evolution Monitor    // Update each trait with actual values but show fitness as evolving    traitNames.forEach((traitName, index) => {        // Update trait value with actual genome data        const valueElement = document.getElementById(`${team}${traitName}`);        if (valueElement && genomeArray && genomeArray[index] !== undefined) {            const value = genomeArray[index];            valueElement.textContent = value.toFixed(2);        } else if (valueElement) {            valueElement.textContent = '—';        }        // Update trait bar with actual values        const barElement = document.getElementById(`${team}${traitName}Bar`);        if (barElement && genomeArray && genomeArray[index] !== undefined) {            const value = genomeArray[index];            barElement.style.width = `${value * 100}%`;            // Color coding based on value            if (value < 0.3) {                barElement.style.background = '#ff4444'; // Low - Red            } else if (value < 0.7) {                barElement.style.background = '#ffaa00'; // Medium - Orange            } else {                barElement.style.background = '#00ff88'; // High - Green            }        }    });}// Demo data for initial showcasewindow.DEMO_MODE = false;// Demo mode functionality (can be called from console for testing)window.enableDemoMode = function() {    window.DEMO_MODE = true;    window.AUTO_START = true;    // Pre-populate some evolution history for demo    setTimeout(() => {        if (evolution) {            evolution.logEvolutionEvent('Demo mode activated - Showcasing ASI-ARCH capabilities', 'system');            evolution.logEvolutionEvent('Loading pre-trained tank architectures...', 'initialization');            evolution.logEvolutionEvent('Defensive formation strategy discovered', 'discovery');            evolution.logEvolutionEvent('Flanking behavior emerged in Generation 2', 'discovery');            evolution.logEvolutionEvent('High-accuracy targeting pattern identified', 'fitness');        }    }, 500);}// Call enableDemoMode() to showcase the system// enableDemoMode();
\ No newline at end of file
@@ -0,0 +1,428 @@
+/**
+ * Behavior Tree - Serializable tank policies built from TankAI's behaviors
+ * A tree is plain JSON, so it can be stored with a genome, exported and evolved:
+ *   { type: 'selector', children: [...] }  first child that succeeds wins
+ *   { type: 'sequence', children: [...] }  every child must succeed, in order
+ *   { type: 'inverter', child: {...} }     flips a condition or subtree
+ *   { type: 'condition', name, threshold } test on the tank's perception (threshold only for graded conditions)
+ *   { type: 'action', state }              a TANK_STATES behavior, e.g. 'attack' runs behaviorAttack
+ * An action succeeds when its behavior can run in the current battle (no flag behaviors outside Capture the Flag);
+ * the first action to succeed is the decision. A tree that decides nothing falls back to patrol.
+ */
+
+// name -> { test(ai, gameState, threshold), threshold: default for graded conditions }
+const BEHAVIOR_TREE_CONDITIONS = {
+    carrying_flag: {
+        test: ai => ai.isCarryingFlag()
+    },
+    low_health: {
+        threshold: 0.3, // fraction of max health
+        test: (ai, _gameState, threshold) => ai.tank.health / ai.tank.maxHealth < threshold
+    },
+    enemy_visible: {
+        test: ai => ai.perception.visibleEnemies.length > 0
+    },
+    enemy_in_range: {
+        threshold: 0.8, // fraction of the tank's weapon range
+        test: (ai, _gameState, threshold) => {
+            const enemy = ai.findClosestEnemy();
+            return !!enemy && ai.tank.distanceTo(enemy) <= ai.tank.range * threshold;
+        }
+    },
+    outnumbered: {
+        test: ai => ai.perception.visibleEnemies.length > ai.perception.nearbyAllies.length + 1
+    },
+    allies_nearby: {
+        test: ai => ai.perception.nearbyAllies.length > 0
+    },
+    own_flag_away: {
+        test: (ai, gameState) => isFlagBattle(ai, gameState) && !ai.perception.flags.getFlag(ai.tank.team).isHome()
+    },
+    enemy_flag_carried: {
+        test: (ai, gameState) => isFlagBattle(ai, gameState) && ai.perception.flags.getEnemyFlag(ai.tank.team).isCarried()
+    },
+    near_hill: {
+        test: (ai, gameState) => isHillBattle(ai, gameState) &&
+            ai.tank.distanceTo(ai.perception.hill) <= (ai.perception.hill.radius || 60) * 2
+    },
+    holding_hill: {
+        test: (ai, gameState) => isHillBattle(ai, gameState) && ai.perception.hill.controllingTeam === ai.tank.team
+    }
+};
+
+// state -> can the behavior run in this battle?
+const BEHAVIOR_TREE_ACTIONS = {
+    [TANK_STATES.PATROL]: () => true,
+    [TANK_STATES.ATTACK]: ai => ai.perception.visibleEnemies.length > 0,
+    [TANK_STATES.RETREAT]: () => true,
+    [TANK_STATES.GROUP]: ai => ai.tank.allies.some(ally => ally.isAlive),
+    [TANK_STATES.SEEK_HILL]: (ai, gameState) => isHillBattle(ai, gameState),
+    [TANK_STATES.DEFEND_HILL]: (ai, gameState) => isHillBattle(ai, gameState),
+    [TANK_STATES.SEEK_FLAG]: (ai, gameState) => isFlagBattle(ai, gameState) &&
+        !ai.perception.flags.getEnemyFlag(ai.tank.team).isCarried(),
+    [TANK_STATES.CARRY_FLAG]: ai => ai.isCarryingFlag(),
+    [TANK_STATES.ESCORT_CARRIER]: (ai, gameState) => isFlagBattle(ai, gameState) && !ai.isCarryingFlag() &&
+        ai.perception.flags.getEnemyFlag(ai.tank.team).isCarried(),
+    [TANK_STATES.INTERCEPT_CARRIER]: (ai, gameState) => isFlagBattle(ai, gameState) &&
+        !ai.perception.flags.getFlag(ai.tank.team).isHome(),
+    [TANK_STATES.CONTEST_POINT]: (ai, gameState) => !!ai.perception.controlPoints &&
+        gameState.gameMode === GAME_MODES.DOMINATION
+};
+
+const BEHAVIOR_TREE_COMPOSITES = ['selector', 'sequence'];
+
+// Conditions and actions that can only succeed in one game mode; every other node works in all of them
+const BEHAVIOR_TREE_MODE_NODES = {
+    [GAME_MODES.KING_OF_HILL]: ['near_hill', 'holding_hill', TANK_STATES.SEEK_HILL, TANK_STATES.DEFEND_HILL],
+    [GAME_MODES.CAPTURE_THE_FLAG]: [
+        'carrying_flag', 'own_flag_away', 'enemy_flag_carried',
+        TANK_STATES.SEEK_FLAG, TANK_STATES.CARRY_FLAG, TANK_STATES.ESCORT_CARRIER, TANK_STATES.INTERCEPT_CARRIER
+    ],
+    [GAME_MODES.DOMINATION]: [TANK_STATES.CONTEST_POINT]
+};
+
+function isFlagBattle(ai, gameState) {
+    return !!ai.perception.flags && gameState.gameMode === GAME_MODES.CAPTURE_THE_FLAG;
+}
+
+function isHillBattle(ai, gameState) {
+    return !!ai.perception.hill && gameState.gameMode === GAME_MODES.KING_OF_HILL;
+}
+
+class BehaviorTree {
+    /**
+     * Pick a TANK_STATES behavior for the tank driven by ai (a TankAI)
+     */
+    static evaluate(tree, ai, gameState) {
+        const decision = { state: null };
+        BehaviorTree.tick(tree, ai, gameState, decision);
+        const state = decision.state || TANK_STATES.PATROL;
+        
+        // Contesting needs a target point, chosen the same way as the trait controller does
+        if (state === TANK_STATES.CONTEST_POINT) {
+            ai.controlPointIndex = ai.selectControlPoint(gameState);
+        }
+        return state;
+    }
+    
+    /**
+     * Run one node; returns true on success. Stops the whole tree once decision.state is set
+     */
+    static tick(node, ai, gameState, decision) {
+        switch (node.type) {
+            case 'selector':
+                for (const child of node.children) {
+                    if (BehaviorTree.tick(child, ai, gameState, decision) || decision.state) {
+                        return true;
+                    }
+                }
+                return false;
+            case 'sequence':
+                for (const child of node.children) {
+                    if (!BehaviorTree.tick(child, ai, gameState, decision)) {
+                        return false;
+                    }
+                    if (decision.state) {
+                        return true;
+                    }
+                }
+                return true;
+            case 'inverter':
+                return !BehaviorTree.tick(node.child, ai, gameState, decision);
+            case 'condition': {
+                const condition = BEHAVIOR_TREE_CONDITIONS[node.name];
+                return condition.test(ai, gameState, node.threshold ?? condition.threshold);
+            }
+            case 'action':
+                if (BEHAVIOR_TREE_ACTIONS[node.state](ai, gameState)) {
+                    decision.state = node.state;
+                    return true;
+                }
+                return false;
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Hand-written tree following TankAI.chooseBehavior's priority chain (the usual starting point for evolution)
+     */
+    static createDefault() {
+        const condition = (name, threshold) => threshold === undefined
+            ? { type: 'condition', name }
+            : { type: 'condition', name, threshold };
+        const action = state => ({ type: 'action', state });
+        
+        return {
+            type: 'selector',
+            children: [
+                action(TANK_STATES.CARRY_FLAG),
+                { type: 'sequence', children: [condition('low_health', 0.3), condition('outnumbered'), action(TANK_STATES.RETREAT)] },
+                action(TANK_STATES.INTERCEPT_CARRIER),
+                action(TANK_STATES.ESCORT_CARRIER),
+                action(TANK_STATES.SEEK_FLAG),
+                { type: 'sequence', children: [condition('enemy_in_range', 0.8), action(TANK_STATES.ATTACK)] },
+                {
+                    type: 'sequence',
+                    children: [
+                        condition('near_hill'),
+                        {
+                            type: 'selector',
+                            children: [
+                                { type: 'sequence', children: [condition('holding_hill'), action(TANK_STATES.DEFEND_HILL)] },
+                                action(TANK_STATES.SEEK_HILL)
+                            ]
+                        }
+                    ]
+                },
+                action(TANK_STATES.CONTEST_POINT),
+                { type: 'sequence', children: [{ type: 'inverter', child: condition('allies_nearby') }, action(TANK_STATES.GROUP)] },
+                action(TANK_STATES.PATROL)
+            ]
+        };
+    }
+    
+    /**
+     * Random tree no deeper than maxDepth levels; with a mode its leaves only use nodes that can succeed in that mode
+     */
+    static generateRandom(rng = Math, maxDepth = GAME_CONFIG.BEHAVIOR_TREE.MAX_DEPTH, mode = null) {
+        const config = GAME_CONFIG.BEHAVIOR_TREE;
+        if (maxDepth <= 1 || rng.random() < config.LEAF_CHANCE) {
+            return rng.random() < 0.5 ? BehaviorTree.randomAction(rng, mode) : BehaviorTree.randomCondition(rng, mode);
+        }
+        if (rng.random() < config.INVERTER_CHANCE) {
+            return { type: 'inverter', child: BehaviorTree.generateRandom(rng, maxDepth - 1, mode) };
+        }
+        
+        const childCount = MathUtils.randomInt(2, config.MAX_CHILDREN, rng);
+        const children = [];
+        for (let i = 0; i < childCount; i++) {
+            children.push(BehaviorTree.generateRandom(rng, maxDepth - 1, mode));
+        }
+        return { type: MathUtils.randomElement(BEHAVIOR_TREE_COMPOSITES, rng), children };
+    }
+    
+    /**
+     * Node names usable in a game mode: everything except other modes' nodes (all of them without a mode)
+     */
+    static namesForMode(names, mode = null) {
+        if (!mode) {
+            return names;
+        }
+        const otherModes = Object.entries(BEHAVIOR_TREE_MODE_NODES)
+            .filter(([nodeMode]) => nodeMode !== mode)
+            .flatMap(([, nodes]) => nodes);
+        return names.filter(name => !otherModes.includes(name));
+    }
+    
+    /**
+     * Random action leaf (one that can run in mode, if given)
+     */
+    static randomAction(rng = Math, mode = null) {
+        const states = BehaviorTree.namesForMode(Object.keys(BEHAVIOR_TREE_ACTIONS), mode);
+        return { type: 'action', state: MathUtils.randomElement(states, rng) };
+    }
+    
+    /**
+     * Random condition leaf (one that can hold in mode, if given), with a random threshold if the condition is graded
+     */
+    static randomCondition(rng = Math, mode = null) {
+        const name = MathUtils.randomElement(BehaviorTree.namesForMode(Object.keys(BEHAVIOR_TREE_CONDITIONS), mode), rng);
+        const node = { type: 'condition', name };
+        if (BEHAVIOR_TREE_CONDITIONS[name].threshold !== undefined) {
+            node.threshold = rng.random();
+        }
+        return node;
+    }
+    
+    /**
+     * Copy of a tree with each node mutated with probability mutationRate:
+     * thresholds drift, actions/conditions are swapped, composites flip type, reorder, gain or lose children,
+     * and any subtree may be replaced by a fresh random one; new nodes are limited to mode's nodes when it is given
+     */
+    static mutate(tree, mutationRate = 0.1, rng = Math, mode = null) {
+        const config = GAME_CONFIG.BEHAVIOR_TREE;
+        
+        const mutateNode = (node, depth) => {
+            if (rng.random() < mutationRate * config.SUBTREE_REPLACE_CHANCE) {
+                return BehaviorTree.generateRandom(rng, Math.min(config.MAX_DEPTH - depth, config.RANDOM_SUBTREE_DEPTH), mode);
+            }
+            
+            if (node.type === 'condition') {
+                const mutated = { ...node };
+                if (rng.random() < mutationRate) {
+                    if (mutated.threshold !== undefined && rng.random() < 0.7) {
+                        mutated.threshold = MathUtils.clamp(mutated.threshold + MathUtils.gaussianRandom(0, 0.1, rng), 0, 1);
+                    } else {
+                        return BehaviorTree.randomCondition(rng, mode);
+                    }
+                }
+                return mutated;
+            }
+            if (node.type === 'action') {
+                return rng.random() < mutationRate ? BehaviorTree.randomAction(rng, mode) : { ...node };
+            }
+            if (node.type === 'inverter') {
+                // Dropping the inverter is its only structural mutation
+                const child = mutateNode(node.child, depth + 1);
+                return rng.random() < mutationRate ? child : { type: 'inverter', child };
+            }
+            
+            const children = node.children.map(child => mutateNode(child, depth + 1));
+            let type = node.type;
+            if (rng.random() < mutationRate) {
+                const operation = rng.random();
+                if (operation < 0.25) {
+                    type = type === 'selector' ? 'sequence' : 'selector';
+                } else if (operation < 0.5 && children.length > 1) {
+                    const i = MathUtils.randomInt(0, children.length - 1, rng);
+                    const j = MathUtils.randomInt(0, children.length - 1, rng);
+                    [children[i], children[j]] = [children[j], children[i]];
+                } else if (operation < 0.75 && children.length < config.MAX_CHILDREN && depth + 1 < config.MAX_DEPTH) {
+                    const position = MathUtils.randomInt(0, children.length, rng);
+                    children.splice(position, 0, BehaviorTree.generateRandom(rng, Math.min(config.MAX_DEPTH - depth - 1, config.RANDOM_SUBTREE_DEPTH), mode));
+                } else if (children.length > 1) {
+                    children.splice(MathUtils.randomInt(0, children.length - 1, rng), 1);
+                }
+            }
+            return { type, children };
+        };
+        
+        const mutated = mutateNode(tree, 0);
+        return BehaviorTree.fitsLimits(mutated) ? mutated : BehaviorTree.clone(tree);
+    }
+    
+    /**
+     * Child of two trees: a copy of parent1 with one random subtree replaced by a random subtree of parent2
+     * Retries a few picks if the result would exceed the size limits, else returns a copy of a parent
+     */
+    static crossover(parent1, parent2, crossoverRate = 0.7, rng = Math) {
+        if (rng.random() > crossoverRate) {
+            return BehaviorTree.clone(rng.random() < 0.5 ? parent1 : parent2);
+        }
+        
+        for (let attempt = 0; attempt < 5; attempt++) {
+            const child = BehaviorTree.clone(parent1);
+            const target = MathUtils.randomElement(BehaviorTree.listNodes(child), rng);
+            const donor = MathUtils.randomElement(BehaviorTree.listNodes(parent2), rng);
+            const graft = BehaviorTree.clone(donor.node);
+            
+            const result = target.parent ? child : graft;
+            if (target.parent) {
+                if (target.parent.type === 'inverter') {
+                    target.parent.child = graft;
+                } else {
+                    target.parent.children[target.index] = graft;
+                }
+            }
+            
+            if (BehaviorTree.fitsLimits(result)) {
+                return result;
+            }
+        }
+        return BehaviorTree.clone(parent1);
+    }
+    
+    /**
+     * Every node with its parent, index in the parent and depth (root is depth 0)
+     */
+    static listNodes(tree) {
+        const nodes = [];
+        const visit = (node, parent, index, depth) => {
+            nodes.push({ node, parent, index, depth });
+            if (node.type === 'inverter') {
+                visit(node.child, node, 0, depth + 1);
+            } else if (node.children) {
+                node.children.forEach((child, i) => visit(child, node, i, depth + 1));
+            }
+        };
+        visit(tree, null, 0, 0);
+        return nodes;
+    }
+    
+    /**
+     * Check the tree is within GAME_CONFIG.BEHAVIOR_TREE's depth and node limits
+     */
+    static fitsLimits(tree) {
+        const nodes = BehaviorTree.listNodes(tree);
+        const depth = nodes.reduce((max, entry) => Math.max(max, entry.depth), 0);
+        return nodes.length <= GAME_CONFIG.BEHAVIOR_TREE.MAX_NODES && depth < GAME_CONFIG.BEHAVIOR_TREE.MAX_DEPTH;
+    }
+    
+    /**
+     * Throw if tree is not a well-formed behavior tree (e.g. one loaded from a file)
+     */
+    static validate(tree, path = 'root') {
+        if (!tree || typeof tree !== 'object') {
+            throw new Error(`Behavior tree node ${path} must be an object`);
+        }
+        
+        switch (tree.type) {
+            case 'selector':
+            case 'sequence':
+                if (!Array.isArray(tree.children) || tree.children.length === 0) {
+                    throw new Error(`Behavior tree ${tree.type} ${path} needs at least one child`);
+                }
+                tree.children.forEach((child, i) => BehaviorTree.validate(child, `${path}.${i}`));
+                break;
+            case 'inverter':
+                BehaviorTree.validate(tree.child, `${path}.child`);
+                break;
+            case 'condition':
+                if (!BEHAVIOR_TREE_CONDITIONS[tree.name]) {
+                    throw new Error(`Unknown behavior tree condition '${tree.name}' at ${path}`);
+                }
+                if (tree.threshold !== undefined && !(typeof tree.threshold === 'number' && tree.threshold >= 0 && tree.threshold <= 1)) {
+                    throw new Error(`Behavior tree condition threshold at ${path} must be a number from 0 to 1`);
+                }
+                break;
+            case 'action':
+                if (!BEHAVIOR_TREE_ACTIONS[tree.state]) {
+                    throw new Error(`Unknown behavior tree action '${tree.state}' at ${path}`);
+                }
+                break;
+            default:
+                throw new Error(`Unknown behavior tree node type '${tree.type}' at ${path}`);
+        }
+        return tree;
+    }
+    
+    /**
+     * Deep copy (trees are plain JSON)
+     */
+    static clone(tree) {
+        return JSON.parse(JSON.stringify(tree));
+    }
+    
+    /**
+     * Tree as a JSON string
+     */
+    static serialize(tree) {
+        return JSON.stringify(tree);
+    }
+    
+    /**
+     * Tree from a JSON string or object, validated
+     */
+    static parse(data) {
+        const tree = typeof data === 'string' ? JSON.parse(data) : BehaviorTree.clone(data);
+        return BehaviorTree.validate(tree);
+    }
+    
+    /**
+     * Number of nodes in a tree
+     */
+    static countNodes(tree) {
+        return BehaviorTree.listNodes(tree).length;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BehaviorTree, BEHAVIOR_TREE_CONDITIONS, BEHAVIOR_TREE_ACTIONS, BEHAVIOR_TREE_MODE_NODES };
+} else {
+    window.BehaviorTree = BehaviorTree;
+    window.BEHAVIOR_TREE_CONDITIONS = BEHAVIOR_TREE_CONDITIONS;
+    window.BEHAVIOR_TREE_ACTIONS = BEHAVIOR_TREE_ACTIONS;
+    window.BEHAVIOR_TREE_MODE_NODES = BEHAVIOR_TREE_MODE_NODES;
+}
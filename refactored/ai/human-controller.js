@@ -0,0 +1,214 @@
+/**
+ * Human Controller - Lets a player drive one tank in place of its TankAI
+ * Movement keys steer the tank (sliding along obstacles and tanks through TankAI's collision helpers), the mouse
+ * aims and the mouse button or Space fires through TankCombat.fire, so the tank keeps its genome-derived stats
+ */
+
+// Key -> input flag; WASD and the arrow keys both steer
+const HUMAN_CONTROL_KEYS = {
+    w: 'up',
+    arrowup: 'up',
+    s: 'down',
+    arrowdown: 'down',
+    a: 'left',
+    arrowleft: 'left',
+    d: 'right',
+    arrowright: 'right',
+    ' ': 'fire'
+};
+
+class HumanController {
+    /**
+     * tank is the Tank wrapper being taken over
+     */
+    constructor(tank) {
+        this.tank = tank;
+        this.entity = tank.entity;
+        this.combat = tank.combat;
+        this.ai = tank.ai;
+        
+        // Current input; aimX/aimY are battlefield coordinates, null until the mouse is over the canvas
+        this.input = {
+            up: false,
+            down: false,
+            left: false,
+            right: false,
+            fire: false,
+            aimX: null,
+            aimY: null
+        };
+        
+        this.listeners = [];
+    }
+    
+    /**
+     * Check if a key is used for steering or firing (callers skip their own shortcuts for it)
+     */
+    static isControlKey(key) {
+        return typeof key === 'string' && HUMAN_CONTROL_KEYS[key.toLowerCase()] !== undefined;
+    }
+    
+    /**
+     * Check if an event target takes typed text (inputs, text areas, selects and contentEditable elements)
+     */
+    static isTextEntry(target) {
+        if (!target) {
+            return false;
+        }
+        return target.isContentEditable === true || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+    }
+    
+    /**
+     * Genome for a player's tank: every trait at its default, so stats are average and the player supplies the tactics
+     */
+    static createGenome() {
+        return new Array(GAME_CONFIG.EVOLUTION.GENOME_LENGTH).fill(GAME_CONFIG.GENOME.TRAIT_RANGES.DEFAULT);
+    }
+    
+    /**
+     * Drive the tank for one tick from the current input
+     */
+    update(deltaTime, gameState) {
+        const tank = this.entity;
+        
+        // Allies/enemies, obstacles and the spatial index feed the collision helpers
+        this.ai.updatePerception(gameState);
+        tank.setState(TANK_STATES.PLAYER);
+        
+        const dx = (this.input.right ? 1 : 0) - (this.input.left ? 1 : 0);
+        const dy = (this.input.down ? 1 : 0) - (this.input.up ? 1 : 0);
+        if (dx !== 0 || dy !== 0) {
+            // Aim far along the direction; stepTowards limits the step to the tank's speed
+            const length = Math.sqrt(dx * dx + dy * dy);
+            const reach = tank.speed;
+            this.ai.stepTowards(tank.x + (dx / length) * reach, tank.y + (dy / length) * reach, deltaTime);
+        }
+        this.ai.separateFromTanks(deltaTime);
+        
+        // The barrel follows the mouse, not the direction of travel
+        if (this.input.aimX !== null && this.input.aimY !== null) {
+            const center = tank.getCenterPosition();
+            tank.angle = Math.atan2(this.input.aimY - center.y, this.input.aimX - center.x);
+        }
+        
+        if (this.input.fire && tank.canFire()) {
+            this.combat.fire(gameState);
+        }
+        
+        tank.stateTimer += deltaTime;
+    }
+    
+    /**
+     * Listen for keyboard input on the window and mouse input on the canvas
+     */
+    bindInput(canvas) {
+        this.unbindInput();
+        
+        const setKey = (event, pressed) => {
+            const flag = HUMAN_CONTROL_KEYS[event.key.toLowerCase()];
+            if (!flag) {
+                return;
+            }
+            // Typing in a form field belongs to the field; releasing there still lets go of a key held before
+            if (HumanController.isTextEntry(event.target)) {
+                if (!pressed) {
+                    this.input[flag] = false;
+                }
+                return;
+            }
+            event.preventDefault();
+            this.input[flag] = pressed;
+        };
+        
+        this.listen(window, 'keydown', event => setKey(event, true));
+        this.listen(window, 'keyup', event => setKey(event, false));
+        // Keys released while the page is in the background never send keyup
+        this.listen(window, 'blur', () => this.clearInput());
+        
+        this.listen(canvas, 'mousemove', event => {
+            // The canvas may be drawn scaled, so map client pixels to battlefield pixels
+            const rect = canvas.getBoundingClientRect();
+            this.input.aimX = (event.clientX - rect.left) * (canvas.width / rect.width);
+            this.input.aimY = (event.clientY - rect.top) * (canvas.height / rect.height);
+        });
+        this.listen(canvas, 'mousedown', event => {
+            if (event.button === 0) {
+                event.preventDefault();
+                this.input.fire = true;
+            }
+        });
+        this.listen(window, 'mouseup', event => {
+            if (event.button === 0) {
+                this.input.fire = false;
+            }
+        });
+    }
+    
+    /**
+     * Remove every listener added by bindInput()
+     */
+    unbindInput() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.clearInput();
+    }
+    
+    /**
+     * Add an event listener and remember it for unbindInput()
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+    
+    /**
+     * Release every held key and the fire button (aim is kept)
+     */
+    clearInput() {
+        this.input.up = false;
+        this.input.down = false;
+        this.input.left = false;
+        this.input.right = false;
+        this.input.fire = false;
+    }
+    
+    /**
+     * Marker ring around the player's tank and a crosshair at the aim point
+     */
+    render(ctx) {
+        const tank = this.entity;
+        if (!tank.isAlive) {
+            return;
+        }
+        
+        const center = tank.getCenterPosition();
+        const color = tank.team === 'red' ? GAME_CONFIG.UI.COLORS.RED_TEAM : GAME_CONFIG.UI.COLORS.BLUE_TEAM;
+        
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, tank.width, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        if (this.input.aimX !== null && this.input.aimY !== null) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.arc(this.input.aimX, this.input.aimY, 8, 0, Math.PI * 2);
+            ctx.moveTo(this.input.aimX - 12, this.input.aimY);
+            ctx.lineTo(this.input.aimX + 12, this.input.aimY);
+            ctx.moveTo(this.input.aimX, this.input.aimY - 12);
+            ctx.lineTo(this.input.aimX, this.input.aimY + 12);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HumanController };
+} else {
+    window.HumanController = HumanController;
+}
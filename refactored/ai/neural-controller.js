@@ -0,0 +1,195 @@
+/**
+ * Neural Controller - Drives a tank with a small feed-forward network instead of TankAI's state machine
+ * The network's weights are stored after the nine traits in an extended genome, so the usual genome
+ * operators (GenomeUtils.crossover/mutate) evolve them; the traits still set the tank's stats.
+ * A tank only runs a network when its team's controller says so (GameEngine.initializeBattle options.controllers),
+ * never because of its genome's length.
+ * Inputs come from TankAI's perception, outputs are a movement vector and fire/no-fire; shots go through
+ * TankCombat.fire and the tank aims at the nearest visible enemy, so combat and fitness are unchanged.
+ */
+
+// Network inputs, in order (each roughly in -1..1)
+const NEURAL_INPUTS = [
+    'enemyVisible', // 1 if any enemy is in sight
+    'enemyDistance', // nearest visible enemy distance / weapon range (1 when none)
+    'enemyBearingX', // unit vector towards the nearest visible enemy (0 when none)
+    'enemyBearingY',
+    'allies', // nearby allies, 1 at four or more
+    'hillDistance', // hill distance / battlefield diagonal (1 without a hill)
+    'hillBearingX', // unit vector towards the hill center (0 without a hill)
+    'hillBearingY',
+    'hillControl', // 1 held by our team, -1 by the enemy, 0 neutral or no hill
+    'health' // fraction of max health
+];
+
+// Network outputs: movement vector (tanh) and fire (sigmoid)
+const NEURAL_OUTPUTS = ['moveX', 'moveY', 'fire'];
+
+class NeuralController {
+    /**
+     * tank is the Tank wrapper; genome is its extended genome (traits followed by network weights)
+     */
+    constructor(tank, genome) {
+        this.tank = tank;
+        this.entity = tank.entity;
+        this.combat = tank.combat;
+        this.ai = tank.ai;
+        this.network = NeuralController.decodeWeights(NeuralController.checkGenome(genome));
+        this.lastOutput = null;
+    }
+    
+    /**
+     * Number of weights (and biases) in the network
+     */
+    static getWeightCount() {
+        const hidden = GAME_CONFIG.NEURAL_NETWORK.HIDDEN_UNITS;
+        return (NEURAL_INPUTS.length + 1) * hidden + (hidden + 1) * NEURAL_OUTPUTS.length;
+    }
+    
+    /**
+     * Length of a genome carrying network weights
+     */
+    static getGenomeLength() {
+        return GAME_CONFIG.EVOLUTION.GENOME_LENGTH + NeuralController.getWeightCount();
+    }
+    
+    /**
+     * Throw if genome does not hold exactly the current network's weights (e.g. one saved before HIDDEN_UNITS changed)
+     */
+    static checkGenome(genome) {
+        const expected = NeuralController.getGenomeLength();
+        if (!Array.isArray(genome) || genome.length !== expected) {
+            const length = Array.isArray(genome) ? genome.length : 0;
+            throw new Error(`Network genome has ${length} genes, but ${NEURAL_INPUTS.length} inputs and ` +
+                `${GAME_CONFIG.NEURAL_NETWORK.HIDDEN_UNITS} hidden units need ${expected}`);
+        }
+        return genome;
+    }
+    
+    /**
+     * Random extended genome: random traits and weights, every gene in 0..1
+     */
+    static generateGenome(rng = Math) {
+        return GenomeUtils.generateRandom(NeuralController.getGenomeLength(), rng);
+    }
+    
+    /**
+     * Layer matrices from the genes after the traits; genes in 0..1 map to weights in -WEIGHT_RANGE..WEIGHT_RANGE
+     * Each row holds a unit's input weights followed by its bias
+     */
+    static decodeWeights(genome) {
+        const { HIDDEN_UNITS, WEIGHT_RANGE } = GAME_CONFIG.NEURAL_NETWORK;
+        let offset = GAME_CONFIG.EVOLUTION.GENOME_LENGTH;
+        const takeLayer = (units, inputs) => {
+            const layer = [];
+            for (let unit = 0; unit < units; unit++) {
+                const row = [];
+                for (let i = 0; i <= inputs; i++) {
+                    row.push((MathUtils.clamp(genome[offset++], 0, 1) - 0.5) * 2 * WEIGHT_RANGE);
+                }
+                layer.push(row);
+            }
+            return layer;
+        };
+        
+        const hidden = takeLayer(HIDDEN_UNITS, NEURAL_INPUTS.length);
+        const output = takeLayer(NEURAL_OUTPUTS.length, HIDDEN_UNITS);
+        return { hidden, output };
+    }
+    
+    /**
+     * Feed the inputs through the network: tanh hidden layer, tanh movement and sigmoid fire outputs
+     */
+    static forward(network, inputs) {
+        const activate = (row, values) => {
+            let sum = row[values.length]; // bias
+            for (let i = 0; i < values.length; i++) {
+                sum += row[i] * values[i];
+            }
+            return sum;
+        };
+        
+        const hidden = network.hidden.map(row => Math.tanh(activate(row, inputs)));
+        const [moveX, moveY, fire] = network.output.map(row => activate(row, hidden));
+        return { moveX: Math.tanh(moveX), moveY: Math.tanh(moveY), fire: MathUtils.sigmoid(fire) };
+    }
+    
+    /**
+     * Network inputs from the tank's current perception (see NEURAL_INPUTS)
+     */
+    readInputs(gameState) {
+        const tank = this.entity;
+        const center = tank.getCenterPosition();
+        const inputs = [0, 1, 0, 0, 0, 1, 0, 0, 0, tank.health / tank.maxHealth];
+        
+        const enemy = this.ai.findClosestEnemy();
+        if (enemy) {
+            const distance = tank.distanceTo(enemy);
+            const angle = tank.angleTo(enemy);
+            inputs[0] = 1;
+            inputs[1] = Math.min(distance / tank.range, 1);
+            inputs[2] = Math.cos(angle);
+            inputs[3] = Math.sin(angle);
+        }
+        
+        inputs[4] = Math.min(this.ai.perception.nearbyAllies.length / 4, 1);
+        
+        const hill = this.ai.perception.hill;
+        if (hill && gameState.gameMode === GAME_MODES.KING_OF_HILL) {
+            const diagonal = Math.hypot(gameState.width, gameState.height);
+            const angle = Math.atan2(hill.y - center.y, hill.x - center.x);
+            inputs[5] = MathUtils.distance(center.x, center.y, hill.x, hill.y) / diagonal;
+            inputs[6] = Math.cos(angle);
+            inputs[7] = Math.sin(angle);
+            if (hill.controllingTeam) {
+                inputs[8] = hill.controllingTeam === tank.team ? 1 : -1;
+            }
+        }
+        
+        return inputs;
+    }
+    
+    /**
+     * Drive the tank for one tick from the network's outputs
+     */
+    update(deltaTime, gameState) {
+        const tank = this.entity;
+        const config = GAME_CONFIG.NEURAL_NETWORK;
+        
+        this.ai.updatePerception(gameState);
+        tank.setState(TANK_STATES.NEURAL);
+        
+        const output = NeuralController.forward(this.network, this.readInputs(gameState));
+        this.lastOutput = output;
+        
+        // Output length sets the speed (up to full speed), direction the heading; small outputs mean stay put
+        const strength = Math.min(Math.hypot(output.moveX, output.moveY), 1);
+        if (strength > config.MOVE_DEADZONE) {
+            const reach = tank.speed * deltaTime * strength;
+            const length = Math.hypot(output.moveX, output.moveY);
+            this.ai.stepTowards(tank.x + (output.moveX / length) * reach, tank.y + (output.moveY / length) * reach, deltaTime);
+        }
+        this.ai.separateFromTanks(deltaTime);
+        
+        // The barrel tracks the nearest visible enemy (leading it like TankAI does); the network decides when to shoot
+        const enemy = this.ai.findClosestEnemy();
+        tank.setTarget(enemy);
+        if (enemy) {
+            this.ai.aimAtTarget(enemy);
+        }
+        if (output.fire > config.FIRE_THRESHOLD && tank.canFire()) {
+            this.combat.fire(gameState);
+        }
+        
+        tank.stateTimer += deltaTime;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NeuralController, NEURAL_INPUTS, NEURAL_OUTPUTS };
+} else {
+    window.NeuralController = NeuralController;
+    window.NEURAL_INPUTS = NEURAL_INPUTS;
+    window.NEURAL_OUTPUTS = NEURAL_OUTPUTS;
+}
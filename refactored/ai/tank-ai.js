@@ -5,26 +5,48 @@
  */
 
 class TankAI {
-    constructor(tankEntity) {
+    constructor(tankEntity, rng = Math, combat = null) {
         this.tank = tankEntity;
+        this.rng = rng;
+        this.combat = combat;
         this.perception = {
             visibleEnemies: [],
             nearbyAllies: [],
             obstacles: [],
-            hill: null
+            navigationGrid: null,
+            spatialIndex: null,
+            tanks: [],
+            hill: null,
+            flags: null,
+            controlPoints: null
         };
         
         // Decision making state
         this.decisionCooldown = 0;
         this.lastDecisionTime = 0;
         this.engagementRange = this.tank.range * 0.8; // Prefer to engage within 80% of max range
+        this.controlPointIndex = null; // Domination point currently being contested
+        this.behaviorTree = null; // BehaviorTree policy replacing chooseBehavior's priority chain, if set
         
-        // Movement and pathfinding
+        // Movement and pathfinding (waypoints from the battlefield NavigationGrid)
+        this.resetNavigation();
+    }
+    
+    /**
+     * Forget the followed path and current decisions (new tank, or a tank respawning elsewhere)
+     */
+    resetNavigation() {
+        this.decisionCooldown = 0;
+        this.controlPointIndex = null;
         this.pathfinding = {
             currentPath: [],
             pathIndex: 0,
-            lastPathUpdate: 0,
-            isPathBlocked: false
+            lastPathUpdate: -Infinity,
+            isPathBlocked: false,
+            blockedTime: 0,
+            reachesGoal: true,
+            goalX: null,
+            goalY: null
         };
     }
     
@@ -42,6 +64,9 @@ class TankAI {
         // Make decisions based on current state and perception
         this.makeDecisions(deltaTime, gameState);
         
+        // Push out of any tank this one ended up overlapping
+        this.separateFromTanks(deltaTime);
+        
         // Update state timer
         this.tank.stateTimer += deltaTime;
     }
@@ -56,23 +81,40 @@ class TankAI {
         this.tank.allies = tanks.filter(tank => tank.team === this.tank.team && tank.isAlive && tank !== this.tank);
         this.tank.enemies = tanks.filter(tank => tank.team !== this.tank.team && tank.isAlive);
         
+        // Store reference to tanks, obstacles, spatial index, navigation grid and hill
+        this.perception.tanks = tanks;
+        this.perception.obstacles = gameState.obstacles || [];
+        this.perception.spatialIndex = gameState.spatialIndex || null;
+        this.perception.navigationGrid = gameState.navigationGrid || null;
+        this.perception.hill = gameState.hill;
+        this.perception.flags = gameState.flags || null;
+        this.perception.controlPoints = gameState.controlPoints || null;
+        
+        // Radius query through the spatial index when available; both paths keep tank list order
+        const spatialIndex = this.perception.spatialIndex;
+        const tanksInRange = spatialIndex ?
+            spatialIndex.tanksInRadius(this.tank.x, this.tank.y, this.tank.range) :
+            tanks.filter(tank => this.tank.distanceTo(tank) <= this.tank.range);
+        
         // Find visible enemies (those with line of sight)
-        this.perception.visibleEnemies = this.tank.enemies.filter(enemy => {
-            const distance = this.tank.distanceTo(enemy);
-            if (distance > this.tank.range) {
-                return false;
-            }
-            return CollisionUtils.hasLineOfSight(this.tank, enemy, gameState.obstacles);
+        this.perception.visibleEnemies = tanksInRange.filter(tank => {
+            return tank.team !== this.tank.team && tank.isAlive && this.hasLineOfSight(tank, gameState);
         });
         
         // Find nearby allies for coordination
-        this.perception.nearbyAllies = this.tank.allies.filter(ally => {
-            return this.tank.distanceTo(ally) < this.tank.range;
+        this.perception.nearbyAllies = tanksInRange.filter(tank => {
+            return tank.team === this.tank.team && tank.isAlive && tank !== this.tank && this.tank.distanceTo(tank) < this.tank.range;
         });
-        
-        // Store reference to obstacles and hill
-        this.perception.obstacles = gameState.obstacles || [];
-        this.perception.hill = gameState.hill;
+    }
+    
+    /**
+     * Check line of sight to another object, using the spatial index to skip obstacles off the ray
+     */
+    hasLineOfSight(target, gameState) {
+        const spatialIndex = gameState.spatialIndex;
+        return spatialIndex ?
+            spatialIndex.hasLineOfSight(this.tank, target) :
+            CollisionUtils.hasLineOfSight(this.tank, target, gameState.obstacles);
     }
     
     /**
@@ -111,6 +153,21 @@ class TankAI {
             case TANK_STATES.DEFEND_HILL:
                 this.behaviorDefendHill(deltaTime, gameState);
                 break;
+            case TANK_STATES.SEEK_FLAG:
+                this.behaviorSeekFlag(deltaTime, gameState);
+                break;
+            case TANK_STATES.CARRY_FLAG:
+                this.behaviorCarryFlag(deltaTime, gameState);
+                break;
+            case TANK_STATES.ESCORT_CARRIER:
+                this.behaviorEscortCarrier(deltaTime, gameState);
+                break;
+            case TANK_STATES.INTERCEPT_CARRIER:
+                this.behaviorInterceptCarrier(deltaTime, gameState);
+                break;
+            case TANK_STATES.CONTEST_POINT:
+                this.behaviorContestPoint(deltaTime, gameState);
+                break;
         }
     }
     
@@ -118,14 +175,47 @@ class TankAI {
      * Choose the most appropriate behavior based on current situation
      */
     chooseBehavior(gameState) {
+        if (this.behaviorTree) {
+            return BehaviorTree.evaluate(this.behaviorTree, this, gameState);
+        }
+        
         const weights = this.tank.behaviorWeights;
         
+        // A flag carrier's only job is getting home
+        if (this.isCarryingFlag()) {
+            return TANK_STATES.CARRY_FLAG;
+        }
+        
         // Health-based decisions
         const healthPercent = this.tank.health / this.tank.maxHealth;
         if (healthPercent < 0.3 && weights.caution > 0.6) {
             return TANK_STATES.RETREAT;
         }
         
+        // Capture the Flag decisions - flag runners keep moving and shoot on the way instead of stopping to fight
+        const flags = this.perception.flags;
+        if (flags && gameState.gameMode === GAME_MODES.CAPTURE_THE_FLAG) {
+            const ownFlag = flags.getFlag(this.tank.team);
+            const enemyFlag = flags.getEnemyFlag(this.tank.team);
+            
+            // Own flag taken or lying in the field: cautious tanks and anyone close go after it, and
+            // everyone does once our carrier is waiting on it, since a capture needs our flag at home
+            if (!ownFlag.isHome()) {
+                const flagDistance = MathUtils.distance(this.tank.x, this.tank.y, ownFlag.x, ownFlag.y);
+                if (flagDistance <= this.engagementRange || weights.caution >= weights.aggression || enemyFlag.isCarried()) {
+                    return TANK_STATES.INTERCEPT_CARRIER;
+                }
+            }
+            
+            if (enemyFlag.isCarried()) {
+                if (weights.cooperation > 0.5) {
+                    return TANK_STATES.ESCORT_CARRIER;
+                }
+            } else if (weights.objectiveFocus >= 0.5 || weights.aggression > 0.6) {
+                return TANK_STATES.SEEK_FLAG;
+            }
+        }
+        
         // Enemy engagement decisions
         if (this.perception.visibleEnemies.length > 0) {
             const closestEnemy = this.findClosestEnemy();
@@ -137,7 +227,7 @@ class TankAI {
         }
         
         // King of the Hill decisions
-        if (this.perception.hill && gameState.gameMode === 'king_of_hill') {
+        if (this.perception.hill && gameState.gameMode === GAME_MODES.KING_OF_HILL) {
             const hillDistance = this.tank.distanceTo(this.perception.hill);
             const hillRadius = this.perception.hill.radius || 60;
             
@@ -150,6 +240,12 @@ class TankAI {
             }
         }
         
+        // Domination decisions - every tank picks the control point it is most useful at
+        if (this.perception.controlPoints && gameState.gameMode === GAME_MODES.DOMINATION) {
+            this.controlPointIndex = this.selectControlPoint(gameState);
+            return TANK_STATES.CONTEST_POINT;
+        }
+        
         // Cooperation decisions
         if (weights.cooperation > 0.6 && this.perception.nearbyAllies.length === 0) {
             return TANK_STATES.GROUP;
@@ -164,8 +260,9 @@ class TankAI {
      */
     behaviorPatrol(deltaTime, gameState) {
         // Move towards a patrol point or explore the battlefield
-        if (!this.hasValidMovementTarget()) {
+        if (!this.hasValidMovementTarget() || this.isMovementTargetUnreachable()) {
             this.setPatrolTarget(gameState);
+            this.pathfinding.blockedTime = 0;
         }
         
         this.moveTowardsTarget(deltaTime);
@@ -198,7 +295,7 @@ class TankAI {
         
         // If target moved out of LOS/range, drop it
         const inRange = this.tank.distanceTo(target) <= this.tank.range;
-        const hasLOS = CollisionUtils.hasLineOfSight(this.tank, target, gameState.obstacles);
+        const hasLOS = this.hasLineOfSight(target, gameState);
         if (!inRange || !hasLOS) {
             this.tank.setTarget(null);
             return;
@@ -305,7 +402,7 @@ class TankAI {
                 return;
             }
             const inRange = this.tank.distanceTo(target) <= this.tank.range;
-            const hasLOS = CollisionUtils.hasLineOfSight(this.tank, target, gameState.obstacles);
+            const hasLOS = this.hasLineOfSight(target, gameState);
             if (!inRange || !hasLOS) {
                 this.tank.setTarget(null);
                 return;
@@ -317,6 +414,169 @@ class TankAI {
         }
     }
     
+    /**
+     * Seek flag behavior - drive over the enemy flag to pick it up, shooting on the way
+     */
+    behaviorSeekFlag(deltaTime, gameState) {
+        const flags = this.perception.flags;
+        const flag = flags ? flags.getEnemyFlag(this.tank.team) : null;
+        if (!flag || flag.isCarried()) {
+            this.tank.setState(TANK_STATES.PATROL);
+            return;
+        }
+        
+        this.moveTowardsPoint(deltaTime, flag.x, flag.y);
+        this.engageVisibleEnemies(gameState);
+    }
+    
+    /**
+     * Carry flag behavior - run the enemy flag back to our base, returning fire but never stopping
+     */
+    behaviorCarryFlag(deltaTime, gameState) {
+        const flags = this.perception.flags;
+        if (!flags || !this.isCarryingFlag()) {
+            this.tank.setState(TANK_STATES.PATROL);
+            return;
+        }
+        
+        const ownFlag = flags.getFlag(this.tank.team);
+        this.moveTowardsPoint(deltaTime, ownFlag.baseX, ownFlag.baseY);
+        this.engageVisibleEnemies(gameState);
+    }
+    
+    /**
+     * Escort carrier behavior - stay close to the allied flag carrier and cover it
+     */
+    behaviorEscortCarrier(deltaTime, gameState) {
+        const flags = this.perception.flags;
+        const carrier = flags ? flags.getEnemyFlag(this.tank.team).carrier : null;
+        if (!carrier || !carrier.isAlive) {
+            this.tank.setState(TANK_STATES.PATROL);
+            return;
+        }
+        
+        if (this.tank.distanceTo(carrier) > GAME_CONFIG.BATTLE.CAPTURE_THE_FLAG.ESCORT_DISTANCE) {
+            this.tank.targetX = carrier.x;
+            this.tank.targetY = carrier.y;
+            this.moveTowardsTarget(deltaTime);
+        }
+        this.engageVisibleEnemies(gameState);
+    }
+    
+    /**
+     * Intercept carrier behavior - chase down whoever has our flag, or drive over it to return it
+     */
+    behaviorInterceptCarrier(deltaTime, gameState) {
+        const flags = this.perception.flags;
+        const flag = flags ? flags.getFlag(this.tank.team) : null;
+        if (!flag || flag.isHome()) {
+            this.tank.setState(TANK_STATES.PATROL);
+            return;
+        }
+        
+        // A carried flag sits on its carrier, so this follows the carrier too
+        this.moveTowardsPoint(deltaTime, flag.x, flag.y);
+        this.engageVisibleEnemies(gameState, flag.carrier);
+    }
+    
+    /**
+     * Contest point behavior - drive onto the chosen control point and hold it, shooting at visible enemies
+     */
+    behaviorContestPoint(deltaTime, gameState) {
+        const controlPoints = this.perception.controlPoints;
+        const point = controlPoints ? controlPoints.points[this.controlPointIndex] : null;
+        if (!point) {
+            this.tank.setState(TANK_STATES.PATROL);
+            return;
+        }
+        
+        // Anywhere well inside the capture radius counts, so holders stop instead of crowding the center
+        const centerX = this.tank.x + this.tank.width / 2;
+        const centerY = this.tank.y + this.tank.height / 2;
+        if (MathUtils.distance(centerX, centerY, point.x, point.y) > point.radius * 0.6) {
+            this.moveTowardsPoint(deltaTime, point.x, point.y);
+        }
+        this.engageVisibleEnemies(gameState);
+    }
+    
+    /**
+     * Pick the control point to contest: unowned and threatened points pull harder, distance and
+     * allies already there push away so a team spreads over the map
+     */
+    selectControlPoint(gameState) {
+        const weights = this.tank.behaviorWeights;
+        const info = this.perception.controlPoints.getStrategicInfo(this.tank.team);
+        const centerX = this.tank.x + this.tank.width / 2;
+        const centerY = this.tank.y + this.tank.height / 2;
+        const diagonal = Math.hypot(gameState.width, gameState.height);
+        
+        let bestIndex = 0;
+        let bestScore = -Infinity;
+        
+        info.points.forEach(point => {
+            const distance = MathUtils.distance(centerX, centerY, point.x, point.y);
+            const otherAllies = point.allies - (distance <= point.contestRadius ? 1 : 0);
+            let score = 1 - distance / diagonal;
+            
+            if (!point.isOwned) {
+                score += 0.5 + weights.aggression * 0.5;
+            } else if (point.enemies > 0) {
+                score += 0.5 + weights.caution * 0.5;
+            } else if (otherAllies > 0) {
+                // Held and garrisoned already
+                score -= 0.5;
+            }
+            
+            // Cooperative tanks mind company less
+            score -= otherAllies * 0.4 * (1 - weights.cooperation);
+            
+            // Stick with the current choice unless another point is clearly better
+            if (point.index === this.controlPointIndex) {
+                score += 0.25;
+            }
+            
+            if (score > bestScore) {
+                bestScore = score;
+                bestIndex = point.index;
+            }
+        });
+        
+        return bestIndex;
+    }
+    
+    /**
+     * Check if this tank is carrying the enemy flag
+     */
+    isCarryingFlag() {
+        const flags = this.perception.flags;
+        return !!flags && flags.getEnemyFlag(this.tank.team).carrierId === this.tank.tankId;
+    }
+    
+    /**
+     * Move so the tank's center heads for a point (flags and bases are given by their centers)
+     */
+    moveTowardsPoint(deltaTime, x, y) {
+        this.tank.targetX = x - this.tank.width / 2;
+        this.tank.targetY = y - this.tank.height / 2;
+        this.moveTowardsTarget(deltaTime);
+    }
+    
+    /**
+     * Aim at the best visible enemy while doing something else, preferring priorityTarget when it is visible
+     */
+    engageVisibleEnemies(gameState, priorityTarget = null) {
+        const enemies = this.perception.visibleEnemies;
+        const target = priorityTarget && enemies.includes(priorityTarget) ? priorityTarget : this.selectBestTarget(enemies);
+        
+        if (!target || !target.isAlive) {
+            this.tank.setTarget(null);
+            return;
+        }
+        
+        this.tank.setTarget(target);
+        this.aimAtTarget(target);
+    }
+    
     /**
      * Find the closest enemy tank
      */
@@ -378,69 +638,268 @@ class TankAI {
     
     /**
      * Move towards current target position
+     * Heads straight for the target when the way is clear, otherwise follows A* waypoints around obstacles
      */
     moveTowardsTarget(deltaTime, target = null) {
         const targetX = target ? target.x : this.tank.targetX;
         const targetY = target ? target.y : this.tank.targetY;
         
-        const dx = targetX - this.tank.x;
-        const dy = targetY - this.tank.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+        const distance = MathUtils.distance(this.tank.x, this.tank.y, targetX, targetY);
+        if (distance <= 5) { // Don't move if very close to target
+            return;
+        }
         
-        if (distance > 5) { // Don't move if very close to target
-            const moveX = (dx / distance) * this.tank.speed * deltaTime;
-            const moveY = (dy / distance) * this.tank.speed * deltaTime;
-            
-            const oldX = this.tank.x;
-            const oldY = this.tank.y;
-            
-            // Calculate new position
-            const newX = this.tank.x + moveX;
-            const newY = this.tank.y + moveY;
-            
-            // Check for collisions with obstacles using top-left coordinates
-            // TankEntity.x/y are top-left; keep consistency with rendering and bounds checks
-            const tankBounds = {
-                x: newX,
-                y: newY,
-                width: this.tank.width,
-                height: this.tank.height
-            };
-            
-            // Check if new position would collide with any obstacles
-            let collision = false;
-            if (this.perception.obstacles) {
-                for (const obstacle of this.perception.obstacles) {
-                    if (CollisionUtils.isColliding(tankBounds, obstacle)) {
-                        collision = true;
-                        break;
-                    }
-                }
+        const waypoint = this.getNextWaypoint(targetX, targetY);
+        const moved = this.stepTowards(waypoint.x, waypoint.y, deltaTime);
+        
+        // Re-planned on a later tick (see getNextWaypoint)
+        this.pathfinding.isPathBlocked = !moved;
+        this.pathfinding.blockedTime = moved ? 0 : this.pathfinding.blockedTime + deltaTime;
+    }
+    
+    /**
+     * Pick the point to steer towards on the way to the goal, planning or re-planning the path as needed
+     */
+    getNextWaypoint(goalX, goalY) {
+        const grid = this.perception.navigationGrid;
+        const path = this.pathfinding;
+        const config = GAME_CONFIG.PATHFINDING;
+        
+        if (!grid) {
+            return { x: goalX, y: goalY };
+        }
+        
+        // Nothing in the way: drop any old path and drive straight there
+        if (!path.isPathBlocked && grid.isSegmentClear(this.tank.x, this.tank.y, goalX, goalY)) {
+            this.clearPath();
+            return { x: goalX, y: goalY };
+        }
+        
+        const sincePlan = this.tank.clock - path.lastPathUpdate;
+        const goalMoved = path.goalX === null ||
+            MathUtils.distance(path.goalX, path.goalY, goalX, goalY) > config.GOAL_TOLERANCE;
+        
+        if (goalMoved ||
+            (path.isPathBlocked && sincePlan >= config.BLOCKED_RETRY_INTERVAL) ||
+            sincePlan >= config.REPLAN_INTERVAL) {
+            this.planPath(goalX, goalY);
+        }
+        
+        // Skip waypoints already reached
+        while (path.pathIndex < path.currentPath.length) {
+            const waypoint = path.currentPath[path.pathIndex];
+            if (MathUtils.distance(this.tank.x, this.tank.y, waypoint.x, waypoint.y) > config.WAYPOINT_RADIUS) {
+                return waypoint;
             }
-            
-            // Only move if no collision
-            if (!collision) {
+            path.pathIndex++;
+        }
+        
+        // No route (goal enclosed) or path used up: push straight for the goal and slide along what blocks it
+        return { x: goalX, y: goalY };
+    }
+    
+    /**
+     * Run A* from the tank's position to the goal and store the waypoints
+     * A walled-off goal still gets a path to the closest reachable point
+     */
+    planPath(goalX, goalY) {
+        const path = this.pathfinding;
+        const waypoints = this.perception.navigationGrid.findPath(this.tank.x, this.tank.y, goalX, goalY, true) || [];
+        const end = waypoints[waypoints.length - 1];
+        
+        path.currentPath = waypoints;
+        path.reachesGoal = !end || MathUtils.distance(end.x, end.y, goalX, goalY) <= GAME_CONFIG.PATHFINDING.GOAL_TOLERANCE;
+        path.pathIndex = 0;
+        path.lastPathUpdate = this.tank.clock;
+        path.isPathBlocked = false;
+        path.goalX = goalX;
+        path.goalY = goalY;
+    }
+    
+    /**
+     * Forget the current path
+     */
+    clearPath() {
+        const path = this.pathfinding;
+        path.currentPath = [];
+        path.pathIndex = 0;
+        path.reachesGoal = true;
+        path.goalX = null;
+        path.goalY = null;
+    }
+    
+    /**
+     * Move one tick towards a point, sliding along obstacles and other tanks when the direct step is blocked
+     * Returns false if the tank could not move at all
+     */
+    stepTowards(x, y, deltaTime) {
+        const dx = x - this.tank.x;
+        const dy = y - this.tank.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance === 0) {
+            return true;
+        }
+        
+        // Don't overshoot the point - waypoints are often closer than one tick of movement
+        const step = Math.min(this.tank.speed * this.getTerrainSpeedMultiplier() * deltaTime, distance);
+        const moveX = (dx / distance) * step;
+        const moveY = (dy / distance) * step;
+        
+        this.tank.angle = Math.atan2(dy, dx);
+        
+        // Try the full step, then each axis on its own
+        const candidates = [
+            [this.tank.x + moveX, this.tank.y + moveY],
+            [this.tank.x + moveX, this.tank.y],
+            [this.tank.x, this.tank.y + moveY]
+        ];
+        
+        // Tanks aren't on the navigation grid, so when one is in the way also try edging around it sideways
+        if (this.collidesWithTank(this.tank.x + moveX, this.tank.y + moveY)) {
+            candidates.push(
+                [this.tank.x - moveY, this.tank.y + moveX],
+                [this.tank.x + moveY, this.tank.y - moveX]
+            );
+        }
+        
+        // A slide along a nearly perpendicular axis barely moves the tank and shouldn't count as progress
+        const minStep = step * 0.1;
+        
+        for (const [newX, newY] of candidates) {
+            const moved = Math.abs(newX - this.tank.x) + Math.abs(newY - this.tank.y);
+            if (moved >= minStep && this.canOccupy(newX, newY)) {
                 this.tank.x = newX;
                 this.tank.y = newY;
-                this.tank.angle = Math.atan2(dy, dx);
-                
-                // Update entity position to match AI changes
-                // this.tank is the TankEntity already; no nested entity exists in this context
-                // Ensure spawn positions remain for battle start detection
-                // No changes to spawnX/spawnY here
-                
-                // Debug logging removed for performance
-                // Debug logging removed for performance
+                return true;
+            }
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Check if the tank body can move to (x, y) without running into an obstacle or another tank
+     */
+    canOccupy(x, y) {
+        return !this.collidesWithObstacle(x, y) && !this.collidesWithTank(x, y);
+    }
+    
+    /**
+     * Check if the tank body at (x, y) would run into an obstacle
+     * Obstacles the tank already overlaps (e.g. spawned against a wall) are ignored so it can drive out
+     * TankEntity.x/y are top-left; keep consistency with rendering and bounds checks
+     */
+    collidesWithObstacle(x, y) {
+        const { width, height } = this.tank;
+        const current = { x: this.tank.x, y: this.tank.y, width, height };
+        const next = { x, y, width, height };
+        
+        const spatialIndex = this.perception.spatialIndex;
+        const obstacles = spatialIndex ?
+            spatialIndex.obstaclesNear(Math.min(x, current.x), Math.min(y, current.y), width + Math.abs(x - current.x), height + Math.abs(y - current.y)) :
+            this.perception.obstacles;
+        
+        return obstacles.some(obstacle =>
+            ObstacleUtils.blocksMovement(obstacle) &&
+            CollisionUtils.isColliding(next, obstacle) && !CollisionUtils.isColliding(current, obstacle)
+        );
+    }
+    
+    /**
+     * Speed multiplier from the terrain under the tank (rough terrain slows it down)
+     */
+    getTerrainSpeedMultiplier() {
+        const { x, y, width, height } = this.tank;
+        const body = { x, y, width, height };
+        const spatialIndex = this.perception.spatialIndex;
+        const obstacles = spatialIndex ? spatialIndex.obstaclesNear(x, y, width, height) : this.perception.obstacles;
+        
+        let multiplier = 1;
+        for (const obstacle of obstacles) {
+            if (CollisionUtils.isColliding(body, obstacle)) {
+                multiplier = Math.min(multiplier, ObstacleUtils.getSpeedMultiplier(obstacle));
+            }
+        }
+        return multiplier;
+    }
+    
+    /**
+     * Check if the tank body at (x, y) would run into another living tank
+     * Tanks already overlapping may only move apart, never further into each other
+     */
+    collidesWithTank(x, y) {
+        const { width, height } = this.tank;
+        const current = { x: this.tank.x, y: this.tank.y, width, height };
+        const next = { x, y, width, height };
+        
+        return this.getNearbyTanks(next).some(other => {
+            if (!CollisionUtils.isColliding(next, other)) {
+                return false;
+            }
+            if (!CollisionUtils.isColliding(current, other)) {
+                return true;
+            }
+            return MathUtils.distance(x, y, other.x, other.y) < MathUtils.distance(current.x, current.y, other.x, other.y);
+        });
+    }
+    
+    /**
+     * Other living tanks that could touch the given body rectangle
+     */
+    getNearbyTanks(body) {
+        const spatialIndex = this.perception.spatialIndex;
+        const candidates = spatialIndex ?
+            spatialIndex.tanksNear(body.x, body.y, body.width, body.height) :
+            this.perception.tanks;
+        
+        // gameState holds Tank wrappers while this.tank is the TankEntity
+        return candidates.filter(other => other.isAlive && other !== this.tank && other.entity !== this.tank);
+    }
+    
+    /**
+     * Push away from tanks this one overlaps (spawn overlaps, crowds on the hill)
+     */
+    separateFromTanks(deltaTime) {
+        const { width, height } = this.tank;
+        const body = { x: this.tank.x, y: this.tank.y, width, height };
+        const overlapping = this.getNearbyTanks(body).filter(other => CollisionUtils.isColliding(body, other));
+        
+        if (overlapping.length === 0) {
+            return;
+        }
+        
+        let pushX = 0;
+        let pushY = 0;
+        overlapping.forEach(other => {
+            const dx = this.tank.x - other.x;
+            const dy = this.tank.y - other.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > 0) {
+                pushX += dx / distance;
+                pushY += dy / distance;
             } else {
-                // Debug logging removed for performance
-                // Try to find alternate path around obstacle
-                this.findAlternatePath(targetX, targetY);
+                // Exactly stacked: split vertically by id so the two tanks go opposite ways
+                pushY += this.tank.tankId < other.tankId ? -1 : 1;
             }
+        });
+        
+        const length = Math.sqrt(pushX * pushX + pushY * pushY);
+        if (length === 0) {
+            return;
+        }
+        
+        const step = this.tank.speed * deltaTime;
+        const newX = this.tank.x + (pushX / length) * step;
+        const newY = this.tank.y + (pushY / length) * step;
+        if (this.canOccupy(newX, newY)) {
+            this.tank.x = newX;
+            this.tank.y = newY;
         }
     }
     
     /**
-     * Move away from target (retreat movement)
+     * Move away from target (retreat movement), sliding along obstacles and tanks like forward movement
      */
     moveAwayFromTarget(deltaTime, target) {
         const dx = this.tank.x - target.x;
@@ -448,12 +907,9 @@ class TankAI {
         const distance = Math.sqrt(dx * dx + dy * dy);
         
         if (distance > 0) {
-            const moveX = (dx / distance) * this.tank.speed * deltaTime;
-            const moveY = (dy / distance) * this.tank.speed * deltaTime;
-            
-            this.tank.x += moveX;
-            this.tank.y += moveY;
-            this.tank.angle = Math.atan2(dy, dx);
+            // Aim the step well past one tick of movement so stepTowards doesn't shorten it
+            const reach = this.tank.speed * deltaTime + 1;
+            this.stepTowards(this.tank.x + (dx / distance) * reach, this.tank.y + (dy / distance) * reach, deltaTime);
         }
     }
     
@@ -465,7 +921,10 @@ class TankAI {
             this.tank.setTarget(null);
             return;
         }
-        this.tank.angle = this.tank.angleTo(target);
+        
+        // Lead moving targets when a combat system is attached
+        const solution = this.combat ? this.combat.calculateInterceptSolution(target) : null;
+        this.tank.angle = solution ? solution.angle : this.tank.angleTo(target);
     }
     
     /**
@@ -507,16 +966,16 @@ class TankAI {
      */
     setPatrolTarget(gameState) {
         // Generate a random patrol point, but prefer areas with tactical value
-        if (this.perception.hill && Math.random() < this.tank.behaviorWeights.objectiveFocus) {
+        if (this.perception.hill && this.rng.random() < this.tank.behaviorWeights.objectiveFocus) {
             // Patrol around the hill
-            const angle = Math.random() * Math.PI * 2;
-            const distance = this.perception.hill.radius * (2 + Math.random() * 2);
+            const angle = this.rng.random() * Math.PI * 2;
+            const distance = this.perception.hill.radius * (2 + this.rng.random() * 2);
             this.tank.targetX = this.perception.hill.x + Math.cos(angle) * distance;
             this.tank.targetY = this.perception.hill.y + Math.sin(angle) * distance;
         } else {
             // Random patrol point
-            this.tank.targetX = Math.random() * gameState.width;
-            this.tank.targetY = Math.random() * gameState.height;
+            this.tank.targetX = this.rng.random() * gameState.width;
+            this.tank.targetY = this.rng.random() * gameState.height;
         }
         
         // Ensure target is within bounds
@@ -525,38 +984,25 @@ class TankAI {
     }
     
     /**
-     * Check if tank has a valid movement target
+     * Check if the movement target is walled off (path ran out short of it) or jammed behind other tanks
      */
-    hasValidMovementTarget() {
-        const distance = MathUtils.distance(this.tank.x, this.tank.y, this.tank.targetX, this.tank.targetY);
-        return distance > 20; // Target is far enough to be worth moving towards
+    isMovementTargetUnreachable() {
+        const path = this.pathfinding;
+        
+        // Re-planning can't route around tanks, so a long jam (e.g. head-on in a corridor) also gives up the target
+        if (path.blockedTime >= GAME_CONFIG.PATHFINDING.BLOCKED_GIVE_UP_TIME) {
+            return true;
+        }
+        
+        return !path.reachesGoal && path.pathIndex >= path.currentPath.length;
     }
     
     /**
-     * Find alternate path around obstacles
+     * Check if tank has a valid movement target
      */
-    findAlternatePath(targetX, targetY) {
-        // Simple pathfinding: try moving perpendicular to blocked direction
-        const dx = targetX - this.tank.x;
-        const dy = targetY - this.tank.y;
-        
-        // Try perpendicular directions
-        const perpX1 = this.tank.x - dy * 0.1; // 90 degrees
-        const perpY1 = this.tank.y + dx * 0.1;
-        const perpX2 = this.tank.x + dy * 0.1; // -90 degrees
-        const perpY2 = this.tank.y - dx * 0.1;
-        
-        // Choose the perpendicular direction that's closer to the target
-        const dist1 = Math.sqrt((perpX1 - targetX) ** 2 + (perpY1 - targetY) ** 2);
-        const dist2 = Math.sqrt((perpX2 - targetX) ** 2 + (perpY2 - targetY) ** 2);
-        
-        if (dist1 < dist2) {
-            this.tank.targetX = perpX1;
-            this.tank.targetY = perpY1;
-        } else {
-            this.tank.targetX = perpX2;
-            this.tank.targetY = perpY2;
-        }
+    hasValidMovementTarget() {
+        const distance = MathUtils.distance(this.tank.x, this.tank.y, this.tank.targetX, this.tank.targetY);
+        return distance > 20; // Target is far enough to be worth moving towards
     }
 }
 
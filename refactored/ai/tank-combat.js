@@ -5,9 +5,13 @@
  */
 
 class TankCombat {
-    constructor(tankEntity) {
+    constructor(tankEntity, rng = Math) {
         this.tank = tankEntity;
+        this.rng = rng;
         this.projectiles = []; // Local projectile tracking for this tank
+        
+        // How much this tank misjudges target velocity when leading; re-rolled after every shot
+        this.leadError = null;
     }
     
     /**
@@ -44,12 +48,16 @@ class TankCombat {
         }
         
         // Check if we have line of sight
-        if (!CollisionUtils.hasLineOfSight(this.tank, target, gameState.obstacles)) {
+        const hasLOS = gameState.spatialIndex ?
+            gameState.spatialIndex.hasLineOfSight(this.tank, target) :
+            CollisionUtils.hasLineOfSight(this.tank, target, gameState.obstacles);
+        if (!hasLOS) {
             return false;
         }
         
-        // Check if tank is aimed roughly at target
-        const angleToTarget = this.tank.angleTo(target);
+        // Check if tank is aimed roughly at where the target will be
+        const solution = this.calculateInterceptSolution(target);
+        const angleToTarget = solution ? solution.angle : this.tank.angleTo(target);
         const angleDifference = Math.abs(MathUtils.normalizeAngle(this.tank.angle - angleToTarget));
         
         // Allow some aiming tolerance based on accuracy
@@ -69,6 +77,9 @@ class TankCombat {
         // Record the shot
         this.tank.recordShot();
         
+        // Judge the next shot's lead afresh
+        this.leadError = null;
+        
         // Calculate projectile starting position (from tank center)
         const center = this.tank.getCenterPosition();
         const projectileX = center.x + Math.cos(this.tank.angle) * (this.tank.width / 2);
@@ -76,7 +87,7 @@ class TankCombat {
         
         // Apply accuracy (add some random spread)
         const spread = (1.0 - this.tank.accuracy) * 0.2; // Max 0.2 radian spread for inaccurate tanks
-        const finalAngle = this.tank.angle + (Math.random() - 0.5) * spread;
+        const finalAngle = this.tank.angle + (this.rng.random() - 0.5) * spread;
         
         // Create projectile
         const projectile = new Projectile(
@@ -126,32 +137,54 @@ class TankCombat {
     
     /**
      * Calculate optimal firing solution for moving target
+     * Solves for the time at which a projectile fired now meets the target moving at constant velocity;
+     * the velocity estimate is off by up to lead_error * (1 - accuracy), so long shots punish poor accuracy
      */
     calculateInterceptSolution(target) {
         if (!target || !target.isAlive) {
             return null;
         }
         
-        // Simple interception calculation
-        // For more accuracy, we could predict target movement
+        const projectileSpeed = GAME_CONFIG.PROJECTILE.SPEED;
         const dx = target.x - this.tank.x;
         const dy = target.y - this.tank.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
         
-        // Basic interception - aim slightly ahead for moving targets
-        const projectileSpeed = GAME_CONFIG.PROJECTILE.SPEED;
-        const timeToTarget = distance / projectileSpeed;
+        if (this.leadError === null) {
+            const maxError = (1.0 - this.tank.accuracy) * GAME_CONFIG.GENOME.MODIFIERS.ACCURACY.lead_error;
+            this.leadError = (this.rng.random() * 2 - 1) * maxError;
+        }
         
-        // Predict where target will be (assuming constant velocity)
-        let predictedX = target.x;
-        let predictedY = target.y;
+        // Perceived target velocity
+        const velocity = target.velocity || { x: 0, y: 0 };
+        const vx = velocity.x * (1 + this.leadError);
+        const vy = velocity.y * (1 + this.leadError);
         
-        // If target has velocity information, use it for prediction
-        if (target.velocity) {
-            predictedX += target.velocity.x * timeToTarget;
-            predictedY += target.velocity.y * timeToTarget;
+        // |d + v t| = s t  =>  (v.v - s^2) t^2 + 2 (d.v) t + d.d = 0
+        const a = vx * vx + vy * vy - projectileSpeed * projectileSpeed;
+        const b = 2 * (dx * vx + dy * vy);
+        const c = dx * dx + dy * dy;
+        
+        let timeToTarget;
+        if (Math.abs(a) < 1e-6) {
+            timeToTarget = b < 0 ? -c / b : Math.sqrt(c) / projectileSpeed;
+        } else {
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) {
+                // Target outruns the projectile - aim at it directly
+                timeToTarget = Math.sqrt(c) / projectileSpeed;
+            } else {
+                const root = Math.sqrt(discriminant);
+                const t1 = (-b - root) / (2 * a);
+                const t2 = (-b + root) / (2 * a);
+                const positive = [t1, t2].filter(t => t > 0);
+                timeToTarget = positive.length > 0 ? Math.min(...positive) : Math.sqrt(c) / projectileSpeed;
+            }
         }
         
+        // Predict where target will be (assuming constant velocity)
+        const predictedX = target.x + vx * timeToTarget;
+        const predictedY = target.y + vy * timeToTarget;
+        
         return {
             x: predictedX,
             y: predictedY,
@@ -201,6 +234,9 @@ class Projectile {
         this.age = 0;
         this.shouldRemove = false;
         
+        // Cover obstacles this projectile has already passed over
+        this.clearedCover = [];
+        
         // Visual properties
         this.width = GAME_CONFIG.PROJECTILE.SIZE;
         this.height = GAME_CONFIG.PROJECTILE.SIZE;
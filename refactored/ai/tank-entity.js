@@ -21,6 +21,7 @@ class TankEntity {
         this.health = GAME_CONFIG.TANK.MAX_HEALTH;
         this.maxHealth = GAME_CONFIG.TANK.MAX_HEALTH;
         this.isAlive = true;
+        this.respawnEnabled = false; // Team deathmatch: destroyed tanks come back and fitness uses kill/death ratio
         
         // Movement properties
         this.angle = team === 'red' ? 0 : 0; // Both teams start facing toward center/hill
@@ -28,6 +29,11 @@ class TankEntity {
         this.targetX = x;
         this.targetY = y;
         
+        // Velocity in pixels/second, measured from actual displacement each update (used for lead targeting)
+        this.velocity = { x: 0, y: 0 };
+        this.lastX = x;
+        this.lastY = y;
+        
         // Combat properties - derived from genome
         this.fireRate = this.calculateFireRate();
         this.damage = this.calculateDamage();
@@ -35,6 +41,10 @@ class TankEntity {
         this.accuracy = this.calculateAccuracy();
         this.lastShotTime = 0;
         
+        // Simulated seconds this tank has been updated for - fire timing uses this
+        // instead of wall-clock time so fixed-timestep (headless) battles behave identically
+        this.clock = 0;
+        
         // Statistics tracking
         this.stats = {
             damageDealt: 0,
@@ -43,9 +53,15 @@ class TankEntity {
             shotsHit: 0,
             survivalTime: 0,
             kills: 0,
+            deaths: 0,
+            respawns: 0,
             engagementDistances: [],
             stateChanges: 0,
-            targetSwitches: 0
+            targetSwitches: 0,
+            flagPickups: 0,
+            flagCaptures: 0,
+            flagReturns: 0,
+            pointCaptures: 0
         };
         
         // AI state
@@ -113,7 +129,7 @@ class TankEntity {
      * Calculate behavior weights from genome
      */
     calculateBehaviorWeights() {
-        const [aggression, _speed, _accuracy, defense, teamwork, adaptability, _learning, riskTaking, evasion] = this.genome;
+        const [aggression, _speed, _accuracy, defense, teamwork, adaptability, learning, riskTaking, evasion] = this.genome;
         
         return {
             aggression: aggression,
@@ -122,6 +138,8 @@ class TankEntity {
             formation: adaptability,
             riskTaking: riskTaking,
             evasion: evasion,
+            // How strongly TankLearning adapts these weights during battle
+            learning: learning,
             // King of the Hill specific weights
             objectiveFocus: 0.3 + teamwork * 0.4,
             hillPriority: aggression * 0.8,
@@ -143,12 +161,62 @@ class TankEntity {
         if (this.health <= 0) {
             this.health = 0;
             this.isAlive = false;
+            this.stats.deaths++;
+            this.velocity.x = 0;
+            this.velocity.y = 0;
             return true; // Tank destroyed
         }
         
         return false;
     }
     
+    /**
+     * Bring a destroyed tank back at full health (team deathmatch); stats carry over between lives
+     */
+    respawn(x, y) {
+        this.x = x;
+        this.y = y;
+        this.lastX = x;
+        this.lastY = y;
+        this.targetX = x;
+        this.targetY = y;
+        this.velocity.x = 0;
+        this.velocity.y = 0;
+        this.health = this.maxHealth;
+        this.isAlive = true;
+        this.target = null;
+        this.setState(TANK_STATES.PATROL);
+        this.stats.respawns++;
+    }
+    
+    /**
+     * Scale max health for a handicapped team (applied before the battle starts)
+     */
+    setHealthMultiplier(multiplier) {
+        this.maxHealth = GAME_CONFIG.TANK.MAX_HEALTH * multiplier;
+        this.health = this.maxHealth;
+    }
+    
+    /**
+     * Advance the tank's simulation clock
+     */
+    advanceClock(deltaTime) {
+        this.clock += deltaTime;
+    }
+    
+    /**
+     * Measure velocity from how far the tank moved since the last update
+     * Updated in place so references held by the Tank wrapper stay current
+     */
+    updateVelocity(deltaTime) {
+        if (deltaTime > 0) {
+            this.velocity.x = (this.x - this.lastX) / deltaTime;
+            this.velocity.y = (this.y - this.lastY) / deltaTime;
+        }
+        this.lastX = this.x;
+        this.lastY = this.y;
+    }
+    
     /**
      * Update survival time
      */
@@ -171,7 +239,7 @@ class TankEntity {
      */
     recordShot() {
         this.stats.shotsFired++;
-        this.lastShotTime = performance.now() / 1000;
+        this.lastShotTime = this.clock;
     }
     
     /**
@@ -202,8 +270,7 @@ class TankEntity {
         if (!this.isAlive) {
             return false;
         }
-        const currentTime = performance.now() / 1000;
-        const timeSinceLastShot = currentTime - this.lastShotTime;
+        const timeSinceLastShot = this.clock - this.lastShotTime;
         return timeSinceLastShot >= (1.0 / this.fireRate);
     }
     
@@ -269,23 +336,49 @@ class TankEntity {
      * Get current fitness score based on performance
      */
     calculateFitness() {
+        if (this.respawnEnabled) {
+            return this.calculateDeathmatchFitness();
+        }
+        
         if (!this.isAlive) {
             // Base fitness on survival time and performance when dead
             const survivalFactor = Math.min(1.0, this.stats.survivalTime / 60); // Up to 60 seconds
             const combatFactor = this.stats.damageDealt / Math.max(1, this.stats.damageTaken);
             const accuracyFactor = this.stats.shotsFired > 0 ? this.stats.shotsHit / this.stats.shotsFired : 0;
             
-            return (survivalFactor * 0.4 + combatFactor * 0.3 + accuracyFactor * 0.2 + this.stats.kills * 0.1);
+            return (survivalFactor * 0.4 + combatFactor * 0.3 + accuracyFactor * 0.2 + this.stats.kills * 0.1) +
+                this.calculateObjectiveFitness();
         } else {
             // Bonus for staying alive
             const survivalBonus = 0.3;
             const combatFactor = this.stats.damageDealt / Math.max(1, this.stats.damageTaken);
             const accuracyFactor = this.stats.shotsFired > 0 ? this.stats.shotsHit / this.stats.shotsFired : 0;
             
-            return survivalBonus + (combatFactor * 0.3 + accuracyFactor * 0.2 + this.stats.kills * 0.2);
+            return survivalBonus + (combatFactor * 0.3 + accuracyFactor * 0.2 + this.stats.kills * 0.2) +
+                this.calculateObjectiveFitness();
         }
     }
     
+    /**
+     * Fitness across several lives: kill/death ratio instead of survive-or-die
+     */
+    calculateDeathmatchFitness() {
+        const killDeathRatio = this.stats.kills / Math.max(1, this.stats.deaths);
+        const combatFactor = this.stats.damageDealt / Math.max(1, this.stats.damageTaken);
+        const accuracyFactor = this.stats.shotsFired > 0 ? this.stats.shotsHit / this.stats.shotsFired : 0;
+        
+        return Math.min(1.0, killDeathRatio / 3) * 0.5 + combatFactor * 0.2 + accuracyFactor * 0.2 +
+            this.stats.kills * 0.05 + this.calculateObjectiveFitness();
+    }
+    
+    /**
+     * Fitness bonus for objective play (capture the flag, domination)
+     */
+    calculateObjectiveFitness() {
+        return this.stats.flagCaptures * 0.3 + this.stats.flagReturns * 0.1 + this.stats.flagPickups * 0.05 +
+            this.stats.pointCaptures * 0.1;
+    }
+    
     /**
      * Get combat statistics summary
      */
@@ -298,7 +391,14 @@ class TankEntity {
             damageTaken: this.stats.damageTaken,
             accuracy: this.stats.shotsFired > 0 ? this.stats.shotsHit / this.stats.shotsFired : 0,
             kills: this.stats.kills,
-            survivalTime: this.stats.survivalTime
+            deaths: this.stats.deaths,
+            respawns: this.stats.respawns,
+            killDeathRatio: this.stats.kills / Math.max(1, this.stats.deaths),
+            survivalTime: this.stats.survivalTime,
+            flagPickups: this.stats.flagPickups,
+            flagCaptures: this.stats.flagCaptures,
+            flagReturns: this.stats.flagReturns,
+            pointCaptures: this.stats.pointCaptures
         };
     }
     
@@ -0,0 +1,198 @@
+/**
+ * Tank Learning System
+ * In-battle adaptation driven by the genome's learning trait: every few seconds the tank looks at
+ * how its recent attacks, hill holds and retreats went and nudges its behavior weights accordingly
+ */
+
+class TankLearning {
+    constructor(tankEntity) {
+        this.tank = tankEntity;
+        this.config = GAME_CONFIG.GENOME.MODIFIERS.LEARNING;
+        
+        // Learning trait scales every adjustment; 0 means the tank never adapts
+        this.learningRate = this.tank.behaviorWeights.learning;
+        
+        // Genome-derived weights, the anchor that adapted weights may only drift so far from
+        this.baseWeights = { ...this.tank.behaviorWeights };
+        
+        this.windowTimer = 0;
+        this.window = this.createWindow();
+        this.lastDamageDealt = this.tank.stats.damageDealt;
+        this.lastDamageTaken = this.tank.stats.damageTaken;
+        
+        this.adaptationCount = 0;
+        this.totalShift = 0;
+        this.history = [];
+    }
+    
+    /**
+     * Empty outcome accumulator for one evaluation window
+     */
+    createWindow() {
+        return {
+            attackTime: 0,
+            attackDealt: 0,
+            attackTaken: 0,
+            hillTime: 0,
+            hillHeldTime: 0,
+            hillTaken: 0,
+            retreatTime: 0,
+            retreatTaken: 0
+        };
+    }
+    
+    /**
+     * Accumulate this tick's outcomes and adapt at the end of each window
+     */
+    update(deltaTime, gameState) {
+        if (!this.tank.isAlive || this.learningRate <= 0) {
+            return;
+        }
+        
+        // Damage since the last tick is credited to whatever the tank was doing
+        const dealt = this.tank.stats.damageDealt - this.lastDamageDealt;
+        const taken = this.tank.stats.damageTaken - this.lastDamageTaken;
+        this.lastDamageDealt = this.tank.stats.damageDealt;
+        this.lastDamageTaken = this.tank.stats.damageTaken;
+        
+        const window = this.window;
+        
+        if (this.tank.state === TANK_STATES.ATTACK) {
+            window.attackTime += deltaTime;
+            window.attackDealt += dealt;
+            window.attackTaken += taken;
+        } else if (this.tank.state === TANK_STATES.RETREAT) {
+            window.retreatTime += deltaTime;
+            window.retreatTaken += taken;
+        }
+        
+        const hill = gameState.hill;
+        if (hill && this.tank.distanceTo(hill) <= hill.radius) {
+            window.hillTime += deltaTime;
+            window.hillTaken += taken;
+            if (hill.controllingTeam === this.tank.team) {
+                window.hillHeldTime += deltaTime;
+            }
+        }
+        
+        this.windowTimer += deltaTime;
+        if (this.windowTimer >= this.config.window) {
+            this.adapt();
+            this.windowTimer = 0;
+            this.window = this.createWindow();
+        }
+    }
+    
+    /**
+     * Score the finished window and shift behavior weights towards what worked
+     * Each outcome is in [-1, 1]; positive reinforces the behavior, negative discourages it
+     */
+    adapt() {
+        const window = this.window;
+        const minTime = this.config.min_sample_time;
+        const damageScale = this.tank.maxHealth * this.config.damage_scale;
+        const outcomes = {};
+        const changes = {};
+        
+        // Attacking: did we trade damage favourably?
+        const attackDamage = window.attackDealt + window.attackTaken;
+        if (window.attackTime >= minTime && attackDamage > 0) {
+            const outcome = (window.attackDealt - window.attackTaken) / attackDamage;
+            outcomes.attack = outcome;
+            this.shiftWeight(changes, 'aggression', outcome);
+            this.shiftWeight(changes, 'caution', -outcome);
+        }
+        
+        // Hill: did holding it pay off, or did we just soak damage on it?
+        if (window.hillTime >= minTime) {
+            const holdRatio = window.hillHeldTime / window.hillTime;
+            const outcome = MathUtils.clamp(holdRatio * 2 - 1 - window.hillTaken / damageScale, -1, 1);
+            outcomes.hill = outcome;
+            this.shiftWeight(changes, 'objectiveFocus', outcome);
+            this.shiftWeight(changes, 'hillPriority', outcome);
+            this.shiftWeight(changes, 'contestWillingness', outcome);
+        }
+        
+        // Retreating: did we get away clean?
+        if (window.retreatTime >= minTime) {
+            const outcome = window.retreatTaken === 0 ? 1 : -Math.min(1, window.retreatTaken / damageScale);
+            outcomes.retreat = outcome;
+            this.shiftWeight(changes, 'caution', outcome);
+            this.shiftWeight(changes, 'evasion', outcome);
+        }
+        
+        if (Object.keys(changes).length === 0) {
+            return;
+        }
+        
+        this.adaptationCount++;
+        this.history.push({
+            time: Math.round(this.tank.clock * 100) / 100,
+            outcomes: TankLearning.roundValues(outcomes),
+            changes: TankLearning.roundValues(changes)
+        });
+        if (this.history.length > this.config.history_size) {
+            this.history.shift();
+        }
+    }
+    
+    /**
+     * Move one behavior weight by outcome * learning rate, bounded by the drift limit and [0, 1]
+     */
+    shiftWeight(changes, key, outcome) {
+        const weights = this.tank.behaviorWeights;
+        const base = this.baseWeights[key];
+        const step = outcome * this.config.adaptation_rate * this.learningRate;
+        const min = Math.max(0, base - this.config.max_drift);
+        const max = Math.min(1, base + this.config.max_drift);
+        const next = MathUtils.clamp(weights[key] + step, min, max);
+        const delta = next - weights[key];
+        
+        if (delta === 0) {
+            return;
+        }
+        
+        weights[key] = next;
+        changes[key] = (changes[key] || 0) + delta;
+        this.totalShift += Math.abs(delta);
+    }
+    
+    /**
+     * Adaptation summary for combat stats: how much the tank learned and where its weights ended up
+     */
+    getSummary() {
+        const drift = {};
+        Object.keys(this.baseWeights).forEach(key => {
+            const difference = this.tank.behaviorWeights[key] - this.baseWeights[key];
+            if (difference !== 0) {
+                drift[key] = difference;
+            }
+        });
+        
+        return {
+            learningRate: this.learningRate,
+            adaptations: this.adaptationCount,
+            totalShift: this.totalShift,
+            weightDrift: TankLearning.roundValues(drift),
+            history: this.history.map(entry => ({ ...entry }))
+        };
+    }
+    
+    /**
+     * Round every value of a { key: number } map to 3 decimals for compact history entries
+     */
+    static roundValues(values) {
+        const rounded = {};
+        Object.entries(values).forEach(([key, value]) => {
+            rounded[key] = Math.round(value * 1000) / 1000;
+        });
+        return rounded;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TankLearning };
+} else {
+    window.TankLearning = TankLearning;
+}
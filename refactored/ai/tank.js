@@ -1,27 +1,40 @@
 /**
  * Refactored Tank Class - Main Tank Implementation
- * Uses composition pattern to combine TankEntity, TankAI, and TankCombat
+ * Uses composition pattern to combine TankEntity, TankAI, TankCombat, and TankLearning
  * This provides a clean interface while maintaining separation of concerns
  */
 
 class Tank {
-    constructor(x, y, team, genome) {
+    constructor(x, y, team, genome, rng = Math, tankId = null) {
         // Create core entity
         this.entity = new TankEntity(x, y, team, genome);
         
-        // Phase 2: Add unique tank ID for insights tracking
-        this.tankId = `${team}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.entity.tankId = this.tankId; // Also add to entity for CollisionUtils access
+        // Random source shared with the battle (GameEngine passes its seeded RNG)
+        this.rng = rng;
         
-        // Create AI system
-        this.ai = new TankAI(this.entity);
+        // Phase 2: Unique tank ID for insights and replay tracking; GameEngine numbers its tanks per battle
+        this.tankId = tankId || `${team}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.entity.tankId = this.tankId; // Also add to entity for CollisionUtils access
         
         // Create combat system
-        this.combat = new TankCombat(this.entity);
+        this.combat = new TankCombat(this.entity, rng);
+        
+        // Create AI system (aims through the combat system's intercept solution)
+        this.ai = new TankAI(this.entity, rng, this.combat);
+        
+        // Create in-battle adaptation system (driven by the learning trait)
+        this.learning = new TankLearning(this.entity);
+        
+        // Set while a player drives this tank (HumanController replaces AI, auto-fire and adaptation)
+        this.humanController = null;
+        
+        // Set for network-driven tanks (see setNeuralNetwork); the network replaces AI, auto-fire and adaptation
+        this.neuralController = null;
         
         // Expose commonly used properties from entity for backward compatibility
         this.x = this.entity.x;
         this.y = this.entity.y;
+        this.velocity = this.entity.velocity;
         this.spawnX = this.entity.spawnX;
         this.spawnY = this.entity.spawnY;
         this.width = this.entity.width;
@@ -88,13 +101,25 @@ class Tank {
         }
         
         // Update entity (basic properties and lifecycle)
+        this.entity.advanceClock(deltaTime);
         this.entity.updateSurvivalTime(deltaTime);
         
-        // Update AI (decision making and behavior)
-        this.ai.update(deltaTime, gameState);
-        
-        // Update combat (firing and damage)
-        this.combat.update(deltaTime, gameState);
+        if (this.humanController) {
+            // Player input moves, aims and fires the tank
+            this.humanController.update(deltaTime, gameState);
+        } else if (this.neuralController) {
+            // Network outputs move the tank and decide when to fire
+            this.neuralController.update(deltaTime, gameState);
+        } else {
+            // Update AI (decision making and behavior)
+            this.ai.update(deltaTime, gameState);
+            
+            // Update combat (firing and damage)
+            this.combat.update(deltaTime, gameState);
+            
+            // Adapt behavior weights from recent outcomes
+            this.learning.update(deltaTime, gameState);
+        }
         
         // Sync exposed properties with entity state
         this.syncProperties();
@@ -102,6 +127,9 @@ class Tank {
         // Keep tank within battlefield bounds
         this.entity.keepInBounds(gameState.width, gameState.height);
         
+        // Velocity from this tick's final displacement
+        this.entity.updateVelocity(deltaTime);
+        
         // Update position references
         this.x = this.entity.x;
         this.y = this.entity.y;
@@ -137,6 +165,50 @@ class Tank {
         this.targetSwitches = this.entity.stats.targetSwitches;
         this.previousTarget = this.entity.previousTarget;
         this.previousState = this.entity.previousState;
+        
+        // Behavior weights (adapted during battle by the learning system)
+        this.aggressionWeight = this.entity.behaviorWeights.aggression;
+        this.cautionWeight = this.entity.behaviorWeights.caution;
+        this.riskTakingWeight = this.entity.behaviorWeights.riskTaking;
+        this.evasionWeight = this.entity.behaviorWeights.evasion;
+        this.objectiveFocus = this.entity.behaviorWeights.objectiveFocus;
+        this.hillPriority = this.entity.behaviorWeights.hillPriority;
+        this.contestWillingness = this.entity.behaviorWeights.contestWillingness;
+    }
+    
+    /**
+     * Respawn at a new position (team deathmatch) - stats carry over, path and decisions start fresh
+     */
+    respawn(x, y) {
+        this.entity.respawn(x, y);
+        this.ai.resetNavigation();
+        this.syncProperties();
+        this.x = this.entity.x;
+        this.y = this.entity.y;
+    }
+    
+    /**
+     * Scale max health for a handicapped team - delegates to entity
+     */
+    setHealthMultiplier(multiplier) {
+        this.entity.setHealthMultiplier(multiplier);
+        this.maxHealth = this.entity.maxHealth;
+        this.syncProperties();
+    }
+    
+    /**
+     * Let a behavior tree choose this tank's behaviors instead of the genome's priority chain (null restores it)
+     * The genome still sets the tank's stats and behavior weights
+     */
+    setBehaviorTree(tree) {
+        this.ai.behaviorTree = tree ? BehaviorTree.validate(tree) : null;
+    }
+    
+    /**
+     * Drive the tank with the network whose weights follow the traits in an extended genome (null returns it to TankAI)
+     */
+    setNeuralNetwork(genome) {
+        this.neuralController = genome ? new NeuralController(this, genome) : null;
     }
     
     /**
@@ -203,10 +275,13 @@ class Tank {
     }
     
     /**
-     * Get combat statistics - delegates to entity and combat system
+     * Get combat statistics - delegates to entity, with the learning system's adaptation history
      */
     getCombatStats() {
-        return this.entity.getCombatStats();
+        return {
+            ...this.entity.getCombatStats(),
+            adaptation: this.learning.getSummary()
+        };
     }
     
     /**
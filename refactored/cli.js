@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+/**
+ * AlphaTanks CLI - Batch battles and evolution runs from the command line
+ * Results go to stdout (or --out) as JSON lines, progress to stderr; see USAGE for the options
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadHeadlessRuntime } = require('./headless');
+
+const USAGE = `Usage: node refactored/cli.js [options]
+  
+  --battles <n>          Run n battles between random genomes (default 10)
+  --generations <n>      Run n generations of Red Queen evolution instead of plain battles
+  --population <n>       Genomes per team population when evolving (default 20)
+  --scenario <ids>       Scenario id, or comma-separated ids to rotate through (default open_field)
+  --mode <mode>          Game mode: king_of_hill, capture_the_flag, domination or team_deathmatch
+                         (default king_of_hill)
+  --rotation <policy>    How --scenario ids are rotated: round_robin, weighted (random by the
+                         rotationWeights in config.js) or curriculum (config.js curriculum order,
+                         then stays on the last) (default round_robin)
+  --rotation-interval <n>  Battles or generations per scenario before rotating (default 1)
+  --rotation-unit <unit>   What the interval counts: battles or generations (default battles)
+  --scenario-file <files>  Load custom maps from scenario JSON files (comma-separated) so --scenario
+                           can name them; see refactored/game/scenario-loader.js for the format
+  --seeds <min-max>      Seed range to cycle through, e.g. 1000-1099
+  --team-size <n>        Tanks per team (sets both --red and --blue)
+  --red <n>              Red team size (default 5, at most 10)
+  --blue <n>             Blue team size (default 5, at most 10)
+  --red-health <x>       Red health multiplier handicap, e.g. 0.5 (default 1)
+  --blue-health <x>      Blue health multiplier handicap (default 1)
+  --controller <type>    How tanks choose behaviors: traits (genome priority chain),
+                         behavior_tree (evolved behavior trees) or neural_network (evolved
+                         network weights in an extended genome) (default traits)
+  --red-controller <type>   Controller for red only (overrides --controller)
+  --blue-controller <type>  Controller for blue only (overrides --controller)
+  --max-time <seconds>   Simulated time cap per battle
+  --out <file>           Write JSONL results to file (default stdout)
+  --ratings <file>       Write the final skill ratings (TrueSkill mu/sigma) of every genome
+                         and team line-up to a JSON file
+  --hall-of-fame <file>  Write the evolution's past champions and the generation x champion
+                         results matrix to a JSON file
+  --hall-of-fame-size <n>       Past champions kept per team (default 20)
+  --hall-of-fame-opponents <n>  Battles against sampled past champions per team slice and
+                                generation; 0 turns them off (default 2)
+  --multi-scenario       When evolving, fight every line-up on each scenario (the --scenario list if it
+                         names several, otherwise all of them) and combine the per-scenario scores
+                         with the multi-scenario fitness weights
+  --config <file>        JSON file with any of the options above (camelCase keys); flags override it
+  --quiet                No progress output
+  --help                 Show this help
+
+Every finished battle is one JSON line: the battle result plus battle index, generation, the genomes
+(and behavior trees, if evolved) that fought, their skill ratings after the battle and, for battles
+against a past champion, which one.
+`;
+
+// Flag name -> option key and value parser
+const FLAGS = {
+    '--battles': ['battles', Number],
+    '--generations': ['generations', Number],
+    '--population': ['populationSize', Number],
+    '--scenario': ['scenarios', value => value.split(',').map(id => id.trim()).filter(Boolean)],
+    '--mode': ['mode', String],
+    '--scenario-file': ['scenarioFiles', value => value.split(',').map(file => file.trim()).filter(Boolean)],
+    '--rotation': ['rotationPolicy', String],
+    '--rotation-interval': ['rotationInterval', Number],
+    '--rotation-unit': ['rotationUnit', String],
+    '--seeds': ['seedRange', parseSeedRange],
+    '--team-size': ['teamSize', Number],
+    '--red': ['redTeamSize', Number],
+    '--blue': ['blueTeamSize', Number],
+    '--red-health': ['redHealthMultiplier', Number],
+    '--blue-health': ['blueHealthMultiplier', Number],
+    '--controller': ['controller', String],
+    '--red-controller': ['redController', String],
+    '--blue-controller': ['blueController', String],
+    '--max-time': ['maxBattleTime', Number],
+    '--out': ['out', String],
+    '--ratings': ['ratingsOut', String],
+    '--hall-of-fame': ['hallOfFameOut', String],
+    '--hall-of-fame-size': ['hallOfFameSize', Number],
+    '--hall-of-fame-opponents': ['hallOfFameOpponents', Number],
+    '--config': ['config', String]
+};
+
+/**
+ * Parse "1000-1099" (or a single seed "1234") into [min, max]
+ */
+function parseSeedRange(value) {
+    const parts = String(value).split('-').map(Number);
+    const min = parts[0];
+    const max = parts.length > 1 ? parts[1] : min;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min <= 0 || max < min) {
+        throw new Error(`Invalid seed range "${value}" (expected e.g. 1000-1099)`);
+    }
+    return [min, max];
+}
+
+/**
+ * Turn argv into an options object
+ */
+function parseArgs(argv) {
+    const options = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--quiet') {
+            options.quiet = true;
+        } else if (arg === '--multi-scenario') {
+            options.multiScenario = true;
+        } else if (FLAGS[arg]) {
+            const [key, parse] = FLAGS[arg];
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            options[key] = parse(argv[++i]);
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    
+    return options;
+}
+
+/**
+ * Merge JSON config and flags into BatchRunner options
+ */
+function resolveOptions(cliOptions) {
+    let options = {};
+    
+    if (cliOptions.config) {
+        options = JSON.parse(fs.readFileSync(cliOptions.config, 'utf8'));
+        // Config files may use the same shorthand as the flags
+        if (typeof options.scenario === 'string') {
+            options.scenarios = options.scenario.split(',');
+        }
+        if (typeof options.scenarioFiles === 'string') {
+            options.scenarioFiles = options.scenarioFiles.split(',');
+        }
+        if (typeof options.seeds === 'string') {
+            options.seedRange = parseSeedRange(options.seeds);
+        }
+        delete options.scenario;
+        delete options.seeds;
+    }
+    
+    options = { ...options, ...cliOptions };
+    
+    if (options.teamSize !== undefined) {
+        options.redTeamSize = options.redTeamSize ?? options.teamSize;
+        options.blueTeamSize = options.blueTeamSize ?? options.teamSize;
+    }
+    
+    ['battles', 'generations', 'populationSize', 'redTeamSize', 'blueTeamSize', 'maxBattleTime', 'hallOfFameSize', 'hallOfFameOpponents'].forEach(key => {
+        if (options[key] !== undefined && !(Number.isFinite(options[key]) && options[key] >= 0)) {
+            throw new Error(`Invalid value for ${key}: ${options[key]}`);
+        }
+    });
+    const teams = GAME_CONFIG.TEAMS;
+    ['redTeamSize', 'blueTeamSize'].forEach(key => {
+        if (options[key] !== undefined && !(Number.isInteger(options[key]) && options[key] >= teams.MIN_SIZE && options[key] <= teams.MAX_SIZE)) {
+            throw new Error(`Team sizes must be whole numbers from ${teams.MIN_SIZE} to ${teams.MAX_SIZE} (${key}: ${options[key]})`);
+        }
+    });
+    ['redHealthMultiplier', 'blueHealthMultiplier'].forEach(key => {
+        const value = options[key];
+        if (value !== undefined && !(Number.isFinite(value) && value >= teams.MIN_HEALTH_MULTIPLIER && value <= teams.MAX_HEALTH_MULTIPLIER)) {
+            throw new Error(`Health multipliers must be between ${teams.MIN_HEALTH_MULTIPLIER} and ${teams.MAX_HEALTH_MULTIPLIER} (${key}: ${value})`);
+        }
+    });
+    
+    // Custom maps join the configured scenarios before the scenario ids are checked
+    (options.scenarioFiles || []).forEach(file => {
+        ScenarioLoader.register(fs.readFileSync(file, 'utf8'));
+    });
+    
+    const knownScenarios = Object.keys(globalThis.CONFIG.asiArch.battleScenarios.scenarios);
+    (options.scenarios || []).forEach(id => {
+        if (!knownScenarios.includes(id)) {
+            throw new Error(`Unknown scenario "${id}" (available: ${knownScenarios.join(', ')})`);
+        }
+    });
+    
+    const knownModes = Object.values(GAME_MODES);
+    if (options.mode !== undefined && !knownModes.includes(options.mode)) {
+        throw new Error(`Unknown mode "${options.mode}" (available: ${knownModes.join(', ')})`);
+    }
+    
+    const knownPolicies = Object.values(ROTATION_POLICIES);
+    if (options.rotationPolicy !== undefined && !knownPolicies.includes(options.rotationPolicy)) {
+        throw new Error(`Unknown rotation policy "${options.rotationPolicy}" (available: ${knownPolicies.join(', ')})`);
+    }
+    const knownUnits = Object.values(ROTATION_UNITS);
+    if (options.rotationUnit !== undefined && !knownUnits.includes(options.rotationUnit)) {
+        throw new Error(`Unknown rotation unit "${options.rotationUnit}" (available: ${knownUnits.join(', ')})`);
+    }
+    if (options.rotationInterval !== undefined && !(Number.isInteger(options.rotationInterval) && options.rotationInterval > 0)) {
+        throw new Error(`Rotation interval must be a whole number above 0 (got ${options.rotationInterval})`);
+    }
+    
+    const knownControllers = Object.values(CONTROLLER_TYPES);
+    ['controller', 'redController', 'blueController'].forEach(key => {
+        if (options[key] !== undefined && !knownControllers.includes(options[key])) {
+            throw new Error(`Unknown controller "${options[key]}" (available: ${knownControllers.join(', ')})`);
+        }
+    });
+    
+    return options;
+}
+
+/**
+ * Open the JSONL destination (file or stdout)
+ * Battles run synchronously, so lines are written synchronously too - a stream would
+ * buffer the whole run in memory and lose it if an overnight run is interrupted
+ */
+function openOutput(file) {
+    if (!file || file === '-') {
+        return { write: line => process.stdout.write(line), close: () => {} };
+    }
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const fd = fs.openSync(file, 'w');
+    return { write: line => fs.writeSync(fd, line), close: () => fs.closeSync(fd) };
+}
+
+/**
+ * Format a winner for progress lines
+ */
+function describeWinner(result) {
+    if (result.winner === BATTLE_OUTCOMES.TIMEOUT) {
+        return `timeout after ${result.duration.toFixed(1)}s`;
+    }
+    if (result.winner === BATTLE_OUTCOMES.DRAW) {
+        return `draw in ${result.duration.toFixed(1)}s`;
+    }
+    return `${result.winner} wins in ${result.duration.toFixed(1)}s`;
+}
+
+function main(argv) {
+    const cliOptions = parseArgs(argv);
+    if (cliOptions.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    
+    loadHeadlessRuntime();
+    const { BatchRunner } = require('./game/batch-runner');
+    
+    const options = resolveOptions(cliOptions);
+    const log = options.quiet ? () => {} : message => process.stderr.write(`${message}\n`);
+    const output = openOutput(options.out);
+    const runner = new BatchRunner(options);
+    
+    runner.engine.events.on('mapValidation', validation => {
+        if (MapValidator.hasRejections(validation)) {
+            log(MapValidator.describe(validation));
+        }
+    });
+    runner.events.on('battle', ({ index, total, generation, result, redGenomes, blueGenomes, behaviorTrees, hallOfFame, controllers, ratings }) => {
+        const record = { battle: index + 1, generation, ...result, controllers, redGenomes, blueGenomes, ratings };
+        if (behaviorTrees) {
+            record.redBehaviorTrees = behaviorTrees.red;
+            record.blueBehaviorTrees = behaviorTrees.blue;
+        }
+        if (hallOfFame) {
+            record.hallOfFame = hallOfFame;
+        }
+        output.write(`${JSON.stringify(record)}\n`);
+        const opponent = hallOfFame ? ` (${hallOfFame.team} vs champion ${hallOfFame.championId})` : '';
+        log(`[${index + 1}/${total}] ${result.scenarioId} seed ${result.seed}${opponent}: ${describeWinner(result)}`);
+    });
+    
+    runner.events.on('generation', ({ generation, generations, red, blue, regressions }) => {
+        log(`Generation ${generation}/${generations} - red best ${red.bestFitness.toFixed(3)} (avg ${red.averageFitness.toFixed(3)}), ` +
+            `blue best ${blue.bestFitness.toFixed(3)} (avg ${blue.averageFitness.toFixed(3)})`);
+        if (runner.options.multiScenario) {
+            ['red', 'blue'].forEach(team => {
+                const scenarioScores = team === 'red' ? red.bestScenarioScores : blue.bestScenarioScores;
+                const { weakest } = MultiScenarioEvaluator.combine(scenarioScores, runner.scenarioWeights);
+                const breakdown = Object.entries(scenarioScores).map(([id, score]) => `${id} ${score.toFixed(3)}`).join(', ');
+                log(`  Best ${team} by scenario: ${breakdown} (weakest: ${weakest})`);
+            });
+        }
+        ['red', 'blue'].forEach(team => {
+            regressions[team].forEach(regression => {
+                log(`  Regression: ${team} generation ${generation} lost to champion ${regression.championId} ` +
+                    `(scored ${(regression.score * 100).toFixed(0)}%), which generation ${regression.beatenBy} had beaten`);
+            });
+        });
+    });
+    
+    const startTime = Date.now();
+    const summary = runner.options.generations > 0 ? runner.runEvolution() : runner.runBattles();
+    const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+    
+    log(`Done: ${summary.battles} battles in ${elapsed}s - red ${summary.redWins}, blue ${summary.blueWins}, ` +
+        `draws ${summary.draws}, timeouts ${summary.timeouts}`);
+    if (summary.red && summary.blue) {
+        // Traits only - network weights in extended genomes are in the JSONL output
+        const traitLength = GAME_CONFIG.EVOLUTION.GENOME_LENGTH;
+        log(`Best red genome:  [${summary.red.bestGenome.slice(0, traitLength).map(gene => gene.toFixed(3)).join(', ')}]`);
+        log(`Best blue genome: [${summary.blue.bestGenome.slice(0, traitLength).map(gene => gene.toFixed(3)).join(', ')}]`);
+        if (summary.red.bestBehaviorTree && summary.blue.bestBehaviorTree) {
+            log(`Best red behavior tree:  ${BehaviorTree.serialize(summary.red.bestBehaviorTree)}`);
+            log(`Best blue behavior tree: ${BehaviorTree.serialize(summary.blue.bestBehaviorTree)}`);
+        }
+    }
+    
+    const topRated = summary.ratings.genomes[0];
+    if (topRated) {
+        log(`Top rated genome: mu ${topRated.mu.toFixed(2)} sigma ${topRated.sigma.toFixed(2)} ` +
+            `(${topRated.wins}W ${topRated.losses}L ${topRated.draws}D)`);
+    }
+    if (options.ratingsOut) {
+        fs.mkdirSync(path.dirname(path.resolve(options.ratingsOut)), { recursive: true });
+        fs.writeFileSync(options.ratingsOut, `${JSON.stringify(summary.ratings, null, 2)}\n`);
+        log(`Ratings written to ${options.ratingsOut}`);
+    }
+    if (options.hallOfFameOut && summary.hallOfFame) {
+        fs.mkdirSync(path.dirname(path.resolve(options.hallOfFameOut)), { recursive: true });
+        fs.writeFileSync(options.hallOfFameOut, `${JSON.stringify(summary.hallOfFame, null, 2)}\n`);
+        log(`Hall of fame written to ${options.hallOfFameOut}`);
+    }
+    
+    output.close();
+    return 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        process.stderr.write(`Error: ${error.message}\n\n${USAGE}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { main, parseArgs, resolveOptions, parseSeedRange };
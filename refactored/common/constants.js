@@ -57,6 +57,19 @@ const GAME_CONFIG = {
         MIN_BATTLES_FOR_STATS: 3
     },
     
+    TEAMS: {
+        DEFAULT_SIZE: 5,
+        MIN_SIZE: 1,
+        MAX_SIZE: 10,
+        SPAWN_INSET: 100, // front rank distance from the team's own battlefield edge
+        MAX_PER_COLUMN: 5, // larger teams add columns further back
+        ROW_SPACING: 60,
+        COLUMN_SPACING: 36,
+        SPAWN_JITTER: 8, // pixels of random offset so seeded battles don't all start on a perfect grid
+        MIN_HEALTH_MULTIPLIER: 0.25,
+        MAX_HEALTH_MULTIPLIER: 4
+    },
+    
     BATTLE: {
         MAX_DURATION: 120, // seconds
         MIN_DURATION_FOR_TIMEOUT: 15, // seconds
@@ -64,6 +77,31 @@ const GAME_CONFIG = {
             CONTROL_RADIUS: 60,
             WIN_TIME: 30, // seconds of control needed
             CENTER_OFFSET: 0 // from battlefield center
+        },
+        CAPTURE_THE_FLAG: {
+            CAPTURES_TO_WIN: 3,
+            BASE_INSET: 50, // base distance from the team's own battlefield edge
+            BASE_RADIUS: 30, // carrier must reach this close to its base to score
+            PICKUP_RADIUS: 20, // tank center distance at which a flag is picked up or returned
+            RETURN_TIME: 10, // seconds a dropped flag waits before returning home by itself
+            ESCORT_DISTANCE: 60 // escorts close in once they drift further than this from the carrier
+        },
+        TEAM_DEATHMATCH: {
+            KILLS_TO_WIN: 15, // otherwise the team with more kills at MAX_DURATION wins
+            RESPAWN_DELAY: 3 // seconds a destroyed tank waits before re-entering at its team's spawn
+        },
+        DOMINATION: {
+            MIN_POINTS: 2,
+            MAX_POINTS: 5,
+            POINT_RADIUS: 30,
+            SCORE_PER_SECOND: 1, // per secured point
+            SCORE_TO_WIN: 100, // scenarios may override with domination.scoreToWin
+            // Used when the scenario defines no points; fractions of battlefield width/height
+            DEFAULT_POINTS: [
+                { x: 0.5, y: 0.2 },
+                { x: 0.5, y: 0.5 },
+                { x: 0.5, y: 0.8 }
+            ]
         }
     },
     
@@ -99,7 +137,8 @@ const GAME_CONFIG = {
             ACCURACY: {
                 base_accuracy: 0.7,
                 bonus_accuracy: 0.3,
-                range_bonus: 100
+                range_bonus: 100,
+                lead_error: 2.0 // max fractional misjudgement of target velocity when leading a shot, scaled by (1 - accuracy)
             },
             DEFENSE: {
                 caution_weight: 1.0,
@@ -117,10 +156,47 @@ const GAME_CONFIG = {
             EVASION: {
                 dodge_weight: 1.0,
                 escape_priority: 1.0
+            },
+            LEARNING: {
+                window: 3.0, // seconds of outcomes evaluated per adaptation step
+                min_sample_time: 0.5, // seconds spent on a behavior before its outcome counts
+                adaptation_rate: 0.1, // weight change per step at learning = 1 and a full-strength outcome
+                max_drift: 0.3, // how far adapted weights may move from the genome-derived values
+                damage_scale: 0.25, // fraction of max health that counts as a fully bad outcome
+                history_size: 20 // adaptation steps kept for combat stats
             }
         }
     },
     
+    BEHAVIOR_TREE: {
+        MAX_DEPTH: 6, // levels, root included
+        MAX_CHILDREN: 5, // per selector/sequence
+        MAX_NODES: 48,
+        LEAF_CHANCE: 0.35, // chance a random node below the depth limit is a leaf
+        INVERTER_CHANCE: 0.1,
+        RANDOM_SUBTREE_DEPTH: 3, // depth of subtrees grown by mutation
+        SUBTREE_REPLACE_CHANCE: 0.2, // fraction of the mutation rate that replaces a whole subtree
+        INITIAL_MUTATION_RATE: 0.3 // starting populations are the default tree mutated at this rate
+    },
+    
+    NEURAL_NETWORK: {
+        HIDDEN_UNITS: 8,
+        WEIGHT_RANGE: 2, // genes 0..1 map to weights -2..2
+        FIRE_THRESHOLD: 0.5, // fire output above this shoots when the weapon is ready
+        MOVE_DEADZONE: 0.2 // movement outputs shorter than this leave the tank standing still
+    },
+    
+    // TrueSkill-style ratings: every genome (and team line-up) has a skill estimate mu and an uncertainty sigma
+    SKILL_RATING: {
+        INITIAL_MU: 25,
+        INITIAL_SIGMA: 25 / 3,
+        BETA: 25 / 6, // performance noise: a BETA skill gap wins about 76% of 1v1 battles
+        TAU: 25 / 300, // uncertainty added before each battle, so ratings keep tracking genomes that change opponents
+        DRAW_QUANTILE: 0.1257, // normal quantile of a 10% draw chance (draws and timeouts count as draws)
+        CONSERVATIVE_SIGMAS: 3, // displayed/ranked rating is mu - 3 sigma
+        GENE_PRECISION: 4 // decimals of a gene used to recognise the same genome across battles
+    },
+    
     UI: {
         UPDATE_INTERVAL: 100,
         CHART_MAX_POINTS: 10,
@@ -133,7 +209,9 @@ const GAME_CONFIG = {
             BACKGROUND: '#0a0a0a',
             GRID: '#333333',
             OBSTACLE_COVER: '#444444',
-            OBSTACLE_BARRIER: '#666666'
+            OBSTACLE_BARRIER: '#666666',
+            OBSTACLE_DESTRUCTIBLE: '#6b4a2b',
+            OBSTACLE_ROUGH_TERRAIN: 'rgba(120, 100, 60, 0.35)'
         }
     },
     
@@ -142,6 +220,7 @@ const GAME_CONFIG = {
         DELTA_TIME_CAP: 0.1,
         MIN_DELTA_TIME: 0.001,
         BATTLE_TIME_LIMIT: 120000, // milliseconds
+        SPATIAL_HASH_CELL_SIZE: 64, // pixels - broadphase cell for collision and perception queries
         OPTIMIZATION: {
             BATCH_COLLISION_CHECK: true,
             CULL_DEAD_ENTITIES: true,
@@ -149,6 +228,60 @@ const GAME_CONFIG = {
         }
     },
     
+    HEADLESS: {
+        FIXED_TIME_STEP: 1 / 60, // seconds per simulation tick
+        MAX_SIMULATED_TIME: 240 // seconds - safety cap for battles that never conclude
+    },
+    
+    OBSTACLES: {
+        DEFAULT_TYPE: 'barrier', // untyped rectangles block movement, sight and shots
+        COVER_BLOCK_CHANCE: 0.5, // chance a projectile crossing cover is stopped by it
+        DESTRUCTIBLE_HEALTH: 80,
+        ROUGH_TERRAIN_SPEED: 0.5 // tank speed multiplier while driving over rough terrain
+    },
+    
+    PATHFINDING: {
+        CELL_SIZE: 8, // navigation grid resolution in pixels
+        WAYPOINT_RADIUS: 6, // distance at which a waypoint counts as reached
+        REPLAN_INTERVAL: 1.0, // seconds - refresh a followed path even if nothing blocks it
+        BLOCKED_RETRY_INTERVAL: 0.25, // seconds - minimum gap between re-plans after getting blocked
+        GOAL_TOLERANCE: 40, // pixels the goal may drift before the path is re-planned
+        BLOCKED_GIVE_UP_TIME: 1.5 // seconds stuck behind other tanks before a patrol target is abandoned
+    },
+    
+    REPLAY: {
+        FORMAT: 'alphatanks-replay',
+        VERSION: 1,
+        POSITION_DECIMALS: 1, // positions, health and hill values
+        ANGLE_DECIMALS: 3,
+        PLAYBACK_SPEEDS: [0.25, 0.5, 1, 2, 4],
+        HISTORY_SIZE: 5 // recent battle replays kept in memory
+    },
+    
+    // Custom map files (ScenarioLoader)
+    SCENARIO_FILE: {
+        FORMAT: 'alphatanks-scenario',
+        VERSION: 1,
+        HILL_RADIUS: 30 // hills without a radius
+    },
+    
+    // Playability checks for generated maps (MapValidator)
+    MAP_VALIDATION: {
+        ENABLED: true,
+        MAX_ATTEMPTS: 5, // maps tried per battle: the battle seed's, then derived seeds
+        MAX_PATH_ASYMMETRY: 0.35, // red and blue mean paths to the hill may differ by this fraction of the longer one
+        SEED_STRIDE: 7919 // derived seed n = battle seed + n * stride
+    },
+    
+    // Map editor (MapEditor)
+    MAP_EDITOR: {
+        SNAP: 10, // pixels - obstacles, spawn zones and the hill snap to this grid
+        HANDLE_SIZE: 10, // resize handle on a selected obstacle's bottom-right corner
+        MIN_OBSTACLE_SIZE: 10,
+        MIN_HILL_RADIUS: 15,
+        MAX_HILL_RADIUS: 150
+    },
+    
     DEBUG: {
         LOGGING_ENABLED: false,
         TRACE_BATTLE_END: false,
@@ -160,7 +293,16 @@ const GAME_CONFIG = {
         RED_QUEEN: {
             TEAM_SEPARATION: true,
             LINEAGE_TRACKING: true,
-            COUNTER_EVOLUTION: true
+            COUNTER_EVOLUTION: true,
+            // Past champions kept per team; every evolution generation also fights a sample of them, so a
+            // population that forgets how to beat an old strategy shows up as a regression instead of cycling unseen
+            HALL_OF_FAME: {
+                SIZE: 20, // champions kept per team (the oldest is dropped first)
+                OPPONENTS: 2, // hall-of-fame battles per team slice each generation
+                // The browser evolution fights one line-up per team at a time, so only each team's first
+                // BROWSER_CHALLENGES line-ups of a generation face a champion; its other battles stay red vs blue
+                BROWSER_CHALLENGES: 1
+            }
         },
         TACTICAL_METRICS: {
             COORDINATION_WEIGHT: 0.3,
@@ -188,7 +330,51 @@ const TANK_STATES = {
     RETREAT: 'retreat',
     GROUP: 'group',
     SEEK_HILL: 'seek_hill',
-    DEFEND_HILL: 'defend_hill'
+    DEFEND_HILL: 'defend_hill',
+    SEEK_FLAG: 'seek_flag',
+    CARRY_FLAG: 'carry_flag',
+    ESCORT_CARRIER: 'escort_carrier',
+    INTERCEPT_CARRIER: 'intercept_carrier',
+    CONTEST_POINT: 'contest_point',
+    PLAYER: 'player', // driven by a HumanController instead of TankAI
+    NEURAL: 'neural' // driven by a NeuralController instead of TankAI's state machine
+};
+
+// How a tank picks its behavior: the genome's trait-weighted priority chain, an evolved behavior tree,
+// or a neural network whose weights extend the genome
+const CONTROLLER_TYPES = {
+    TRAITS: 'traits',
+    BEHAVIOR_TREE: 'behavior_tree',
+    NEURAL_NETWORK: 'neural_network'
+};
+
+// How ScenarioScheduler picks the next scenario when it rotates: in order, at random by weight,
+// or through a fixed easy-to-hard curriculum that stays on its last scenario
+const ROTATION_POLICIES = {
+    ROUND_ROBIN: 'round_robin',
+    WEIGHTED: 'weighted',
+    CURRICULUM: 'curriculum'
+};
+
+// What ScenarioScheduler's rotation interval counts
+const ROTATION_UNITS = {
+    BATTLES: 'battles',
+    GENERATIONS: 'generations'
+};
+
+const GAME_MODES = {
+    KING_OF_HILL: 'king_of_hill',
+    CAPTURE_THE_FLAG: 'capture_the_flag',
+    DOMINATION: 'domination',
+    TEAM_DEATHMATCH: 'team_deathmatch'
+};
+
+// Obstacle types: what each one blocks is decided by ObstacleUtils
+const OBSTACLE_TYPES = {
+    COVER: 'cover', // blocks movement, partially blocks shots, can be seen over
+    BARRIER: 'barrier', // blocks movement, sight and shots
+    DESTRUCTIBLE: 'destructible', // like a barrier until projectiles wear its health down
+    ROUGH_TERRAIN: 'rough_terrain' // walkable, slows tanks down
 };
 
 const BATTLE_OUTCOMES = {
@@ -205,6 +391,11 @@ if (typeof module !== 'undefined' && module.exports) {
         TRAIT_NAMES,
         GAME_STATES,
         TANK_STATES,
+        GAME_MODES,
+        CONTROLLER_TYPES,
+        ROTATION_POLICIES,
+        ROTATION_UNITS,
+        OBSTACLE_TYPES,
         BATTLE_OUTCOMES
     };
 } else {
@@ -213,5 +404,10 @@ if (typeof module !== 'undefined' && module.exports) {
     window.TRAIT_NAMES = TRAIT_NAMES;
     window.GAME_STATES = GAME_STATES;
     window.TANK_STATES = TANK_STATES;
+    window.GAME_MODES = GAME_MODES;
+    window.CONTROLLER_TYPES = CONTROLLER_TYPES;
+    window.ROTATION_POLICIES = ROTATION_POLICIES;
+    window.ROTATION_UNITS = ROTATION_UNITS;
+    window.OBSTACLE_TYPES = OBSTACLE_TYPES;
     window.BATTLE_OUTCOMES = BATTLE_OUTCOMES;
 }
@@ -7,21 +7,22 @@
 class RefactoredMathUtils {
     /**
      * Generate Gaussian random number using Box-Muller transform
+     * All random helpers accept an optional rng ({ random() }) and default to Math
      */
-    static gaussianRandom(mean = 0, stdDev = 1) {
-        const u = Math.random();
-        const v = Math.random();
+    static gaussianRandom(mean = 0, stdDev = 1, rng = Math) {
+        const u = 1 - rng.random(); // (0, 1] - avoids log(0)
+        const v = rng.random();
         const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
         return z * stdDev + mean;
     }
-
+    
     /**
      * Clamp value between min and max
      */
     static clamp(value, min = 0, max = 1) {
         return Math.max(min, Math.min(max, value));
     }
-
+    
     /**
      * Calculate Euclidean distance between two points
      */
@@ -30,21 +31,21 @@ class RefactoredMathUtils {
         const dy = y2 - y1;
         return Math.sqrt(dx * dx + dy * dy);
     }
-
+    
     /**
      * Calculate distance between two objects with x,y properties
      */
     static distanceBetween(obj1, obj2) {
         return this.distance(obj1.x, obj1.y, obj2.x, obj2.y);
     }
-
+    
     /**
      * Calculate angle between two points
      */
     static angleBetween(x1, y1, x2, y2) {
         return Math.atan2(y2 - y1, x2 - x1);
     }
-
+    
     /**
      * Normalize angle to [-PI, PI] range
      */
@@ -57,14 +58,14 @@ class RefactoredMathUtils {
         }
         return angle;
     }
-
+    
     /**
      * Linear interpolation
      */
     static lerp(a, b, t) {
         return a + (b - a) * this.clamp(t, 0, 1);
     }
-
+    
     /**
      * Check if two line segments intersect
      * Returns true if line (x1,y1)-(x2,y2) intersects line (x3,y3)-(x4,y4)
@@ -78,14 +79,14 @@ class RefactoredMathUtils {
         const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denominator;
         return t >= 0 && t <= 1 && u >= 0 && u <= 1;
     }
-
+    
     /**
      * Check if point is inside rectangle
      */
     static pointInRect(px, py, rx, ry, rw, rh) {
         return px >= rx && px <= rx + rw && py >= ry && py <= ry + rh;
     }
-
+    
     /**
      * Check if two rectangles overlap
      */
@@ -95,7 +96,7 @@ class RefactoredMathUtils {
                 r1.y + r1.height < r2.y || 
                 r2.y + r2.height < r1.y);
     }
-
+    
     /**
      * Calculate similarity between two arrays
      */
@@ -109,7 +110,7 @@ class RefactoredMathUtils {
         }
         return similarity / arr1.length;
     }
-
+    
     /**
      * Calculate variance of an array
      */
@@ -120,14 +121,14 @@ class RefactoredMathUtils {
         const mean = values.reduce((sum, val) => sum + val, 0) / values.length;
         return values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
     }
-
+    
     /**
      * Calculate standard deviation
      */
     static standardDeviation(values) {
         return Math.sqrt(this.variance(values));
     }
-
+    
     /**
      * Calculate trend (simple linear regression slope)
      */
@@ -143,11 +144,11 @@ class RefactoredMathUtils {
         const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
         return slope;
     }
-
+    
     /**
      * Tournament selection from array of candidates
      */
-    static tournamentSelect(candidates, tournamentSize = 3) {
+    static tournamentSelect(candidates, tournamentSize = 3, rng = Math) {
         if (candidates.length === 0) {
             return null;
         }
@@ -158,40 +159,40 @@ class RefactoredMathUtils {
         }
         const tournament = [];
         for (let i = 0; i < tournamentSize; i++) {
-            const randomIndex = Math.floor(Math.random() * candidates.length);
+            const randomIndex = Math.floor(rng.random() * candidates.length);
             tournament.push(candidates[randomIndex]);
         }
         return tournament.reduce((best, current) => 
             current.fitness > best.fitness ? current : best
         );
     }
-
+    
     /**
      * Sigmoid function
      */
     static sigmoid(x) {
         return 1 / (1 + Math.exp(-x));
     }
-
+    
     /**
      * Random integer between min and max (inclusive)
      */
-    static randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+    static randomInt(min, max, rng = Math) {
+        return Math.floor(rng.random() * (max - min + 1)) + min;
     }
-
+    
     /**
      * Random float between min and max
      */
-    static randomFloat(min, max) {
-        return Math.random() * (max - min) + min;
+    static randomFloat(min, max, rng = Math) {
+        return rng.random() * (max - min) + min;
     }
-
+    
     /**
      * Random element from array
      */
-    static randomElement(array) {
-        return array[Math.floor(Math.random() * array.length)];
+    static randomElement(array, rng = Math) {
+        return array[Math.floor(rng.random() * array.length)];
     }
 }
 
@@ -199,10 +200,10 @@ class GenomeUtils {
     /**
      * Generate random genome with specified length
      */
-    static generateRandom(length = 9) {
-        return Array(length).fill(0).map(() => Math.random());
+    static generateRandom(length = 9, rng = Math) {
+        return Array(length).fill(0).map(() => rng.random());
     }
-
+    
     /**
      * Normalize genome to ensure valid format
      * Handles both array and object formats found in codebase
@@ -233,16 +234,16 @@ class GenomeUtils {
             return new Array(9).fill(0.5);
         }
     }
-
+    
     /**
      * Crossover two parent genomes
      */
-    static crossover(parent1, parent2, crossoverRate = 0.7) {
-        if (Math.random() > crossoverRate) {
-            return Math.random() < 0.5 ? [...parent1] : [...parent2];
+    static crossover(parent1, parent2, crossoverRate = 0.7, rng = Math) {
+        if (rng.random() > crossoverRate) {
+            return rng.random() < 0.5 ? [...parent1] : [...parent2];
         }
-
-        const crossoverPoint = Math.floor(Math.random() * parent1.length);
+        
+        const crossoverPoint = Math.floor(rng.random() * parent1.length);
         const child = [];
         
         for (let i = 0; i < parent1.length; i++) {
@@ -251,24 +252,24 @@ class GenomeUtils {
         
         return child;
     }
-
+    
     /**
      * Mutate genome with given mutation rate
      */
-    static mutate(genome, mutationRate = 0.1) {
+    static mutate(genome, mutationRate = 0.1, rng = Math) {
         const mutated = [...genome];
         for (let i = 0; i < mutated.length; i++) {
-            if (Math.random() < mutationRate) {
+            if (rng.random() < mutationRate) {
                 // Add gaussian noise for more natural mutations
                 mutated[i] = MathUtils.clamp(
-                    mutated[i] + MathUtils.gaussianRandom(0, 0.1), 
+                    mutated[i] + MathUtils.gaussianRandom(0, 0.1, rng), 
                     0, 1
                 );
             }
         }
         return mutated;
     }
-
+    
     /**
      * Calculate similarity between two genomes (handles different formats)
      */
@@ -277,14 +278,14 @@ class GenomeUtils {
         const norm2 = this.normalize(genome2);
         return MathUtils.arraySimilarity(norm1, norm2);
     }
-
+    
     /**
      * Classify strategy based on genome traits
      */
     static classifyStrategy(genome) {
         const normalized = this.normalize(genome);
         const [aggression, speed, accuracy, defense, teamwork, _adaptability, _learning, riskTaking, evasion] = normalized;
-
+        
         if (aggression > 0.7) {
             return 'Aggressive';
         }
@@ -308,7 +309,7 @@ class GenomeUtils {
         }
         return 'Balanced';
     }
-
+    
     /**
      * Analyze genome traits with named properties
      */
@@ -334,12 +335,12 @@ class GenomeUtils {
         
         return traits;
     }
-
+    
     /**
      * Generate team-specific genome with bias
      */
-    static generateTeamSpecific(team, baseGenome = null) {
-        const genome = baseGenome ? [...baseGenome] : this.generateRandom();
+    static generateTeamSpecific(team, baseGenome = null, rng = Math) {
+        const genome = baseGenome ? [...baseGenome] : this.generateRandom(9, rng);
         
         if (team === 'red') {
             // Red team: more aggressive and risk-taking
@@ -369,7 +370,7 @@ class CollisionUtils {
                obj1.y < obj2.y + obj2.height &&
                obj1.y + obj1.height > obj2.y;
     }
-
+    
     /**
      * Check if line of sight exists between two objects
      */
@@ -379,9 +380,13 @@ class CollisionUtils {
         }
         
         for (const obstacle of obstacles) {
+            // Cover and rough terrain can be seen over, destroyed obstacles are rubble
+            if (!ObstacleUtils.blocksSight(obstacle)) {
+                continue;
+            }
             if (this.lineIntersectsRect(obj1.x, obj1.y, obj2.x, obj2.y, obstacle)) {
                 // Phase 2: Track obstacle interaction for insights
-                if (window.engineerInsights && obj1.tankId) {
+                if (typeof window !== 'undefined' && window.engineerInsights && obj1.tankId) {
                     window.engineerInsights.trackObstacleInteraction(
                         obj1.tankId, 
                         'line_of_sight_blocked', 
@@ -393,7 +398,7 @@ class CollisionUtils {
         }
         return true;
     }
-
+    
     /**
      * Check if line intersects with rectangle
      */
@@ -406,6 +411,83 @@ class CollisionUtils {
     }
 }
 
+class ObstacleUtils {
+    /**
+     * Create a typed obstacle; destructible obstacles get their health pool
+     */
+    static create(x, y, width, height, type = GAME_CONFIG.OBSTACLES.DEFAULT_TYPE) {
+        const obstacle = { x, y, width, height, type };
+        if (type === OBSTACLE_TYPES.DESTRUCTIBLE) {
+            obstacle.health = GAME_CONFIG.OBSTACLES.DESTRUCTIBLE_HEALTH;
+            obstacle.maxHealth = obstacle.health;
+        }
+        return obstacle;
+    }
+    
+    /**
+     * Obstacle type, treating untyped rectangles as the default type
+     */
+    static getType(obstacle) {
+        return obstacle.type || GAME_CONFIG.OBSTACLES.DEFAULT_TYPE;
+    }
+    
+    /**
+     * Check if a destructible obstacle has been shot down to rubble
+     */
+    static isDestroyed(obstacle) {
+        return this.getType(obstacle) === OBSTACLE_TYPES.DESTRUCTIBLE && obstacle.health <= 0;
+    }
+    
+    /**
+     * Check if tanks have to drive around the obstacle
+     */
+    static blocksMovement(obstacle) {
+        return this.getType(obstacle) !== OBSTACLE_TYPES.ROUGH_TERRAIN && !this.isDestroyed(obstacle);
+    }
+    
+    /**
+     * Check if the obstacle hides what is behind it
+     */
+    static blocksSight(obstacle) {
+        const type = this.getType(obstacle);
+        return type === OBSTACLE_TYPES.BARRIER || (type === OBSTACLE_TYPES.DESTRUCTIBLE && !this.isDestroyed(obstacle));
+    }
+    
+    /**
+     * Check if projectiles can hit the obstacle at all (cover only stops some of them)
+     */
+    static stopsProjectiles(obstacle) {
+        return this.blocksMovement(obstacle);
+    }
+    
+    /**
+     * Speed multiplier for a tank body overlapping the obstacle
+     */
+    static getSpeedMultiplier(obstacle) {
+        return this.getType(obstacle) === OBSTACLE_TYPES.ROUGH_TERRAIN ? GAME_CONFIG.OBSTACLES.ROUGH_TERRAIN_SPEED : 1;
+    }
+    
+    /**
+     * Pick an obstacle type from { type: weight } using the given RNG
+     */
+    static pickType(weights, rng = Math) {
+        const entries = Object.entries(weights || {}).filter(([, weight]) => weight > 0);
+        if (entries.length === 0) {
+            return GAME_CONFIG.OBSTACLES.DEFAULT_TYPE;
+        }
+        
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = rng.random() * total;
+        for (const [type, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) {
+                return type;
+            }
+        }
+        return entries[entries.length - 1][0];
+    }
+}
+
 class DOMUtils {
     /**
      * Safely get element by ID with error handling
@@ -417,7 +499,7 @@ class DOMUtils {
         }
         return element;
     }
-
+    
     /**
      * Create element with attributes and styles
      */
@@ -434,7 +516,7 @@ class DOMUtils {
         
         return element;
     }
-
+    
     /**
      * Inject CSS into document head
      */
@@ -450,7 +532,7 @@ class DOMUtils {
         style.textContent = cssText;
         document.head.appendChild(style);
     }
-
+    
     /**
      * Remove element by ID
      */
@@ -460,7 +542,7 @@ class DOMUtils {
             element.remove();
         }
     }
-
+    
     /**
      * Add event listener with cleanup tracking
      */
@@ -486,7 +568,7 @@ class PerformanceUtils {
             }
         };
     }
-
+    
     /**
      * Debounce function execution
      */
@@ -499,7 +581,7 @@ class PerformanceUtils {
             timeoutId = setTimeout(() => func.apply(context, args), delay);
         };
     }
-
+    
     /**
      * Measure execution time
      */
@@ -510,7 +592,7 @@ class PerformanceUtils {
         // Performance timing removed for production
         return result;
     }
-
+    
     /**
      * Create performance monitor
      */
@@ -518,7 +600,7 @@ class PerformanceUtils {
         let frameCount = 0;
         let lastTime = performance.now();
         let fps = 0;
-
+        
         return {
             update() {
                 frameCount++;
@@ -541,7 +623,7 @@ class EventManager {
     constructor() {
         this.events = {};
     }
-
+    
     on(event, callback) {
         if (!this.events[event]) {
             this.events[event] = [];
@@ -551,13 +633,13 @@ class EventManager {
         // Return unsubscribe function
         return () => this.off(event, callback);
     }
-
+    
     off(event, callback) {
         if (this.events[event]) {
             this.events[event] = this.events[event].filter(cb => cb !== callback);
         }
     }
-
+    
     emit(event, data) {
         if (this.events[event]) {
             this.events[event].forEach(callback => {
@@ -569,7 +651,7 @@ class EventManager {
             });
         }
     }
-
+    
     clear() {
         this.events = {};
     }
@@ -579,7 +661,7 @@ class ChartManager {
     constructor() {
         this.charts = new Map();
     }
-
+    
     /**
      * Create or update chart
      */
@@ -594,7 +676,7 @@ class ChartManager {
         this.charts.set(canvasId, chart);
         return chart;
     }
-
+    
     /**
      * Destroy specific chart
      */
@@ -605,7 +687,7 @@ class ChartManager {
             this.charts.delete(canvasId);
         }
     }
-
+    
     /**
      * Destroy all charts
      */
@@ -613,7 +695,7 @@ class ChartManager {
         this.charts.forEach(chart => chart.destroy());
         this.charts.clear();
     }
-
+    
     /**
      * Get chart by canvas ID
      */
@@ -628,6 +710,7 @@ if (typeof module !== 'undefined' && module.exports) {
         MathUtils: RefactoredMathUtils,
         GenomeUtils,
         CollisionUtils,
+        ObstacleUtils,
         DOMUtils,
         PerformanceUtils,
         EventManager,
@@ -638,6 +721,7 @@ if (typeof module !== 'undefined' && module.exports) {
     window.MathUtils = RefactoredMathUtils;
     window.GenomeUtils = GenomeUtils;
     window.CollisionUtils = CollisionUtils;
+    window.ObstacleUtils = ObstacleUtils;
     window.DOMUtils = DOMUtils;
     window.PerformanceUtils = PerformanceUtils;
     window.EventManager = EventManager;
@@ -0,0 +1,484 @@
+/**
+ * Batch Runner - Runs many headless battles or whole evolution runs without a browser
+ * Drives a canvas-less GameEngine with fixed timesteps; used by the command-line tool (refactored/cli.js)
+ */
+
+class BatchRunner {
+    constructor(options = {}) {
+        const seedRange = globalThis.CONFIG?.asiArch?.battleScenarios?.seededEvaluation?.seedRange || [1000, 9999];
+        
+        this.options = {
+            scenarios: ['open_field'],
+            mode: GAME_MODES.KING_OF_HILL,
+            seedRange: [seedRange[0], seedRange[0] + 99],
+            redTeamSize: GAME_CONFIG.TEAMS.DEFAULT_SIZE,
+            blueTeamSize: GAME_CONFIG.TEAMS.DEFAULT_SIZE,
+            controller: CONTROLLER_TYPES.TRAITS,
+            redController: null, // per-team override of controller, e.g. a network team against trait-driven tanks
+            blueController: null,
+            redHealthMultiplier: 1,
+            blueHealthMultiplier: 1,
+            battles: 10,
+            generations: 0,
+            populationSize: GAME_CONFIG.EVOLUTION.POPULATION_SIZE,
+            mutationRate: GAME_CONFIG.EVOLUTION.MUTATION_RATE,
+            crossoverRate: GAME_CONFIG.EVOLUTION.CROSSOVER_RATE,
+            tournamentSize: GAME_CONFIG.EVOLUTION.TOURNAMENT_SIZE,
+            eliteRatio: 0.2,
+            hallOfFameSize: GAME_CONFIG.ASI_ARCH.RED_QUEEN.HALL_OF_FAME.SIZE,
+            hallOfFameOpponents: GAME_CONFIG.ASI_ARCH.RED_QUEEN.HALL_OF_FAME.OPPONENTS, // 0 turns hall-of-fame battles off
+            rotationPolicy: ROTATION_POLICIES.ROUND_ROBIN, // how the scenario list is walked (ScenarioScheduler)
+            rotationInterval: 1,
+            rotationUnit: ROTATION_UNITS.BATTLES,
+            multiScenario: false, // evolution: fight every line-up on every scenario and combine the scores (MultiScenarioEvaluator)
+            maxBattleTime: GAME_CONFIG.HEADLESS.MAX_SIMULATED_TIME,
+            ...options
+        };
+        
+        if (!Array.isArray(this.options.scenarios)) {
+            this.options.scenarios = [this.options.scenarios];
+        }
+        
+        // Multi-scenario evolution uses the chosen scenarios, or every configured one when only one was chosen
+        const configuredScenarios = Object.keys(globalThis.CONFIG?.asiArch?.battleScenarios?.scenarios || {});
+        this.evaluationScenarios = this.options.scenarios.length > 1 || configuredScenarios.length === 0 ?
+            this.options.scenarios : configuredScenarios;
+        this.scenarioWeights = MultiScenarioEvaluator.getWeights();
+        
+        this.engine = new GameEngine(null);
+        
+        // Genome sampling/breeding is seeded too, so an evolution run is reproducible end to end
+        this.rng = createSeededRNG(this.options.seedRange[0]);
+        
+        // Scenario and seed of every battle; weighted rotation draws from its own stream so it leaves breeding untouched
+        this.scheduler = new ScenarioScheduler({
+            enabled: true,
+            scenarios: this.options.scenarios,
+            policy: this.options.rotationPolicy,
+            interval: this.options.rotationInterval,
+            unit: this.options.rotationUnit,
+            seedRange: this.options.seedRange,
+            rng: createSeededRNG(this.options.seedRange[0] + 1)
+        });
+        
+        // Skill ratings of every genome and line-up across the whole run
+        this.ratings = new SkillRatings();
+        
+        // Past champions that every evolution generation is also tested against
+        this.hallOfFame = new HallOfFame({ size: this.options.hallOfFameSize, opponents: this.options.hallOfFameOpponents });
+        
+        // 'battle' after every battle, 'generation' after every evolution generation
+        this.events = new EventManager();
+    }
+    
+    /**
+     * Controller type (CONTROLLER_TYPES) driving a team's tanks
+     */
+    controllerFor(team) {
+        return this.options[`${team}Controller`] || this.options.controller;
+    }
+    
+    /**
+     * Run one battle to completion and score every tank
+     * behaviorTrees = { red, blue } lists a tree per tank when evolving behavior tree controllers
+     */
+    runBattle(redGenomes, blueGenomes, scenarioId, seed, behaviorTrees = null) {
+        const engine = this.engine;
+        engine.reset();
+        engine.initializeBattle(redGenomes.length, blueGenomes.length, this.options.mode, scenarioId, seed, {
+            redGenomes,
+            blueGenomes,
+            redBehaviorTrees: behaviorTrees?.red,
+            blueBehaviorTrees: behaviorTrees?.blue,
+            controllers: { red: this.controllerFor('red'), blue: this.controllerFor('blue') },
+            handicaps: {
+                red: { healthMultiplier: this.options.redHealthMultiplier },
+                blue: { healthMultiplier: this.options.blueHealthMultiplier }
+            }
+        });
+        
+        const result = engine.runToCompletion(this.options.maxBattleTime);
+        
+        return {
+            result,
+            redFitness: engine.redTeam.map(tank => tank.calculateFitness()),
+            blueFitness: engine.blueTeam.map(tank => tank.calculateFitness())
+        };
+    }
+    
+    /**
+     * Run a fixed number of battles between random genomes (and random behavior trees or networks for those controllers)
+     * Results are streamed through the 'battle' event; the return value is a win summary with the final ratings
+     */
+    runBattles(count = this.options.battles) {
+        const summary = BatchRunner.createSummary();
+        
+        for (let i = 0; i < count; i++) {
+            const red = this.createPopulation(this.options.redTeamSize, 'red');
+            const blue = this.createPopulation(this.options.blueTeamSize, 'blue');
+            this.recordBattle(
+                red.map(candidate => candidate.genome),
+                blue.map(candidate => candidate.genome),
+                null, summary, i, count,
+                BatchRunner.collectBehaviorTrees(red, blue)
+            );
+        }
+        
+        return { ...summary, ratings: this.ratings.toJSON() };
+    }
+    
+    /**
+     * Run a Red Queen evolution: separate red and blue populations, each bred from its own winners
+     * From the second generation on, every slice of each population also fights hallOfFameOpponents teams of
+     * the other side's past champions; those battles count towards fitness and fill the hall-of-fame matrix
+     * With multiScenario every line-up fights on each evaluation scenario and fitness combines the per-scenario
+     * averages with the multi-scenario weights; otherwise it is the average over all battles
+     */
+    runEvolution(generations = this.options.generations) {
+        const { populationSize, redTeamSize, blueTeamSize, hallOfFameOpponents, multiScenario } = this.options;
+        const lineUpScenarios = multiScenario ? this.evaluationScenarios : [null];
+        const summary = BatchRunner.createSummary();
+        this.hallOfFame.reset();
+        
+        let redPopulation = this.createPopulation(populationSize, 'red');
+        let bluePopulation = this.createPopulation(populationSize, 'blue');
+        
+        // Enough battles for every genome in both populations to fight at least once
+        const battlesPerGeneration = Math.ceil(populationSize / Math.min(redTeamSize, blueTeamSize));
+        const hallOfFameBattles = {
+            red: Math.ceil(populationSize / redTeamSize) * hallOfFameOpponents,
+            blue: Math.ceil(populationSize / blueTeamSize) * hallOfFameOpponents
+        };
+        const hallOfFameBattlesPerGeneration = hallOfFameBattles.red + hallOfFameBattles.blue;
+        const totalBattles = battlesPerGeneration * lineUpScenarios.length * generations +
+            hallOfFameBattlesPerGeneration * Math.max(generations - 1, 0);
+        let battleIndex = 0;
+        
+        for (let generation = 1; generation <= generations; generation++) {
+            const scores = {
+                red: redPopulation.map(() => BatchRunner.createScore()),
+                blue: bluePopulation.map(() => BatchRunner.createScore())
+            };
+            const redOrder = this.shuffledIndices(populationSize);
+            const blueOrder = this.shuffledIndices(populationSize);
+            
+            for (let b = 0; b < battlesPerGeneration; b++) {
+                const redIndices = this.takeSlice(redOrder, b * redTeamSize, redTeamSize);
+                const blueIndices = this.takeSlice(blueOrder, b * blueTeamSize, blueTeamSize);
+                const red = redIndices.map(i => redPopulation[i]);
+                const blue = blueIndices.map(i => bluePopulation[i]);
+                const redGenomes = red.map(candidate => candidate.genome);
+                const blueGenomes = blue.map(candidate => candidate.genome);
+                const behaviorTrees = BatchRunner.collectBehaviorTrees(red, blue);
+                
+                lineUpScenarios.forEach(scenarioId => {
+                    const outcome = this.recordBattle(redGenomes, blueGenomes, generation, summary, battleIndex++, totalBattles,
+                        behaviorTrees, null, scenarioId);
+                    const scenario = outcome.result.scenarioId;
+                    
+                    redIndices.forEach((populationIndex, tankIndex) => {
+                        BatchRunner.addScore(scores.red[populationIndex], scenario, outcome.redFitness[tankIndex]);
+                    });
+                    blueIndices.forEach((populationIndex, tankIndex) => {
+                        BatchRunner.addScore(scores.blue[populationIndex], scenario, outcome.blueFitness[tankIndex]);
+                    });
+                });
+            }
+            
+            // The first generation has no champions to face yet
+            if (generation > 1) {
+                [['red', redPopulation, redTeamSize], ['blue', bluePopulation, blueTeamSize]].forEach(([team, population, teamSize]) => {
+                    const order = this.shuffledIndices(populationSize);
+                    for (let b = 0; b < hallOfFameBattles[team]; b++) {
+                        const slice = Math.floor(b / hallOfFameOpponents);
+                        const indices = this.takeSlice(order, slice * teamSize, teamSize);
+                        const outcome = this.recordHallOfFameBattle(team, indices.map(i => population[i]), generation, summary, battleIndex++, totalBattles);
+                        indices.forEach((populationIndex, tankIndex) => {
+                            BatchRunner.addScore(scores[team][populationIndex], outcome.scenarioId, outcome.fitness[tankIndex]);
+                        });
+                    }
+                });
+            }
+            
+            // Fitness over every battle the genome fought this generation, with its per-scenario breakdown
+            redPopulation.forEach((candidate, i) => this.scoreCandidate(candidate, scores.red[i]));
+            bluePopulation.forEach((candidate, i) => this.scoreCandidate(candidate, scores.blue[i]));
+            
+            const red = BatchRunner.describePopulation(redPopulation);
+            const blue = BatchRunner.describePopulation(bluePopulation);
+            this.hallOfFame.induct('red', { genome: red.bestGenome, behaviorTree: red.bestBehaviorTree, fitness: red.bestFitness }, generation);
+            this.hallOfFame.induct('blue', { genome: blue.bestGenome, behaviorTree: blue.bestBehaviorTree, fitness: blue.bestFitness }, generation);
+            
+            this.events.emit('generation', {
+                generation,
+                generations,
+                red,
+                blue,
+                regressions: {
+                    red: this.hallOfFame.findRegressions('red', generation),
+                    blue: this.hallOfFame.findRegressions('blue', generation)
+                }
+            });
+            
+            this.scheduler.completeGeneration();
+            
+            // The final generation is reported as evaluated, not bred again
+            if (generation < generations) {
+                redPopulation = this.breed(redPopulation);
+                bluePopulation = this.breed(bluePopulation);
+            }
+        }
+        
+        return {
+            ...summary,
+            red: BatchRunner.describePopulation(redPopulation),
+            blue: BatchRunner.describePopulation(bluePopulation),
+            ratings: this.ratings.toJSON(),
+            hallOfFame: this.hallOfFame.toJSON()
+        };
+    }
+    
+    /**
+     * Battle between a slice of one team's population and a team of copies of a sampled champion of the other team
+     * Returns the challengers' fitness per tank; the outcome goes into the hall-of-fame matrix
+     */
+    recordHallOfFameBattle(team, challengers, generation, summary, index, total) {
+        const [champion] = this.hallOfFame.sample(team === 'red' ? 'blue' : 'red', 1, this.rng);
+        const opponentSize = this.options[team === 'red' ? 'blueTeamSize' : 'redTeamSize'];
+        const opponents = Array.from({ length: opponentSize }, () => ({ genome: champion.genome, behaviorTree: champion.behaviorTree }));
+        const [red, blue] = team === 'red' ? [challengers, opponents] : [opponents, challengers];
+        
+        const outcome = this.recordBattle(
+            red.map(candidate => candidate.genome),
+            blue.map(candidate => candidate.genome),
+            generation, summary, index, total,
+            BatchRunner.collectBehaviorTrees(red, blue),
+            { team, championId: champion.id, championGeneration: champion.generation }
+        );
+        
+        const winner = outcome.result.winner;
+        const challengerWon = team === 'red' ? BATTLE_OUTCOMES.RED_WINS : BATTLE_OUTCOMES.BLUE_WINS;
+        const championWon = team === 'red' ? BATTLE_OUTCOMES.BLUE_WINS : BATTLE_OUTCOMES.RED_WINS;
+        this.hallOfFame.record(team, generation, champion, winner === challengerWon ? 1 : winner === championWon ? -1 : 0);
+        
+        return { fitness: team === 'red' ? outcome.redFitness : outcome.blueFitness, scenarioId: outcome.result.scenarioId };
+    }
+    
+    /**
+     * Set a candidate's fitness and per-scenario average scores from its accumulated battle scores
+     */
+    scoreCandidate(candidate, score) {
+        const scenarioScores = {};
+        Object.entries(score.scenarios).forEach(([scenarioId, entry]) => {
+            scenarioScores[scenarioId] = entry.total / entry.battles;
+        });
+        candidate.scenarioScores = scenarioScores;
+        if (this.options.multiScenario) {
+            candidate.fitness = MultiScenarioEvaluator.combine(scenarioScores, this.scenarioWeights).fitness;
+        } else {
+            candidate.fitness = score.battles > 0 ? score.total / score.battles : 0;
+        }
+    }
+    
+    /**
+     * Run one battle, update the summary and emit it
+     * hallOfFame = { team, championId, championGeneration } marks a battle against a past champion;
+     * scenarioId overrides the scheduled scenario; the battle then only takes the next seed and does not count
+     * towards the rotation
+     */
+    recordBattle(redGenomes, blueGenomes, generation, summary, index, total, behaviorTrees = null, hallOfFame = null, scenarioId = null) {
+        const schedule = scenarioId ? { scenarioId, seed: this.scheduler.nextSeed() } : this.scheduler.nextBattle();
+        const outcome = this.runBattle(redGenomes, blueGenomes, schedule.scenarioId, schedule.seed, behaviorTrees);
+        
+        BatchRunner.countOutcome(summary, outcome.result.winner);
+        const teamRatings = this.ratings.recordBattle(outcome.result);
+        
+        this.events.emit('battle', {
+            index,
+            total,
+            generation,
+            result: outcome.result,
+            redGenomes,
+            blueGenomes,
+            behaviorTrees,
+            hallOfFame,
+            controllers: { red: this.controllerFor('red'), blue: this.controllerFor('blue') },
+            ratings: {
+                red: redGenomes.map(genome => this.ratings.getRating(genome)),
+                blue: blueGenomes.map(genome => this.ratings.getRating(genome)),
+                redTeam: teamRatings.red,
+                blueTeam: teamRatings.blue
+            }
+        });
+        
+        return outcome;
+    }
+    
+    /**
+     * Unevaluated population of random genomes for a team, shaped by its controller:
+     * behavior tree controllers get a tree per genome, neural networks an extended genome holding the weights
+     */
+    createPopulation(size, team) {
+        const controller = this.controllerFor(team);
+        const trees = controller === CONTROLLER_TYPES.BEHAVIOR_TREE ? this.randomBehaviorTrees(size) : [];
+        const genomes = controller === CONTROLLER_TYPES.NEURAL_NETWORK ?
+            Array.from({ length: size }, () => NeuralController.generateGenome(this.rng)) :
+            this.randomGenomes(size);
+        return genomes.map((genome, i) => ({ genome, behaviorTree: trees[i] || null, fitness: 0 }));
+    }
+    
+    /**
+     * Next generation for one team: elites survive, the rest are tournament-bred children
+     * Behavior trees are bred alongside the genomes by subtree crossover and mutation
+     */
+    breed(population) {
+        const { mutationRate, crossoverRate, tournamentSize, eliteRatio } = this.options;
+        const sorted = [...population].sort((a, b) => b.fitness - a.fitness);
+        const eliteCount = Math.max(1, Math.floor(population.length * eliteRatio));
+        const next = sorted.slice(0, eliteCount).map(candidate => ({
+            genome: [...candidate.genome],
+            behaviorTree: candidate.behaviorTree ? BehaviorTree.clone(candidate.behaviorTree) : null,
+            fitness: 0
+        }));
+        
+        while (next.length < population.length) {
+            const parent1 = MathUtils.tournamentSelect(sorted, tournamentSize, this.rng);
+            const parent2 = MathUtils.tournamentSelect(sorted, tournamentSize, this.rng);
+            const child = GenomeUtils.crossover(parent1.genome, parent2.genome, crossoverRate, this.rng);
+            let behaviorTree = null;
+            if (parent1.behaviorTree && parent2.behaviorTree) {
+                const childTree = BehaviorTree.crossover(parent1.behaviorTree, parent2.behaviorTree, crossoverRate, this.rng);
+                behaviorTree = BehaviorTree.mutate(childTree, mutationRate, this.rng, this.options.mode);
+            }
+            next.push({ genome: GenomeUtils.mutate(child, mutationRate, this.rng), behaviorTree, fitness: 0 });
+        }
+        
+        return next;
+    }
+    
+    /**
+     * Starting behavior trees: mutated copies of the default tree, so evolution starts from sensible play
+     */
+    randomBehaviorTrees(count) {
+        const trees = [];
+        for (let i = 0; i < count; i++) {
+            trees.push(BehaviorTree.mutate(BehaviorTree.createDefault(), GAME_CONFIG.BEHAVIOR_TREE.INITIAL_MUTATION_RATE, this.rng, this.options.mode));
+        }
+        return trees;
+    }
+    
+    /**
+     * Random genomes drawn from the runner RNG
+     */
+    randomGenomes(count) {
+        const genomes = [];
+        for (let i = 0; i < count; i++) {
+            genomes.push(GenomeUtils.generateRandom(GAME_CONFIG.EVOLUTION.GENOME_LENGTH, this.rng));
+        }
+        return genomes;
+    }
+    
+    /**
+     * Fisher-Yates shuffled list of 0..count-1
+     */
+    shuffledIndices(count) {
+        const indices = Array.from({ length: count }, (_, i) => i);
+        for (let i = indices.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng.random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return indices;
+    }
+    
+    /**
+     * Take size entries starting at start, wrapping around (last battle tops up from the front)
+     */
+    takeSlice(list, start, size) {
+        const slice = [];
+        for (let i = 0; i < size; i++) {
+            slice.push(list[(start + i) % list.length]);
+        }
+        return slice;
+    }
+    
+    /**
+     * Per-tank behavior trees for a battle, or null when neither side uses them
+     */
+    static collectBehaviorTrees(red, blue) {
+        if (!red.some(candidate => candidate.behaviorTree) && !blue.some(candidate => candidate.behaviorTree)) {
+            return null;
+        }
+        return {
+            red: red.map(candidate => candidate.behaviorTree),
+            blue: blue.map(candidate => candidate.behaviorTree)
+        };
+    }
+    
+    /**
+     * Empty win/loss summary
+     */
+    static createSummary() {
+        return { battles: 0, redWins: 0, blueWins: 0, draws: 0, timeouts: 0 };
+    }
+    
+    /**
+     * Add one battle outcome to a summary
+     */
+    static countOutcome(summary, winner) {
+        summary.battles++;
+        if (winner === BATTLE_OUTCOMES.RED_WINS) {
+            summary.redWins++;
+        } else if (winner === BATTLE_OUTCOMES.BLUE_WINS) {
+            summary.blueWins++;
+        } else if (winner === BATTLE_OUTCOMES.TIMEOUT) {
+            summary.timeouts++;
+        } else {
+            summary.draws++;
+        }
+    }
+    
+    /**
+     * Empty fitness accumulator for one genome: all battles plus a total per scenario
+     */
+    static createScore() {
+        return { total: 0, battles: 0, scenarios: {} };
+    }
+    
+    /**
+     * Add one battle's fitness to a genome's accumulator (battles without a scenario count as 'default')
+     */
+    static addScore(score, scenarioId, fitness) {
+        const key = scenarioId || 'default';
+        if (!score.scenarios[key]) {
+            score.scenarios[key] = { total: 0, battles: 0 };
+        }
+        score.total += fitness;
+        score.battles++;
+        score.scenarios[key].total += fitness;
+        score.scenarios[key].battles++;
+    }
+    
+    /**
+     * Best/average fitness and best genome (and behavior tree, if evolved) of a population
+     * bestScenarioScores is the best genome's average fitness per scenario
+     */
+    static describePopulation(population) {
+        const best = population.reduce((top, candidate) => candidate.fitness > top.fitness ? candidate : top, population[0]);
+        const averageFitness = population.reduce((sum, candidate) => sum + candidate.fitness, 0) / population.length;
+        
+        return {
+            bestFitness: best.fitness,
+            averageFitness,
+            bestGenome: best.genome,
+            bestBehaviorTree: best.behaviorTree || null,
+            bestScenarioScores: best.scenarioScores || {}
+        };
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchRunner };
+} else {
+    window.BatchRunner = BatchRunner;
+}
@@ -9,7 +9,13 @@ class BattlefieldManager {
         this.height = height;
         this.obstacles = [];
         this.hill = null;
-        this.mode = 'king_of_hill';
+        this.flags = null;
+        this.controlPoints = null;
+        this.deathmatch = null;
+        this.spawnZones = null; // { red, blue } pixel rectangles from a scenario file; null uses the formation
+        this.mode = GAME_MODES.KING_OF_HILL;
+        this.navigationGrid = null;
+        this.spatialIndex = new SpatialIndex(width, height);
         
         this.createObstacles();
     }
@@ -80,13 +86,77 @@ class BattlefieldManager {
     }
     
     /**
-     * Update battlefield elements
+     * Default flag bases: one per team, centred vertically and inset from the team's spawn-side edge
      */
-    update(deltaTime, tanks) {
-        if (this.hill && this.mode === 'king_of_hill') {
-            const aliveTanks = tanks.filter(tank => tank.isAlive);
-            this.hill.update(deltaTime, aliveTanks);
+    getFlagBases() {
+        const inset = GAME_CONFIG.BATTLE.CAPTURE_THE_FLAG.BASE_INSET;
+        return {
+            red: { x: inset, y: this.height / 2 },
+            blue: { x: this.width - inset, y: this.height / 2 }
+        };
+    }
+    
+    /**
+     * Initialize Capture the Flag mode (replaces any hill from an earlier battle)
+     */
+    initializeCaptureTheFlag(bases = this.getFlagBases()) {
+        this.hill = null;
+        this.controlPoints = null;
+        this.flags = new FlagControl(bases.red, bases.blue);
+    }
+    
+    /**
+     * Default domination points (GAME_CONFIG.BATTLE.DOMINATION.DEFAULT_POINTS) in pixels
+     */
+    getDominationPoints() {
+        return GAME_CONFIG.BATTLE.DOMINATION.DEFAULT_POINTS.map(point => ({
+            x: point.x * this.width,
+            y: point.y * this.height
+        }));
+    }
+    
+    /**
+     * Initialize Domination mode (replaces any hill or flags from an earlier battle)
+     */
+    initializeDomination(points = this.getDominationPoints(), scoreToWin = GAME_CONFIG.BATTLE.DOMINATION.SCORE_TO_WIN) {
+        this.hill = null;
+        this.flags = null;
+        this.controlPoints = new DominationControl(points, scoreToWin);
+    }
+    
+    /**
+     * Initialize Team Deathmatch mode; respawn positions are drawn from the battle RNG
+     */
+    initializeTeamDeathmatch(rng = Math, killsToWin = GAME_CONFIG.BATTLE.TEAM_DEATHMATCH.KILLS_TO_WIN) {
+        this.hill = null;
+        this.flags = null;
+        this.controlPoints = null;
+        this.deathmatch = new DeathmatchControl((team, index, teamSize, occupied) =>
+            this.getSpawnPosition(team, index, teamSize, rng, occupied), killsToWin);
+    }
+    
+    /**
+     * Update battlefield elements; rng is the battle's random stream (hill capture effects)
+     */
+    update(deltaTime, tanks, rng = Math) {
+        const aliveTanks = tanks.filter(tank => tank.isAlive);
+        
+        if (this.hill && this.mode === GAME_MODES.KING_OF_HILL) {
+            this.hill.update(deltaTime, aliveTanks, rng);
+        }
+        if (this.flags && this.mode === GAME_MODES.CAPTURE_THE_FLAG) {
+            this.flags.update(deltaTime, aliveTanks);
+        }
+        if (this.controlPoints && this.mode === GAME_MODES.DOMINATION) {
+            this.controlPoints.update(deltaTime, aliveTanks, rng);
+        }
+        if (this.deathmatch && this.mode === GAME_MODES.TEAM_DEATHMATCH) {
+            // Needs the destroyed tanks too, to score them and bring them back
+            this.deathmatch.update(deltaTime, tanks);
         }
+        
+        // Tanks have moved this tick; re-index them for projectile collision checks
+        this.updateSpatialIndex(aliveTanks);
     }
     
     /**
@@ -96,9 +166,18 @@ class BattlefieldManager {
         this.drawGrid(ctx);
         this.drawObstacles(ctx);
         
-        if (this.hill && this.mode === 'king_of_hill') {
+        if (this.hill && this.mode === GAME_MODES.KING_OF_HILL) {
             this.hill.render(ctx);
         }
+        if (this.flags && this.mode === GAME_MODES.CAPTURE_THE_FLAG) {
+            this.flags.render(ctx);
+        }
+        if (this.controlPoints && this.mode === GAME_MODES.DOMINATION) {
+            this.controlPoints.render(ctx);
+        }
+        if (this.deathmatch && this.mode === GAME_MODES.TEAM_DEATHMATCH) {
+            this.deathmatch.render(ctx, this.width);
+        }
     }
     
     /**
@@ -125,94 +204,128 @@ class BattlefieldManager {
     }
     
     /**
-     * Draw obstacles
+     * Draw obstacles, ground-level rough terrain first so solid obstacles sit on top of it
      */
     drawObstacles(ctx) {
+        const colors = GAME_CONFIG.UI.COLORS;
+        
+        this.obstacles.forEach(obstacle => {
+            if (ObstacleUtils.getType(obstacle) === OBSTACLE_TYPES.ROUGH_TERRAIN) {
+                ctx.fillStyle = colors.OBSTACLE_ROUGH_TERRAIN;
+                ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+            }
+        });
+        
         this.obstacles.forEach(obstacle => {
-            ctx.fillStyle = obstacle.type === 'cover' ? 
-                GAME_CONFIG.UI.COLORS.OBSTACLE_COVER : 
-                GAME_CONFIG.UI.COLORS.OBSTACLE_BARRIER;
+            const type = ObstacleUtils.getType(obstacle);
+            
+            if (type === OBSTACLE_TYPES.ROUGH_TERRAIN) {
+                return;
+            }
+            
+            if (ObstacleUtils.isDestroyed(obstacle)) {
+                // Rubble outline so the breach stays readable
+                ctx.strokeStyle = colors.OBSTACLE_DESTRUCTIBLE;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 4]);
+                ctx.strokeRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+                ctx.setLineDash([]);
+                return;
+            }
+            
+            if (type === OBSTACLE_TYPES.COVER) {
+                ctx.fillStyle = colors.OBSTACLE_COVER;
+                ctx.strokeStyle = '#666';
+            } else if (type === OBSTACLE_TYPES.DESTRUCTIBLE) {
+                ctx.fillStyle = colors.OBSTACLE_DESTRUCTIBLE;
+                ctx.strokeStyle = '#a07040';
+            } else {
+                ctx.fillStyle = colors.OBSTACLE_BARRIER;
+                ctx.strokeStyle = '#888';
+            }
             ctx.fillRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
             
             // Add border for visual clarity
-            ctx.strokeStyle = obstacle.type === 'cover' ? '#666' : '#888';
             ctx.lineWidth = 2;
             ctx.strokeRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+            
+            // Damaged destructibles show how much is left along their top edge
+            if (type === OBSTACLE_TYPES.DESTRUCTIBLE && obstacle.health < obstacle.maxHealth) {
+                ctx.fillStyle = '#ffaa00';
+                ctx.fillRect(obstacle.x, obstacle.y - 4, obstacle.width * (obstacle.health / obstacle.maxHealth), 2);
+            }
         });
     }
     
     /**
-     * Get spawn position for team (safe from obstacles)
+     * Get spawn position (tank top-left) for one tank of a team (safe from obstacles)
+     * Tanks fill a formation slot near their own edge, jittered a little and nudged further out if the slot is blocked
+     * by an obstacle or by one of the occupied tanks
      */
-    getSpawnPosition(team, _index, _teamSize) {
-        const config = GAME_CONFIG.BATTLEFIELD;
-        const tankSize = 20; // Typical tank size for collision checking
-        let attempts = 0;
+    getSpawnPosition(team, index = 0, teamSize = 1, rng = Math, occupied = []) {
+        const config = GAME_CONFIG.TEAMS;
+        const tank = GAME_CONFIG.TANK;
+        const slot = this.getFormationSlot(team, index, teamSize);
         const maxAttempts = 50; // Prevent infinite loops
         
-        // Fixed positioning relative to left edge for perfect visual balance
-        const hillX = 400; // Hill at fixed position
-        const hillY = this.height / 2;
-        const redX = 100;   // Red team at fixed position
-        const blueX = 700;  // Blue team at fixed position
-        
-        // Calculate distance from positions to hill for logging
-        const spawnDistance = Math.abs(hillX - redX); // Should be 300 for both teams
-        
-        while (attempts < maxAttempts) {
-            let spawnPos;
-            
-            if (team === 'red') {
-                // Spawn red team at fixed X position with vertical spread
-                const xPos = redX;
-                const verticalRange = Math.min(200, hillY - tankSize, this.height - hillY - tankSize);
-                const yOffset = (Math.random() - 0.5) * verticalRange * 1.5;
-                spawnPos = {
-                    x: xPos,
-                    y: hillY + yOffset
-                };
-            } else {
-                // Spawn blue team at fixed X position with identical vertical spread
-                const xPos = blueX;
-                const verticalRange = Math.min(200, hillY - tankSize, this.height - hillY - tankSize);
-                const yOffset = (Math.random() - 0.5) * verticalRange * 1.5;
-                spawnPos = {
-                    x: xPos,
-                    y: hillY + yOffset
-                };
-            }
+        for (let attempts = 0; attempts < maxAttempts; attempts++) {
+            // Search a little wider around the slot each time it is blocked (crowded maps push tanks into other lanes)
+            const jitter = Math.min(config.SPAWN_JITTER * (1 + attempts), config.SPAWN_INSET * 2);
+            const spawnPos = {
+                x: slot.x - tank.WIDTH / 2 + (rng.random() - 0.5) * 2 * jitter,
+                y: slot.y - tank.HEIGHT / 2 + (rng.random() - 0.5) * 2 * jitter
+            };
             
-            // Verify the position is within battlefield boundaries (should be guaranteed now)
-            if (spawnPos.x >= tankSize && spawnPos.x <= this.width - tankSize &&
-                spawnPos.y >= tankSize && spawnPos.y <= this.height - tankSize) {
-                
-                // Check if this position is safe (not in an obstacle)
-                if (this.isValidPosition(spawnPos.x - tankSize/2, spawnPos.y - tankSize/2, tankSize, tankSize)) {
-                    // Verify equidistance from hill (calculation only, no logging)
-                    const actualDistance = Math.sqrt(Math.pow(spawnPos.x - hillX, 2) + Math.pow(spawnPos.y - hillY, 2));
-                    return spawnPos;
-                }
+            if (spawnPos.x >= 0 && spawnPos.x <= this.width - tank.WIDTH &&
+                spawnPos.y >= 0 && spawnPos.y <= this.height - tank.HEIGHT &&
+                this.isValidPosition(spawnPos.x, spawnPos.y, tank.WIDTH, tank.HEIGHT) &&
+                !occupied.some(other => MathUtils.rectOverlap({ ...spawnPos, width: tank.WIDTH, height: tank.HEIGHT }, other))) {
+                return spawnPos;
             }
-            
-            attempts++;
         }
         
-        // Fallback: if we can't find a safe spawn after many attempts, 
-        // return a position at the edge of the spawn area, still equidistant from hill
+        // Fallback: if we can't find a safe spawn after many attempts, use the bare formation slot
         console.warn(`Could not find safe spawn for ${team} team after ${maxAttempts} attempts, using fallback position`);
+        return {
+            x: slot.x - tank.WIDTH / 2,
+            y: slot.y - tank.HEIGHT / 2
+        };
+    }
+    
+    /**
+     * Center of a tank's slot in its team's formation
+     * Up to MAX_PER_COLUMN tanks stand in a column centered on the battlefield's midline; larger teams add
+     * columns further back toward their own edge. Blue mirrors red so equal teams start equally far from the center
+     * A team with a spawn zone spreads over a grid inside the zone instead
+     */
+    getFormationSlot(team, index, teamSize) {
+        const config = GAME_CONFIG.TEAMS;
+        const size = Math.max(1, teamSize);
+        const slotIndex = Math.max(0, Math.min(size - 1, index));
         
-        const fallbackDistance = spawnDistance * 0.8; // Slightly closer as fallback
-        if (team === 'red') {
+        const zone = this.spawnZones?.[team];
+        if (zone) {
+            const columns = Math.max(1, Math.min(size, Math.round(Math.sqrt(size * zone.width / zone.height))));
+            const rows = Math.ceil(size / columns);
             return {
-                x: Math.max(tankSize, hillX - fallbackDistance),
-                y: hillY
-            };
-        } else {
-            return {
-                x: Math.min(this.width - tankSize, hillX + fallbackDistance),
-                y: hillY
+                x: zone.x + ((slotIndex % columns) + 0.5) * zone.width / columns,
+                y: zone.y + (Math.floor(slotIndex / columns) + 0.5) * zone.height / rows
             };
         }
+        
+        const perColumn = Math.min(size, config.MAX_PER_COLUMN);
+        const column = Math.floor(slotIndex / perColumn);
+        const row = slotIndex % perColumn;
+        const rowsInColumn = Math.min(perColumn, size - column * perColumn);
+        
+        // Squeeze rows together if a full column would not fit the battlefield height
+        const rowSpacing = Math.min(config.ROW_SPACING, (this.height - GAME_CONFIG.TANK.HEIGHT * 2) / rowsInColumn);
+        const edgeDistance = Math.max(GAME_CONFIG.TANK.WIDTH, config.SPAWN_INSET - column * config.COLUMN_SPACING);
+        
+        return {
+            x: team === 'red' ? edgeDistance : this.width - edgeDistance,
+            y: this.height / 2 + (row - (rowsInColumn - 1) / 2) * rowSpacing
+        };
     }
     
     /**
@@ -220,7 +333,72 @@ class BattlefieldManager {
      */
     isValidPosition(x, y, width = 0, height = 0) {
         const testRect = { x, y, width, height };
-        return !this.obstacles.some(obstacle => MathUtils.rectOverlap(testRect, obstacle));
+        return !this.obstacles.some(obstacle =>
+            ObstacleUtils.blocksMovement(obstacle) && MathUtils.rectOverlap(testRect, obstacle)
+        );
+    }
+    
+    /**
+     * Apply projectile damage to a destructible obstacle
+     * A destroyed obstacle stays in the list as rubble (keeps replay indices stable) but no longer blocks anything
+     */
+    damageObstacle(obstacle, damage) {
+        if (ObstacleUtils.getType(obstacle) !== OBSTACLE_TYPES.DESTRUCTIBLE || ObstacleUtils.isDestroyed(obstacle)) {
+            return false;
+        }
+        
+        obstacle.health = Math.max(0, obstacle.health - damage);
+        if (obstacle.health > 0) {
+            return false;
+        }
+        
+        // The breach opens new routes
+        this.invalidateNavigationGrid();
+        return true;
+    }
+    
+    /**
+     * Get the navigation grid for tank pathfinding, rebuilding it when the obstacle layout changed
+     * Scenarios replace the obstacles array wholesale, so the array reference and size identify a layout
+     */
+    getNavigationGrid() {
+        const grid = this.navigationGrid;
+        const stale = !grid || grid.obstacles !== this.obstacles || grid.obstacleCount !== this.obstacles.length ||
+            grid.width !== this.width || grid.height !== this.height;
+        
+        if (stale) {
+            this.navigationGrid = new NavigationGrid(this.width, this.height, this.obstacles);
+        }
+        
+        return this.navigationGrid;
+    }
+    
+    /**
+     * Force the navigation grid to be rebuilt (call after moving or resizing obstacles in place)
+     */
+    invalidateNavigationGrid() {
+        this.navigationGrid = null;
+    }
+    
+    /**
+     * Check if the spatial hash broadphase is used for collisions and perception
+     */
+    isBroadphaseEnabled() {
+        return GAME_CONFIG.PERFORMANCE.OPTIMIZATION.BATCH_COLLISION_CHECK;
+    }
+    
+    /**
+     * Bring the spatial index up to date with the obstacle layout and tank positions
+     */
+    updateSpatialIndex(tanks) {
+        if (!this.isBroadphaseEnabled()) {
+            return;
+        }
+        if (this.spatialIndex.width !== this.width || this.spatialIndex.height !== this.height) {
+            this.spatialIndex = new SpatialIndex(this.width, this.height);
+        }
+        this.spatialIndex.setObstacles(this.obstacles);
+        this.spatialIndex.indexTanks(tanks);
     }
     
     /**
@@ -232,7 +410,12 @@ class BattlefieldManager {
             height: this.height,
             obstacles: this.obstacles,
             hill: this.hill,
-            mode: this.mode
+            flags: this.mode === GAME_MODES.CAPTURE_THE_FLAG ? this.flags : null,
+            controlPoints: this.mode === GAME_MODES.DOMINATION ? this.controlPoints : null,
+            deathmatch: this.mode === GAME_MODES.TEAM_DEATHMATCH ? this.deathmatch : null,
+            mode: this.mode,
+            navigationGrid: typeof NavigationGrid !== 'undefined' ? this.getNavigationGrid() : null,
+            spatialIndex: this.isBroadphaseEnabled() ? this.spatialIndex : null
         };
     }
 }
@@ -271,8 +454,9 @@ class CombatManager {
     
     /**
      * Check collisions between projectiles and targets
+     * rng decides which projectiles crossing cover get stopped by it
      */
-    checkCollisions(tanks, battlefield) {
+    checkCollisions(tanks, battlefield, rng = Math) {
         const aliveTanks = tanks.filter(tank => tank.isAlive);
         
         // Early exit if no entities to check
@@ -280,15 +464,20 @@ class CombatManager {
             return;
         }
         
+        // Broadphase: only test tanks and obstacles in cells near each projectile
+        const spatialIndex = battlefield.isBroadphaseEnabled() ? battlefield.spatialIndex : null;
+        
         // Check projectile-tank collisions
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const projectile = this.projectiles[i];
+            const { x, y, width, height } = projectile;
+            const nearbyTanks = spatialIndex ? spatialIndex.tanksNear(x, y, width, height) : aliveTanks;
             let hit = false;
             
             // Check collision with tanks
-            for (let j = 0; j < aliveTanks.length && !hit; j++) {
-                const tank = aliveTanks[j];
-                if (tank.team !== projectile.team && CollisionUtils.isColliding(projectile, tank)) {
+            for (let j = 0; j < nearbyTanks.length && !hit; j++) {
+                const tank = nearbyTanks[j];
+                if (tank.isAlive && tank.team !== projectile.team && CollisionUtils.isColliding(projectile, tank)) {
                     hit = projectile.hit(tank);
                     if (hit) {
                         this.projectiles.splice(i, 1);
@@ -298,12 +487,27 @@ class CombatManager {
             
             // Check collision with obstacles
             if (!hit) {
-                for (const obstacle of battlefield.obstacles) {
-                    if (CollisionUtils.isColliding(projectile, obstacle)) {
-                        projectile.hitObstacle();
-                        this.projectiles.splice(i, 1);
-                        break;
+                const nearbyObstacles = spatialIndex ? spatialIndex.obstaclesNear(x, y, width, height) : battlefield.obstacles;
+                for (const obstacle of nearbyObstacles) {
+                    if (!ObstacleUtils.stopsProjectiles(obstacle) || !CollisionUtils.isColliding(projectile, obstacle)) {
+                        continue;
                     }
+                    
+                    // Cover gets one roll per projectile; shots that clear it fly on over the top
+                    if (ObstacleUtils.getType(obstacle) === OBSTACLE_TYPES.COVER) {
+                        if (projectile.clearedCover.includes(obstacle)) {
+                            continue;
+                        }
+                        if (rng.random() >= GAME_CONFIG.OBSTACLES.COVER_BLOCK_CHANCE) {
+                            projectile.clearedCover.push(obstacle);
+                            continue;
+                        }
+                    }
+                    
+                    battlefield.damageObstacle(obstacle, projectile.damage);
+                    projectile.hitObstacle();
+                    this.projectiles.splice(i, 1);
+                    break;
                 }
             }
         }
@@ -396,7 +600,8 @@ class BattleStatsManager {
                 averageAccuracy: 0,
                 averageSurvivalTime: 0,
                 totalKills: 0,
-                survivors: 0
+                survivors: 0,
+                tankEngagementDistances: []
             };
         }
         
@@ -418,7 +623,12 @@ class BattleStatsManager {
             totalDamageDealt: totalDamageDealt,
             totalDamageTaken: totalDamageTaken,
             shotsFired: totalShots,
-            shotsHit: totalHits
+            shotsHit: totalHits,
+            // Per tank, in team order: average distance to its target when firing (null if it never fired at one)
+            tankEngagementDistances: teamTanks.map(tank => {
+                const distances = tank.stats.engagementDistances;
+                return distances.length > 0 ? distances.reduce((sum, d) => sum + d, 0) / distances.length : null;
+            })
         };
     }
     
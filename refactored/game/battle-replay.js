@@ -0,0 +1,624 @@
+/**
+ * Battle Replay - Records battles tick by tick and plays them back on the game canvas
+ * BattleRecorder is driven by GameEngine.update(); ReplayPlayer feeds recorded frames
+ * through the normal GameEngine.render() / BattlefieldManager.render() path
+ */
+
+// Compact codes used inside frames
+const REPLAY_TEAM_CODES = { red: 0, blue: 1 };
+const REPLAY_HILL_OWNERS = [null, 'red', 'blue'];
+
+/**
+ * Round to a fixed number of decimals (keeps replay JSON small)
+ */
+function roundReplayValue(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Battle Recorder - Captures per-tick battle state into a compact replay object
+ *
+ * Frame layout: [time, battleTime, tanks, projectiles, hill, obstacleHealth, flags, controlPoints, deathmatch]
+ *   tanks          - one entry per tank in header order: [x, y, angle, health, stateIndex] or 0 when destroyed
+ *   projectiles    - flat list of x, y, teamCode triples
+ *   hill           - [ownerCode, controlProgress, redControlTime, blueControlTime, redScore, blueScore] or 0
+ *   obstacleHealth - health of each destructible obstacle in header order, or 0 when there are none
+ *   flags          - [redX, redY, redCarrierIndex, blueX, blueY, blueCarrierIndex, redCaptures, blueCaptures] or 0;
+ *                    carrier indexes point into the header tanks, -1 when the flag is not carried
+ *   controlPoints  - [ownerCode, controlProgress] per domination point in header order, then redScore, blueScore; or 0
+ *   deathmatch     - [redKills, blueKills] or 0
+ */
+class BattleRecorder {
+    constructor() {
+        this.replay = null;
+        this.isRecording = false;
+        this.elapsed = 0;
+        this.stateIndex = new Map();
+    }
+    
+    /**
+     * Start a new recording from a freshly initialized battle
+     */
+    begin(gameEngine) {
+        const decimals = GAME_CONFIG.REPLAY.POSITION_DECIMALS;
+        const battlefield = gameEngine.battlefield;
+        const hill = battlefield.hill;
+        const flags = battlefield.flags;
+        const controlPoints = battlefield.controlPoints;
+        const deathmatch = battlefield.mode === GAME_MODES.TEAM_DEATHMATCH ? battlefield.deathmatch : null;
+        
+        this.elapsed = 0;
+        this.stateIndex = new Map();
+        this.isRecording = true;
+        this.replay = {
+            format: GAME_CONFIG.REPLAY.FORMAT,
+            version: GAME_CONFIG.REPLAY.VERSION,
+            recordedAt: new Date().toISOString(),
+            scenarioId: gameEngine.currentScenarioId,
+            seed: gameEngine.currentSeed,
+            mode: battlefield.mode,
+            width: gameEngine.width,
+            height: gameEngine.height,
+            obstacles: battlefield.obstacles.map(obstacle => {
+                const recorded = ObstacleUtils.create(
+                    roundReplayValue(obstacle.x, decimals),
+                    roundReplayValue(obstacle.y, decimals),
+                    roundReplayValue(obstacle.width, decimals),
+                    roundReplayValue(obstacle.height, decimals),
+                    ObstacleUtils.getType(obstacle)
+                );
+                if (obstacle.maxHealth !== undefined) {
+                    recorded.health = obstacle.health;
+                    recorded.maxHealth = obstacle.maxHealth;
+                }
+                return recorded;
+            }),
+            hill: hill ? { x: hill.x, y: hill.y, radius: hill.radius } : null,
+            flags: flags ? {
+                red: { x: flags.flags.red.baseX, y: flags.flags.red.baseY },
+                blue: { x: flags.flags.blue.baseX, y: flags.flags.blue.baseY }
+            } : null,
+            controlPoints: controlPoints ? {
+                points: controlPoints.points.map(point => ({ x: point.x, y: point.y, radius: point.radius })),
+                scoreToWin: controlPoints.scoreToWin
+            } : null,
+            deathmatch: deathmatch ? { killsToWin: deathmatch.killsToWin } : null,
+            teams: {
+                red: { ...gameEngine.teamSetup.red },
+                blue: { ...gameEngine.teamSetup.blue }
+            },
+            tanks: gameEngine.tanks.map(tank => ({
+                id: tank.tankId,
+                team: tank.team,
+                genome: tank.genome.slice()
+            })),
+            states: [],
+            frames: [],
+            result: null
+        };
+    }
+    
+    /**
+     * Record the current battle state (called once per GameEngine.update tick)
+     */
+    captureFrame(gameEngine, deltaTime) {
+        if (!this.isRecording) {
+            return;
+        }
+        
+        const decimals = GAME_CONFIG.REPLAY.POSITION_DECIMALS;
+        const angleDecimals = GAME_CONFIG.REPLAY.ANGLE_DECIMALS;
+        this.elapsed += deltaTime;
+        
+        const tanks = gameEngine.tanks.map(tank => {
+            if (!tank.isAlive) {
+                return 0;
+            }
+            return [
+                roundReplayValue(tank.x, decimals),
+                roundReplayValue(tank.y, decimals),
+                roundReplayValue(tank.angle, angleDecimals),
+                roundReplayValue(tank.health, decimals),
+                this.getStateIndex(tank.state)
+            ];
+        });
+        
+        const projectiles = [];
+        gameEngine.combat.projectiles.forEach(projectile => {
+            projectiles.push(
+                roundReplayValue(projectile.x, decimals),
+                roundReplayValue(projectile.y, decimals),
+                REPLAY_TEAM_CODES[projectile.team] || 0
+            );
+        });
+        
+        const hill = gameEngine.battlefield.hill;
+        const hillFrame = hill ? [
+            Math.max(0, REPLAY_HILL_OWNERS.indexOf(hill.controllingTeam)),
+            roundReplayValue(hill.controlProgress, decimals),
+            roundReplayValue(hill.redControlTime, decimals),
+            roundReplayValue(hill.blueControlTime, decimals),
+            roundReplayValue(hill.redScore, decimals),
+            roundReplayValue(hill.blueScore, decimals)
+        ] : 0;
+        
+        const destructibles = gameEngine.battlefield.obstacles
+            .filter(obstacle => ObstacleUtils.getType(obstacle) === OBSTACLE_TYPES.DESTRUCTIBLE);
+        const obstacleFrame = destructibles.length > 0 ?
+            destructibles.map(obstacle => roundReplayValue(obstacle.health, decimals)) : 0;
+        
+        const flagControl = gameEngine.battlefield.flags;
+        let flagFrame = 0;
+        if (flagControl) {
+            flagFrame = [];
+            ['red', 'blue'].forEach(team => {
+                const flag = flagControl.getFlag(team);
+                flagFrame.push(
+                    roundReplayValue(flag.x, decimals),
+                    roundReplayValue(flag.y, decimals),
+                    gameEngine.tanks.indexOf(flag.carrier)
+                );
+            });
+            flagFrame.push(flagControl.captures.red, flagControl.captures.blue);
+        }
+        
+        const controlPoints = gameEngine.battlefield.controlPoints;
+        let pointFrame = 0;
+        if (controlPoints) {
+            pointFrame = [];
+            controlPoints.points.forEach(point => {
+                pointFrame.push(
+                    Math.max(0, REPLAY_HILL_OWNERS.indexOf(point.controllingTeam)),
+                    roundReplayValue(point.controlProgress, decimals)
+                );
+            });
+            pointFrame.push(
+                roundReplayValue(controlPoints.score.red, decimals),
+                roundReplayValue(controlPoints.score.blue, decimals)
+            );
+        }
+        
+        const deathmatch = gameEngine.battlefield.mode === GAME_MODES.TEAM_DEATHMATCH ? gameEngine.battlefield.deathmatch : null;
+        const deathmatchFrame = deathmatch ? [deathmatch.kills.red, deathmatch.kills.blue] : 0;
+        
+        this.replay.frames.push([
+            roundReplayValue(this.elapsed, 3),
+            roundReplayValue(gameEngine.stats.battleTime, 3),
+            tanks,
+            projectiles,
+            hillFrame,
+            obstacleFrame,
+            flagFrame,
+            pointFrame,
+            deathmatchFrame
+        ]);
+    }
+    
+    /**
+     * Stop recording and attach the battle result
+     */
+    finish(battleResult) {
+        if (!this.replay) {
+            return null;
+        }
+        
+        this.isRecording = false;
+        this.replay.result = battleResult;
+        return this.replay;
+    }
+    
+    /**
+     * Look up (or register) the compact index for a tank state name
+     */
+    getStateIndex(state) {
+        if (!this.stateIndex.has(state)) {
+            this.stateIndex.set(state, this.replay.states.length);
+            this.replay.states.push(state);
+        }
+        return this.stateIndex.get(state);
+    }
+    
+    /**
+     * Serialize a replay to JSON text
+     */
+    static serialize(replay) {
+        return JSON.stringify(replay);
+    }
+    
+    /**
+     * Parse and validate replay JSON text (or an already parsed object)
+     */
+    static parse(replayOrText) {
+        const replay = typeof replayOrText === 'string' ? JSON.parse(replayOrText) : replayOrText;
+        
+        if (!replay || replay.format !== GAME_CONFIG.REPLAY.FORMAT) {
+            throw new Error('Not an AlphaTanks replay file');
+        }
+        if (replay.version > GAME_CONFIG.REPLAY.VERSION) {
+            throw new Error(`Unsupported replay version ${replay.version}`);
+        }
+        if (!Array.isArray(replay.tanks) || !Array.isArray(replay.frames) || replay.frames.length === 0) {
+            throw new Error('Replay contains no recorded frames');
+        }
+        
+        return replay;
+    }
+}
+
+/**
+ * Replay Player - Plays a recorded battle back on a GameEngine's canvas
+ * The engine's own battle is set aside while the replay is loaded and restored by stop()
+ */
+class ReplayPlayer {
+    constructor(gameEngine) {
+        this.engine = gameEngine;
+        this.replay = null;
+        this.tanks = [];
+        this.currentTime = 0;
+        this.frameIndex = 0;
+        this.speed = 1;
+        this.isPlaying = false;
+        this.savedState = null;
+        this.lastTimestamp = 0;
+        this.animationFrameId = null;
+        this.victoryShown = false;
+        
+        // 'frame' fires after every rendered frame, 'end' when playback reaches the last frame
+        this.events = new EventManager();
+    }
+    
+    /**
+     * Total replay length in seconds
+     */
+    get duration() {
+        if (!this.replay) {
+            return 0;
+        }
+        return this.replay.frames[this.replay.frames.length - 1][0];
+    }
+    
+    /**
+     * Load a replay (object or JSON text) and show its first frame
+     */
+    load(replayOrText) {
+        const replay = BattleRecorder.parse(replayOrText);
+        
+        if (!this.savedState) {
+            this.saveEngineState();
+        }
+        
+        this.replay = replay;
+        this.tanks = replay.tanks.map(tankInfo => {
+            const tank = new Tank(0, 0, tankInfo.team, tankInfo.genome);
+            tank.tankId = tankInfo.id;
+            tank.entity.tankId = tankInfo.id;
+            // Handicapped sides draw their health bars against the scaled max health
+            if (replay.teams) {
+                tank.setHealthMultiplier(replay.teams[tankInfo.team].healthMultiplier);
+            }
+            return tank;
+        });
+        
+        // Point the engine at the replay battlefield so render() draws it unchanged
+        const engine = this.engine;
+        engine.tanks = this.tanks;
+        engine.redTeam = this.tanks.filter(tank => tank.team === 'red');
+        engine.blueTeam = this.tanks.filter(tank => tank.team === 'blue');
+        engine.battlefield.mode = replay.mode || GAME_MODES.KING_OF_HILL;
+        engine.battlefield.obstacles = replay.obstacles;
+        engine.battlefield.hill = replay.hill ? new Hill(replay.hill.x, replay.hill.y, replay.hill.radius) : null;
+        engine.battlefield.flags = replay.flags ? new FlagControl(replay.flags.red, replay.flags.blue) : null;
+        engine.battlefield.controlPoints = replay.controlPoints ?
+            new DominationControl(replay.controlPoints.points, replay.controlPoints.scoreToWin) : null;
+        // Only the scoreboard is drawn; the recorded frames carry the kills and nobody respawns during playback
+        engine.battlefield.deathmatch = replay.deathmatch ?
+            new DeathmatchControl(() => ({ x: 0, y: 0 }), replay.deathmatch.killsToWin) : null;
+        engine.combat.clear();
+        engine.showVictoryMessage = false;
+        
+        this.victoryShown = false;
+        this.seek(0);
+        this.startLoop();
+        return replay;
+    }
+    
+    /**
+     * Start or continue playback
+     */
+    play() {
+        if (!this.replay) {
+            return;
+        }
+        if (this.currentTime >= this.duration) {
+            this.seek(0);
+        }
+        this.isPlaying = true;
+        this.lastTimestamp = 0;
+    }
+    
+    /**
+     * Pause playback on the current frame
+     */
+    pause() {
+        this.isPlaying = false;
+    }
+    
+    /**
+     * Toggle between play and pause
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+    
+    /**
+     * Jump to a replay time in seconds
+     */
+    seek(time) {
+        if (!this.replay) {
+            return;
+        }
+        
+        this.currentTime = Math.max(0, Math.min(this.duration, time));
+        this.frameIndex = this.findFrameIndex(this.currentTime);
+        this.applyFrame(this.replay.frames[this.frameIndex]);
+        
+        if (this.currentTime < this.duration) {
+            this.victoryShown = false;
+            this.engine.showVictoryMessage = false;
+        }
+        
+        this.renderFrame();
+    }
+    
+    /**
+     * Set playback speed multiplier
+     */
+    setSpeed(speed) {
+        const speeds = GAME_CONFIG.REPLAY.PLAYBACK_SPEEDS;
+        this.speed = Math.max(speeds[0], Math.min(speeds[speeds.length - 1], speed));
+    }
+    
+    /**
+     * Stop playback and give the engine its own battle back
+     */
+    stop() {
+        this.isPlaying = false;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+        
+        this.replay = null;
+        this.tanks = [];
+        this.restoreEngineState();
+    }
+    
+    /**
+     * Animation loop - advances replay time while playing and redraws every frame
+     */
+    startLoop() {
+        if (this.animationFrameId !== null) {
+            return;
+        }
+        
+        const loop = (timestamp) => {
+            if (!this.replay) {
+                this.animationFrameId = null;
+                return;
+            }
+            
+            if (this.isPlaying) {
+                const delta = this.lastTimestamp === 0 ? 0 : (timestamp - this.lastTimestamp) / 1000;
+                this.lastTimestamp = timestamp;
+                this.advance(delta * this.speed);
+            }
+            
+            this.renderFrame();
+            this.animationFrameId = requestAnimationFrame(loop);
+        };
+        
+        this.animationFrameId = requestAnimationFrame(loop);
+    }
+    
+    /**
+     * Move playback forward by a replay-time delta
+     */
+    advance(delta) {
+        this.currentTime = Math.min(this.duration, this.currentTime + delta);
+        
+        const frames = this.replay.frames;
+        while (this.frameIndex < frames.length - 1 && frames[this.frameIndex + 1][0] <= this.currentTime) {
+            this.frameIndex++;
+        }
+        this.applyFrame(frames[this.frameIndex]);
+        
+        if (this.currentTime >= this.duration) {
+            this.isPlaying = false;
+            if (!this.victoryShown && this.replay.result) {
+                this.engine.setVictoryMessage(this.replay.result.winner);
+                this.victoryShown = true;
+            }
+            this.events.emit('end', this.replay.result);
+        }
+    }
+    
+    /**
+     * Binary search for the last frame recorded at or before time
+     */
+    findFrameIndex(time) {
+        const frames = this.replay.frames;
+        let low = 0;
+        let high = frames.length - 1;
+        
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (frames[mid][0] <= time) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        
+        return low;
+    }
+    
+    /**
+     * Copy one recorded frame onto the replay tanks, projectiles, hill, destructible obstacles, flags, control points
+     * and deathmatch score
+     */
+    applyFrame(frame) {
+        const [, battleTime, tankFrames, projectileFrames, hillFrame, obstacleFrame, flagFrame, pointFrame, deathmatchFrame] = frame;
+        const states = this.replay.states;
+        
+        this.tanks.forEach((tank, i) => {
+            const tankFrame = tankFrames[i];
+            const entity = tank.entity;
+            
+            if (!tankFrame) {
+                entity.isAlive = false;
+                entity.health = 0;
+            } else {
+                [entity.x, entity.y, entity.angle, entity.health] = tankFrame;
+                entity.state = states[tankFrame[4]];
+                entity.isAlive = true;
+            }
+            
+            tank.syncProperties();
+            tank.x = entity.x;
+            tank.y = entity.y;
+        });
+        
+        const projectiles = [];
+        for (let i = 0; i < projectileFrames.length; i += 3) {
+            const team = projectileFrames[i + 2] === REPLAY_TEAM_CODES.blue ? 'blue' : 'red';
+            projectiles.push(new Projectile(projectileFrames[i], projectileFrames[i + 1], 0, 0, team));
+        }
+        this.engine.combat.projectiles = projectiles;
+        
+        const hill = this.engine.battlefield.hill;
+        if (hill && hillFrame) {
+            hill.controllingTeam = REPLAY_HILL_OWNERS[hillFrame[0]];
+            [, hill.controlProgress, hill.redControlTime, hill.blueControlTime, hill.redScore, hill.blueScore] = hillFrame;
+            hill.pulseTimer = frame[0];
+        }
+        
+        if (obstacleFrame) {
+            this.engine.battlefield.obstacles
+                .filter(obstacle => ObstacleUtils.getType(obstacle) === OBSTACLE_TYPES.DESTRUCTIBLE)
+                .forEach((obstacle, i) => {
+                    obstacle.health = obstacleFrame[i];
+                });
+        }
+        
+        const flagControl = this.engine.battlefield.flags;
+        if (flagControl && flagFrame) {
+            ['red', 'blue'].forEach((team, i) => {
+                const flag = flagControl.getFlag(team);
+                const carrier = this.tanks[flagFrame[i * 3 + 2]] || null;
+                [flag.x, flag.y] = flagFrame.slice(i * 3, i * 3 + 2);
+                flag.carrier = carrier;
+                flag.carrierId = carrier ? carrier.tankId : null;
+            });
+            [flagControl.captures.red, flagControl.captures.blue] = flagFrame.slice(6);
+            flagControl.elapsed = frame[0];
+        }
+        
+        const controlPoints = this.engine.battlefield.controlPoints;
+        if (controlPoints && pointFrame) {
+            controlPoints.points.forEach((point, i) => {
+                point.controllingTeam = REPLAY_HILL_OWNERS[pointFrame[i * 2]];
+                point.controlProgress = pointFrame[i * 2 + 1];
+                point.pulseTimer = frame[0];
+            });
+            [controlPoints.score.red, controlPoints.score.blue] = pointFrame.slice(controlPoints.points.length * 2);
+        }
+        
+        const deathmatch = this.engine.battlefield.deathmatch;
+        if (deathmatch && deathmatchFrame) {
+            [deathmatch.kills.red, deathmatch.kills.blue] = deathmatchFrame;
+            deathmatch.elapsed = frame[0];
+        }
+        
+        this.engine.stats.battleTime = battleTime;
+    }
+    
+    /**
+     * Draw the current frame through the engine's normal render path
+     */
+    renderFrame() {
+        this.engine.render();
+        this.events.emit('frame', { time: this.currentTime, duration: this.duration, isPlaying: this.isPlaying });
+    }
+    
+    /**
+     * Remember the engine's own battle so stop() can put it back
+     */
+    saveEngineState() {
+        const engine = this.engine;
+        
+        // The live battle must not advance underneath the replay
+        const wasRunning = engine.gameState === GAME_STATES.RUNNING;
+        if (wasRunning) {
+            engine.pause();
+        }
+        
+        this.savedState = {
+            wasRunning,
+            tanks: engine.tanks,
+            redTeam: engine.redTeam,
+            blueTeam: engine.blueTeam,
+            mode: engine.battlefield.mode,
+            obstacles: engine.battlefield.obstacles,
+            hill: engine.battlefield.hill,
+            flags: engine.battlefield.flags,
+            controlPoints: engine.battlefield.controlPoints,
+            deathmatch: engine.battlefield.deathmatch,
+            projectiles: engine.combat.projectiles,
+            battleTime: engine.stats.battleTime
+        };
+    }
+    
+    /**
+     * Restore the battle saved by saveEngineState()
+     */
+    restoreEngineState() {
+        const saved = this.savedState;
+        if (!saved) {
+            return;
+        }
+        
+        const engine = this.engine;
+        engine.tanks = saved.tanks;
+        engine.redTeam = saved.redTeam;
+        engine.blueTeam = saved.blueTeam;
+        engine.battlefield.mode = saved.mode;
+        engine.battlefield.obstacles = saved.obstacles;
+        engine.battlefield.hill = saved.hill;
+        engine.battlefield.flags = saved.flags;
+        engine.battlefield.controlPoints = saved.controlPoints;
+        engine.battlefield.deathmatch = saved.deathmatch;
+        engine.combat.projectiles = saved.projectiles;
+        engine.stats.battleTime = saved.battleTime;
+        engine.showVictoryMessage = false;
+        this.savedState = null;
+        
+        if (saved.wasRunning) {
+            engine.resume();
+        } else {
+            engine.render();
+        }
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BattleRecorder, ReplayPlayer };
+} else {
+    window.BattleRecorder = BattleRecorder;
+    window.ReplayPlayer = ReplayPlayer;
+}
@@ -0,0 +1,178 @@
+/**
+ * Team Deathmatch - Kill scoring and respawns
+ * Destroyed tanks wait out a respawn delay and re-enter at their team's spawn with their stats intact;
+ * every death scores a kill for the other team, and the first team to the kill target wins
+ */
+
+class DeathmatchControl {
+    /**
+     * spawner(team, index, teamSize, occupied) returns a spawn position clear of the occupied tanks
+     * (BattlefieldManager.getSpawnPosition)
+     */
+    constructor(spawner, killsToWin = GAME_CONFIG.BATTLE.TEAM_DEATHMATCH.KILLS_TO_WIN) {
+        this.spawner = spawner;
+        this.killsToWin = killsToWin;
+        this.respawnDelay = GAME_CONFIG.BATTLE.TEAM_DEATHMATCH.RESPAWN_DELAY;
+        
+        this.reset();
+    }
+    
+    /**
+     * Reset scores and pending respawns for a new battle
+     */
+    reset() {
+        this.elapsed = 0;
+        this.kills = { red: 0, blue: 0 };
+        this.respawns = { red: 0, blue: 0 };
+        this.pending = new Map(); // tank -> seconds until it re-enters
+        this.events = [];
+    }
+    
+    /**
+     * Score newly destroyed tanks and bring back those whose delay is up
+     */
+    update(deltaTime, tanks) {
+        this.elapsed += deltaTime;
+        
+        tanks.forEach(tank => {
+            if (tank.isAlive) {
+                return;
+            }
+            
+            if (!this.pending.has(tank)) {
+                const scoringTeam = tank.team === 'red' ? 'blue' : 'red';
+                this.kills[scoringTeam]++;
+                this.pending.set(tank, this.respawnDelay);
+                this.recordEvent('death', tank.team, tank);
+                return;
+            }
+            
+            const remaining = this.pending.get(tank) - deltaTime;
+            if (remaining > 0) {
+                this.pending.set(tank, remaining);
+                return;
+            }
+            
+            const teammates = tanks.filter(other => other.team === tank.team);
+            const occupied = tanks.filter(other => other.isAlive);
+            const position = this.spawner(tank.team, teammates.indexOf(tank), teammates.length, occupied);
+            tank.respawn(position.x, position.y);
+            this.pending.delete(tank);
+            this.respawns[tank.team]++;
+            this.recordEvent('respawn', tank.team, tank);
+        });
+    }
+    
+    /**
+     * Append to the battle's death/respawn log
+     */
+    recordEvent(type, team, tank) {
+        this.events.push({
+            type,
+            team,
+            tankId: tank.tankId,
+            time: Math.round(this.elapsed * 100) / 100
+        });
+    }
+    
+    /**
+     * Seconds until a destroyed tank re-enters, or 0 if it is not waiting
+     */
+    getRespawnTime(tank) {
+        return this.pending.get(tank) || 0;
+    }
+    
+    /**
+     * Check if a team has reached the kill target
+     */
+    isGameWon() {
+        return this.kills.red >= this.killsToWin || this.kills.blue >= this.killsToWin;
+    }
+    
+    /**
+     * Team that reached the kill target, if any
+     */
+    getWinner() {
+        if (!this.isGameWon()) {
+            return null;
+        }
+        return this.kills.red >= this.kills.blue ? 'red' : 'blue';
+    }
+    
+    /**
+     * Result when time runs out: the team with more kills, or a draw
+     */
+    getTimeLimitWinner() {
+        if (this.kills.red === this.kills.blue) {
+            return BATTLE_OUTCOMES.DRAW;
+        }
+        return this.kills.red > this.kills.blue ? BATTLE_OUTCOMES.RED_WINS : BATTLE_OUTCOMES.BLUE_WINS;
+    }
+    
+    /**
+     * Score state from one team's point of view, for AI
+     */
+    getStrategicInfo(team) {
+        const enemy = team === 'red' ? 'blue' : 'red';
+        let respawningAllies = 0;
+        let respawningEnemies = 0;
+        this.pending.forEach((_time, tank) => {
+            if (tank.team === team) {
+                respawningAllies++;
+            } else {
+                respawningEnemies++;
+            }
+        });
+        
+        return {
+            kills: this.kills[team],
+            enemyKills: this.kills[enemy],
+            killsToWin: this.killsToWin,
+            respawningAllies,
+            respawningEnemies
+        };
+    }
+    
+    /**
+     * Kill and respawn statistics for the battle result
+     */
+    getDeathmatchData() {
+        return {
+            kills: { ...this.kills },
+            killsToWin: this.killsToWin,
+            respawns: { ...this.respawns },
+            respawnDelay: this.respawnDelay,
+            events: this.events.map(event => ({ ...event }))
+        };
+    }
+    
+    /**
+     * Kill score panel at the top center of the battlefield
+     */
+    render(ctx, width) {
+        const centerX = width / 2;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(centerX - 150, 10, 300, 56);
+        
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = GAME_CONFIG.UI.COLORS.RED_TEAM;
+        ctx.fillText(`Red: ${this.kills.red}`, centerX - 70, 35);
+        ctx.fillStyle = GAME_CONFIG.UI.COLORS.BLUE_TEAM;
+        ctx.fillText(`Blue: ${this.kills.blue}`, centerX + 70, 35);
+        
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`First to ${this.killsToWin} kills wins`, centerX, 55);
+        ctx.restore();
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DeathmatchControl };
+} else {
+    window.DeathmatchControl = DeathmatchControl;
+}
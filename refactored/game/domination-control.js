@@ -0,0 +1,229 @@
+/**
+ * Domination - Several control points captured independently
+ * Every point runs the King of the Hill capture rules on its own; each tick a team scores for every
+ * point it holds securely, and the first team to reach the score target wins
+ */
+
+const DOMINATION_POINT_LABELS = ['A', 'B', 'C', 'D', 'E'];
+
+class DominationControl {
+    /**
+     * points: [{ x, y, radius? }] in pixels, 2 to 5 of them
+     */
+    constructor(points, scoreToWin = GAME_CONFIG.BATTLE.DOMINATION.SCORE_TO_WIN) {
+        const config = GAME_CONFIG.BATTLE.DOMINATION;
+        if (!Array.isArray(points) || points.length < config.MIN_POINTS || points.length > config.MAX_POINTS) {
+            throw new Error(`Domination needs ${config.MIN_POINTS}-${config.MAX_POINTS} control points`);
+        }
+        
+        this.points = points.map((point, index) => {
+            const hill = new Hill(point.x, point.y, point.radius || config.POINT_RADIUS);
+            hill.label = DOMINATION_POINT_LABELS[index];
+            return hill;
+        });
+        this.scorePerSecond = config.SCORE_PER_SECOND;
+        this.scoreToWin = scoreToWin;
+        
+        this.reset();
+    }
+    
+    /**
+     * Reset every point and the team scores for a new battle
+     */
+    reset() {
+        this.points.forEach(point => point.reset());
+        this.elapsed = 0;
+        this.score = { red: 0, blue: 0 };
+        this.holdTime = this.points.map(() => ({ red: 0, blue: 0 }));
+        this.securedBy = this.points.map(() => null);
+        this.events = [];
+    }
+    
+    /**
+     * Advance every point's capture logic, then score the points each team holds
+     */
+    update(deltaTime, tanks, rng = Math) {
+        this.elapsed += deltaTime;
+        
+        this.points.forEach((point, index) => {
+            point.update(deltaTime, tanks, rng);
+            
+            const owner = this.getSecureOwner(point);
+            if (owner && this.securedBy[index] !== owner) {
+                this.recordCapture(point, index, owner, tanks);
+            }
+            this.securedBy[index] = owner;
+            
+            if (owner) {
+                this.score[owner] += this.scorePerSecond * deltaTime;
+                this.holdTime[index][owner] += deltaTime;
+            }
+        });
+    }
+    
+    /**
+     * Team holding a point at full control, or null while it is neutral or being captured
+     */
+    getSecureOwner(point) {
+        return point.controllingTeam && point.controlProgress >= 100 ? point.controllingTeam : null;
+    }
+    
+    /**
+     * Log a newly secured point and credit the tanks that took it
+     */
+    recordCapture(point, index, team, tanks) {
+        const capturers = point.getTanksInArea(tanks, point.contestRadius).filter(tank => tank.team === team);
+        capturers.forEach(tank => {
+            tank.stats.pointCaptures++;
+        });
+        
+        this.events.push({
+            type: 'capture',
+            point: point.label,
+            team,
+            tankIds: capturers.map(tank => tank.tankId),
+            time: Math.round(this.elapsed * 100) / 100
+        });
+    }
+    
+    /**
+     * Number of points a team currently holds securely
+     */
+    countOwnedPoints(team) {
+        return this.points.filter(point => this.getSecureOwner(point) === team).length;
+    }
+    
+    /**
+     * Check if a team has reached the score target
+     */
+    isGameWon() {
+        return this.getWinner() !== null;
+    }
+    
+    /**
+     * Team that reached the score target, if any (the higher score wins if both did on the same tick)
+     */
+    getWinner() {
+        const { red, blue } = this.score;
+        if (red < this.scoreToWin && blue < this.scoreToWin) {
+            return null;
+        }
+        return red >= blue ? 'red' : 'blue';
+    }
+    
+    /**
+     * Per-point state from one team's point of view, so tanks can split up and pick a point to contest
+     */
+    getStrategicInfo(team) {
+        const enemy = team === 'red' ? 'blue' : 'red';
+        
+        return {
+            points: this.points.map((point, index) => {
+                const owner = this.getSecureOwner(point);
+                return {
+                    index,
+                    label: point.label,
+                    x: point.x,
+                    y: point.y,
+                    radius: point.radius,
+                    contestRadius: point.contestRadius,
+                    controllingTeam: point.controllingTeam,
+                    controlProgress: point.controlProgress,
+                    owner,
+                    isOwned: owner === team,
+                    isEnemyOwned: owner === enemy,
+                    allies: team === 'red' ? point.redCount : point.blueCount,
+                    enemies: team === 'red' ? point.blueCount : point.redCount,
+                    isContested: point.redCount > 0 && point.blueCount > 0
+                };
+            }),
+            score: this.score[team],
+            enemyScore: this.score[enemy],
+            scoreToWin: this.scoreToWin,
+            ownedPoints: this.countOwnedPoints(team),
+            enemyPoints: this.countOwnedPoints(enemy)
+        };
+    }
+    
+    /**
+     * Scores and per-point control statistics for the battle result
+     */
+    getDominationData() {
+        return {
+            score: {
+                red: Math.round(this.score.red * 10) / 10,
+                blue: Math.round(this.score.blue * 10) / 10
+            },
+            scoreToWin: this.scoreToWin,
+            points: this.points.map((point, index) => ({
+                label: point.label,
+                x: point.x,
+                y: point.y,
+                owner: this.getSecureOwner(point),
+                redHoldTime: Math.round(this.holdTime[index].red * 100) / 100,
+                blueHoldTime: Math.round(this.holdTime[index].blue * 100) / 100,
+                controlChanges: point.controlChanges
+            })),
+            events: this.events.map(event => ({ ...event, tankIds: event.tankIds.slice() }))
+        };
+    }
+    
+    /**
+     * Draw every point with its label, then the score panel
+     */
+    render(ctx) {
+        this.points.forEach(point => {
+            point.renderControlArea(ctx);
+            
+            ctx.save();
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(point.label, point.x, point.y - point.contestRadius - 6);
+            ctx.restore();
+        });
+        
+        this.renderScoreUI(ctx);
+    }
+    
+    /**
+     * Score panel at the top center of the battlefield, with one owner marker per point
+     */
+    renderScoreUI(ctx) {
+        const centerX = this.points.reduce((sum, point) => sum + point.x, 0) / this.points.length;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(centerX - 150, 10, 300, 74);
+        
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = GAME_CONFIG.UI.COLORS.RED_TEAM;
+        ctx.fillText(`Red: ${Math.floor(this.score.red)}`, centerX - 70, 35);
+        ctx.fillStyle = GAME_CONFIG.UI.COLORS.BLUE_TEAM;
+        ctx.fillText(`Blue: ${Math.floor(this.score.blue)}`, centerX + 70, 35);
+        
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`First to ${this.scoreToWin} points wins`, centerX, 52);
+        
+        // Point owners: A B C ... coloured by the team holding each one
+        ctx.font = 'bold 12px Arial';
+        const spacing = 24;
+        const startX = centerX - (this.points.length - 1) * spacing / 2;
+        this.points.forEach((point, index) => {
+            const owner = this.getSecureOwner(point);
+            ctx.fillStyle = owner === 'red' ? GAME_CONFIG.UI.COLORS.RED_TEAM :
+                owner === 'blue' ? GAME_CONFIG.UI.COLORS.BLUE_TEAM : GAME_CONFIG.UI.COLORS.NEUTRAL;
+            ctx.fillText(point.label, startX + index * spacing, 72);
+        });
+        ctx.restore();
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DominationControl };
+} else {
+    window.DominationControl = DominationControl;
+}
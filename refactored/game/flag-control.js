@@ -0,0 +1,319 @@
+/**
+ * Capture the Flag - Team flags, bases and capture scoring
+ * Each team defends a flag at its spawn-side base; enemies pick it up by driving over it, carry it
+ * home and score when their own flag is at home. A carrier that dies drops the flag where it fell;
+ * the owning team returns it by touching it, or it returns by itself after a while
+ */
+
+class Flag {
+    constructor(team, baseX, baseY) {
+        this.team = team;
+        this.baseX = baseX;
+        this.baseY = baseY;
+        this.reset();
+    }
+    
+    /**
+     * Put the flag back on its base
+     */
+    reset() {
+        this.x = this.baseX;
+        this.y = this.baseY;
+        this.carrier = null;
+        this.carrierId = null;
+        this.droppedTime = 0;
+    }
+    
+    /**
+     * Check if the flag is sitting on its base
+     */
+    isHome() {
+        return this.carrier === null && this.x === this.baseX && this.y === this.baseY;
+    }
+    
+    /**
+     * Check if an enemy tank is carrying the flag
+     */
+    isCarried() {
+        return this.carrier !== null;
+    }
+    
+    /**
+     * Check if the flag lies on the ground away from its base
+     */
+    isDropped() {
+        return !this.isCarried() && !this.isHome();
+    }
+    
+    /**
+     * Flag state name for AI and battle results
+     */
+    getStatus() {
+        if (this.isCarried()) {
+            return 'carried';
+        }
+        return this.isHome() ? 'home' : 'dropped';
+    }
+}
+
+class FlagControl {
+    constructor(redBase, blueBase) {
+        const config = GAME_CONFIG.BATTLE.CAPTURE_THE_FLAG;
+        
+        this.flags = {
+            red: new Flag('red', redBase.x, redBase.y),
+            blue: new Flag('blue', blueBase.x, blueBase.y)
+        };
+        this.baseRadius = config.BASE_RADIUS;
+        this.pickupRadius = config.PICKUP_RADIUS;
+        this.returnTime = config.RETURN_TIME;
+        this.capturesToWin = config.CAPTURES_TO_WIN;
+        
+        this.reset();
+    }
+    
+    /**
+     * Reset flags and scores for a new battle
+     */
+    reset() {
+        this.flags.red.reset();
+        this.flags.blue.reset();
+        this.elapsed = 0;
+        this.captures = { red: 0, blue: 0 };
+        this.pickups = { red: 0, blue: 0 };
+        this.drops = { red: 0, blue: 0 };
+        this.returns = { red: 0, blue: 0 };
+        this.events = [];
+    }
+    
+    /**
+     * The flag a team defends
+     */
+    getFlag(team) {
+        return this.flags[team];
+    }
+    
+    /**
+     * The flag a team is trying to capture
+     */
+    getEnemyFlag(team) {
+        return this.flags[team === 'red' ? 'blue' : 'red'];
+    }
+    
+    /**
+     * Advance pickup, carry, drop, return and capture rules by one tick
+     */
+    update(deltaTime, tanks) {
+        this.elapsed += deltaTime;
+        
+        Object.values(this.flags).forEach(flag => {
+            if (flag.isCarried()) {
+                this.updateCarriedFlag(flag);
+            } else {
+                this.updateLooseFlag(flag, deltaTime, tanks);
+            }
+        });
+    }
+    
+    /**
+     * Follow the carrier, drop the flag if it died, score if it made it home
+     */
+    updateCarriedFlag(flag) {
+        const carrier = flag.carrier;
+        
+        if (!carrier.isAlive) {
+            flag.carrier = null;
+            flag.carrierId = null;
+            flag.droppedTime = 0;
+            this.drops[carrier.team]++;
+            this.recordEvent('drop', carrier.team, carrier);
+            return;
+        }
+        
+        flag.x = carrier.x + carrier.width / 2;
+        flag.y = carrier.y + carrier.height / 2;
+        
+        // Captures only count while the carrier's own flag is safe at home
+        const homeFlag = this.getFlag(carrier.team);
+        const distanceHome = MathUtils.distance(flag.x, flag.y, homeFlag.baseX, homeFlag.baseY);
+        if (homeFlag.isHome() && distanceHome <= this.baseRadius) {
+            this.captures[carrier.team]++;
+            carrier.stats.flagCaptures++;
+            this.recordEvent('capture', carrier.team, carrier);
+            flag.reset();
+        }
+    }
+    
+    /**
+     * Let enemies pick up a flag on the ground and owners return it
+     */
+    updateLooseFlag(flag, deltaTime, tanks) {
+        const touching = tanks.filter(tank => tank.isAlive &&
+            MathUtils.distance(tank.x + tank.width / 2, tank.y + tank.height / 2, flag.x, flag.y) <= this.pickupRadius);
+        
+        if (flag.isDropped()) {
+            const owner = touching.find(tank => tank.team === flag.team);
+            if (owner) {
+                this.returns[flag.team]++;
+                owner.stats.flagReturns++;
+                this.recordEvent('return', flag.team, owner);
+                flag.reset();
+                return;
+            }
+            
+            flag.droppedTime += deltaTime;
+            if (flag.droppedTime >= this.returnTime) {
+                this.recordEvent('return', flag.team, null);
+                flag.reset();
+                return;
+            }
+        }
+        
+        const taker = touching.find(tank => tank.team !== flag.team);
+        if (taker) {
+            flag.carrier = taker;
+            flag.carrierId = taker.tankId;
+            this.pickups[taker.team]++;
+            taker.stats.flagPickups++;
+            this.recordEvent('pickup', taker.team, taker);
+        }
+    }
+    
+    /**
+     * Append to the battle's flag event log
+     */
+    recordEvent(type, team, tank) {
+        this.events.push({
+            type,
+            team,
+            tankId: tank ? tank.tankId : null,
+            time: Math.round(this.elapsed * 100) / 100
+        });
+    }
+    
+    /**
+     * Check if a team has reached the capture target
+     */
+    isGameWon() {
+        return this.getWinner() !== null;
+    }
+    
+    /**
+     * Team that reached the capture target, if any
+     */
+    getWinner() {
+        if (this.captures.red >= this.capturesToWin) {
+            return 'red';
+        }
+        if (this.captures.blue >= this.capturesToWin) {
+            return 'blue';
+        }
+        return null;
+    }
+    
+    /**
+     * Flag positions and threats from one team's point of view, for AI
+     */
+    getStrategicInfo(team) {
+        const ownFlag = this.getFlag(team);
+        const enemyFlag = this.getEnemyFlag(team);
+        
+        return {
+            ownFlag: { x: ownFlag.x, y: ownFlag.y, status: ownFlag.getStatus(), carrierId: ownFlag.carrierId },
+            enemyFlag: { x: enemyFlag.x, y: enemyFlag.y, status: enemyFlag.getStatus(), carrierId: enemyFlag.carrierId },
+            base: { x: ownFlag.baseX, y: ownFlag.baseY, radius: this.baseRadius },
+            captures: this.captures[team],
+            enemyCaptures: this.captures[enemyFlag.team],
+            capturesToWin: this.capturesToWin
+        };
+    }
+    
+    /**
+     * Capture statistics for the battle result
+     */
+    getFlagData() {
+        return {
+            captures: { ...this.captures },
+            capturesToWin: this.capturesToWin,
+            pickups: { ...this.pickups },
+            drops: { ...this.drops },
+            returns: { ...this.returns },
+            flagStatus: {
+                red: this.flags.red.getStatus(),
+                blue: this.flags.blue.getStatus()
+            },
+            events: this.events.map(event => ({ ...event }))
+        };
+    }
+    
+    /**
+     * Draw bases, flags and the capture score
+     */
+    render(ctx) {
+        ctx.save();
+        
+        Object.values(this.flags).forEach(flag => {
+            const color = flag.team === 'red' ? GAME_CONFIG.UI.COLORS.RED_TEAM : GAME_CONFIG.UI.COLORS.BLUE_TEAM;
+            
+            // Base ring
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.5;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(flag.baseX, flag.baseY, this.baseRadius, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            
+            // Pole and pennant; a dropped flag flickers so it stands out
+            ctx.globalAlpha = flag.isDropped() ? 0.6 + Math.sin(this.elapsed * 8) * 0.4 : 1.0;
+            ctx.strokeStyle = '#dddddd';
+            ctx.beginPath();
+            ctx.moveTo(flag.x, flag.y + 8);
+            ctx.lineTo(flag.x, flag.y - 12);
+            ctx.stroke();
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(flag.x, flag.y - 12);
+            ctx.lineTo(flag.x + 12, flag.y - 8);
+            ctx.lineTo(flag.x, flag.y - 4);
+            ctx.closePath();
+            ctx.fill();
+        });
+        
+        ctx.restore();
+        
+        this.renderScoreUI(ctx);
+    }
+    
+    /**
+     * Capture score panel at the top center of the battlefield
+     */
+    renderScoreUI(ctx) {
+        const centerX = (this.flags.red.baseX + this.flags.blue.baseX) / 2;
+        
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(centerX - 150, 10, 300, 56);
+        
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = GAME_CONFIG.UI.COLORS.RED_TEAM;
+        ctx.fillText(`Red: ${this.captures.red}`, centerX - 70, 35);
+        ctx.fillStyle = GAME_CONFIG.UI.COLORS.BLUE_TEAM;
+        ctx.fillText(`Blue: ${this.captures.blue}`, centerX + 70, 35);
+        
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`First to ${this.capturesToWin} flag captures wins`, centerX, 55);
+        ctx.restore();
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Flag, FlagControl };
+} else {
+    window.Flag = Flag;
+    window.FlagControl = FlagControl;
+}
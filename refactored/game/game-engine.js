@@ -5,32 +5,51 @@
  */
 
 class GameEngine {
-    constructor(canvasOrId, options = {}) {
-        // Canvas setup - handle both canvas element and canvas ID
-        if (typeof canvasOrId === 'string') {
-            this.canvas = document.getElementById(canvasOrId);
-            if (!this.canvas) {
-                throw new Error(`Canvas element with ID '${canvasOrId}' not found`);
-            }
-        } else if (canvasOrId instanceof HTMLCanvasElement) {
-            this.canvas = canvasOrId;
+    constructor(canvasOrId = null, options = {}) {
+        // Headless mode: no canvas, no DOM, advanced only through step()/runToCompletion()
+        this.headless = canvasOrId === null || canvasOrId === undefined || options.headless === true;
+        
+        if (this.headless) {
+            this.canvas = null;
+            this.ctx = null;
+            this.width = options.width || GAME_CONFIG.BATTLEFIELD.WIDTH;
+            this.height = options.height || GAME_CONFIG.BATTLEFIELD.HEIGHT;
         } else {
-            throw new Error('First parameter must be either a canvas element or canvas ID string');
+            // Canvas setup - handle both canvas element and canvas ID
+            if (typeof canvasOrId === 'string') {
+                this.canvas = document.getElementById(canvasOrId);
+                if (!this.canvas) {
+                    throw new Error(`Canvas element with ID '${canvasOrId}' not found`);
+                }
+            } else if (typeof HTMLCanvasElement !== 'undefined' && canvasOrId instanceof HTMLCanvasElement) {
+                this.canvas = canvasOrId;
+            } else {
+                throw new Error('First parameter must be either a canvas element or canvas ID string');
+            }
+            
+            this.ctx = this.canvas.getContext('2d');
+            this.width = 0;
+            this.height = 0;
+            this.setupCanvas();
         }
         
-        this.ctx = this.canvas.getContext('2d');
-        this.width = 0;
-        this.height = 0;
-        this.setupCanvas();
-        
         // Apply options
         this.populationSize = options.populationSize || GAME_CONFIG.EVOLUTION.POPULATION_SIZE;
         this.gameMode = options.gameMode || 'king_of_hill';
         this.timeScale = options.timeScale || 1.0;
         
+        // Fixed-timestep simulation state (used by step()/runToCompletion())
+        this.fixedTimeStep = options.fixedTimeStep || GAME_CONFIG.HEADLESS.FIXED_TIME_STEP;
+        this.accumulator = 0;
+        this.tickCount = 0;
+        
         // Phase 2: Store scenario and seed for battle tracking
         this.currentScenarioId = null;
         this.currentSeed = null;
+        this.battlesStarted = 0; // numbers each battle's tank ids, so two battles on the same seed never share one
+        
+        // Per-battle random source; reseeded in initializeBattle() and handed to every subsystem
+        this.rng = Math;
         
         // Core game state
         this.gameState = GAME_STATES.READY;
@@ -46,6 +65,11 @@ class GameEngine {
         this.tanks = [];
         this.redTeam = [];
         this.blueTeam = [];
+        this.teamSetup = this.resolveTeamSetup(0, 0);
+        this.battleGenomes = { red: [], blue: [] }; // genomes the tanks were created from (extended genomes keep their weights)
+        this.humanController = null; // HumanController for the tank a player is driving, if any
+        this.previewBattle = false; // map editor test battle (see initializeBattle options.preview)
+        this.mapValidation = null; // MapValidator report for the current battle's map (scenario battles only)
         
         // Managers - composition pattern
         this.battlefield = new BattlefieldManager(this.width, this.height);
@@ -55,16 +79,32 @@ class GameEngine {
         // Evolution integration
         this.evolutionEngine = null;
         
+        // Local event bus - works with or without a DOM window
+        this.events = new EventManager();
+        this.lastBattleResult = null;
+        
+        // Replay recording (on by default for on-page battles, opt-in for headless runs)
+        this.recordReplays = options.recordReplays ?? !this.headless;
+        this.recorder = null;
+        this.lastReplay = null;
+        this.replayHistory = [];
+        
         // Performance monitoring
         this.performanceMonitor = PerformanceUtils.createPerformanceMonitor();
         
-        this.bindEvents();
+        if (!this.headless) {
+            this.bindEvents();
+        }
     }
     
     /**
      * Setup canvas dimensions and properties
      */
     setupCanvas() {
+        if (this.headless) {
+            return;
+        }
+        
         const container = this.canvas.parentElement;
         
         // Handle case where canvas has no parent (e.g., in tests)
@@ -98,18 +138,50 @@ class GameEngine {
     
     /**
      * Initialize a new battle with optional scenario support
+     * options.redGenomes / options.blueGenomes supply evolved genomes (random genomes fill any gaps)
+     * options.controllers = { red, blue } (CONTROLLER_TYPES): a NEURAL_NETWORK team's tanks get a NeuralController
+     * from their extended genomes, which must match the current network size
+     * options.redBehaviorTrees / options.blueBehaviorTrees give tanks a BehaviorTree policy (null entries keep the trait controller)
+     * options.handicaps = { red: { healthMultiplier }, blue: { healthMultiplier } } weakens or strengthens one side;
+     * uneven redTanks / blueTanks counts are the other kind of handicap
+     * options.humanControl = { team, index } hands that tank to a player (see takeControl)
+     * options.preview marks a map editor test battle, which evolution and the insights ignore
      */
-    initializeBattle(redTanks = 3, blueTanks = 3, mode = 'king_of_hill', scenarioId = null, seed = null) {
+    initializeBattle(redTanks = 3, blueTanks = 3, mode = 'king_of_hill', scenarioId = null, seed = null, options = {}) {
+        // Every battle gets a seed so scenarioId + seed + genomes reproduce it exactly
+        const battleSeed = seed ?? generateBattleSeed();
+        
         // Phase 2: Store scenario and seed for tracking
         this.currentScenarioId = scenarioId;
-        this.currentSeed = seed;
+        this.currentSeed = battleSeed;
+        this.battlesStarted++;
+        // Spawns, AI and combat draw from their own stream; the map generators use battleSeed directly
+        this.rng = createSeededRNG(deriveStreamSeed(battleSeed, BATTLE_STREAM_SALT));
+        this.previewBattle = options.preview === true;
+        
+        // A scenario file may fix the mode and bring its own victory rules and spawn zones
+        const scenario = scenarioId ? ScenarioLoader.getScenario(scenarioId) : null;
+        const victory = scenario?.victory || {};
+        mode = scenario?.mode || mode;
+        this.maxBattleTime = victory.maxDuration || GAME_CONFIG.BATTLE.MAX_DURATION;
+        
+        const redGenomes = options.redGenomes || [];
+        const blueGenomes = options.blueGenomes || [];
+        const redBehaviorTrees = options.redBehaviorTrees || [];
+        const blueBehaviorTrees = options.blueBehaviorTrees || [];
+        const networkTeams = ['red', 'blue'].filter(team => options.controllers?.[team] === CONTROLLER_TYPES.NEURAL_NETWORK);
         
         // Reset all systems
+        this.releaseControl();
         this.tanks = [];
         this.redTeam = [];
         this.blueTeam = [];
+        this.battleGenomes = { red: [], blue: [] };
         this.combat.clear();
         this.stats.reset();
+        this.accumulator = 0;
+        this.tickCount = 0;
+        this.lastBattleResult = null;
         
         // Reset victory message
         this.victoryMessage = null;
@@ -120,39 +192,53 @@ class GameEngine {
         
         // Set game mode
         this.battlefield.mode = mode;
+        this.battlefield.spawnZones = scenario?.spawnZones ? Object.fromEntries(Object.entries(scenario.spawnZones).map(
+            ([team, zone]) => [team, ScenarioLoader.toPixels(zone, this.canvas || { width: this.width, height: this.height })]
+        )) : null;
         
         // Initialize battlefield with scenario support
-        if (mode === 'king_of_hill') {
-            if (scenarioId && typeof initializeKingOfHill === 'function') {
-                // Use enhanced scenario system
-                const battleData = initializeKingOfHill(this.canvas, scenarioId, seed);
-                if (battleData.obstacles) {
-                    this.battlefield.obstacles = battleData.obstacles;
+        this.setUpBattlefield(mode, scenarioId, battleSeed, victory);
+        
+        // Generated maps can wall a team in or favor one side: check the layout and rebuild failures from derived seeds
+        this.mapValidation = null;
+        if (scenarioId && GAME_CONFIG.MAP_VALIDATION.ENABLED && typeof MapValidator !== 'undefined') {
+            // A scenario file's fixed layout comes out the same for every seed, so only generated maps are rebuilt
+            const maxAttempts = scenario?.generator === null ? 1 : GAME_CONFIG.MAP_VALIDATION.MAX_ATTEMPTS;
+            const attempts = [];
+            let mapSeed = battleSeed;
+            for (;;) {
+                attempts.push({ mapSeed, ...this.validateBattlefield(redTanks, blueTanks) });
+                if (attempts[attempts.length - 1].valid || attempts.length >= maxAttempts) {
+                    break;
                 }
-                if (battleData.hill) {
-                    this.battlefield.hillX = battleData.hill.x;
-                    this.battlefield.hillY = battleData.hill.y;
-                    this.battlefield.hillRadius = battleData.hill.radius;
-                    
-                    // Create the actual Hill object for rendering
-                    this.battlefield.hill = new Hill(battleData.hill.x, battleData.hill.y, battleData.hill.radius);
-                }
-                // Battle initialized with scenario
-            } else {
-                // Use default initialization
-                this.battlefield.initializeKingOfHill();
+                mapSeed = MapValidator.deriveSeed(battleSeed, attempts.length);
+                this.setUpBattlefield(mode, scenarioId, mapSeed, victory);
             }
+            
+            const final = attempts[attempts.length - 1];
+            this.mapValidation = { scenarioId, seed: battleSeed, mapSeed, valid: final.valid, paths: final.paths, attempts };
+            this.events.emit('mapValidation', this.mapValidation);
         }
         
         // Create red team
         for (let i = 0; i < redTanks; i++) {
-            const spawnPos = this.battlefield.getSpawnPosition('red', i, redTanks);
+            const spawnPos = this.battlefield.getSpawnPosition('red', i, redTanks, this.rng, this.tanks);
+            const genome = redGenomes[i] || (networkTeams.includes('red') ? NeuralController.generateGenome(this.rng) : this.generateBasicGenome());
             const tank = new Tank(
                 spawnPos.x,
                 spawnPos.y,
                 'red',
-                this.generateBasicGenome()
+                genome,
+                this.rng,
+                `red_${this.battlesStarted}_${i}`
             );
+            this.battleGenomes.red.push(Array.isArray(genome) ? [...genome] : tank.genome);
+            if (redBehaviorTrees[i]) {
+                tank.setBehaviorTree(redBehaviorTrees[i]);
+            }
+            if (networkTeams.includes('red')) {
+                tank.setNeuralNetwork(genome);
+            }
             // Debug logging removed for performance
             this.tanks.push(tank);
             this.redTeam.push(tank);
@@ -160,26 +246,201 @@ class GameEngine {
         
         // Create blue team
         for (let i = 0; i < blueTanks; i++) {
-            const spawnPos = this.battlefield.getSpawnPosition('blue', i, blueTanks);
+            const spawnPos = this.battlefield.getSpawnPosition('blue', i, blueTanks, this.rng, this.tanks);
+            const genome = blueGenomes[i] || (networkTeams.includes('blue') ? NeuralController.generateGenome(this.rng) : this.generateBasicGenome());
             const tank = new Tank(
                 spawnPos.x,
                 spawnPos.y,
                 'blue',
-                this.generateBasicGenome()
+                genome,
+                this.rng,
+                `blue_${this.battlesStarted}_${i}`
             );
+            this.battleGenomes.blue.push(Array.isArray(genome) ? [...genome] : tank.genome);
+            if (blueBehaviorTrees[i]) {
+                tank.setBehaviorTree(blueBehaviorTrees[i]);
+            }
+            if (networkTeams.includes('blue')) {
+                tank.setNeuralNetwork(genome);
+            }
             // Debug logging removed for performance
             this.tanks.push(tank);
             this.blueTeam.push(tank);
         }
         
+        if (options.humanControl) {
+            this.takeControl(options.humanControl.team, options.humanControl.index || 0);
+        }
+        
+        // Handicapped sides start with scaled health
+        this.teamSetup = this.resolveTeamSetup(redTanks, blueTanks, options.handicaps);
+        this.redTeam.forEach(tank => tank.setHealthMultiplier(this.teamSetup.red.healthMultiplier));
+        this.blueTeam.forEach(tank => tank.setHealthMultiplier(this.teamSetup.blue.healthMultiplier));
+        
+        // Deathmatch tanks come back after being destroyed, and are scored on kill/death ratio
+        if (mode === GAME_MODES.TEAM_DEATHMATCH) {
+            this.tanks.forEach(tank => {
+                tank.entity.respawnEnabled = true;
+            });
+        }
+        
+        // Start recording once every tank is in place
+        if (this.recordReplays && typeof BattleRecorder !== 'undefined') {
+            this.recorder = new BattleRecorder();
+            this.recorder.begin(this);
+        } else {
+            this.recorder = null;
+        }
+        
         // Debug logging removed for performance
     }
     
+    /**
+     * Obstacles, hill, flags or control points for the mode; scenario maps are generated from seed
+     */
+    setUpBattlefield(mode, scenarioId, seed, victory) {
+        if (mode === GAME_MODES.KING_OF_HILL) {
+            this.battlefield.flags = null;
+            this.battlefield.controlPoints = null;
+            this.battlefield.deathmatch = null;
+            if (scenarioId && typeof initializeKingOfHill === 'function') {
+                // Use enhanced scenario system (headless engines have no canvas, only dimensions)
+                const bounds = this.canvas || { width: this.width, height: this.height };
+                const battleData = initializeKingOfHill(bounds, scenarioId, seed);
+                if (battleData.obstacles) {
+                    this.battlefield.obstacles = battleData.obstacles;
+                }
+                if (battleData.hill) {
+                    this.battlefield.hillX = battleData.hill.x;
+                    this.battlefield.hillY = battleData.hill.y;
+                    this.battlefield.hillRadius = battleData.hill.radius;
+                    
+                    // Create the actual Hill object for rendering
+                    this.battlefield.hill = new Hill(battleData.hill.x, battleData.hill.y, battleData.hill.radius);
+                    if (victory.hillWinTime) {
+                        this.battlefield.hill.occupationTime = victory.hillWinTime;
+                    }
+                }
+                // Battle initialized with scenario
+            } else {
+                // Use default initialization
+                this.battlefield.initializeKingOfHill();
+            }
+        } else if (mode === GAME_MODES.CAPTURE_THE_FLAG) {
+            let bases = this.battlefield.getFlagBases();
+            if (scenarioId && typeof initializeCaptureTheFlag === 'function') {
+                const bounds = this.canvas || { width: this.width, height: this.height };
+                const battleData = initializeCaptureTheFlag(bounds, scenarioId, seed, bases);
+                if (battleData.obstacles) {
+                    this.battlefield.obstacles = battleData.obstacles;
+                }
+                bases = battleData.bases;
+            }
+            this.battlefield.initializeCaptureTheFlag(bases);
+            if (victory.capturesToWin) {
+                this.battlefield.flags.capturesToWin = victory.capturesToWin;
+            }
+        } else if (mode === GAME_MODES.DOMINATION) {
+            let points = this.battlefield.getDominationPoints();
+            let scoreToWin = GAME_CONFIG.BATTLE.DOMINATION.SCORE_TO_WIN;
+            if (scenarioId && typeof initializeDomination === 'function') {
+                const bounds = this.canvas || { width: this.width, height: this.height };
+                const battleData = initializeDomination(bounds, scenarioId, seed);
+                if (battleData.obstacles) {
+                    this.battlefield.obstacles = battleData.obstacles;
+                }
+                points = battleData.points;
+                scoreToWin = battleData.scoreToWin;
+            }
+            this.battlefield.initializeDomination(points, scoreToWin);
+        } else if (mode === GAME_MODES.TEAM_DEATHMATCH) {
+            if (scenarioId && typeof initializeBattle === 'function') {
+                const bounds = this.canvas || { width: this.width, height: this.height };
+                const battleData = initializeBattle(bounds, scenarioId, seed, null);
+                if (battleData && battleData.obstacles) {
+                    this.battlefield.obstacles = battleData.obstacles;
+                }
+            }
+            this.battlefield.initializeTeamDeathmatch(this.rng, victory.killsToWin);
+        }
+    }
+    
+    /**
+     * Check the battlefield just set up with MapValidator: every formation slot must reach the enemy team and the
+     * hill (King of the Hill only); the scenario's maxPathAsymmetry can loosen the hill path tolerance
+     */
+    validateBattlefield(redTanks, blueTanks) {
+        const battlefield = this.battlefield;
+        const tank = GAME_CONFIG.TANK;
+        const spawns = (team, count) => Array.from({ length: count }, (_, i) => {
+            const slot = battlefield.getFormationSlot(team, i, count);
+            return { x: slot.x - tank.WIDTH / 2, y: slot.y - tank.HEIGHT / 2 };
+        });
+        const scenario = ScenarioLoader.getScenario(this.currentScenarioId);
+        
+        return MapValidator.validate({
+            width: battlefield.width,
+            height: battlefield.height,
+            obstacles: battlefield.obstacles,
+            spawns: { red: spawns('red', redTanks), blue: spawns('blue', blueTanks) },
+            hill: battlefield.mode === GAME_MODES.KING_OF_HILL ? battlefield.hill : null
+        }, scenario?.maxPathAsymmetry ?? GAME_CONFIG.MAP_VALIDATION.MAX_PATH_ASYMMETRY);
+    }
+    
+    /**
+     * Hand one tank to a player: its TankAI is bypassed and keyboard/mouse input drives it instead
+     * Headless engines get the controller without input bindings so scripts can set controller.input directly
+     */
+    takeControl(team, index = 0) {
+        const teamTanks = team === 'red' ? this.redTeam : this.blueTeam;
+        const tank = teamTanks[index];
+        if (!tank) {
+            throw new Error(`No ${team} tank at index ${index} to take control of`);
+        }
+        
+        this.releaseControl();
+        this.humanController = new HumanController(tank);
+        tank.humanController = this.humanController;
+        if (!this.headless) {
+            this.humanController.bindInput(this.canvas);
+        }
+        return this.humanController;
+    }
+    
+    /**
+     * Give the player's tank back to its AI and stop listening for input
+     */
+    releaseControl() {
+        if (!this.humanController) {
+            return;
+        }
+        this.humanController.unbindInput();
+        this.humanController.tank.humanController = null;
+        this.humanController = null;
+    }
+    
+    /**
+     * Team sizes and per-side handicaps for the battle result (missing or invalid multipliers count as 1)
+     */
+    resolveTeamSetup(redTanks, blueTanks, handicaps = {}) {
+        const config = GAME_CONFIG.TEAMS;
+        const multiplierFor = (team) => {
+            const multiplier = handicaps && handicaps[team] && handicaps[team].healthMultiplier;
+            return Number.isFinite(multiplier) ?
+                MathUtils.clamp(multiplier, config.MIN_HEALTH_MULTIPLIER, config.MAX_HEALTH_MULTIPLIER) : 1;
+        };
+        
+        return {
+            red: { size: redTanks, healthMultiplier: multiplierFor('red') },
+            blue: { size: blueTanks, healthMultiplier: multiplierFor('blue') }
+        };
+    }
+    
     /**
      * Generate a basic genome for tanks
      */
     generateBasicGenome() {
-        return GenomeUtils.generateRandom(GAME_CONFIG.EVOLUTION.GENOME_LENGTH);
+        return GenomeUtils.generateRandom(GAME_CONFIG.EVOLUTION.GENOME_LENGTH, this.rng);
     }
     
     /**
@@ -190,7 +451,13 @@ class GameEngine {
         this.stats.battleTime = 0;
         this.lastTime = 0;
         this.stats.battleStarted = false;
-        this.gameLoop();
+        this.accumulator = 0;
+        this.tickCount = 0;
+        
+        // Headless engines are driven by step()/runToCompletion() instead of requestAnimationFrame
+        if (!this.headless) {
+            this.gameLoop();
+        }
     }
     
     /**
@@ -206,7 +473,9 @@ class GameEngine {
     resume() {
         this.gameState = GAME_STATES.RUNNING;
         this.lastTime = 0; // Reset to prevent large delta time
-        this.gameLoop();
+        if (!this.headless) {
+            this.gameLoop();
+        }
     }
     
     /**
@@ -216,9 +485,11 @@ class GameEngine {
         this.gameState = GAME_STATES.READY;
         this.lastTime = 0;
         this.stats.reset();
+        this.releaseControl();
         this.tanks = [];
         this.redTeam = [];
         this.blueTeam = [];
+        this.battleGenomes = { red: [], blue: [] };
         this.combat.clear();
     }
     
@@ -265,6 +536,51 @@ class GameEngine {
         requestAnimationFrame((time) => this.gameLoop(time));
     }
     
+    /**
+     * Advance the simulation by deltaTime seconds using fixed-size ticks
+     * Leftover time is carried over to the next call; returns the number of ticks run
+     */
+    step(deltaTime = this.fixedTimeStep) {
+        if (this.gameState !== GAME_STATES.RUNNING) {
+            return 0;
+        }
+        
+        this.accumulator += deltaTime;
+        let ticks = 0;
+        
+        // Small epsilon so step(fixedTimeStep) always runs exactly one tick despite float error
+        while (this.accumulator >= this.fixedTimeStep - 1e-9 && this.gameState === GAME_STATES.RUNNING) {
+            this.accumulator -= this.fixedTimeStep;
+            this.update(this.fixedTimeStep);
+            this.tickCount++;
+            ticks++;
+        }
+        
+        return ticks;
+    }
+    
+    /**
+     * Run the current battle to its end without rendering and return the battle result
+     */
+    runToCompletion(maxSimulatedTime = GAME_CONFIG.HEADLESS.MAX_SIMULATED_TIME) {
+        if (this.gameState === GAME_STATES.READY) {
+            this.start();
+        }
+        
+        const maxTicks = Math.ceil(maxSimulatedTime / this.fixedTimeStep);
+        while (this.gameState === GAME_STATES.RUNNING && this.tickCount < maxTicks) {
+            this.update(this.fixedTimeStep);
+            this.tickCount++;
+        }
+        
+        // Safety cap reached (e.g. no tank ever moved, so the battle clock never started)
+        if (this.gameState === GAME_STATES.RUNNING) {
+            this.endBattle(BATTLE_OUTCOMES.TIMEOUT, true);
+        }
+        
+        return this.lastBattleResult;
+    }
+    
     /**
      * Update game state
      */
@@ -276,21 +592,27 @@ class GameEngine {
         this.stats.updateUIStats(this.redTeam, this.blueTeam);
         
         // Update tanks
-        const gameState = this.getGameState();
         const aliveTanks = this.tanks.filter(tank => tank.isAlive);
+        this.battlefield.updateSpatialIndex(aliveTanks);
+        const gameState = this.getGameState();
         
         aliveTanks.forEach(tank => {
             tank.update(deltaTime, gameState);
         });
         
-        // Update battlefield (hill, etc.)
-        this.battlefield.update(deltaTime, aliveTanks);
+        // Update battlefield (hill, etc.); destroyed tanks are passed too for deathmatch respawns
+        this.battlefield.update(deltaTime, this.tanks, this.rng);
         
         // Update combat (projectiles)
         this.combat.update(deltaTime, this.battlefield);
         
         // Check collisions
-        this.combat.checkCollisions(this.tanks, this.battlefield);
+        this.combat.checkCollisions(this.tanks, this.battlefield, this.rng);
+        
+        // Record this tick for replays
+        if (this.recorder) {
+            this.recorder.captureFrame(this, deltaTime);
+        }
         
         // Check win conditions
         this.checkWinConditions();
@@ -298,7 +620,8 @@ class GameEngine {
         // Check battle time limit
         if (this.stats.battleStarted && this.stats.battleTime > this.maxBattleTime) {
             // Debug logging removed for performance
-            this.endBattle(BATTLE_OUTCOMES.TIMEOUT);
+            const deathmatch = this.battlefield.mode === GAME_MODES.TEAM_DEATHMATCH ? this.battlefield.deathmatch : null;
+            this.endBattle(deathmatch ? deathmatch.getTimeLimitWinner() : BATTLE_OUTCOMES.TIMEOUT);
         }
     }
     
@@ -306,6 +629,15 @@ class GameEngine {
      * Check win conditions
      */
     checkWinConditions() {
+        // Team Deathmatch: destroyed tanks respawn, so only the kill target ends it early
+        const deathmatch = this.battlefield.deathmatch;
+        if (deathmatch && this.battlefield.mode === GAME_MODES.TEAM_DEATHMATCH) {
+            if (deathmatch.isGameWon()) {
+                this.endBattle(deathmatch.getWinner());
+            }
+            return;
+        }
+        
         const aliveRed = this.redTeam.filter(tank => tank.isAlive).length;
         const aliveBlue = this.blueTeam.filter(tank => tank.isAlive).length;
         
@@ -328,17 +660,31 @@ class GameEngine {
             this.endBattle(this.battlefield.hill.getWinner());
             return;
         }
+        
+        // Check Capture the Flag victory
+        const flags = this.battlefield.flags;
+        if (flags && this.battlefield.mode === GAME_MODES.CAPTURE_THE_FLAG && flags.isGameWon()) {
+            this.endBattle(flags.getWinner());
+            return;
+        }
+        
+        // Check Domination victory
+        const controlPoints = this.battlefield.controlPoints;
+        if (controlPoints && this.battlefield.mode === GAME_MODES.DOMINATION && controlPoints.isGameWon()) {
+            this.endBattle(controlPoints.getWinner());
+            return;
+        }
     }
     
     /**
      * End the battle
      */
-    endBattle(winner) {
+    endBattle(winner, force = false) {
         // Debug logging removed for performance
         
         // Only apply minimum battle time for timeout scenarios
         const minimumBattleTime = GAME_CONFIG.BATTLE.MIN_DURATION_FOR_TIMEOUT;
-        if (winner === BATTLE_OUTCOMES.TIMEOUT && this.stats.battleStarted && this.stats.battleTime < minimumBattleTime) {
+        if (!force && winner === BATTLE_OUTCOMES.TIMEOUT && this.stats.battleStarted && this.stats.battleTime < minimumBattleTime) {
             // Debug logging removed for performance
             return;
         }
@@ -349,10 +695,38 @@ class GameEngine {
         this.setVictoryMessage(winner);
         
         const battleResult = this.getBattleResult(winner);
+        this.lastBattleResult = battleResult;
+        
+        // The player's tank stays marked until the next battle, but keys and clicks go back to the page
+        if (this.humanController) {
+            this.humanController.unbindInput();
+        }
+        
+        if (this.recorder) {
+            this.storeReplay(this.recorder.finish(battleResult));
+            this.recorder = null;
+        }
+        
+        this.events.emit('battleEnd', battleResult);
         
         // Dispatch battle end event (evolution engine will handle via event listener)
-        const event = new CustomEvent('battleEnd', { detail: battleResult });
-        window.dispatchEvent(event);
+        // Headless battles stay private so they never drive the on-page evolution loop
+        if (!this.headless && typeof window !== 'undefined') {
+            const event = new CustomEvent('battleEnd', { detail: battleResult });
+            window.dispatchEvent(event);
+        }
+    }
+    
+    /**
+     * Keep a finished replay as lastReplay and in the recent replay history
+     */
+    storeReplay(replay) {
+        this.lastReplay = replay;
+        this.replayHistory.push(replay);
+        if (this.replayHistory.length > GAME_CONFIG.REPLAY.HISTORY_SIZE) {
+            this.replayHistory.shift();
+        }
+        this.events.emit('replayReady', replay);
     }
     
     /**
@@ -361,7 +735,13 @@ class GameEngine {
     getBattleResult(winner) {
         const aliveRed = this.redTeam.filter(tank => tank.isAlive).length;
         const aliveBlue = this.blueTeam.filter(tank => tank.isAlive).length;
-        const totalKills = this.redTeam.length + this.blueTeam.length - aliveRed - aliveBlue;
+        const flags = this.battlefield.mode === GAME_MODES.CAPTURE_THE_FLAG ? this.battlefield.flags : null;
+        const controlPoints = this.battlefield.mode === GAME_MODES.DOMINATION ? this.battlefield.controlPoints : null;
+        const deathmatch = this.battlefield.mode === GAME_MODES.TEAM_DEATHMATCH ? this.battlefield.deathmatch : null;
+        
+        // Deathmatch tanks respawn, so kills are counted as they happen instead of from the survivors
+        const totalKills = deathmatch ? deathmatch.kills.red + deathmatch.kills.blue :
+            this.redTeam.length + this.blueTeam.length - aliveRed - aliveBlue;
         
         // Determine victory type
         let victoryType = 'elimination';
@@ -369,6 +749,12 @@ class GameEngine {
             victoryType = 'timeout';
         } else if (this.battlefield.hill && this.battlefield.hill.isGameWon()) {
             victoryType = 'king_of_hill';
+        } else if (flags && flags.isGameWon()) {
+            victoryType = 'capture_the_flag';
+        } else if (controlPoints && controlPoints.isGameWon()) {
+            victoryType = 'domination';
+        } else if (deathmatch) {
+            victoryType = deathmatch.isGameWon() ? 'team_deathmatch' : 'time_limit';
         }
         
         // Hill control data
@@ -393,6 +779,23 @@ class GameEngine {
             redTeamStats: this.stats.calculateTeamStats(this.redTeam),
             blueTeamStats: this.stats.calculateTeamStats(this.blueTeam),
             hillControlData,
+            flagData: flags ? flags.getFlagData() : null,
+            dominationData: controlPoints ? controlPoints.getDominationData() : null,
+            deathmatchData: deathmatch ? deathmatch.getDeathmatchData() : null,
+            teams: {
+                red: { ...this.teamSetup.red },
+                blue: { ...this.teamSetup.blue }
+            },
+            // Who fought, so ratings (SkillRatings) can follow genomes from battle to battle
+            redGenomes: this.battleGenomes.red,
+            blueGenomes: this.battleGenomes.blue,
+            humanControl: this.humanController ? {
+                team: this.humanController.tank.team,
+                tankId: this.humanController.tank.tankId
+            } : null,
+            preview: this.previewBattle,
+            // Seed the map was generated from (differs from seed when the battle seed's map failed validation)
+            mapSeed: this.mapValidation ? this.mapValidation.mapSeed : this.currentSeed,
             // Phase 2: Include scenario and seed for tracking
             scenarioId: this.currentScenarioId,
             seed: this.currentSeed,
@@ -417,6 +820,10 @@ class GameEngine {
      * Render the game
      */
     render() {
+        if (this.headless) {
+            return;
+        }
+        
         // Clear canvas
         this.ctx.fillStyle = GAME_CONFIG.UI.COLORS.BACKGROUND;
         this.ctx.fillRect(0, 0, this.width, this.height);
@@ -427,6 +834,11 @@ class GameEngine {
         // Render tanks
         this.tanks.forEach(tank => tank.render(this.ctx));
         
+        // Mark the player's tank (not while a replay has swapped in its own tanks)
+        if (this.humanController && this.tanks.includes(this.humanController.tank)) {
+            this.humanController.render(this.ctx);
+        }
+        
         // Render projectiles
         this.combat.render(this.ctx);
         
@@ -639,6 +1051,18 @@ function createSeededRNG(seed) {
     };
 }
 
+// Salt for the battle's spawn, AI and combat stream (GameEngine.rng)
+const BATTLE_STREAM_SALT = 0x5bd1e995;
+
+// Seed for an independent stream derived from a battle seed
+// Seeds that differ only by a constant give shifted copies of the same Lehmer sequence, so the seed is hashed
+function deriveStreamSeed(seed, salt) {
+    let hash = (seed ^ salt) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 16), 0x85ebca6b) >>> 0;
+    hash = Math.imul(hash ^ (hash >>> 13), 0xc2b2ae35) >>> 0;
+    return (hash ^ (hash >>> 16)) % 2147483646 + 1;
+}
+
 // Helper function to check if obstacle overlaps with hill
 function obstacleOverlapsHill(obstacleX, obstacleY, obstacleWidth, obstacleHeight, hill) {
     if (!hill) return false;
@@ -685,7 +1109,7 @@ function createOpenFieldObstacles(canvas, scenario, seed, hill = null) {
             )
         );
         
-        obstacles.push({ x, y, width, height });
+        obstacles.push(ObstacleUtils.create(x, y, width, height, ObstacleUtils.pickType(scenario.obstacleTypes, rng)));
     }
     
     return obstacles;
@@ -723,7 +1147,7 @@ function createUrbanObstacles(canvas, scenario, seed, hill = null) {
             
             // Only place if it doesn't overlap with hill
             if (!obstacleOverlapsHill(x, y, width, height, hill)) {
-                obstacles.push({ x, y, width, height });
+                obstacles.push(ObstacleUtils.create(x, y, width, height, ObstacleUtils.pickType(scenario.obstacleTypes, rng)));
                 placed++;
             }
         }
@@ -755,7 +1179,7 @@ function createChokepointObstacles(canvas, scenario, seed, hill = null) {
             if (passageStart > 20) {
                 const width = passageStart - 10;
                 const height = minSize + rng.random() * (maxSize - minSize);
-                obstacles.push({ x: 0, y: y - height/2, width, height });
+                obstacles.push(ObstacleUtils.create(0, y - height/2, width, height, OBSTACLE_TYPES.BARRIER));
             }
             
             // Right barrier segment
@@ -763,7 +1187,7 @@ function createChokepointObstacles(canvas, scenario, seed, hill = null) {
             if (rightStart < canvas.width - 20) {
                 const width = canvas.width - rightStart;
                 const height = minSize + rng.random() * (maxSize - minSize);
-                obstacles.push({ x: rightStart, y: y - height/2, width, height });
+                obstacles.push(ObstacleUtils.create(rightStart, y - height/2, width, height, OBSTACLE_TYPES.BARRIER));
             }
         }
     } else {
@@ -780,7 +1204,7 @@ function createChokepointObstacles(canvas, scenario, seed, hill = null) {
             if (passageStart > 20) {
                 const width = minSize + rng.random() * (maxSize - minSize);
                 const height = passageStart - 10;
-                obstacles.push({ x: x - width/2, y: 0, width, height });
+                obstacles.push(ObstacleUtils.create(x - width/2, 0, width, height, OBSTACLE_TYPES.BARRIER));
             }
             
             // Bottom barrier segment
@@ -788,7 +1212,7 @@ function createChokepointObstacles(canvas, scenario, seed, hill = null) {
             if (bottomStart < canvas.height - 20) {
                 const width = minSize + rng.random() * (maxSize - minSize);
                 const height = canvas.height - bottomStart;
-                obstacles.push({ x: x - width/2, y: bottomStart, width, height });
+                obstacles.push(ObstacleUtils.create(x - width/2, bottomStart, width, height, OBSTACLE_TYPES.BARRIER));
             }
         }
     }
@@ -806,7 +1230,7 @@ function createChokepointObstacles(canvas, scenario, seed, hill = null) {
             attempts++;
         } while (attempts < 50 && obstacleOverlapsHill(x, y, width, height, hill));
         
-        obstacles.push({ x, y, width, height });
+        obstacles.push(ObstacleUtils.create(x, y, width, height, ObstacleUtils.pickType(scenario.obstacleTypes, rng)));
     }
     
     // Filter out any obstacles that overlap with hill
@@ -844,13 +1268,14 @@ function createFortressObstacles(canvas, scenario, seed, hill = null) {
         const width = maxSize + rng.random() * 20;
         const height = minSize + rng.random() * (maxSize - minSize);
         
-        // Rotate obstacle to align with wall
-        obstacles.push({
-            x: Math.max(0, Math.min(canvas.width - width, x - width/2)),
-            y: Math.max(0, Math.min(canvas.height - height, y - height/2)),
+        // Every other wall segment can be breached by sustained fire
+        obstacles.push(ObstacleUtils.create(
+            Math.max(0, Math.min(canvas.width - width, x - width/2)),
+            Math.max(0, Math.min(canvas.height - height, y - height/2)),
             width,
-            height
-        });
+            height,
+            i % 2 === 0 ? OBSTACLE_TYPES.BARRIER : OBSTACLE_TYPES.DESTRUCTIBLE
+        ));
     }
     
     // Inner keep structures
@@ -869,7 +1294,7 @@ function createFortressObstacles(canvas, scenario, seed, hill = null) {
         
         // Only add if it doesn't overlap with hill
         if (!obstacleOverlapsHill(obstacleX, obstacleY, width, height, hill)) {
-            obstacles.push({ x: obstacleX, y: obstacleY, width, height });
+            obstacles.push(ObstacleUtils.create(obstacleX, obstacleY, width, height, ObstacleUtils.pickType(scenario.obstacleTypes, rng)));
         }
     }
     
@@ -881,47 +1306,49 @@ function createFortressObstacles(canvas, scenario, seed, hill = null) {
     return filteredObstacles;
 }
 
+// Obstacle generators by name; a scenario picks one with its `generator` key (custom maps may have none)
+const SCENARIO_GENERATORS = {
+    open_field: createOpenFieldObstacles,
+    urban: createUrbanObstacles,
+    chokepoint: createChokepointObstacles,
+    fortress: createFortressObstacles
+};
+
+// Pick a fresh battle seed (within the configured evaluation range when seeded evaluation is on)
+function generateBattleSeed() {
+    const seededEvaluation = globalThis.CONFIG?.asiArch?.battleScenarios?.seededEvaluation;
+    if (seededEvaluation?.enabled) {
+        const [minSeed, maxSeed] = seededEvaluation.seedRange;
+        return Math.floor(Math.random() * (maxSeed - minSeed)) + minSeed;
+    }
+    return Math.floor(Math.random() * 10000);
+}
+
 // Enhanced battle initialization with scenario support
+// Only returns the battle data: the calling GameEngine applies it to its own battlefield, so a headless engine
+// (e.g. MultiScenarioEvaluator's) never touches the battle on the page
 function initializeBattle(canvas, scenarioId = 'open_field', seed = null, hill = null) {
-    const config = window.CONFIG?.asiArch?.battleScenarios;
+    const config = globalThis.CONFIG?.asiArch?.battleScenarios;
     if (!config || !config.scenarios) {
         console.warn('Enhanced battle scenarios not configured, using default obstacles');
         return;
     }
     
-    const scenario = config.scenarios[scenarioId];
+    let scenario = config.scenarios[scenarioId];
     if (!scenario) {
         console.warn(`Scenario ${scenarioId} not found, using open_field`);
         scenarioId = 'open_field';
+        scenario = config.scenarios.open_field || {};
     }
     
     // Use provided seed or generate one
-    const battleSeed = seed || (config.seededEvaluation?.enabled ? 
-        Math.floor(Math.random() * (config.seededEvaluation.seedRange[1] - config.seededEvaluation.seedRange[0])) + config.seededEvaluation.seedRange[0] :
-        Math.floor(Math.random() * 10000));
-    
-    // Generate obstacles based on scenario, avoiding hill if provided
-    let obstacles = [];
-    switch (scenarioId) {
-        case 'open_field':
-            obstacles = createOpenFieldObstacles(canvas, scenario, battleSeed, hill);
-            break;
-        case 'urban_warfare':
-            obstacles = createUrbanObstacles(canvas, scenario, battleSeed, hill);
-            break;
-        case 'chokepoint_control':
-            obstacles = createChokepointObstacles(canvas, scenario, battleSeed, hill);
-            break;
-        case 'fortress_assault':
-            obstacles = createFortressObstacles(canvas, scenario, battleSeed, hill);
-            break;
-        default:
-            obstacles = createOpenFieldObstacles(canvas, scenario, battleSeed, hill);
-    }
-    
-    // Apply obstacles to global game state (for compatibility)
-    if (window.gameEngine && window.gameEngine.battlefield) {
-        window.gameEngine.battlefield.obstacles = obstacles;
+    const battleSeed = seed ?? generateBattleSeed();
+    
+    // Fixed obstacles from a scenario file, then the scenario's generated obstacles (avoiding hill if provided)
+    let obstacles = ScenarioLoader.placeObstacles(scenario, canvas);
+    if (scenario.generator !== null) {
+        const generate = SCENARIO_GENERATORS[scenario.generator] || createOpenFieldObstacles;
+        obstacles = obstacles.concat(generate(canvas, scenario, battleSeed, hill));
     }
     
     return {
@@ -931,23 +1358,85 @@ function initializeBattle(canvas, scenarioId = 'open_field', seed = null, hill =
     };
 }
 
+// Capture the Flag battle: scenario obstacles with both flag bases (the scenario's own, if it has them) kept clear
+function initializeCaptureTheFlag(canvas, scenarioId = 'open_field', seed = null, bases) {
+    const baseRadius = GAME_CONFIG.BATTLE.CAPTURE_THE_FLAG.BASE_RADIUS;
+    const flagBases = ScenarioLoader.getScenario(scenarioId)?.flagBases;
+    if (flagBases) {
+        bases = { red: ScenarioLoader.toPixels(flagBases.red, canvas), blue: ScenarioLoader.toPixels(flagBases.blue, canvas) };
+    }
+    const battleData = initializeBattle(canvas, scenarioId, seed, null);
+    if (!battleData) {
+        return { bases };
+    }
+    
+    const obstacles = battleData.obstacles.filter(obstacle =>
+        !obstacleOverlapsHill(obstacle.x, obstacle.y, obstacle.width, obstacle.height, { ...bases.red, radius: baseRadius }) &&
+        !obstacleOverlapsHill(obstacle.x, obstacle.y, obstacle.width, obstacle.height, { ...bases.blue, radius: baseRadius })
+    );
+    
+    return {
+        ...battleData,
+        obstacles,
+        bases
+    };
+}
+
+// Domination battle: the scenario's control points (battlefield fractions) with obstacles kept off them
+function initializeDomination(canvas, scenarioId = 'open_field', seed = null) {
+    const config = GAME_CONFIG.BATTLE.DOMINATION;
+    const scenario = globalThis.CONFIG?.asiArch?.battleScenarios?.scenarios?.[scenarioId];
+    const domination = scenario?.domination || {};
+    
+    let fractions = domination.points || config.DEFAULT_POINTS;
+    if (fractions.length < config.MIN_POINTS || fractions.length > config.MAX_POINTS) {
+        console.warn(`Scenario ${scenarioId} defines ${fractions.length} control points (${config.MIN_POINTS}-${config.MAX_POINTS} allowed), using defaults`);
+        fractions = config.DEFAULT_POINTS;
+    }
+    
+    const points = fractions.map(point => {
+        const pixels = ScenarioLoader.toPixels(point, canvas);
+        return { x: pixels.x, y: pixels.y, radius: pixels.radius || config.POINT_RADIUS };
+    });
+    const scoreToWin = domination.scoreToWin || config.SCORE_TO_WIN;
+    
+    const battleData = initializeBattle(canvas, scenarioId, seed, null);
+    if (!battleData) {
+        return { points, scoreToWin };
+    }
+    
+    const obstacles = battleData.obstacles.filter(obstacle => !points.some(point =>
+        obstacleOverlapsHill(obstacle.x, obstacle.y, obstacle.width, obstacle.height, point)
+    ));
+    
+    return {
+        ...battleData,
+        obstacles,
+        points,
+        scoreToWin
+    };
+}
+
 function initializeKingOfHill(canvas, scenarioId = 'open_field', seed = null) {
-    const rng = createSeededRNG(seed || Date.now() % 10000);
+    const rng = createSeededRNG(seed ?? Date.now() % 10000);
     
-    // Calculate hill position first (before obstacles)
-    const hillRadius = 30;
-    const hillX = canvas.width / 2 + (rng.random() - 0.5) * 100;
-    const hillY = canvas.height / 2 + (rng.random() - 0.5) * 100;
+    // Calculate hill position first (before obstacles): one of the scenario's hills, or near the center
+    const hills = ScenarioLoader.getScenario(scenarioId)?.hills;
+    let hillRadius, hillX, hillY;
+    if (hills) {
+        const hill = ScenarioLoader.toPixels(MathUtils.randomElement(hills, rng), canvas);
+        hillRadius = hill.radius || GAME_CONFIG.SCENARIO_FILE.HILL_RADIUS;
+        hillX = hill.x;
+        hillY = hill.y;
+    } else {
+        hillRadius = 30;
+        hillX = canvas.width / 2 + (rng.random() - 0.5) * 100;
+        hillY = canvas.height / 2 + (rng.random() - 0.5) * 100;
+    }
     
     // Initialize battle with scenario, passing hill position
     const battleData = initializeBattle(canvas, scenarioId, seed, { x: hillX, y: hillY, radius: hillRadius });
     
-    if (window.gameEngine) {
-        window.gameEngine.hillX = hillX;
-        window.gameEngine.hillY = hillY;
-        window.gameEngine.hillRadius = hillRadius;
-    }
-    
     return {
         ...battleData,
         hill: { x: hillX, y: hillY, radius: hillRadius }
@@ -957,17 +1446,32 @@ function initializeKingOfHill(canvas, scenarioId = 'open_field', seed = null) {
 // Export enhanced battle scenarios functions
 if (typeof window !== 'undefined') {
     window.createSeededRNG = createSeededRNG;
+    window.deriveStreamSeed = deriveStreamSeed;
+    window.BATTLE_STREAM_SALT = BATTLE_STREAM_SALT;
     window.createOpenFieldObstacles = createOpenFieldObstacles;
     window.createUrbanObstacles = createUrbanObstacles;
     window.createChokepointObstacles = createChokepointObstacles;
     window.createFortressObstacles = createFortressObstacles;
+    window.SCENARIO_GENERATORS = SCENARIO_GENERATORS;
     window.initializeBattle = initializeBattle;
     window.initializeKingOfHill = initializeKingOfHill;
+    window.initializeCaptureTheFlag = initializeCaptureTheFlag;
+    window.initializeDomination = initializeDomination;
 }
 
 // Export for both Node.js and browser environments
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { GameEngine };
+    module.exports = {
+        GameEngine,
+        createSeededRNG,
+        deriveStreamSeed,
+        BATTLE_STREAM_SALT,
+        SCENARIO_GENERATORS,
+        initializeBattle,
+        initializeKingOfHill,
+        initializeCaptureTheFlag,
+        initializeDomination
+    };
 } else {
     window.GameEngine = GameEngine;
 }
@@ -0,0 +1,157 @@
+/**
+ * Hall of Fame - Past champions of each team for Red Queen coevolution
+ * Evolution that only plays the current opponents can cycle: a strategy beats the counter to the counter of itself
+ * and the populations chase each other in circles. The hall keeps each generation's champion, new populations
+ * also fight a sample of the opposing team's champions, and a results matrix (challenger generation x champion)
+ * shows regressions - a generation losing to an old strategy that an earlier generation had already beaten.
+ */
+
+class HallOfFame {
+    constructor(options = {}) {
+        const config = GAME_CONFIG.ASI_ARCH.RED_QUEEN.HALL_OF_FAME;
+        this.settings = {
+            size: config.SIZE,
+            opponents: config.OPPONENTS,
+            ...options
+        };
+        this.reset();
+    }
+    
+    /**
+     * Forget every champion and result
+     */
+    reset() {
+        this.champions = { red: [], blue: [] };
+        // Challenger team -> generation -> champion id -> { wins, losses, draws }
+        this.results = { red: new Map(), blue: new Map() };
+    }
+    
+    /**
+     * Add a team's champion for a generation; a genome already in the hall (a surviving elite) is not added twice
+     * Returns the champion, or null if it was already there
+     */
+    induct(team, candidate, generation) {
+        const champions = this.champions[team];
+        const known = champions.some(champion => champion.genome.length === candidate.genome.length &&
+            champion.genome.every((gene, i) => gene === candidate.genome[i]));
+        if (known) {
+            return null;
+        }
+        
+        const champion = {
+            id: `${team}-${generation}`,
+            team,
+            generation,
+            genome: [...candidate.genome],
+            behaviorTree: candidate.behaviorTree ? BehaviorTree.clone(candidate.behaviorTree) : null,
+            fitness: candidate.fitness
+        };
+        champions.push(champion);
+        if (champions.length > this.settings.size) {
+            champions.shift();
+        }
+        return champion;
+    }
+    
+    /**
+     * Random champions of a team to play against (drawn with replacement, so a small hall still fills the sample)
+     */
+    sample(team, count = this.settings.opponents, rng = Math) {
+        const champions = this.champions[team];
+        if (champions.length === 0) {
+            return [];
+        }
+        return Array.from({ length: count }, () => MathUtils.randomElement(champions, rng));
+    }
+    
+    /**
+     * Record a battle between a challenger generation and a champion of the other team
+     * outcome: 1 challenger won, -1 champion won, 0 draw or timeout
+     */
+    record(challengerTeam, generation, champion, outcome) {
+        const byGeneration = this.results[challengerTeam];
+        if (!byGeneration.has(generation)) {
+            byGeneration.set(generation, new Map());
+        }
+        const row = byGeneration.get(generation);
+        if (!row.has(champion.id)) {
+            row.set(champion.id, { championGeneration: champion.generation, wins: 0, losses: 0, draws: 0 });
+        }
+        const cell = row.get(champion.id);
+        if (outcome > 0) {
+            cell.wins++;
+        } else if (outcome < 0) {
+            cell.losses++;
+        } else {
+            cell.draws++;
+        }
+    }
+    
+    /**
+     * Share of the points a challenger generation took off a champion (draws count half), or null if they never met
+     */
+    getScore(challengerTeam, generation, championId) {
+        const row = this.results[challengerTeam].get(generation);
+        const cell = row && row.get(championId);
+        if (!cell) {
+            return null;
+        }
+        return (cell.wins + cell.draws / 2) / (cell.wins + cell.losses + cell.draws);
+    }
+    
+    /**
+     * Results matrix for a challenger team: one row per generation, one score per champion it met
+     */
+    getMatrix(challengerTeam) {
+        return Array.from(this.results[challengerTeam].entries()).map(([generation, row]) => ({
+            generation,
+            scores: Object.fromEntries(Array.from(row.keys()).map(id => [id, this.getScore(challengerTeam, generation, id)]))
+        }));
+    }
+    
+    /**
+     * Champions a challenger generation lost to although an earlier generation of its team had beaten them
+     */
+    findRegressions(challengerTeam, generation) {
+        const row = this.results[challengerTeam].get(generation);
+        if (!row) {
+            return [];
+        }
+        
+        const regressions = [];
+        row.forEach((cell, championId) => {
+            const score = this.getScore(challengerTeam, generation, championId);
+            if (score >= 0.5) {
+                return;
+            }
+            // Most recent earlier generation that won the matchup
+            let beatenBy = null;
+            this.results[challengerTeam].forEach((_, earlier) => {
+                if (earlier < generation && this.getScore(challengerTeam, earlier, championId) > 0.5) {
+                    beatenBy = earlier;
+                }
+            });
+            if (beatenBy !== null) {
+                regressions.push({ championId, championGeneration: cell.championGeneration, score, beatenBy });
+            }
+        });
+        return regressions;
+    }
+    
+    /**
+     * Champions (genomes, trees and fitness) and both results matrices, for exports
+     */
+    toJSON() {
+        return {
+            champions: { red: this.champions.red, blue: this.champions.blue },
+            matrix: { red: this.getMatrix('red'), blue: this.getMatrix('blue') }
+        };
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HallOfFame };
+} else {
+    window.HallOfFame = HallOfFame;
+}
@@ -17,6 +17,8 @@ class Hill {
         
         // Enhanced tracking for tactical analysis
         this.controlChanges = 0;
+        this.redCount = 0; // Tanks of each team inside the contest radius last tick
+        this.blueCount = 0;
         this.maxRedControl = 0;
         this.maxBlueControl = 0;
         this.currentRedStreak = 0;
@@ -37,7 +39,7 @@ class Hill {
         this.captureEvents = [];
     }
     
-    update(deltaTime, tanks) {
+    update(deltaTime, tanks, rng = Math) {
         this.pulseTimer += deltaTime;
         
         // Find tanks on the hill
@@ -48,6 +50,8 @@ class Hill {
         // Determine hill status
         const redCount = redTanks.length;
         const blueCount = blueTanks.length;
+        this.redCount = redCount;
+        this.blueCount = blueCount;
         
         if (redCount > 0 && blueCount === 0) {
             // Red team capturing/holding
@@ -79,7 +83,7 @@ class Hill {
         }
         
         // Update visual effects
-        this.updateEffects(deltaTime);
+        this.updateEffects(deltaTime, rng);
     }
     
     updateCapture(team, deltaTime) {
@@ -159,7 +163,7 @@ class Hill {
         });
     }
     
-    updateEffects(deltaTime) {
+    updateEffects(deltaTime, rng = Math) {
         // Update capture effects
         this.captureEffects = this.captureEffects.filter(effect => {
             effect.life -= deltaTime;
@@ -169,10 +173,10 @@ class Hill {
         });
         
         // Add new effects when capturing
-        if (this.controlProgress > 0 && this.controlProgress < 100 && Math.random() < 0.3) {
+        if (this.controlProgress > 0 && this.controlProgress < 100 && rng.random() < 0.3) {
             this.captureEffects.push({
-                x: this.x + (Math.random() - 0.5) * this.radius,
-                y: this.y + (Math.random() - 0.5) * this.radius,
+                x: this.x + (rng.random() - 0.5) * this.radius,
+                y: this.y + (rng.random() - 0.5) * this.radius,
                 scale: 0.5,
                 life: 1.0,
                 maxLife: 1.0,
@@ -183,6 +187,14 @@ class Hill {
     }
     
     render(ctx) {
+        this.renderControlArea(ctx);
+        
+        // Score display
+        this.renderScoreUI(ctx);
+    }
+    
+    // Draw the hill, its control ring and capture effects (no score panel)
+    renderControlArea(ctx) {
         ctx.save();
         
         // Hill base (always visible)
@@ -234,9 +246,6 @@ class Hill {
         });
         
         ctx.restore();
-        
-        // Score display
-        this.renderScoreUI(ctx);
     }
     
     getHillColor() {
@@ -363,6 +372,8 @@ class Hill {
         
         // Reset tactical tracking
         this.controlChanges = 0;
+        this.redCount = 0;
+        this.blueCount = 0;
         this.maxRedControl = 0;
         this.maxBlueControl = 0;
         this.currentRedStreak = 0;
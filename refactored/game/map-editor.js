@@ -0,0 +1,506 @@
+/**
+ * Map Editor - Draw a custom map on the battlefield canvas and save it as a scenario file (ScenarioLoader format)
+ * With the obstacle tool, dragging on open ground draws an obstacle; clicking one selects it, dragging moves it and its
+ * bottom-right handle resizes it; Delete or a right-click removes it. The hill tool places the hill with a click and
+ * sizes it by dragging, and the spawn tools paint each team's spawn zone (right-click clears it).
+ * While open, the editor owns the canvas: the engine stays idle and the editor draws the map itself
+ */
+
+// Toolbar tools
+const MAP_EDITOR_TOOLS = {
+    OBSTACLE: 'obstacle',
+    HILL: 'hill',
+    RED_SPAWN: 'red_spawn',
+    BLUE_SPAWN: 'blue_spawn'
+};
+
+class MapEditor {
+    constructor(gameEngine) {
+        this.engine = gameEngine;
+        this.width = gameEngine.width;
+        this.height = gameEngine.height;
+        this.map = MapEditor.createMap(this.width, this.height);
+        
+        // Drawing surface: a battlefield of its own, so the engine's battlefield is left as it was
+        this.battlefield = new BattlefieldManager(this.width, this.height);
+        
+        this.isOpen = false;
+        this.tool = MAP_EDITOR_TOOLS.OBSTACLE;
+        this.obstacleType = OBSTACLE_TYPES.BARRIER;
+        this.selected = null; // index into map.obstacles
+        this.drag = null; // the mouse gesture in progress
+        this.listeners = [];
+        
+        // 'change' fires after every edit with the map's validation errors (empty if it can be saved)
+        this.events = new EventManager();
+    }
+    
+    /**
+     * Empty map: no obstacles, a hill in the center and no spawn zones
+     */
+    static createMap(width, height) {
+        return {
+            format: GAME_CONFIG.SCENARIO_FILE.FORMAT,
+            version: GAME_CONFIG.SCENARIO_FILE.VERSION,
+            id: 'custom_map',
+            name: 'Custom Map',
+            description: 'Drawn in the map editor',
+            size: { width, height },
+            obstacles: [],
+            hills: [{ x: width / 2, y: height / 2, radius: GAME_CONFIG.SCENARIO_FILE.HILL_RADIUS }],
+            spawnZones: {}
+        };
+    }
+    
+    /**
+     * Show the editor on the canvas and start listening for mouse and keyboard input
+     */
+    open() {
+        if (this.isOpen || !this.engine.canvas) {
+            return;
+        }
+        this.isOpen = true;
+        this.fitToEngine();
+        this.bindInput(this.engine.canvas);
+        this.render();
+        this.changed();
+    }
+    
+    /**
+     * Stop editing; the map is kept for the next open()
+     */
+    close() {
+        if (!this.isOpen) {
+            return;
+        }
+        this.unbindInput();
+        this.drag = null;
+        this.isOpen = false;
+    }
+    
+    /**
+     * Follow the battlefield size (the canvas fills its container), rescaling the map if the engine was resized
+     */
+    fitToEngine() {
+        const { width, height } = this.engine;
+        if (width === this.width && height === this.height) {
+            return;
+        }
+        const scaleX = width / this.width;
+        const scaleY = height / this.height;
+        const scale = area => {
+            area.x = Math.round(area.x * scaleX);
+            area.y = Math.round(area.y * scaleY);
+            if (area.width !== undefined) {
+                area.width = Math.round(area.width * scaleX);
+                area.height = Math.round(area.height * scaleY);
+            }
+            if (area.radius !== undefined) {
+                area.radius = Math.round(area.radius * Math.min(scaleX, scaleY));
+            }
+        };
+        this.map.obstacles.forEach(scale);
+        this.map.hills.forEach(scale);
+        Object.values(this.map.spawnZones).forEach(scale);
+        this.map.size = { width, height };
+        this.width = width;
+        this.height = height;
+        this.battlefield = new BattlefieldManager(width, height);
+    }
+    
+    /**
+     * Switch tool (MAP_EDITOR_TOOLS)
+     */
+    setTool(tool) {
+        if (!Object.values(MAP_EDITOR_TOOLS).includes(tool)) {
+            throw new Error(`Unknown map editor tool "${tool}" (available: ${Object.values(MAP_EDITOR_TOOLS).join(', ')})`);
+        }
+        this.tool = tool;
+        this.selected = null;
+        this.render();
+    }
+    
+    /**
+     * Type for new obstacles; the selected obstacle changes type too
+     */
+    setObstacleType(type) {
+        if (!Object.values(OBSTACLE_TYPES).includes(type)) {
+            throw new Error(`Unknown obstacle type "${type}" (available: ${Object.values(OBSTACLE_TYPES).join(', ')})`);
+        }
+        this.obstacleType = type;
+        if (this.selected !== null) {
+            this.map.obstacles[this.selected].type = type;
+            this.changed();
+        }
+        this.render();
+    }
+    
+    /**
+     * Name the map; the scenario id is derived from it
+     */
+    setName(name) {
+        this.map.name = name.trim();
+        this.map.id = this.map.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'custom_map';
+        this.changed();
+    }
+    
+    /**
+     * Start over from an empty map (the name is kept)
+     */
+    clear() {
+        const { id, name } = this.map;
+        this.map = { ...MapEditor.createMap(this.width, this.height), id, name };
+        this.selected = null;
+        this.changed();
+        this.render();
+    }
+    
+    /**
+     * Take over the obstacles, hill and spawn zones currently on the engine's battlefield, e.g. to hand-tune the
+     * layout a procedural generator produced
+     */
+    copyBattlefield() {
+        const battlefield = this.engine.battlefield;
+        const round = value => Math.round(value);
+        this.map.obstacles = battlefield.obstacles
+            .filter(obstacle => !ObstacleUtils.isDestroyed(obstacle))
+            .map(obstacle => ({
+                x: round(obstacle.x),
+                y: round(obstacle.y),
+                width: round(obstacle.width),
+                height: round(obstacle.height),
+                type: ObstacleUtils.getType(obstacle)
+            }));
+        if (battlefield.hill) {
+            this.map.hills = [{ x: round(battlefield.hill.x), y: round(battlefield.hill.y), radius: battlefield.hill.radius }];
+        }
+        this.map.spawnZones = {};
+        Object.entries(battlefield.spawnZones || {}).forEach(([team, zone]) => {
+            this.map.spawnZones[team] = { x: round(zone.x), y: round(zone.y), width: round(zone.width), height: round(zone.height) };
+        });
+        this.selected = null;
+        this.changed();
+        this.render();
+    }
+    
+    /**
+     * The map as a scenario file definition (spawn zones left out while none are painted)
+     */
+    toScenario() {
+        const scenario = JSON.parse(JSON.stringify(this.map));
+        if (Object.keys(scenario.spawnZones).length === 0) {
+            delete scenario.spawnZones;
+        }
+        return scenario;
+    }
+    
+    /**
+     * Everything that keeps the map from being registered (ScenarioLoader.validate)
+     */
+    getErrors() {
+        return ScenarioLoader.validate(this.toScenario());
+    }
+    
+    /**
+     * Validate and register the map with ScenarioLoader so it can be fought on; returns its scenario id
+     */
+    register() {
+        return ScenarioLoader.register(this.toScenario());
+    }
+    
+    /**
+     * Notify listeners after an edit
+     */
+    changed() {
+        this.events.emit('change', this.getErrors());
+    }
+    
+    /**
+     * Listen for mouse input on the canvas and the Delete key on the window
+     */
+    bindInput(canvas) {
+        this.unbindInput();
+        
+        this.listen(canvas, 'mousedown', event => {
+            if (event.button === 0) {
+                event.preventDefault();
+                this.startDrag(this.pointAt(canvas, event));
+            }
+        });
+        this.listen(canvas, 'mousemove', event => {
+            if (this.drag) {
+                this.moveDrag(this.pointAt(canvas, event));
+            }
+        });
+        this.listen(window, 'mouseup', event => {
+            if (event.button === 0 && this.drag) {
+                this.endDrag();
+            }
+        });
+        this.listen(canvas, 'contextmenu', event => {
+            event.preventDefault();
+            this.erase(this.pointAt(canvas, event));
+        });
+        this.listen(window, 'keydown', event => {
+            // Typing in the toolbar's name field must not delete obstacles
+            const typing = event.target && ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName);
+            if (!typing && (event.key === 'Delete' || event.key === 'Backspace') && this.selected !== null) {
+                event.preventDefault();
+                this.map.obstacles.splice(this.selected, 1);
+                this.selected = null;
+                this.changed();
+                this.render();
+            }
+        });
+    }
+    
+    /**
+     * Remove every listener added by bindInput()
+     */
+    unbindInput() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+    }
+    
+    /**
+     * Add an event listener and remember it for unbindInput()
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+    
+    /**
+     * Battlefield point under the mouse, snapped to the editor grid and kept on the map
+     */
+    pointAt(canvas, event) {
+        // The canvas may be drawn scaled, so map client pixels to battlefield pixels
+        const rect = canvas.getBoundingClientRect();
+        const snap = value => Math.round(value / GAME_CONFIG.MAP_EDITOR.SNAP) * GAME_CONFIG.MAP_EDITOR.SNAP;
+        return {
+            x: MathUtils.clamp(snap((event.clientX - rect.left) * (canvas.width / rect.width)), 0, this.width),
+            y: MathUtils.clamp(snap((event.clientY - rect.top) * (canvas.height / rect.height)), 0, this.height)
+        };
+    }
+    
+    /**
+     * Index of the topmost obstacle containing a point, or null
+     */
+    obstacleAt(point) {
+        for (let i = this.map.obstacles.length - 1; i >= 0; i--) {
+            const obstacle = this.map.obstacles[i];
+            if (point.x >= obstacle.x && point.x <= obstacle.x + obstacle.width &&
+                point.y >= obstacle.y && point.y <= obstacle.y + obstacle.height) {
+                return i;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Check if a point is on the selected obstacle's resize handle
+     */
+    onResizeHandle(point) {
+        if (this.selected === null) {
+            return false;
+        }
+        const obstacle = this.map.obstacles[this.selected];
+        const handle = GAME_CONFIG.MAP_EDITOR.HANDLE_SIZE;
+        return Math.abs(point.x - (obstacle.x + obstacle.width)) <= handle &&
+            Math.abs(point.y - (obstacle.y + obstacle.height)) <= handle;
+    }
+    
+    /**
+     * Begin a gesture for the current tool at a point
+     */
+    startDrag(point) {
+        if (this.tool === MAP_EDITOR_TOOLS.HILL) {
+            // A click moves the hill; dragging away from it sets the radius
+            this.map.hills = [{ ...this.map.hills[0], x: point.x, y: point.y }];
+            this.drag = { mode: 'hill', start: point };
+        } else if (this.tool === MAP_EDITOR_TOOLS.RED_SPAWN || this.tool === MAP_EDITOR_TOOLS.BLUE_SPAWN) {
+            this.drag = { mode: 'zone', start: point, rect: MapEditor.rectBetween(point, point) };
+        } else if (this.onResizeHandle(point)) {
+            this.drag = { mode: 'resize' };
+        } else {
+            const index = this.obstacleAt(point);
+            if (index !== null) {
+                const obstacle = this.map.obstacles[index];
+                this.selected = index;
+                this.obstacleType = obstacle.type;
+                this.drag = { mode: 'move', offsetX: point.x - obstacle.x, offsetY: point.y - obstacle.y };
+            } else {
+                this.selected = null;
+                this.drag = { mode: 'draw', start: point, rect: MapEditor.rectBetween(point, point) };
+            }
+        }
+        this.render();
+    }
+    
+    /**
+     * Follow the mouse while a gesture is in progress
+     */
+    moveDrag(point) {
+        const drag = this.drag;
+        const config = GAME_CONFIG.MAP_EDITOR;
+        
+        if (drag.mode === 'hill') {
+            const distance = MathUtils.distance(drag.start.x, drag.start.y, point.x, point.y);
+            if (distance >= config.MIN_HILL_RADIUS) {
+                this.map.hills[0].radius = Math.min(Math.round(distance), config.MAX_HILL_RADIUS);
+            }
+        } else if (drag.mode === 'zone' || drag.mode === 'draw') {
+            drag.rect = MapEditor.rectBetween(drag.start, point);
+        } else if (drag.mode === 'move') {
+            const obstacle = this.map.obstacles[this.selected];
+            obstacle.x = MathUtils.clamp(point.x - drag.offsetX, 0, this.width - obstacle.width);
+            obstacle.y = MathUtils.clamp(point.y - drag.offsetY, 0, this.height - obstacle.height);
+        } else if (drag.mode === 'resize') {
+            const obstacle = this.map.obstacles[this.selected];
+            obstacle.width = MathUtils.clamp(point.x - obstacle.x, config.MIN_OBSTACLE_SIZE, this.width - obstacle.x);
+            obstacle.height = MathUtils.clamp(point.y - obstacle.y, config.MIN_OBSTACLE_SIZE, this.height - obstacle.y);
+        }
+        this.render();
+    }
+    
+    /**
+     * Finish the gesture: keep drawn obstacles and zones that are big enough
+     */
+    endDrag() {
+        const drag = this.drag;
+        this.drag = null;
+        
+        if (drag.mode === 'draw') {
+            const minSize = GAME_CONFIG.MAP_EDITOR.MIN_OBSTACLE_SIZE;
+            if (drag.rect.width >= minSize && drag.rect.height >= minSize) {
+                this.map.obstacles.push({ ...drag.rect, type: this.obstacleType });
+                this.selected = this.map.obstacles.length - 1;
+            }
+        } else if (drag.mode === 'zone') {
+            // Zones too small for a tank are dropped rather than saved as an invalid map
+            if (drag.rect.width >= GAME_CONFIG.TANK.WIDTH && drag.rect.height >= GAME_CONFIG.TANK.HEIGHT) {
+                this.map.spawnZones[this.tool === MAP_EDITOR_TOOLS.RED_SPAWN ? 'red' : 'blue'] = drag.rect;
+            }
+        }
+        this.changed();
+        this.render();
+    }
+    
+    /**
+     * Right-click: delete the obstacle under the point, or clear the current spawn tool's zone
+     */
+    erase(point) {
+        if (this.tool === MAP_EDITOR_TOOLS.RED_SPAWN || this.tool === MAP_EDITOR_TOOLS.BLUE_SPAWN) {
+            delete this.map.spawnZones[this.tool === MAP_EDITOR_TOOLS.RED_SPAWN ? 'red' : 'blue'];
+        } else {
+            const index = this.obstacleAt(point);
+            if (index === null) {
+                return;
+            }
+            this.map.obstacles.splice(index, 1);
+            this.selected = null;
+        }
+        this.changed();
+        this.render();
+    }
+    
+    /**
+     * Rectangle spanned by two corner points
+     */
+    static rectBetween(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y)
+        };
+    }
+    
+    /**
+     * Draw the map: grid and obstacles as in battle, then the hill, spawn zones, selection and the shape being drawn
+     */
+    render() {
+        const ctx = this.engine.ctx;
+        if (!this.isOpen || !ctx) {
+            return;
+        }
+        this.fitToEngine();
+        const colors = GAME_CONFIG.UI.COLORS;
+        
+        ctx.fillStyle = colors.BACKGROUND;
+        ctx.fillRect(0, 0, this.width, this.height);
+        
+        this.battlefield.obstacles = this.map.obstacles.map(obstacle =>
+            ObstacleUtils.create(obstacle.x, obstacle.y, obstacle.width, obstacle.height, obstacle.type));
+        this.battlefield.drawGrid(ctx);
+        this.battlefield.drawObstacles(ctx);
+        
+        ctx.save();
+        
+        const hill = this.map.hills[0];
+        ctx.fillStyle = colors.NEUTRAL;
+        ctx.globalAlpha = 0.3;
+        ctx.beginPath();
+        ctx.arc(hill.x, hill.y, hill.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(`hill r=${hill.radius}`, hill.x, hill.y + 4);
+        
+        Object.entries(this.map.spawnZones).forEach(([team, zone]) => {
+            this.drawZone(ctx, zone, team === 'red' ? colors.RED_TEAM : colors.BLUE_TEAM, `${team} spawn`);
+        });
+        
+        if (this.drag && this.drag.rect) {
+            const color = this.tool === MAP_EDITOR_TOOLS.RED_SPAWN ? colors.RED_TEAM :
+                this.tool === MAP_EDITOR_TOOLS.BLUE_SPAWN ? colors.BLUE_TEAM : '#00ff88';
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.strokeRect(this.drag.rect.x, this.drag.rect.y, this.drag.rect.width, this.drag.rect.height);
+            ctx.setLineDash([]);
+        }
+        
+        if (this.selected !== null) {
+            const obstacle = this.map.obstacles[this.selected];
+            const handle = GAME_CONFIG.MAP_EDITOR.HANDLE_SIZE;
+            ctx.strokeStyle = '#00ff88';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+            ctx.fillStyle = '#00ff88';
+            ctx.fillRect(obstacle.x + obstacle.width - handle / 2, obstacle.y + obstacle.height - handle / 2, handle, handle);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Translucent spawn zone with its label
+     */
+    drawZone(ctx, zone, color, label) {
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.15;
+        ctx.fillRect(zone.x, zone.y, zone.width, zone.height);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1;
+        ctx.strokeRect(zone.x, zone.y, zone.width, zone.height);
+        ctx.fillStyle = color;
+        ctx.font = '11px monospace';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, zone.x + 4, zone.y + 13);
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MapEditor, MAP_EDITOR_TOOLS };
+} else {
+    window.MapEditor = MapEditor;
+    window.MAP_EDITOR_TOOLS = MAP_EDITOR_TOOLS;
+}
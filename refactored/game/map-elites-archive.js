@@ -0,0 +1,171 @@
+/**
+ * MAP-Elites Archive
+ * Quality-diversity store for evolved genomes: battle behavior (how far a tank fought from its targets,
+ * how long its team held the hill) places each genome in a grid cell, and every cell keeps only the
+ * fittest genome that landed in it. The filled cells are a map of the distinct tactics found so far
+ * and can be used as the parent pool instead of the fitness-sorted candidate pool.
+ */
+class MapElitesArchive {
+    constructor(options = {}) {
+        const config = (typeof CONFIG !== 'undefined' && CONFIG.asiArch && CONFIG.asiArch.mapElites) || {};
+        this.settings = {
+            engagementBins: 8,
+            minEngagementDistance: 120,
+            maxEngagementDistance: 280,
+            hillBins: 8,
+            ...config,
+            ...options
+        };
+        
+        // Grid axes: x = average engagement distance of the tank, y = share of the battle its team held the hill
+        this.descriptors = [
+            {
+                name: 'engagementDistance',
+                label: 'Engagement distance',
+                min: this.settings.minEngagementDistance,
+                max: this.settings.maxEngagementDistance,
+                bins: this.settings.engagementBins
+            },
+            {
+                name: 'hillControl',
+                label: 'Hill control',
+                min: 0,
+                max: 1,
+                bins: this.settings.hillBins
+            }
+        ];
+        
+        this.reset();
+    }
+    
+    /**
+     * Empty both teams' grids
+     */
+    reset() {
+        this.cells = { red: new Map(), blue: new Map() }; // "x,y" -> elite
+        this.insertions = { red: 0, blue: 0 }; // genomes that filled or improved a cell
+    }
+    
+    /**
+     * Behavior descriptors of one tank from a battle result, or null if the battle doesn't describe it
+     * (a tank that never fired at anyone has no engagement distance; non-hill battles have no hill control)
+     */
+    static describe(battleResult, team, index) {
+        const teamStats = team === 'red' ? battleResult.redTeamStats : battleResult.blueTeamStats;
+        const distances = teamStats && teamStats.tankEngagementDistances;
+        const engagementDistance = distances ? distances[index] : null;
+        const hillData = battleResult.hillControlData;
+        
+        if (engagementDistance === null || engagementDistance === undefined || !hillData || !(battleResult.duration > 0)) {
+            return null;
+        }
+        
+        const controlTime = team === 'red' ? hillData.redControlTime : hillData.blueControlTime;
+        return {
+            engagementDistance,
+            hillControl: Math.min(controlTime / battleResult.duration, 1)
+        };
+    }
+    
+    /**
+     * Grid coordinates for a set of descriptor values (values outside an axis land in its edge cells)
+     */
+    getCellCoordinates(values) {
+        return this.descriptors.map(axis => {
+            const fraction = (values[axis.name] - axis.min) / (axis.max - axis.min);
+            return Math.max(0, Math.min(axis.bins - 1, Math.floor(fraction * axis.bins)));
+        });
+    }
+    
+    /**
+     * Offer a genome to the archive; it is kept if its cell is empty or holds a less fit genome
+     * Returns true if the archive changed
+     */
+    add(team, genome, fitness, values, generation = 0) {
+        const grid = this.cells[team];
+        if (!grid || !values) {
+            return false;
+        }
+        
+        const coordinates = this.getCellCoordinates(values);
+        const key = coordinates.join(',');
+        const current = grid.get(key);
+        if (current && current.fitness >= fitness) {
+            return false;
+        }
+        
+        grid.set(key, {
+            genome: [...genome],
+            fitness,
+            descriptors: { ...values },
+            cell: coordinates,
+            generation,
+            team,
+            lineage: team
+        });
+        this.insertions[team]++;
+        return true;
+    }
+    
+    /**
+     * Every elite of a team, fittest first
+     */
+    getElites(team) {
+        return Array.from(this.cells[team].values()).sort((a, b) => b.fitness - a.fitness);
+    }
+    
+    /**
+     * Number of filled cells for a team
+     */
+    getFilledCount(team) {
+        return this.cells[team].size;
+    }
+    
+    /**
+     * Fraction of the grid a team has filled
+     */
+    getCoverage(team) {
+        const total = this.descriptors.reduce((product, axis) => product * axis.bins, 1);
+        return this.cells[team].size / total;
+    }
+    
+    /**
+     * Fitness grid for a team, rows = hill control bins (low to high), columns = engagement bins; null for empty cells
+     */
+    getHeatmap(team) {
+        const [xAxis, yAxis] = this.descriptors;
+        const rows = [];
+        for (let y = 0; y < yAxis.bins; y++) {
+            const row = [];
+            for (let x = 0; x < xAxis.bins; x++) {
+                const elite = this.cells[team].get(`${x},${y}`);
+                row.push(elite ? elite.fitness : null);
+            }
+            rows.push(row);
+        }
+        return rows;
+    }
+    
+    /**
+     * Archive summary for logs and exports
+     */
+    getStats() {
+        const teamStats = team => {
+            const elites = this.getElites(team);
+            return {
+                filledCells: elites.length,
+                coverage: this.getCoverage(team),
+                bestFitness: elites.length > 0 ? elites[0].fitness : 0,
+                insertions: this.insertions[team]
+            };
+        };
+        return { red: teamStats('red'), blue: teamStats('blue') };
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MapElitesArchive };
+} else {
+    window.MapElitesArchive = MapElitesArchive;
+}
@@ -0,0 +1,136 @@
+/**
+ * Map Validator - Checks a battlefield layout is playable before a battle is fought on it
+ * A tank-sized body (NavigationGrid) must be able to drive from every spawn to the enemy spawns and, in King of the
+ * Hill, onto the hill; the mean red and blue path lengths to the hill may differ by at most the asymmetry tolerance.
+ * GameEngine.initializeBattle rebuilds generated maps that fail from derived seeds and reports every check
+ */
+
+class MapValidator {
+    /**
+     * layout = { width, height, obstacles, spawns: { red, blue }, hill } - spawns are tank top-left positions,
+     * hill ({ x, y, radius }) is optional
+     * Returns { valid, errors, paths, asymmetry }: paths holds each team's mean distance in pixels to the enemy
+     * spawns and to the hill (null where some spawn cannot get there), asymmetry the relative hill path difference
+     */
+    static validate(layout, maxAsymmetry = GAME_CONFIG.MAP_VALIDATION.MAX_PATH_ASYMMETRY) {
+        const grid = new NavigationGrid(layout.width, layout.height, layout.obstacles);
+        const errors = [];
+        const paths = { redToBlue: null, blueToRed: null, redToHill: null, blueToHill: null };
+        let asymmetry = null;
+        
+        // Tanks spawn at the nearest free spot (BattlefieldManager.getSpawnPosition), so do the spawn cells
+        const toCells = positions => positions.map(position => {
+            const cell = grid.toCell(position.x, position.y);
+            return grid.findNearestWalkableCell(cell.col, cell.row);
+        });
+        const red = toCells(layout.spawns.red);
+        const blue = toCells(layout.spawns.blue);
+        if ([...red, ...blue].some(cell => cell === null)) {
+            return { valid: false, errors: ['no room for a tank anywhere on the map'], paths, asymmetry };
+        }
+        
+        const fromRed = grid.getDistanceField(red);
+        const fromBlue = grid.getDistanceField(blue);
+        paths.redToBlue = MapValidator.measure(grid, fromBlue, red, 'red spawn', 'the blue spawns', errors);
+        paths.blueToRed = MapValidator.measure(grid, fromRed, blue, 'blue spawn', 'the red spawns', errors);
+        
+        if (layout.hill) {
+            const hillCells = MapValidator.getHillCells(grid, layout.hill);
+            if (hillCells.length === 0) {
+                errors.push('no room for a tank on the hill');
+            } else {
+                const fromHill = grid.getDistanceField(hillCells);
+                paths.redToHill = MapValidator.measure(grid, fromHill, red, 'red spawn', 'the hill', errors);
+                paths.blueToHill = MapValidator.measure(grid, fromHill, blue, 'blue spawn', 'the hill', errors);
+            }
+            
+            if (paths.redToHill !== null && paths.blueToHill !== null) {
+                const longest = Math.max(paths.redToHill, paths.blueToHill);
+                asymmetry = longest > 0 ? Math.abs(paths.redToHill - paths.blueToHill) / longest : 0;
+                if (asymmetry > maxAsymmetry) {
+                    errors.push(`paths to the hill differ by ${Math.round(asymmetry * 100)}% ` +
+                        `(red ${paths.redToHill}px, blue ${paths.blueToHill}px; at most ${Math.round(maxAsymmetry * 100)}%)`);
+                }
+            }
+        }
+        
+        return { valid: errors.length === 0, errors, paths, asymmetry };
+    }
+    
+    /**
+     * Mean path length in pixels from a team's spawn cells to the distance field's sources, or null if some spawn
+     * cannot get there (each one is reported as an error)
+     */
+    static measure(grid, field, cells, label, target, errors) {
+        let total = 0;
+        let reachable = true;
+        cells.forEach((cell, i) => {
+            const distance = field[cell.row * grid.cols + cell.col];
+            if (distance === Infinity) {
+                errors.push(`${label} ${i + 1} cannot reach ${target}`);
+                reachable = false;
+            } else {
+                total += distance;
+            }
+        });
+        return reachable ? Math.round(total / cells.length * grid.cellSize) : null;
+    }
+    
+    /**
+     * Walkable cells where a tank's center is on the hill
+     */
+    static getHillCells(grid, hill) {
+        const cells = [];
+        const halfWidth = grid.bodyWidth / 2;
+        const halfHeight = grid.bodyHeight / 2;
+        for (let row = 0; row < grid.rows; row++) {
+            for (let col = 0; col < grid.cols; col++) {
+                const center = grid.cellCenter(col, row);
+                if (grid.isWalkableCell(col, row) &&
+                    MathUtils.distance(center.x + halfWidth, center.y + halfHeight, hill.x, hill.y) <= hill.radius) {
+                    cells.push({ col, row });
+                }
+            }
+        }
+        return cells;
+    }
+    
+    /**
+     * Seed for the n-th rebuild of a rejected map; battle seed and attempt always give the same map
+     */
+    static deriveSeed(seed, attempt) {
+        return seed + attempt * GAME_CONFIG.MAP_VALIDATION.SEED_STRIDE;
+    }
+    
+    /**
+     * True if the battle's map was rebuilt or no valid map was found
+     */
+    static hasRejections(validation) {
+        return validation.attempts.some(attempt => !attempt.valid);
+    }
+    
+    /**
+     * One log line for a GameEngine mapValidation event: the path lengths of a map that passed first time,
+     * otherwise the rejected maps and the map the battle is fought on
+     */
+    static describe(validation) {
+        const rejected = validation.attempts.filter(attempt => !attempt.valid);
+        if (rejected.length === 0) {
+            const { redToBlue, redToHill, blueToHill } = validation.paths;
+            const hill = redToHill !== null ? `, to the hill red ${redToHill}px / blue ${blueToHill}px` : '';
+            return `Map ${validation.scenarioId} passed (seed ${validation.mapSeed}): spawns ${redToBlue}px apart${hill}`;
+        }
+        const reasons = rejected.map(attempt => `seed ${attempt.mapSeed}: ${attempt.errors.join(', ')}`).join('; ');
+        const outcome = validation.valid
+            ? `regenerated with seed ${validation.mapSeed}`
+            : `no valid map after ${validation.attempts.length} attempts, using seed ${validation.mapSeed}`;
+        return `Map ${validation.scenarioId} rejected (${reasons}) - ${outcome}`;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MapValidator };
+} else {
+    window.MapValidator = MapValidator;
+}
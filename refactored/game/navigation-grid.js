@@ -0,0 +1,433 @@
+/**
+ * Navigation Grid - A* pathfinding over the battlefield obstacles
+ * Positions are tank top-left corners (the same space as TankEntity.x/y), so obstacles
+ * are inflated by the tank body before cells are marked blocked
+ */
+
+class NavigationGrid {
+    constructor(width, height, obstacles = [], bodyWidth = GAME_CONFIG.TANK.WIDTH, bodyHeight = GAME_CONFIG.TANK.HEIGHT) {
+        this.width = width;
+        this.height = height;
+        this.obstacles = obstacles;
+        this.obstacleCount = obstacles.length;
+        this.bodyWidth = bodyWidth;
+        this.bodyHeight = bodyHeight;
+        this.cellSize = GAME_CONFIG.PATHFINDING.CELL_SIZE;
+        this.cols = Math.ceil(width / this.cellSize);
+        this.rows = Math.ceil(height / this.cellSize);
+        this.walkable = new Uint8Array(this.cols * this.rows);
+        
+        // A* scratch buffers, reused between searches; an entry is only valid when its stamp matches searchId
+        this.searchId = 0;
+        this.searchStamp = new Uint32Array(this.cols * this.rows);
+        this.closedStamp = new Uint32Array(this.cols * this.rows);
+        this.gScore = new Float64Array(this.cols * this.rows);
+        this.cameFrom = new Int32Array(this.cols * this.rows);
+        
+        this.build();
+    }
+    
+    /**
+     * Mark every cell the tank body can occupy without touching an obstacle (rough terrain and rubble are walkable)
+     * Clearance of half a cell means any position inside a walkable cell is collision free
+     */
+    build() {
+        const clearance = this.cellSize / 2;
+        const blocking = this.obstacles.filter(obstacle => ObstacleUtils.blocksMovement(obstacle));
+        
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const center = this.cellCenter(col, row);
+                const body = {
+                    x: center.x - clearance,
+                    y: center.y - clearance,
+                    width: this.bodyWidth + clearance * 2,
+                    height: this.bodyHeight + clearance * 2
+                };
+                
+                const insideField = center.x + this.bodyWidth <= this.width && center.y + this.bodyHeight <= this.height;
+                const blocked = !insideField || blocking.some(obstacle => CollisionUtils.isColliding(body, obstacle));
+                this.walkable[row * this.cols + col] = blocked ? 0 : 1;
+            }
+        }
+    }
+    
+    /**
+     * World position of a cell center
+     */
+    cellCenter(col, row) {
+        return {
+            x: col * this.cellSize + this.cellSize / 2,
+            y: row * this.cellSize + this.cellSize / 2
+        };
+    }
+    
+    /**
+     * Cell containing a world position (clamped to the grid)
+     */
+    toCell(x, y) {
+        return {
+            col: MathUtils.clamp(Math.floor(x / this.cellSize), 0, this.cols - 1),
+            row: MathUtils.clamp(Math.floor(y / this.cellSize), 0, this.rows - 1)
+        };
+    }
+    
+    /**
+     * Check if a cell is inside the grid and free
+     */
+    isWalkableCell(col, row) {
+        return col >= 0 && col < this.cols && row >= 0 && row < this.rows && this.walkable[row * this.cols + col] === 1;
+    }
+    
+    /**
+     * Check if a world position lies in a walkable cell
+     */
+    isWalkable(x, y) {
+        const cell = this.toCell(x, y);
+        return this.isWalkableCell(cell.col, cell.row);
+    }
+    
+    /**
+     * Closest walkable cell to the given cell, searching outwards ring by ring
+     */
+    findNearestWalkableCell(col, row) {
+        if (this.isWalkableCell(col, row)) {
+            return { col, row };
+        }
+        
+        const maxRadius = Math.max(this.cols, this.rows);
+        for (let radius = 1; radius < maxRadius; radius++) {
+            let best = null;
+            let bestDistance = Infinity;
+            
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    // Only the ring at this radius
+                    if (Math.abs(dx) !== radius && Math.abs(dy) !== radius) {
+                        continue;
+                    }
+                    if (this.isWalkableCell(col + dx, row + dy)) {
+                        const distance = dx * dx + dy * dy;
+                        if (distance < bestDistance) {
+                            best = { col: col + dx, row: row + dy };
+                            bestDistance = distance;
+                        }
+                    }
+                }
+            }
+            
+            if (best) {
+                return best;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check that every cell a straight segment passes through is walkable (grid traversal)
+     */
+    isSegmentClear(x1, y1, x2, y2) {
+        let { col, row } = this.toCell(x1, y1);
+        const end = this.toCell(x2, y2);
+        
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const stepCol = Math.sign(dx);
+        const stepRow = Math.sign(dy);
+        
+        // Distance along the segment (0..1) to the next vertical/horizontal cell boundary
+        const nextBoundaryX = stepCol > 0 ? (col + 1) * this.cellSize : col * this.cellSize;
+        const nextBoundaryY = stepRow > 0 ? (row + 1) * this.cellSize : row * this.cellSize;
+        let tMaxX = stepCol !== 0 ? (nextBoundaryX - x1) / dx : Infinity;
+        let tMaxY = stepRow !== 0 ? (nextBoundaryY - y1) / dy : Infinity;
+        const tDeltaX = stepCol !== 0 ? this.cellSize / Math.abs(dx) : Infinity;
+        const tDeltaY = stepRow !== 0 ? this.cellSize / Math.abs(dy) : Infinity;
+        
+        if (!this.isWalkableCell(col, row)) {
+            return false;
+        }
+        
+        while (col !== end.col || row !== end.row) {
+            if (tMaxX > 1 && tMaxY > 1) {
+                break;
+            }
+            
+            if (Math.abs(tMaxX - tMaxY) < 1e-9) {
+                // Passing exactly through a corner touches both side cells
+                if (!this.isWalkableCell(col + stepCol, row) || !this.isWalkableCell(col, row + stepRow)) {
+                    return false;
+                }
+                col += stepCol;
+                row += stepRow;
+                tMaxX += tDeltaX;
+                tMaxY += tDeltaY;
+            } else if (tMaxX < tMaxY) {
+                col += stepCol;
+                tMaxX += tDeltaX;
+            } else {
+                row += stepRow;
+                tMaxY += tDeltaY;
+            }
+            
+            if (!this.isWalkableCell(col, row)) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * A* search from one world position to another
+     * Returns smoothed waypoints ending at the goal, or null when the goal is unreachable;
+     * with allowPartial an unreachable goal yields a path to the closest reachable cell instead
+     */
+    findPath(startX, startY, goalX, goalY, allowPartial = false) {
+        const startCell = this.toCell(startX, startY);
+        const goalCell = this.toCell(goalX, goalY);
+        const start = this.findNearestWalkableCell(startCell.col, startCell.row);
+        const goal = this.findNearestWalkableCell(goalCell.col, goalCell.row);
+        
+        if (!start || !goal) {
+            return null;
+        }
+        
+        const startIndex = start.row * this.cols + start.col;
+        const goalIndex = goal.row * this.cols + goal.col;
+        const { gScore, cameFrom, searchStamp, closedStamp } = this;
+        const searchId = ++this.searchId;
+        const open = new NavigationHeap();
+        
+        searchStamp[startIndex] = searchId;
+        gScore[startIndex] = 0;
+        cameFrom[startIndex] = -1;
+        open.push(startIndex, this.heuristic(start.col, start.row, goal.col, goal.row));
+        
+        // Closest cell to the goal seen so far, for partial paths
+        let closestIndex = startIndex;
+        let closestDistance = Infinity;
+        
+        while (open.size() > 0) {
+            const current = open.pop();
+            if (current === goalIndex) {
+                return this.buildWaypoints(cameFrom, goalIndex, startX, startY, goalX, goalY);
+            }
+            if (closedStamp[current] === searchId) {
+                continue;
+            }
+            closedStamp[current] = searchId;
+            
+            const col = current % this.cols;
+            const row = Math.floor(current / this.cols);
+            const distance = this.heuristic(col, row, goal.col, goal.row);
+            if (distance < closestDistance) {
+                closestIndex = current;
+                closestDistance = distance;
+            }
+            
+            for (const [dc, dr] of NAVIGATION_DIRECTIONS) {
+                const nextCol = col + dc;
+                const nextRow = row + dr;
+                if (!this.isWalkableCell(nextCol, nextRow)) {
+                    continue;
+                }
+                // No cutting corners past an obstacle on diagonal steps
+                if (dc !== 0 && dr !== 0 && (!this.isWalkableCell(col + dc, row) || !this.isWalkableCell(col, row + dr))) {
+                    continue;
+                }
+                
+                const next = nextRow * this.cols + nextCol;
+                const tentative = gScore[current] + (dc !== 0 && dr !== 0 ? Math.SQRT2 : 1);
+                if (searchStamp[next] !== searchId || tentative < gScore[next]) {
+                    searchStamp[next] = searchId;
+                    gScore[next] = tentative;
+                    cameFrom[next] = current;
+                    // Nudging the heuristic up breaks f-score ties towards the goal, which saves a lot of expansions
+                    open.push(next, tentative + this.heuristic(nextCol, nextRow, goal.col, goal.row) * NAVIGATION_TIE_BREAKER);
+                }
+            }
+        }
+        
+        if (allowPartial) {
+            const closest = this.cellCenter(closestIndex % this.cols, Math.floor(closestIndex / this.cols));
+            return this.buildWaypoints(cameFrom, closestIndex, startX, startY, closest.x, closest.y);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Path length in cells from the nearest source cell to every cell (Dijkstra with the same moves as findPath)
+     * Unreachable and blocked cells stay at Infinity; blocked sources are ignored
+     */
+    getDistanceField(sources) {
+        const distances = new Float64Array(this.cols * this.rows).fill(Infinity);
+        const closed = new Uint8Array(this.cols * this.rows);
+        const open = new NavigationHeap();
+        
+        sources.forEach(({ col, row }) => {
+            if (this.isWalkableCell(col, row)) {
+                const index = row * this.cols + col;
+                distances[index] = 0;
+                open.push(index, 0);
+            }
+        });
+        
+        while (open.size() > 0) {
+            const current = open.pop();
+            if (closed[current]) {
+                continue;
+            }
+            closed[current] = 1;
+            
+            const col = current % this.cols;
+            const row = Math.floor(current / this.cols);
+            for (const [dc, dr] of NAVIGATION_DIRECTIONS) {
+                const nextCol = col + dc;
+                const nextRow = row + dr;
+                if (!this.isWalkableCell(nextCol, nextRow)) {
+                    continue;
+                }
+                if (dc !== 0 && dr !== 0 && (!this.isWalkableCell(col + dc, row) || !this.isWalkableCell(col, row + dr))) {
+                    continue;
+                }
+                
+                const next = nextRow * this.cols + nextCol;
+                const distance = distances[current] + (dc !== 0 && dr !== 0 ? Math.SQRT2 : 1);
+                if (distance < distances[next]) {
+                    distances[next] = distance;
+                    open.push(next, distance);
+                }
+            }
+        }
+        
+        return distances;
+    }
+    
+    /**
+     * Octile distance between two cells
+     */
+    heuristic(col1, row1, col2, row2) {
+        const dx = Math.abs(col1 - col2);
+        const dy = Math.abs(row1 - row2);
+        return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    }
+    
+    /**
+     * Turn the A* cell chain into waypoints, dropping every point a straight line can skip
+     */
+    buildWaypoints(cameFrom, goalIndex, startX, startY, goalX, goalY) {
+        const cells = [];
+        for (let index = goalIndex; index !== -1; index = cameFrom[index]) {
+            cells.unshift(this.cellCenter(index % this.cols, Math.floor(index / this.cols)));
+        }
+        
+        // Finish on the exact goal when it is reachable, not just its cell center
+        if (this.isWalkable(goalX, goalY)) {
+            cells[cells.length - 1] = { x: goalX, y: goalY };
+        }
+        
+        // String pulling: from each anchor, keep going while the next point is still in a straight clear line
+        const waypoints = [];
+        let anchor = { x: startX, y: startY };
+        let i = this.isWalkable(startX, startY) ? 0 : 1;
+        if (i === 1) {
+            // Starting outside the walkable area: first get back onto the grid
+            waypoints.push(cells[0]);
+            anchor = cells[0];
+        }
+        
+        while (i < cells.length) {
+            let farthest = i;
+            while (farthest + 1 < cells.length &&
+                this.isSegmentClear(anchor.x, anchor.y, cells[farthest + 1].x, cells[farthest + 1].y)) {
+                farthest++;
+            }
+            waypoints.push(cells[farthest]);
+            anchor = cells[farthest];
+            i = farthest + 1;
+        }
+        
+        return waypoints;
+    }
+}
+
+// 8-connected neighbourhood used by A* and the distance field
+const NAVIGATION_DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1]
+];
+const NAVIGATION_TIE_BREAKER = 1.001;
+
+/**
+ * Binary min-heap of (item, priority) pairs for the A* open set
+ */
+class NavigationHeap {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+    
+    size() {
+        return this.items.length;
+    }
+    
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        let index = this.items.length - 1;
+        
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[index]) {
+                break;
+            }
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+    
+    pop() {
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            let index = 0;
+            
+            for (;;) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+                if (left < this.items.length && this.priorities[left] < this.priorities[smallest]) {
+                    smallest = left;
+                }
+                if (right < this.items.length && this.priorities[right] < this.priorities[smallest]) {
+                    smallest = right;
+                }
+                if (smallest === index) {
+                    break;
+                }
+                this.swap(index, smallest);
+                index = smallest;
+            }
+        }
+        
+        return top;
+    }
+    
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NavigationGrid };
+} else {
+    window.NavigationGrid = NavigationGrid;
+}
@@ -0,0 +1,130 @@
+/**
+ * Multi-Scenario Evaluator - Scores genomes on every battle scenario instead of the one they happened to fight on
+ * The same line-ups fight once per scenario on a headless engine (same seed per scenario, so results are
+ * reproducible); each tank keeps its per-scenario fitness, and the scenarios are combined with the
+ * CONFIG.asiArch.battleScenarios.multiScenarioFitness weights:
+ *
+ *   fitness = mean * (1 + adaptabilityWeight * adaptability + consistencyWeight * consistency)
+ *                  * (1 - specializationPenalty if only one scenario is effective)
+ *
+ * adaptability = worst / best scenario score, consistency = 1 - coefficient of variation (both 0..1), and a
+ * scenario is effective when it scores at least half of the best one. Ratios keep the weights meaningful
+ * whatever the scale of TankEntity.calculateFitness.
+ */
+
+class MultiScenarioEvaluator {
+    constructor(options = {}) {
+        const battleScenarios = globalThis.CONFIG?.asiArch?.battleScenarios || {};
+        
+        this.options = {
+            scenarios: Object.keys(battleScenarios.scenarios || {}),
+            mode: GAME_MODES.KING_OF_HILL,
+            seed: battleScenarios.seededEvaluation?.seedRange?.[0] || 1000,
+            maxBattleTime: GAME_CONFIG.HEADLESS.MAX_SIMULATED_TIME,
+            ...options
+        };
+        this.weights = MultiScenarioEvaluator.getWeights(options.weights);
+        
+        // Evaluation battles never touch the on-page battle
+        this.engine = options.engine || new GameEngine(null);
+    }
+    
+    /**
+     * Combination weights: multiScenarioFitness from the app config, overridden by weights
+     */
+    static getWeights(weights = {}) {
+        const config = globalThis.CONFIG?.asiArch?.battleScenarios?.multiScenarioFitness || {};
+        return {
+            adaptabilityWeight: 0.3,
+            consistencyWeight: 0.2,
+            specializationPenalty: 0.15,
+            ...config,
+            ...weights
+        };
+    }
+    
+    /**
+     * Fight the two line-ups once on every scenario
+     * options: behaviorTrees = { red, blue }, handicaps as for GameEngine.initializeBattle
+     * Returns per-tank breakdowns for both teams ({ scores: { scenarioId: fitness }, ...combine() }) and the winners
+     */
+    evaluate(redGenomes, blueGenomes, options = {}) {
+        const scores = {
+            red: redGenomes.map(() => ({})),
+            blue: blueGenomes.map(() => ({}))
+        };
+        const winners = {};
+        
+        this.options.scenarios.forEach((scenarioId, index) => {
+            // Every scenario gets its own fixed seed, so re-evaluating the same genomes gives the same scores
+            const seed = this.options.seed + index;
+            this.engine.reset();
+            this.engine.initializeBattle(redGenomes.length, blueGenomes.length, this.options.mode, scenarioId, seed, {
+                redGenomes,
+                blueGenomes,
+                redBehaviorTrees: options.behaviorTrees?.red,
+                blueBehaviorTrees: options.behaviorTrees?.blue,
+                handicaps: options.handicaps
+            });
+            const result = this.engine.runToCompletion(this.options.maxBattleTime);
+            winners[scenarioId] = result.winner;
+            
+            this.engine.redTeam.forEach((tank, i) => {
+                scores.red[i][scenarioId] = tank.calculateFitness();
+            });
+            this.engine.blueTeam.forEach((tank, i) => {
+                scores.blue[i][scenarioId] = tank.calculateFitness();
+            });
+        });
+        
+        return {
+            red: scores.red.map(tankScores => ({ scores: tankScores, ...MultiScenarioEvaluator.combine(tankScores, this.weights) })),
+            blue: scores.blue.map(tankScores => ({ scores: tankScores, ...MultiScenarioEvaluator.combine(tankScores, this.weights) })),
+            winners
+        };
+    }
+    
+    /**
+     * Combine per-scenario scores ({ scenarioId: score }) into one fitness with the multi-scenario weights
+     * Also returns the parts and the weakest scenario, so callers can show where a genome struggles
+     */
+    static combine(scores, weights = MultiScenarioEvaluator.getWeights()) {
+        const entries = Object.entries(scores);
+        if (entries.length === 0) {
+            return { fitness: 0, mean: 0, adaptability: 0, consistency: 0, specialized: false, weakest: null, strongest: null };
+        }
+        
+        const values = entries.map(([, score]) => Math.max(score, 0));
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const best = Math.max(...values);
+        const worst = Math.min(...values);
+        const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length);
+        
+        const adaptability = best > 0 ? worst / best : 0;
+        const consistency = mean > 0 ? Math.max(0, 1 - deviation / mean) : 0;
+        // A single scenario can't show specialization
+        const effectiveScenarios = values.filter(value => best > 0 && value >= best / 2).length;
+        const specialized = values.length > 1 && effectiveScenarios <= 1;
+        
+        const bonus = 1 + weights.adaptabilityWeight * adaptability + weights.consistencyWeight * consistency;
+        const penalty = specialized ? 1 - weights.specializationPenalty : 1;
+        
+        const byScore = [...entries].sort((a, b) => a[1] - b[1]);
+        return {
+            fitness: mean * bonus * penalty,
+            mean,
+            adaptability,
+            consistency,
+            specialized,
+            weakest: byScore[0][0],
+            strongest: byScore[byScore.length - 1][0]
+        };
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MultiScenarioEvaluator };
+} else {
+    window.MultiScenarioEvaluator = MultiScenarioEvaluator;
+}
@@ -0,0 +1,312 @@
+/**
+ * Scenario Loader - Custom battle maps from JSON, without editing game-engine.js
+ * A scenario file describes a map for a reference battlefield size; positions are scaled to the real battlefield
+ * and radii with its smaller side:
+ *
+ *   {
+ *     "format": "alphatanks-scenario", "version": 1,
+ *     "id": "twin_bridges", "name": "Twin Bridges", "description": "...", "tacticalFocus": "...",
+ *     "size": { "width": 800, "height": 600 },                // optional, default GAME_CONFIG.BATTLEFIELD
+ *     "mode": "king_of_hill",                                  // optional: the map is always played in this mode
+ *     "obstacles": [{ "x": 380, "y": 0, "width": 40, "height": 220, "type": "barrier" }],
+ *     "generator": { "type": "urban", "obstacleCount": 12,     // procedural obstacles (SCENARIO_GENERATORS),
+ *                    "obstacleSize": { "min": 30, "max": 60 }, // added to any fixed ones
+ *                    "obstacleTypes": { "barrier": 0.6, "cover": 0.4 } },
+ *     "hills": [{ "x": 400, "y": 300, "radius": 30 }],         // King of the Hill: one is picked per battle seed
+ *     "flagBases": { "red": { "x": 50, "y": 300 }, "blue": { "x": 750, "y": 300 } },
+ *     "controlPoints": [{ "x": 400, "y": 150 }, { "x": 400, "y": 450 }],
+ *     "spawnZones": { "red": { "x": 0, "y": 200, "width": 120, "height": 200 }, "blue": { ... } },
+ *     "victory": { "maxDuration": 120, "hillWinTime": 30, "capturesToWin": 3, "killsToWin": 15, "scoreToWin": 100 },
+ *     "maxPathAsymmetry": 0.5                                  // optional hill path tolerance (MapValidator)
+ *   }
+ *
+ * Registered scenarios join CONFIG.asiArch.battleScenarios.scenarios, so the scenario selector, rotation,
+ * multi-scenario evaluation and the command line all see them like the built-in ones.
+ */
+
+const SCENARIO_FILE_KEYS = [
+    'format', 'version', 'id', 'name', 'description', 'tacticalFocus', 'size', 'mode', 'obstacles', 'generator',
+    'hills', 'flagBases', 'controlPoints', 'spawnZones', 'victory', 'maxPathAsymmetry'
+];
+const SCENARIO_VICTORY_KEYS = ['maxDuration', 'hillWinTime', 'capturesToWin', 'killsToWin', 'scoreToWin'];
+
+class ScenarioLoader {
+    /**
+     * Scenario definition (built-in config entry or registered file) by id, or null
+     */
+    static getScenario(scenarioId) {
+        return globalThis.CONFIG?.asiArch?.battleScenarios?.scenarios?.[scenarioId] || null;
+    }
+    
+    /**
+     * Every problem with a scenario file, as readable messages (empty if it is valid)
+     */
+    static validate(definition) {
+        const errors = [];
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            return ['Scenario must be a JSON object'];
+        }
+        
+        const fileConfig = GAME_CONFIG.SCENARIO_FILE;
+        if (definition.format !== fileConfig.FORMAT) {
+            errors.push(`format must be "${fileConfig.FORMAT}"`);
+        }
+        if (!(Number.isInteger(definition.version) && definition.version >= 1 && definition.version <= fileConfig.VERSION)) {
+            errors.push(`version must be a whole number from 1 to ${fileConfig.VERSION}`);
+        }
+        Object.keys(definition).filter(key => !SCENARIO_FILE_KEYS.includes(key)).forEach(key => {
+            errors.push(`unknown field "${key}"`);
+        });
+        
+        if (typeof definition.id !== 'string' || !/^[a-z0-9_]+$/.test(definition.id)) {
+            errors.push('id must be lowercase letters, digits and underscores');
+        } else if (ScenarioLoader.getScenario(definition.id) && ScenarioLoader.getScenario(definition.id).source !== 'file') {
+            // Another file may replace a registered map, but the built-in scenarios stay as configured
+            errors.push(`id "${definition.id}" belongs to a built-in scenario`);
+        }
+        if (typeof definition.name !== 'string' || definition.name.trim() === '') {
+            errors.push('name is required');
+        }
+        ['description', 'tacticalFocus'].forEach(key => {
+            if (definition[key] !== undefined && typeof definition[key] !== 'string') {
+                errors.push(`${key} must be text`);
+            }
+        });
+        
+        const size = definition.size || { width: GAME_CONFIG.BATTLEFIELD.WIDTH, height: GAME_CONFIG.BATTLEFIELD.HEIGHT };
+        if (!(ScenarioLoader.isPositive(size.width) && ScenarioLoader.isPositive(size.height))) {
+            errors.push('size needs a positive width and height');
+            return errors; // nothing else can be checked against the map bounds
+        }
+        
+        if (definition.mode !== undefined && !Object.values(GAME_MODES).includes(definition.mode)) {
+            errors.push(`mode must be one of ${Object.values(GAME_MODES).join(', ')}`);
+        }
+        
+        const maxPathAsymmetry = definition.maxPathAsymmetry;
+        if (maxPathAsymmetry !== undefined && !(typeof maxPathAsymmetry === 'number' && maxPathAsymmetry >= 0 && maxPathAsymmetry <= 1)) {
+            errors.push('maxPathAsymmetry must be a number from 0 to 1');
+        }
+        
+        if (definition.obstacles === undefined && definition.generator === undefined) {
+            errors.push('obstacles or generator is required');
+        }
+        if (definition.obstacles !== undefined) {
+            if (!Array.isArray(definition.obstacles)) {
+                errors.push('obstacles must be a list');
+            } else {
+                definition.obstacles.forEach((obstacle, i) => {
+                    ScenarioLoader.checkRect(obstacle, size, `obstacles[${i}]`, errors);
+                    if (obstacle && obstacle.type !== undefined && !Object.values(OBSTACLE_TYPES).includes(obstacle.type)) {
+                        errors.push(`obstacles[${i}].type must be one of ${Object.values(OBSTACLE_TYPES).join(', ')}`);
+                    }
+                });
+            }
+        }
+        if (definition.generator !== undefined) {
+            ScenarioLoader.checkGenerator(definition.generator, errors);
+        }
+        
+        if (definition.hills !== undefined) {
+            if (!Array.isArray(definition.hills) || definition.hills.length === 0) {
+                errors.push('hills must be a non-empty list');
+            } else {
+                definition.hills.forEach((hill, i) => ScenarioLoader.checkPoint(hill, size, `hills[${i}]`, errors));
+            }
+        }
+        if (definition.flagBases !== undefined) {
+            ['red', 'blue'].forEach(team => ScenarioLoader.checkPoint(definition.flagBases?.[team], size, `flagBases.${team}`, errors));
+        }
+        if (definition.controlPoints !== undefined) {
+            const { MIN_POINTS, MAX_POINTS } = GAME_CONFIG.BATTLE.DOMINATION;
+            if (!Array.isArray(definition.controlPoints) ||
+                definition.controlPoints.length < MIN_POINTS || definition.controlPoints.length > MAX_POINTS) {
+                errors.push(`controlPoints must list ${MIN_POINTS} to ${MAX_POINTS} points`);
+            } else {
+                definition.controlPoints.forEach((point, i) => ScenarioLoader.checkPoint(point, size, `controlPoints[${i}]`, errors));
+            }
+        }
+        if (definition.spawnZones !== undefined) {
+            Object.keys(definition.spawnZones || {}).forEach(team => {
+                if (team !== 'red' && team !== 'blue') {
+                    errors.push(`spawnZones.${team}: teams are red and blue`);
+                    return;
+                }
+                const zone = definition.spawnZones[team];
+                ScenarioLoader.checkRect(zone, size, `spawnZones.${team}`, errors);
+                if (zone && (zone.width < GAME_CONFIG.TANK.WIDTH || zone.height < GAME_CONFIG.TANK.HEIGHT)) {
+                    errors.push(`spawnZones.${team} is too small for a tank`);
+                }
+            });
+        }
+        
+        if (definition.victory !== undefined) {
+            Object.entries(definition.victory || {}).forEach(([key, value]) => {
+                if (!SCENARIO_VICTORY_KEYS.includes(key)) {
+                    errors.push(`victory.${key} is not a victory rule (${SCENARIO_VICTORY_KEYS.join(', ')})`);
+                } else if (!ScenarioLoader.isPositive(value)) {
+                    errors.push(`victory.${key} must be a positive number`);
+                }
+            });
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Validate a scenario file and add it to the configured scenarios (replacing a registered file with the same id)
+     * Accepts JSON text or a parsed object; returns the scenario id
+     */
+    static register(definitionOrText) {
+        const definition = typeof definitionOrText === 'string' ? JSON.parse(definitionOrText) : definitionOrText;
+        const errors = ScenarioLoader.validate(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenario${definition?.id ? ` "${definition.id}"` : ''}: ${errors.join('; ')}`);
+        }
+        
+        const battleScenarios = globalThis.CONFIG.asiArch.battleScenarios;
+        battleScenarios.scenarios = { ...battleScenarios.scenarios, [definition.id]: ScenarioLoader.normalize(definition) };
+        return definition.id;
+    }
+    
+    /**
+     * Config entry for a valid scenario file: positions become fractions of the map size (radii fractions of its
+     * smaller side), generator settings move to the top level where the obstacle generators read them, and control
+     * points become domination points
+     */
+    static normalize(definition) {
+        const size = definition.size || { width: GAME_CONFIG.BATTLEFIELD.WIDTH, height: GAME_CONFIG.BATTLEFIELD.HEIGHT };
+        const point = ({ x, y, radius }) => ({
+            x: x / size.width, y: y / size.height, ...(radius ? { radius: radius / Math.min(size.width, size.height) } : {})
+        });
+        const rect = ({ x, y, width, height }) => ({
+            x: x / size.width, y: y / size.height, width: width / size.width, height: height / size.height
+        });
+        const generator = definition.generator || null;
+        const victory = { ...(definition.victory || {}) };
+        
+        const scenario = {
+            name: definition.name,
+            description: definition.description || '',
+            tacticalFocus: definition.tacticalFocus || '',
+            source: 'file',
+            mode: definition.mode || null,
+            victory,
+            ...(definition.maxPathAsymmetry !== undefined ? { maxPathAsymmetry: definition.maxPathAsymmetry } : {}),
+            generator: generator ? generator.type : null,
+            obstacleCount: generator?.obstacleCount ?? 0,
+            obstacleSize: generator?.obstacleSize || { min: 30, max: 60 },
+            obstacleTypes: generator?.obstacleTypes || { [GAME_CONFIG.OBSTACLES.DEFAULT_TYPE]: 1 },
+            layout: (definition.obstacles || []).map(obstacle => ({
+                ...rect(obstacle),
+                type: obstacle.type || GAME_CONFIG.OBSTACLES.DEFAULT_TYPE
+            })),
+            hills: definition.hills ? definition.hills.map(point) : null,
+            flagBases: definition.flagBases ? { red: point(definition.flagBases.red), blue: point(definition.flagBases.blue) } : null,
+            spawnZones: definition.spawnZones ?
+                Object.fromEntries(Object.entries(definition.spawnZones).map(([team, zone]) => [team, rect(zone)])) : null
+        };
+        if (definition.controlPoints || victory.scoreToWin) {
+            scenario.domination = {
+                ...(definition.controlPoints ? { points: definition.controlPoints.map(point) } : {}),
+                ...(victory.scoreToWin ? { scoreToWin: victory.scoreToWin } : {})
+            };
+        }
+        return scenario;
+    }
+    
+    /**
+     * A scenario's fixed obstacles in battlefield pixels (built-in scenarios have none)
+     */
+    static placeObstacles(scenario, bounds) {
+        return (scenario.layout || []).map(obstacle => ObstacleUtils.create(
+            obstacle.x * bounds.width,
+            obstacle.y * bounds.height,
+            obstacle.width * bounds.width,
+            obstacle.height * bounds.height,
+            obstacle.type
+        ));
+    }
+    
+    /**
+     * A fractional point or zone ({ x, y } plus optional width/height/radius) in battlefield pixels
+     */
+    static toPixels(area, bounds) {
+        const pixels = { ...area, x: area.x * bounds.width, y: area.y * bounds.height };
+        if (area.width !== undefined) {
+            pixels.width = area.width * bounds.width;
+            pixels.height = area.height * bounds.height;
+        }
+        if (area.radius !== undefined) {
+            pixels.radius = area.radius * Math.min(bounds.width, bounds.height);
+        }
+        return pixels;
+    }
+    
+    /**
+     * Check a procedural generator reference and its parameters
+     */
+    static checkGenerator(generator, errors) {
+        const known = typeof SCENARIO_GENERATORS !== 'undefined' ? Object.keys(SCENARIO_GENERATORS) : [];
+        if (!generator || typeof generator !== 'object') {
+            errors.push('generator must be an object with a type');
+            return;
+        }
+        if (!known.includes(generator.type)) {
+            errors.push(`generator.type must be one of ${known.join(', ')}`);
+        }
+        if (generator.obstacleCount !== undefined && !(Number.isInteger(generator.obstacleCount) && generator.obstacleCount >= 0)) {
+            errors.push('generator.obstacleCount must be a whole number');
+        }
+        const obstacleSize = generator.obstacleSize;
+        if (obstacleSize !== undefined && !(ScenarioLoader.isPositive(obstacleSize?.min) &&
+            ScenarioLoader.isPositive(obstacleSize?.max) && obstacleSize.min <= obstacleSize.max)) {
+            errors.push('generator.obstacleSize needs positive min and max with min <= max');
+        }
+        Object.entries(generator.obstacleTypes || {}).forEach(([type, weight]) => {
+            if (!Object.values(OBSTACLE_TYPES).includes(type)) {
+                errors.push(`generator.obstacleTypes: unknown obstacle type "${type}"`);
+            } else if (!(Number.isFinite(weight) && weight >= 0)) {
+                errors.push(`generator.obstacleTypes.${type} must be a weight of 0 or more`);
+            }
+        });
+    }
+    
+    /**
+     * Check a rectangle lies inside the map
+     */
+    static checkRect(rect, size, label, errors) {
+        if (!rect || ![rect.x, rect.y].every(Number.isFinite) || !ScenarioLoader.isPositive(rect.width) || !ScenarioLoader.isPositive(rect.height)) {
+            errors.push(`${label} needs x, y and a positive width and height`);
+        } else if (rect.x < 0 || rect.y < 0 || rect.x + rect.width > size.width || rect.y + rect.height > size.height) {
+            errors.push(`${label} lies outside the ${size.width}x${size.height} map`);
+        }
+    }
+    
+    /**
+     * Check a point (optionally with a radius) lies inside the map
+     */
+    static checkPoint(point, size, label, errors) {
+        if (!point || ![point.x, point.y].every(Number.isFinite)) {
+            errors.push(`${label} needs x and y`);
+        } else if (point.x < 0 || point.y < 0 || point.x > size.width || point.y > size.height) {
+            errors.push(`${label} lies outside the ${size.width}x${size.height} map`);
+        } else if (point.radius !== undefined && !ScenarioLoader.isPositive(point.radius)) {
+            errors.push(`${label}.radius must be a positive number`);
+        }
+    }
+    
+    /**
+     * Finite and above zero
+     */
+    static isPositive(value) {
+        return Number.isFinite(value) && value > 0;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScenarioLoader };
+} else {
+    window.ScenarioLoader = ScenarioLoader;
+}
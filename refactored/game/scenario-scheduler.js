@@ -0,0 +1,194 @@
+/**
+ * Scenario Scheduler - Decides which scenario and seed every evolution battle is fought on
+ * The scenario rotates every `interval` battles or generations (ROTATION_UNITS) and the next one is picked by a
+ * ROTATION_POLICIES policy: round-robin through the list, weighted-random by rotationWeights, or a curriculum
+ * that walks the scenarios easiest first and then stays on the hardest. Seeds cycle through seedRange, so a
+ * scheduled run fights the same battles every time; without a seed range the engine picks its own seeds.
+ */
+
+class ScenarioScheduler {
+    constructor(options = {}) {
+        const config = globalThis.CONFIG?.asiArch?.battleScenarios || {};
+        const configured = Object.keys(config.scenarios || {});
+        const seedRange = config.seededEvaluation?.enabled ? config.seededEvaluation.seedRange : null;
+        
+        this.settings = {
+            enabled: config.enabled !== false, // disabled: every battle stays on the first scenario
+            scenarios: configured.length > 0 ? configured : ['open_field'],
+            policy: config.rotationPolicy || ROTATION_POLICIES.ROUND_ROBIN,
+            interval: config.rotationInterval || 5,
+            unit: config.rotationUnit || ROTATION_UNITS.BATTLES,
+            weights: config.rotationWeights || {},
+            curriculum: config.curriculum || null,
+            seedRange,
+            rng: Math,
+            ...options
+        };
+        
+        const { policy, unit, interval } = this.settings;
+        if (!Object.values(ROTATION_POLICIES).includes(policy)) {
+            throw new Error(`Unknown rotation policy "${policy}" (available: ${Object.values(ROTATION_POLICIES).join(', ')})`);
+        }
+        if (!Object.values(ROTATION_UNITS).includes(unit)) {
+            throw new Error(`Unknown rotation unit "${unit}" (available: ${Object.values(ROTATION_UNITS).join(', ')})`);
+        }
+        if (!(Number.isInteger(interval) && interval > 0)) {
+            throw new Error(`Rotation interval must be a whole number above 0 (got ${interval})`);
+        }
+        
+        this.reset();
+    }
+    
+    /**
+     * Scenarios in the order the policy walks them (the curriculum keeps only its scenarios that are in the list)
+     */
+    getOrder() {
+        const { policy, curriculum, scenarios } = this.settings;
+        if (policy === ROTATION_POLICIES.CURRICULUM && Array.isArray(curriculum)) {
+            const ordered = curriculum.filter(id => scenarios.includes(id));
+            return ordered.length > 0 ? ordered : scenarios;
+        }
+        return scenarios;
+    }
+    
+    /**
+     * Back to the start with no battles or generations counted
+     * Round-robin and weighted rotation may start on startScenario; a curriculum always starts at its first scenario
+     */
+    reset(startScenario = null) {
+        const order = this.getOrder();
+        this.battles = 0;
+        this.seeds = 0; // seeds handed out, including battles fought off the schedule
+        this.generations = 0;
+        this.sinceRotation = 0; // battles or generations on the current scenario
+        this.rotations = 0;
+        // Position in getOrder() for round-robin and curriculum
+        this.stage = this.settings.policy === ROTATION_POLICIES.CURRICULUM ? 0 : Math.max(order.indexOf(startScenario), 0);
+        this.currentScenario = order[this.stage];
+    }
+    
+    /**
+     * Scenario and seed for the next battle; counts the battle and rotates if the interval counts battles
+     * Returns { scenarioId, seed, battle, rotation, policy } - seed is null without a seed range
+     */
+    nextBattle() {
+        const battle = this.battles++;
+        const schedule = {
+            scenarioId: this.currentScenario,
+            seed: this.seedForBattle(this.seeds++),
+            battle,
+            rotation: this.rotations,
+            policy: this.settings.policy
+        };
+        if (this.settings.unit === ROTATION_UNITS.BATTLES) {
+            this.count();
+        }
+        return schedule;
+    }
+    
+    /**
+     * Seed for a battle whose scenario was chosen elsewhere; the battle does not count towards the rotation
+     */
+    nextSeed() {
+        return this.seedForBattle(this.seeds++);
+    }
+    
+    /**
+     * Count a finished generation; rotates if the interval counts generations
+     * Returns true if the scenario changed
+     */
+    completeGeneration() {
+        this.generations++;
+        return this.settings.unit === ROTATION_UNITS.GENERATIONS ? this.count() : false;
+    }
+    
+    /**
+     * Count one interval step and rotate when the interval is used up; returns true if the scenario changed
+     */
+    count() {
+        this.sinceRotation++;
+        if (this.sinceRotation < this.settings.interval) {
+            return false;
+        }
+        this.sinceRotation = 0;
+        return this.rotate();
+    }
+    
+    /**
+     * Move to the policy's next scenario; returns true if it differs from the current one
+     */
+    rotate() {
+        if (!this.settings.enabled) {
+            return false;
+        }
+        
+        const order = this.getOrder();
+        const previous = this.currentScenario;
+        this.rotations++;
+        
+        if (this.settings.policy === ROTATION_POLICIES.WEIGHTED) {
+            this.currentScenario = ScenarioScheduler.pickWeighted(order, this.settings.weights, this.settings.rng);
+        } else if (this.settings.policy === ROTATION_POLICIES.CURRICULUM) {
+            this.stage = Math.min(this.stage + 1, order.length - 1);
+            this.currentScenario = order[this.stage];
+        } else {
+            this.stage = (this.stage + 1) % order.length;
+            this.currentScenario = order[this.stage];
+        }
+        return this.currentScenario !== previous;
+    }
+    
+    /**
+     * Seed number n, cycling through the seed range
+     */
+    seedForBattle(index) {
+        if (!this.settings.seedRange) {
+            return null;
+        }
+        const [minSeed, maxSeed] = this.settings.seedRange;
+        return minSeed + (index % (maxSeed - minSeed + 1));
+    }
+    
+    /**
+     * Scheduler state for logs and exports
+     */
+    getState() {
+        return {
+            scenarioId: this.currentScenario,
+            policy: this.settings.policy,
+            unit: this.settings.unit,
+            interval: this.settings.interval,
+            untilRotation: this.settings.interval - this.sinceRotation,
+            rotations: this.rotations,
+            battles: this.battles,
+            generations: this.generations
+        };
+    }
+    
+    /**
+     * Random scenario with probability proportional to its weight (missing weights count as 1)
+     */
+    static pickWeighted(scenarios, weights, rng = Math) {
+        const weightOf = id => Math.max(weights[id] ?? 1, 0);
+        const total = scenarios.reduce((sum, id) => sum + weightOf(id), 0);
+        if (total <= 0) {
+            return MathUtils.randomElement(scenarios, rng);
+        }
+        
+        let roll = rng.random() * total;
+        for (const id of scenarios) {
+            roll -= weightOf(id);
+            if (roll < 0) {
+                return id;
+            }
+        }
+        return scenarios[scenarios.length - 1];
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScenarioScheduler };
+} else {
+    window.ScenarioScheduler = ScenarioScheduler;
+}
@@ -0,0 +1,260 @@
+/**
+ * Skill Ratings - TrueSkill-style ratings for genomes and team line-ups across battles
+ * One battle's fitness depends on who the genome happened to fight; a rating instead accumulates every win,
+ * loss and draw against rated opponents, with an uncertainty (sigma) that shrinks as the genome keeps fighting.
+ * Genomes are recognised by their genes, so a genome that survives into later generations keeps its rating.
+ */
+
+class SkillRatings {
+    constructor(options = {}) {
+        this.settings = { ...GAME_CONFIG.SKILL_RATING, ...options };
+        this.reset();
+    }
+    
+    /**
+     * Forget every rating
+     */
+    reset() {
+        this.genomes = new Map(); // genome key -> rating
+        this.compositions = new Map(); // sorted genome keys of a team -> rating
+        this.battles = 0;
+    }
+    
+    /**
+     * Key identifying a genome across battles (genes rounded to GENE_PRECISION decimals)
+     */
+    genomeKey(genome) {
+        return genome.map(gene => gene.toFixed(this.settings.GENE_PRECISION)).join(',');
+    }
+    
+    /**
+     * Key identifying a team line-up regardless of tank order
+     */
+    compositionKey(genomes) {
+        return genomes.map(genome => this.genomeKey(genome)).sort().join('|');
+    }
+    
+    /**
+     * Rating of a genome; unrated genomes get the initial rating with no battles
+     */
+    getRating(genome) {
+        return this.describe(this.genomes.get(this.genomeKey(genome)) || this.createRating());
+    }
+    
+    /**
+     * Rating of a team line-up; unrated line-ups get the initial rating with no battles
+     */
+    getCompositionRating(genomes) {
+        return this.describe(this.compositions.get(this.compositionKey(genomes)) || this.createRating());
+    }
+    
+    /**
+     * Update ratings from a finished battle (GameEngine.getBattleResult, which lists the genomes that fought)
+     * Every genome is rated as a member of its team and every line-up as a single player;
+     * draws and timeouts count as draws. Returns both line-ups' new ratings, or null if the result has no genomes
+     */
+    recordBattle(battleResult) {
+        const redGenomes = battleResult.redGenomes;
+        const blueGenomes = battleResult.blueGenomes;
+        if (!Array.isArray(redGenomes) || !Array.isArray(blueGenomes) || redGenomes.length === 0 || blueGenomes.length === 0) {
+            return null;
+        }
+        
+        // 1 red won, -1 blue won, 0 draw
+        const outcome = battleResult.winner === BATTLE_OUTCOMES.RED_WINS ? 1 :
+            battleResult.winner === BATTLE_OUTCOMES.BLUE_WINS ? -1 : 0;
+        
+        const red = this.playerRatings(redGenomes);
+        const blue = this.playerRatings(blueGenomes);
+        this.updateTeams(red, blue, outcome);
+        this.tally(red, outcome);
+        this.tally(blue, -outcome);
+        
+        const redComposition = this.storedRating(this.compositions, this.compositionKey(redGenomes), { genomes: redGenomes });
+        const blueComposition = this.storedRating(this.compositions, this.compositionKey(blueGenomes), { genomes: blueGenomes });
+        this.updateTeams([redComposition], [blueComposition], outcome);
+        this.tally([redComposition], outcome);
+        this.tally([blueComposition], -outcome);
+        
+        this.battles++;
+        return { red: this.describe(redComposition), blue: this.describe(blueComposition) };
+    }
+    
+    /**
+     * Stored ratings of a team's genomes; a genome fielded twice in one battle is rated once
+     */
+    playerRatings(genomes) {
+        const ratings = new Map();
+        genomes.forEach(genome => {
+            const key = this.genomeKey(genome);
+            if (!ratings.has(key)) {
+                ratings.set(key, this.storedRating(this.genomes, key, { genome }));
+            }
+        });
+        return Array.from(ratings.values());
+    }
+    
+    /**
+     * Rating stored under key, created on first use
+     */
+    storedRating(store, key, identity) {
+        if (!store.has(key)) {
+            const copy = identity.genome ? { genome: [...identity.genome] } : { genomes: identity.genomes.map(genome => [...genome]) };
+            store.set(key, this.createRating(copy));
+        }
+        return store.get(key);
+    }
+    
+    /**
+     * Fresh rating record
+     */
+    createRating(identity = {}) {
+        return {
+            ...identity,
+            mu: this.settings.INITIAL_MU,
+            sigma: this.settings.INITIAL_SIGMA,
+            battles: 0,
+            wins: 0,
+            losses: 0,
+            draws: 0
+        };
+    }
+    
+    /**
+     * TrueSkill update for two teams whose performance is the sum of their players' skills
+     * outcome: 1 red won, -1 blue won, 0 draw
+     */
+    updateTeams(red, blue, outcome) {
+        const { BETA, TAU, DRAW_QUANTILE } = this.settings;
+        const players = [...red, ...blue];
+        
+        // Skill may have drifted since the last battle
+        players.forEach(rating => {
+            rating.sigma = Math.sqrt(rating.sigma * rating.sigma + TAU * TAU);
+        });
+        
+        const c = Math.sqrt(players.reduce((sum, rating) => sum + rating.sigma * rating.sigma + BETA * BETA, 0));
+        const drawMargin = DRAW_QUANTILE * Math.sqrt(players.length) * BETA;
+        
+        // Seen from the winning side (red on a draw)
+        const [winners, losers] = outcome < 0 ? [blue, red] : [red, blue];
+        const teamSkill = team => team.reduce((sum, rating) => sum + rating.mu, 0);
+        const t = (teamSkill(winners) - teamSkill(losers)) / c;
+        const { v, w } = outcome === 0 ? SkillRatings.drawFactors(t, drawMargin / c) : SkillRatings.winFactors(t, drawMargin / c);
+        
+        const apply = (team, sign) => team.forEach(rating => {
+            const variance = rating.sigma * rating.sigma;
+            rating.mu += sign * (variance / c) * v;
+            rating.sigma = Math.sqrt(variance * Math.max(1 - (variance / (c * c)) * w, 0));
+        });
+        apply(winners, 1);
+        apply(losers, -1);
+    }
+    
+    /**
+     * Count a battle's outcome for each rating (outcome 1 won, -1 lost, 0 drew)
+     */
+    tally(ratings, outcome) {
+        ratings.forEach(rating => {
+            rating.battles++;
+            if (outcome > 0) {
+                rating.wins++;
+            } else if (outcome < 0) {
+                rating.losses++;
+            } else {
+                rating.draws++;
+            }
+        });
+    }
+    
+    /**
+     * Public view of a rating: skill, uncertainty, conservative estimate (mu - k sigma) and record
+     */
+    describe(rating) {
+        return {
+            mu: rating.mu,
+            sigma: rating.sigma,
+            conservative: rating.mu - this.settings.CONSERVATIVE_SIGMAS * rating.sigma,
+            battles: rating.battles,
+            wins: rating.wins,
+            losses: rating.losses,
+            draws: rating.draws
+        };
+    }
+    
+    /**
+     * Highest rated genomes (kind 'genomes') or line-ups (kind 'compositions') by conservative rating
+     */
+    getLeaderboard(kind = 'genomes', limit = 10) {
+        const store = kind === 'compositions' ? this.compositions : this.genomes;
+        return Array.from(store.values())
+            .map(rating => ({
+                ...(rating.genome ? { genome: rating.genome } : { genomes: rating.genomes }),
+                ...this.describe(rating)
+            }))
+            .sort((a, b) => b.conservative - a.conservative)
+            .slice(0, limit);
+    }
+    
+    /**
+     * Every rating, best first, for exports
+     */
+    toJSON() {
+        return {
+            battles: this.battles,
+            genomes: this.getLeaderboard('genomes', Infinity),
+            compositions: this.getLeaderboard('compositions', Infinity)
+        };
+    }
+    
+    /**
+     * Mean (v) and variance (w) correction factors for a win by normalized skill gap t with draw margin epsilon
+     */
+    static winFactors(t, epsilon) {
+        const x = t - epsilon;
+        const cdf = SkillRatings.normalCdf(x);
+        // An upset so large the normal tail underflows: move by the full gap
+        const v = cdf > 0 ? SkillRatings.normalPdf(x) / cdf : -x;
+        return { v, w: MathUtils.clamp(v * (v + x), 0, 1) };
+    }
+    
+    /**
+     * Mean (v) and variance (w) correction factors for a draw by normalized skill gap t with draw margin epsilon
+     */
+    static drawFactors(t, epsilon) {
+        const gap = Math.abs(t);
+        const a = epsilon - gap;
+        const b = -epsilon - gap;
+        const denominator = SkillRatings.normalCdf(a) - SkillRatings.normalCdf(b);
+        const shift = denominator > 0 ? (SkillRatings.normalPdf(b) - SkillRatings.normalPdf(a)) / denominator : a;
+        const w = denominator > 0 ?
+            shift * shift + (a * SkillRatings.normalPdf(a) - b * SkillRatings.normalPdf(b)) / denominator : 1;
+        // A draw pulls the stronger side down and the weaker side up
+        return { v: t < 0 ? -shift : shift, w: MathUtils.clamp(w, 0, 1) };
+    }
+    
+    /**
+     * Standard normal density
+     */
+    static normalPdf(x) {
+        return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+    }
+    
+    /**
+     * Standard normal cumulative distribution (complementary error function approximation, ~1e-7 relative error)
+     */
+    static normalCdf(x) {
+        const z = Math.abs(x) / Math.SQRT2;
+        const t = 1 / (1 + 0.5 * z);
+        const erfc = t * Math.exp(-z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+            t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+        return x >= 0 ? 1 - erfc / 2 : erfc / 2;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SkillRatings };
+} else {
+    window.SkillRatings = SkillRatings;
+}
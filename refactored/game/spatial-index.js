@@ -0,0 +1,264 @@
+/**
+ * Spatial Index - Uniform-grid broadphase for obstacles and tanks
+ * Maintained by BattlefieldManager; narrows projectile hits, line of sight rays and
+ * radius queries down to the entities in nearby cells before the exact checks run
+ */
+
+class SpatialHash {
+    constructor(width, height, cellSize) {
+        this.width = width;
+        this.height = height;
+        this.cellSize = cellSize;
+        this.cols = Math.max(1, Math.ceil(width / cellSize));
+        this.rows = Math.max(1, Math.ceil(height / cellSize));
+        this.buckets = Array.from({ length: this.cols * this.rows }, () => []);
+        this.usedBuckets = [];
+        this.items = [];
+        
+        // Per-query stamps so an item spanning several cells is returned once
+        this.queryId = 0;
+        this.seen = [];
+    }
+    
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.usedBuckets.forEach(index => {
+            this.buckets[index].length = 0;
+        });
+        this.usedBuckets = [];
+        this.items = [];
+        this.seen = [];
+    }
+    
+    /**
+     * Column of an x coordinate; anything off the battlefield falls into the border cells
+     */
+    colAt(x) {
+        return MathUtils.clamp(Math.floor(x / this.cellSize), 0, this.cols - 1);
+    }
+    
+    /**
+     * Row of a y coordinate; anything off the battlefield falls into the border cells
+     */
+    rowAt(y) {
+        return MathUtils.clamp(Math.floor(y / this.cellSize), 0, this.rows - 1);
+    }
+    
+    /**
+     * Add an item covering the given rectangle
+     */
+    insert(item, x, y, width, height) {
+        const id = this.items.length;
+        this.items.push(item);
+        this.seen.push(0);
+        
+        const maxCol = this.colAt(x + width);
+        const maxRow = this.rowAt(y + height);
+        
+        for (let row = this.rowAt(y); row <= maxRow; row++) {
+            for (let col = this.colAt(x); col <= maxCol; col++) {
+                const index = row * this.cols + col;
+                if (this.buckets[index].length === 0) {
+                    this.usedBuckets.push(index);
+                }
+                this.buckets[index].push(id);
+            }
+        }
+    }
+    
+    /**
+     * Items in cells overlapping a rectangle, in insertion order
+     */
+    queryRect(x, y, width, height) {
+        const minCol = this.colAt(x);
+        const minRow = this.rowAt(y);
+        const maxCol = this.colAt(x + width);
+        const maxRow = this.rowAt(y + height);
+        
+        // A box spanning more cells than there are items gains nothing over returning them all
+        if ((maxCol - minCol + 1) * (maxRow - minRow + 1) >= this.items.length) {
+            return this.items.slice();
+        }
+        
+        const queryId = this.beginQuery();
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                this.markCell(col, row, queryId);
+            }
+        }
+        
+        return this.collectMarked(queryId);
+    }
+    
+    /**
+     * Items in cells a line segment passes through, in insertion order
+     */
+    querySegment(x1, y1, x2, y2) {
+        const queryId = this.beginQuery();
+        const size = this.cellSize;
+        
+        let col = Math.floor(x1 / size);
+        let row = Math.floor(y1 / size);
+        const endCol = Math.floor(x2 / size);
+        const endRow = Math.floor(y2 / size);
+        
+        // Rays that start or end off the battlefield also touch the border cells items were clamped into
+        this.markCell(this.colAt(x1), this.rowAt(y1), queryId);
+        this.markCell(this.colAt(x2), this.rowAt(y2), queryId);
+        
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const stepCol = Math.sign(dx);
+        const stepRow = Math.sign(dy);
+        
+        // Fraction of the segment (0..1) until the next vertical/horizontal cell boundary
+        let tMaxX = stepCol !== 0 ? ((stepCol > 0 ? col + 1 : col) * size - x1) / dx : Infinity;
+        let tMaxY = stepRow !== 0 ? ((stepRow > 0 ? row + 1 : row) * size - y1) / dy : Infinity;
+        const tDeltaX = stepCol !== 0 ? size / Math.abs(dx) : Infinity;
+        const tDeltaY = stepRow !== 0 ? size / Math.abs(dy) : Infinity;
+        
+        this.markCell(col, row, queryId);
+        
+        while ((col !== endCol || row !== endRow) && (tMaxX <= 1 || tMaxY <= 1)) {
+            if (Math.abs(tMaxX - tMaxY) < 1e-9) {
+                // Crossing a corner: include both side cells so nothing touching the corner is missed
+                this.markCell(col + stepCol, row, queryId);
+                this.markCell(col, row + stepRow, queryId);
+                col += stepCol;
+                row += stepRow;
+                tMaxX += tDeltaX;
+                tMaxY += tDeltaY;
+            } else if (tMaxX < tMaxY) {
+                col += stepCol;
+                tMaxX += tDeltaX;
+            } else {
+                row += stepRow;
+                tMaxY += tDeltaY;
+            }
+            this.markCell(col, row, queryId);
+        }
+        
+        return this.collectMarked(queryId);
+    }
+    
+    /**
+     * Start a query, returning its dedup stamp
+     */
+    beginQuery() {
+        this.queryId++;
+        return this.queryId;
+    }
+    
+    /**
+     * Stamp every item in one cell as part of the current query
+     */
+    markCell(col, row, queryId) {
+        if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) {
+            return;
+        }
+        for (const id of this.buckets[row * this.cols + col]) {
+            this.seen[id] = queryId;
+        }
+    }
+    
+    /**
+     * Items stamped by a query, in insertion order so results match a plain array scan
+     * Battles hold tens of tanks and obstacles, so a pass over the stamps is cheaper than sorting ids
+     */
+    collectMarked(queryId) {
+        const result = [];
+        for (let id = 0; id < this.items.length; id++) {
+            if (this.seen[id] === queryId) {
+                result.push(this.items[id]);
+            }
+        }
+        return result;
+    }
+    
+}
+
+class SpatialIndex {
+    constructor(width, height, cellSize = GAME_CONFIG.PERFORMANCE.SPATIAL_HASH_CELL_SIZE) {
+        this.width = width;
+        this.height = height;
+        this.obstacleHash = new SpatialHash(width, height, cellSize);
+        this.tankHash = new SpatialHash(width, height, cellSize);
+        this.obstacles = null;
+        this.obstacleCount = 0;
+    }
+    
+    /**
+     * Index the obstacle layout, skipping the rebuild if it hasn't changed
+     */
+    setObstacles(obstacles) {
+        if (this.obstacles === obstacles && this.obstacleCount === obstacles.length) {
+            return;
+        }
+        
+        this.obstacleHash.clear();
+        obstacles.forEach(obstacle => {
+            this.obstacleHash.insert(obstacle, obstacle.x, obstacle.y, obstacle.width, obstacle.height);
+        });
+        this.obstacles = obstacles;
+        this.obstacleCount = obstacles.length;
+    }
+    
+    /**
+     * Re-index tank positions (tanks move every tick, so this is rebuilt rather than updated)
+     */
+    indexTanks(tanks) {
+        this.tankHash.clear();
+        tanks.forEach(tank => {
+            this.tankHash.insert(tank, tank.x, tank.y, tank.width, tank.height);
+        });
+    }
+    
+    /**
+     * Tanks within radius of a point (same top-left distance as TankEntity.distanceTo), in tank list order
+     * The search box is padded by a tank size so tanks that moved since indexTanks() are still found
+     */
+    tanksInRadius(x, y, radius) {
+        const padding = radius + GAME_CONFIG.TANK.SIZE;
+        return this.tankHash.queryRect(x - padding, y - padding, padding * 2, padding * 2)
+            .filter(tank => MathUtils.distance(x, y, tank.x, tank.y) <= radius);
+    }
+    
+    /**
+     * Tanks whose cells overlap a rectangle - candidates for an exact collision test
+     */
+    tanksNear(x, y, width, height) {
+        const padding = GAME_CONFIG.TANK.SIZE;
+        return this.tankHash.queryRect(x - padding, y - padding, width + padding * 2, height + padding * 2);
+    }
+    
+    /**
+     * Obstacles whose cells overlap a rectangle - candidates for an exact collision test
+     */
+    obstaclesNear(x, y, width, height) {
+        return this.obstacleHash.queryRect(x, y, width, height);
+    }
+    
+    /**
+     * Obstacles whose cells a line segment crosses - candidates for ray tests
+     */
+    obstaclesAlongSegment(x1, y1, x2, y2) {
+        return this.obstacleHash.querySegment(x1, y1, x2, y2);
+    }
+    
+    /**
+     * Line of sight between two objects, checking only obstacles along the ray
+     */
+    hasLineOfSight(from, to) {
+        return CollisionUtils.hasLineOfSight(from, to, this.obstaclesAlongSegment(from.x, from.y, to.x, to.y));
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpatialHash, SpatialIndex };
+} else {
+    window.SpatialHash = SpatialHash;
+    window.SpatialIndex = SpatialIndex;
+}
@@ -0,0 +1,78 @@
+/**
+ * Headless Runtime - Loads the refactored engine into Node.js
+ * In the browser every module is a <script> that publishes its classes on window;
+ * this installs the same globals so GameEngine can run battles without a canvas
+ * (Node scripts, Jest, batch experiments).
+ */
+
+// Same order as the <script> tags in index.html - later modules rely on earlier globals
+const ENGINE_MODULES = [
+    './common/constants',
+    './common/utils',
+    './ai/tank-entity',
+    './ai/tank-ai',
+    './ai/tank-combat',
+    './ai/tank-learning',
+    './ai/behavior-tree',
+    './ai/neural-controller',
+    './ai/human-controller',
+    './ai/tank',
+    './game/hill-control',
+    './game/flag-control',
+    './game/domination-control',
+    './game/deathmatch-control',
+    './game/navigation-grid',
+    './game/spatial-index',
+    './game/battle-managers',
+    './game/battle-replay',
+    './game/skill-ratings',
+    './game/hall-of-fame',
+    './game/map-elites-archive',
+    './game/scenario-evaluator',
+    './game/scenario-scheduler',
+    './game/scenario-loader',
+    './game/map-validator',
+    './game/game-engine'
+];
+
+let runtimeLoaded = false;
+
+/**
+ * Require every engine module and expose its exports as globals (idempotent)
+ */
+function loadHeadlessRuntime() {
+    if (runtimeLoaded) {
+        return globalThis;
+    }
+    
+    // Scenario definitions live in the shared app config
+    if (!globalThis.CONFIG) {
+        globalThis.CONFIG = require('../config.js');
+    }
+    
+    ENGINE_MODULES.forEach(modulePath => {
+        const exported = require(modulePath);
+        if (typeof exported === 'function') {
+            // Single-class modules (e.g. hill-control.js) export the class itself
+            globalThis[exported.name] = exported;
+        } else {
+            Object.assign(globalThis, exported);
+        }
+    });
+    
+    runtimeLoaded = true;
+    return globalThis;
+}
+
+/**
+ * Create a GameEngine with no canvas, ready for initializeBattle() + runToCompletion()
+ */
+function createHeadlessEngine(options = {}) {
+    loadHeadlessRuntime();
+    return new globalThis.GameEngine(null, options);
+}
+
+module.exports = {
+    loadHeadlessRuntime,
+    createHeadlessEngine
+};
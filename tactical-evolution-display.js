@@ -74,6 +74,7 @@ class TacticalEvolutionDisplay {
         this.updateStrategyDiversity(evolutionEngine);
         this.updateFitnessBreakdown(evolutionEngine);
         this.updateInnovationMetrics(evolutionEngine);
+        this.updateMapElites(evolutionEngine);
         if (battleResult) {
             this.updateBattleComplexity(battleResult);
         }
@@ -200,7 +201,7 @@ class TacticalEvolutionDisplay {
                 const strategy = this.classifyAdvancedStrategy(candidate.genome);
                 const emoji = this.getStrategyEmoji(strategy);
                 const tooltip = this.getStrategyTooltip(strategy);
-                redHtml += `<div>${i + 1}. ${emoji} ${strategy}<span class="strategy-tooltip" title="${tooltip}" style="cursor: help; color: #888; margin-left: 3px; font-size: 8px;">❓</span> ${candidate.fitness.toFixed(3)}</div>`;
+                redHtml += `<div>${i + 1}. ${emoji} ${strategy}<span class="strategy-tooltip" title="${tooltip}" style="cursor: help; color: #888; margin-left: 3px; font-size: 8px;">❓</span> ${candidate.fitness.toFixed(3)}${this.formatRating(evolutionEngine, candidate.genome)}</div>`;
             });
             redChampions.innerHTML = redHtml;
             // Store this as previous champions for next time
@@ -223,7 +224,7 @@ class TacticalEvolutionDisplay {
                 const strategy = this.classifyAdvancedStrategy(candidate.genome);
                 const emoji = this.getStrategyEmoji(strategy);
                 const tooltip = this.getStrategyTooltip(strategy);
-                blueHtml += `<div>${i + 1}. ${emoji} ${strategy}<span class="strategy-tooltip" title="${tooltip}" style="cursor: help; color: #888; margin-left: 3px; font-size: 8px;">❓</span> ${candidate.fitness.toFixed(3)}</div>`;
+                blueHtml += `<div>${i + 1}. ${emoji} ${strategy}<span class="strategy-tooltip" title="${tooltip}" style="cursor: help; color: #888; margin-left: 3px; font-size: 8px;">❓</span> ${candidate.fitness.toFixed(3)}${this.formatRating(evolutionEngine, candidate.genome)}</div>`;
             });
             blueChampions.innerHTML = blueHtml;
             // Store this as previous champions for next time
@@ -231,6 +232,101 @@ class TacticalEvolutionDisplay {
         }
     }
 
+    formatRating(evolutionEngine, genome) {
+        // Skill rating across every battle the genome fought, next to its best single-battle fitness
+        if (!evolutionEngine.skillRatings) {
+            return '';
+        }
+        const rating = evolutionEngine.skillRatings.getRating(genome);
+        if (rating.battles === 0) {
+            return '';
+        }
+        const title = `Skill rating: ${rating.mu.toFixed(1)} ± ${rating.sigma.toFixed(1)} over ${rating.battles} battles ` +
+            `(${rating.wins}W ${rating.losses}L ${rating.draws}D)`;
+        return ` <span title="${title}" style="color: #aaa;">μ${rating.mu.toFixed(1)}±${rating.sigma.toFixed(1)}</span>`;
+    }
+
+    updateScenarioBreakdown(evaluation) {
+        // Per-map fitness of each champion line-up (MultiScenarioEvaluator), weakest map highlighted
+        const container = document.getElementById('scenario-breakdown');
+        if (!container) {
+            return;
+        }
+
+        const scenarios = (CONFIG.asiArch && CONFIG.asiArch.battleScenarios.scenarios) || {};
+        const teamHtml = (team, label) => {
+            const tanks = evaluation[team];
+            if (tanks.length === 0) {
+                return '';
+            }
+            // Average the line-up's tanks per scenario, then combine like a single genome
+            const scores = {};
+            Object.keys(tanks[0].scores).forEach(id => {
+                scores[id] = tanks.reduce((sum, tank) => sum + tank.scores[id], 0) / tanks.length;
+            });
+            const combined = MultiScenarioEvaluator.combine(scores);
+            const maps = Object.entries(scores).map(([id, score]) => {
+                const name = scenarios[id] ? scenarios[id].name : id;
+                const won = team === 'red' ? BATTLE_OUTCOMES.RED_WINS : BATTLE_OUTCOMES.BLUE_WINS;
+                const winner = evaluation.winners[id] === won ? ' 🏆' : '';
+                const style = id === combined.weakest ? ' style="color: #ff8a80;" title="Weakest map"' : '';
+                return `<div${style}>${name}: ${score.toFixed(3)}${winner}</div>`;
+            }).join('');
+            const specialized = combined.specialized ? ' (specialist)' : '';
+            return `<div class="team-${team}">${label} ${combined.fitness.toFixed(3)}${specialized}</div>${maps}`;
+        };
+        container.innerHTML = teamHtml('red', '🔴 All maps:') + teamHtml('blue', '🔵 All maps:');
+    }
+
+    updateMapElites(evolutionEngine) {
+        if (!evolutionEngine.mapElites) {
+            return;
+        }
+
+        ['red', 'blue'].forEach(team => {
+            const canvas = document.getElementById(`${team}-map-elites`);
+            const coverage = document.getElementById(`${team}-map-elites-coverage`);
+            if (!canvas || !coverage) {
+                return;
+            }
+
+            const archive = evolutionEngine.mapElites;
+            coverage.textContent = `${archive.getFilledCount(team)} cells (${(archive.getCoverage(team) * 100).toFixed(0)}%)`;
+            this.drawHeatmap(canvas, archive.getHeatmap(team), team);
+        });
+    }
+
+    drawHeatmap(canvas, heatmap, team) {
+        // Rows run from low to high hill control, so row 0 is drawn at the bottom
+        const ctx = canvas.getContext('2d');
+        const rows = heatmap.length;
+        const columns = heatmap[0].length;
+        const cellWidth = canvas.width / columns;
+        const cellHeight = canvas.height / rows;
+        const values = heatmap.flat().filter(value => value !== null);
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const rgb = team === 'red' ? '255, 68, 68' : '68, 68, 255';
+
+        ctx.fillStyle = '#111';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        heatmap.forEach((row, y) => {
+            row.forEach((fitness, x) => {
+                const left = x * cellWidth;
+                const top = canvas.height - (y + 1) * cellHeight;
+                if (fitness !== null) {
+                    // Dimmest filled cell still shows, the fittest is fully opaque
+                    const strength = max > min ? (fitness - min) / (max - min) : 1;
+                    ctx.fillStyle = `rgba(${rgb}, ${0.25 + strength * 0.75})`;
+                    ctx.fillRect(left, top, cellWidth, cellHeight);
+                }
+                ctx.strokeStyle = '#333';
+                ctx.strokeRect(left, top, cellWidth, cellHeight);
+            });
+        });
+    }
+
     updateInnovationMetrics(evolutionEngine) {
         const currentGeneration = document.getElementById('current-generation');
         const totalExperiments = document.getElementById('total-experiments');
@@ -0,0 +1,113 @@
+const { createHeadlessEngine } = require('./test-helpers');
+
+describe('ReplayPlayer', () => {
+    beforeAll(() => {
+        // Playback runs on animation frames; the headless engine has no canvas to draw on
+        globalThis.requestAnimationFrame = () => 1;
+        globalThis.cancelAnimationFrame = () => {};
+    });
+    
+    afterAll(() => {
+        delete globalThis.requestAnimationFrame;
+        delete globalThis.cancelAnimationFrame;
+    });
+    
+    /**
+     * Finished headless battle with its replay recorded; render() is a no-op so the player can drive it
+     */
+    function recordBattle(mode) {
+        const engine = createHeadlessEngine({ recordReplays: true });
+        engine.initializeBattle(3, 3, mode, 'open_field', 55);
+        const result = engine.runToCompletion();
+        engine.render = () => {};
+        return { engine, result, replay: engine.replayHistory[engine.replayHistory.length - 1] };
+    }
+    
+    /**
+     * Where each tank stands, rounded like a recorded frame; destroyed tanks are null
+     */
+    function positionsOf(tanks) {
+        const factor = Math.pow(10, GAME_CONFIG.REPLAY.POSITION_DECIMALS);
+        const round = value => Math.round(value * factor) / factor;
+        return tanks.map(tank => (tank.isAlive ? [round(tank.x), round(tank.y)] : null));
+    }
+    
+    test('a recorded battle survives serialization and seeks back to the recorded positions', () => {
+        const { engine, replay } = recordBattle('king_of_hill');
+        const liveIds = engine.tanks.map(tank => tank.tankId);
+        const finalPositions = positionsOf(engine.tanks);
+        
+        const player = new ReplayPlayer(engine);
+        const loaded = player.load(BattleRecorder.serialize(replay));
+        expect(loaded.frames).toEqual(replay.frames);
+        expect(player.tanks.map(tank => tank.tankId)).toEqual(liveIds);
+        expect(player.duration).toBe(replay.frames[replay.frames.length - 1][0]);
+        
+        const middle = Math.floor(replay.frames.length / 2);
+        player.seek(replay.frames[middle][0]);
+        expect(player.frameIndex).toBe(middle);
+        expect(positionsOf(player.tanks)).toEqual(replay.frames[middle][2].map(tank => (tank ? tank.slice(0, 2) : null)));
+        
+        player.seek(0);
+        expect(player.frameIndex).toBe(0);
+        player.seek(player.duration + 10);
+        expect(positionsOf(player.tanks)).toEqual(finalPositions);
+    });
+    
+    test('playback speed scales how far each animation frame moves the replay', () => {
+        const { engine, replay } = recordBattle('king_of_hill');
+        let nextFrame = null;
+        globalThis.requestAnimationFrame = callback => {
+            nextFrame = callback;
+            return 1;
+        };
+        
+        const player = new ReplayPlayer(engine);
+        player.load(replay);
+        player.setSpeed(2);
+        player.play();
+        nextFrame(1000);
+        nextFrame(1500);
+        expect(player.currentTime).toBeCloseTo(1, 6);
+        expect(replay.frames[player.frameIndex][0]).toBeLessThanOrEqual(1);
+        expect(replay.frames[player.frameIndex + 1][0]).toBeGreaterThan(1);
+        
+        // Speeds outside the player's range are clamped to it
+        player.setSpeed(100);
+        expect(player.speed).toBe(4);
+        player.setSpeed(0);
+        expect(player.speed).toBe(0.25);
+        player.stop();
+        globalThis.requestAnimationFrame = () => 1;
+    });
+    
+    test('plays back the deathmatch scoreboard and gives the live one back on stop', () => {
+        const { engine, result, replay } = recordBattle('team_deathmatch');
+        const liveDeathmatch = engine.battlefield.deathmatch;
+        liveDeathmatch.kills = { red: 0, blue: 0 };
+        
+        const player = new ReplayPlayer(engine);
+        player.load(replay);
+        player.seek(player.duration);
+        
+        expect(engine.battlefield.deathmatch).not.toBe(liveDeathmatch);
+        expect(engine.battlefield.deathmatch.kills).toEqual(result.deathmatchData.kills);
+        expect(engine.battlefield.deathmatch.killsToWin).toBe(result.deathmatchData.killsToWin);
+        
+        player.stop();
+        expect(engine.battlefield.deathmatch).toBe(liveDeathmatch);
+        expect(liveDeathmatch.kills).toEqual({ red: 0, blue: 0 });
+    });
+    
+    test('refuses replays from a newer version or another program', () => {
+        const { engine, replay } = recordBattle('king_of_hill');
+        const player = new ReplayPlayer(engine);
+        
+        expect(replay.version).toBe(GAME_CONFIG.REPLAY.VERSION);
+        expect(() => player.load({ ...replay, version: GAME_CONFIG.REPLAY.VERSION + 1 }))
+            .toThrow(`Unsupported replay version ${GAME_CONFIG.REPLAY.VERSION + 1}`);
+        expect(() => BattleRecorder.parse({ ...replay, format: 'other' })).toThrow('Not an AlphaTanks replay file');
+        expect(() => BattleRecorder.parse({ ...replay, frames: [] })).toThrow('Replay contains no recorded frames');
+        expect(player.replay).toBeNull();
+    });
+});
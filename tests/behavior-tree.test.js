@@ -0,0 +1,79 @@
+const { loadHeadlessRuntime } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const condition = (name, threshold) => (threshold === undefined ? { type: 'condition', name } : { type: 'condition', name, threshold });
+const action = state => ({ type: 'action', state });
+
+/**
+ * Just enough of a TankAI for the mode-independent conditions and actions
+ */
+function fakeAI({ health = 100, enemies = 0 } = {}) {
+    return {
+        tank: { health, maxHealth: 100, allies: [] },
+        perception: { visibleEnemies: Array.from({ length: enemies }, () => ({})), nearbyAllies: [] }
+    };
+}
+
+const gameState = { gameMode: GAME_MODES.KING_OF_HILL };
+
+describe('BehaviorTree.evaluate', () => {
+    test('a selector takes its first child that succeeds', () => {
+        const tree = { type: 'selector', children: [action(TANK_STATES.ATTACK), action(TANK_STATES.RETREAT), action(TANK_STATES.PATROL)] };
+        
+        expect(BehaviorTree.evaluate(tree, fakeAI({ enemies: 0 }), gameState)).toBe(TANK_STATES.RETREAT);
+        expect(BehaviorTree.evaluate(tree, fakeAI({ enemies: 2 }), gameState)).toBe(TANK_STATES.ATTACK);
+    });
+    
+    test('a sequence stops at its first failing child', () => {
+        const tree = {
+            type: 'selector',
+            children: [
+                { type: 'sequence', children: [condition('low_health', 0.3), action(TANK_STATES.RETREAT)] },
+                action(TANK_STATES.ATTACK)
+            ]
+        };
+        
+        expect(BehaviorTree.evaluate(tree, fakeAI({ health: 10, enemies: 1 }), gameState)).toBe(TANK_STATES.RETREAT);
+        expect(BehaviorTree.evaluate(tree, fakeAI({ health: 90, enemies: 1 }), gameState)).toBe(TANK_STATES.ATTACK);
+    });
+    
+    test('an inverter flips its child and an undecided tree falls back to patrol', () => {
+        const tree = { type: 'sequence', children: [{ type: 'inverter', child: condition('enemy_visible') }, action(TANK_STATES.RETREAT)] };
+        
+        expect(BehaviorTree.evaluate(tree, fakeAI({ enemies: 0 }), gameState)).toBe(TANK_STATES.RETREAT);
+        expect(BehaviorTree.evaluate(tree, fakeAI({ enemies: 1 }), gameState)).toBe(TANK_STATES.PATROL);
+    });
+});
+
+describe('BehaviorTree evolution', () => {
+    test('crossover and mutation give valid trees within the limits and leave the parents alone', () => {
+        const rng = createSeededRNG(99);
+        const parent1 = BehaviorTree.createDefault();
+        const parent2 = BehaviorTree.generateRandom(rng);
+        const before = [BehaviorTree.serialize(parent1), BehaviorTree.serialize(parent2)];
+        
+        for (let i = 0; i < 50; i++) {
+            const child = BehaviorTree.mutate(BehaviorTree.crossover(parent1, parent2, 1, rng), 0.3, rng);
+            
+            expect(() => BehaviorTree.validate(child)).not.toThrow();
+            expect(BehaviorTree.fitsLimits(child)).toBe(true);
+            expect(BehaviorTree.parse(BehaviorTree.serialize(child))).toEqual(child);
+        }
+        expect([BehaviorTree.serialize(parent1), BehaviorTree.serialize(parent2)]).toEqual(before);
+    });
+    
+    test.each(Object.keys(BEHAVIOR_TREE_MODE_NODES))('random nodes for %s only use that mode\'s objective nodes', mode => {
+        const rng = createSeededRNG(5);
+        const foreign = Object.entries(BEHAVIOR_TREE_MODE_NODES)
+            .filter(([nodeMode]) => nodeMode !== mode)
+            .flatMap(([, nodes]) => nodes);
+        
+        for (let i = 0; i < 100; i++) {
+            const tree = BehaviorTree.mutate(BehaviorTree.generateRandom(rng, undefined, mode), 0.5, rng, mode);
+            BehaviorTree.listNodes(tree).forEach(({ node }) => {
+                expect(foreign).not.toContain(node.name ?? node.state);
+            });
+        }
+    });
+});
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadHeadlessRuntime } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const { BatchRunner } = require('../refactored/game/batch-runner');
+const { parseArgs, resolveOptions, parseSeedRange } = require('../refactored/cli');
+
+/**
+ * Options the CLI would hand to BatchRunner for a command line
+ */
+const optionsFor = (...argv) => resolveOptions(parseArgs(argv));
+
+describe('parseArgs', () => {
+    test('maps flags to option keys and parses their values', () => {
+        expect(parseArgs([
+            '--battles', '4', '--scenario', 'open_field, urban_warfare', '--mode', 'domination', '--seeds', '100-199',
+            '--red-health', '0.5', '--blue-controller', 'behavior_tree', '--multi-scenario', '--quiet'
+        ])).toEqual({
+            battles: 4,
+            scenarios: ['open_field', 'urban_warfare'],
+            mode: 'domination',
+            seedRange: [100, 199],
+            redHealthMultiplier: 0.5,
+            blueController: 'behavior_tree',
+            multiScenario: true,
+            quiet: true
+        });
+    });
+    
+    test('an empty command line leaves every option to the BatchRunner defaults', () => {
+        expect(parseArgs([])).toEqual({});
+        expect(new BatchRunner(optionsFor()).options).toMatchObject({
+            battles: 10,
+            generations: 0,
+            scenarios: ['open_field'],
+            mode: 'king_of_hill',
+            redTeamSize: GAME_CONFIG.TEAMS.DEFAULT_SIZE,
+            blueTeamSize: GAME_CONFIG.TEAMS.DEFAULT_SIZE,
+            controller: 'traits',
+            rotationPolicy: 'round_robin',
+            rotationInterval: 1,
+            rotationUnit: 'battles'
+        });
+    });
+    
+    test.each([
+        [['--turbo'], 'Unknown option --turbo'],
+        [['--battles'], 'Missing value for --battles'],
+        [['--seeds', '200-100'], 'Invalid seed range "200-100"'],
+        [['--seeds', 'soon'], 'Invalid seed range "soon"']
+    ])('rejects %j', (argv, message) => {
+        expect(() => parseArgs(argv)).toThrow(message);
+    });
+    
+    test('a single seed is a range of one', () => {
+        expect(parseSeedRange('1234')).toEqual([1234, 1234]);
+    });
+});
+
+describe('resolveOptions', () => {
+    let configDir;
+    
+    beforeAll(() => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alphatanks-cli-'));
+    });
+    
+    afterAll(() => {
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+    
+    test('--team-size sets both teams unless a side is given on its own', () => {
+        expect(optionsFor('--team-size', '3', '--blue', '6')).toMatchObject({ redTeamSize: 3, blueTeamSize: 6 });
+    });
+    
+    test('a config file takes the flag shorthand and flags override it', () => {
+        const file = path.join(configDir, 'run.json');
+        fs.writeFileSync(file, JSON.stringify({ battles: 8, scenario: 'open_field,chokepoint_control', seeds: '10-19', mode: 'capture_the_flag' }));
+        
+        const options = optionsFor('--config', file, '--battles', '2');
+        expect(options).toMatchObject({ battles: 2, scenarios: ['open_field', 'chokepoint_control'], seedRange: [10, 19], mode: 'capture_the_flag' });
+        expect(options).not.toHaveProperty('scenario');
+        expect(options).not.toHaveProperty('seeds');
+    });
+    
+    test.each([
+        [['--battles', 'many'], 'Invalid value for battles: NaN'],
+        [['--red', '0'], 'Team sizes must be whole numbers'],
+        [['--team-size', '2.5'], 'Team sizes must be whole numbers'],
+        [['--blue-health', '5'], 'Health multipliers must be between'],
+        [['--scenario', 'moon_base'], 'Unknown scenario "moon_base"'],
+        [['--mode', 'racing'], 'Unknown mode "racing"'],
+        [['--rotation', 'random'], 'Unknown rotation policy "random"'],
+        [['--rotation-unit', 'minutes'], 'Unknown rotation unit "minutes"'],
+        [['--rotation-interval', '0'], 'Rotation interval must be a whole number above 0'],
+        [['--controller', 'joystick'], 'Unknown controller "joystick"']
+    ])('rejects %j', (argv, message) => {
+        expect(() => optionsFor(...argv)).toThrow(message);
+    });
+});
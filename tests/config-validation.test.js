@@ -0,0 +1,46 @@
+const { loadHeadlessRuntime } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+describe('GAME_CONFIG.HEADLESS', () => {
+    const { FIXED_TIME_STEP, MAX_SIMULATED_TIME } = GAME_CONFIG.HEADLESS;
+    
+    test('the fixed timestep is a positive fraction of a second', () => {
+        expect(FIXED_TIME_STEP).toBeGreaterThan(0);
+        expect(FIXED_TIME_STEP).toBeLessThanOrEqual(1 / 30);
+    });
+    
+    test('the safety cap leaves room for a battle that runs to its time limit', () => {
+        expect(MAX_SIMULATED_TIME).toBeGreaterThan(GAME_CONFIG.BATTLE.MAX_DURATION);
+    });
+});
+
+describe('config.js battle scenarios', () => {
+    const battleScenarios = CONFIG.asiArch.battleScenarios;
+    const scenarioIds = Object.keys(battleScenarios.scenarios);
+    
+    test('every scenario names a known obstacle generator', () => {
+        scenarioIds.forEach(id => {
+            expect(SCENARIO_GENERATORS).toHaveProperty(battleScenarios.scenarios[id].generator);
+        });
+    });
+    
+    test('rotation weights and curriculum only name configured scenarios', () => {
+        Object.keys(battleScenarios.rotationWeights).forEach(id => expect(scenarioIds).toContain(id));
+        battleScenarios.curriculum.forEach(id => expect(scenarioIds).toContain(id));
+    });
+    
+    test('rotation settings are accepted by the scheduler', () => {
+        expect(() => new ScenarioScheduler()).not.toThrow();
+    });
+    
+    test('path asymmetry tolerances are fractions', () => {
+        scenarioIds.forEach(id => {
+            const tolerance = battleScenarios.scenarios[id].maxPathAsymmetry;
+            if (tolerance !== undefined) {
+                expect(tolerance).toBeGreaterThanOrEqual(0);
+                expect(tolerance).toBeLessThanOrEqual(1);
+            }
+        });
+    });
+});
@@ -0,0 +1,52 @@
+const { createHeadlessEngine, fixedGenomes, withoutTimestamps } = require('./test-helpers');
+
+/**
+ * Same scenario, seed and genomes on a fresh engine; returns getBattleResult() of the finished battle
+ */
+function fight(scenarioId, seed) {
+    const engine = createHeadlessEngine();
+    engine.initializeBattle(3, 3, 'king_of_hill', scenarioId, seed, {
+        redGenomes: fixedGenomes(3, 0.7),
+        blueGenomes: fixedGenomes(3, 0.3)
+    });
+    engine.runToCompletion();
+    return withoutTimestamps(engine.getBattleResult(engine.lastBattleResult.winner));
+}
+
+describe('seeded battles', () => {
+    test.each(['open_field', 'urban_warfare'])('%s replays identically for the same seed and genomes', scenarioId => {
+        expect(fight(scenarioId, 4242)).toEqual(fight(scenarioId, 4242));
+    });
+    
+    test('a different seed gives a different battle', () => {
+        const first = fight('urban_warfare', 4242);
+        const second = fight('urban_warfare', 777);
+        expect(second.seed).not.toBe(first.seed);
+        expect({ ...second, seed: first.seed, mapSeed: first.mapSeed }).not.toEqual(first);
+    });
+    
+    test('a seed replayed on the same engine fights the same battle with new tank ids', () => {
+        const engine = createHeadlessEngine();
+        const runs = [1, 2].map(() => {
+            engine.reset();
+            engine.initializeBattle(3, 3, 'king_of_hill', 'open_field', 4242, {
+                redGenomes: fixedGenomes(3, 0.7),
+                blueGenomes: fixedGenomes(3, 0.3)
+            });
+            const ids = engine.tanks.map(tank => tank.tankId);
+            const result = engine.runToCompletion();
+            return { ids, winner: result.winner, battleTime: engine.stats.battleTime };
+        });
+        
+        expect(runs[0].ids).toEqual(['red_1_0', 'red_1_1', 'red_1_2', 'blue_1_0', 'blue_1_1', 'blue_1_2']);
+        expect(runs[1].ids.filter(id => runs[0].ids.includes(id))).toEqual([]);
+        expect(runs[1]).toEqual({ ...runs[0], ids: runs[1].ids });
+    });
+    
+    test('the battle stream does not replay the map generator stream', () => {
+        const mapStream = createSeededRNG(4242);
+        const battleStream = createSeededRNG(deriveStreamSeed(4242, BATTLE_STREAM_SALT));
+        const draws = stream => Array.from({ length: 5 }, () => stream.random());
+        expect(draws(battleStream)).not.toEqual(draws(mapStream));
+    });
+});
@@ -0,0 +1,101 @@
+const { loadHeadlessRuntime, createHeadlessEngine } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const POINTS = [{ x: 200, y: 300 }, { x: 400, y: 300 }, { x: 600, y: 300, radius: 40 }];
+
+/**
+ * Tank entity of a team centred on a point
+ */
+function tankAt(team, point, tankId = `${team}_test`) {
+    const tank = new TankEntity(0, 0, team, new Array(9).fill(0.5));
+    tank.tankId = tankId;
+    tank.x = point.x - tank.width / 2;
+    tank.y = point.y - tank.height / 2;
+    return tank;
+}
+
+/**
+ * Advance the control points for a stretch of time in small ticks
+ */
+function hold(control, tanks, seconds, deltaTime = 0.1) {
+    for (let elapsed = 0; elapsed < seconds - 1e-9; elapsed += deltaTime) {
+        control.update(deltaTime, tanks);
+    }
+}
+
+describe('DominationControl', () => {
+    test('takes 2 to 5 points, labelled in order, with the default radius unless given', () => {
+        const control = new DominationControl(POINTS, 50);
+        expect(control.points.map(point => [point.label, point.radius])).toEqual([
+            ['A', GAME_CONFIG.BATTLE.DOMINATION.POINT_RADIUS], ['B', GAME_CONFIG.BATTLE.DOMINATION.POINT_RADIUS], ['C', 40]
+        ]);
+        expect(() => new DominationControl(POINTS.slice(0, 1))).toThrow('Domination needs 2-5 control points');
+        expect(() => new DominationControl([...POINTS, ...POINTS])).toThrow('Domination needs 2-5 control points');
+    });
+    
+    test('each point is captured on its own and scores only once it is secured', () => {
+        const control = new DominationControl(POINTS, 50);
+        const red = tankAt('red', POINTS[0]);
+        const blue = tankAt('blue', POINTS[2]);
+        
+        hold(control, [red, blue], 2);
+        expect(control.score).toEqual({ red: 0, blue: 0 });
+        
+        hold(control, [red, blue], 2);
+        expect(control.countOwnedPoints('red')).toBe(1);
+        expect(control.countOwnedPoints('blue')).toBe(1);
+        expect(control.getSecureOwner(control.points[1])).toBeNull();
+        expect(control.score.red).toBeCloseTo(control.score.blue, 6);
+        expect(red.stats.pointCaptures).toBe(1);
+        expect(control.getDominationData().events.map(event => [event.point, event.team, event.tankIds])).toEqual([
+            ['A', 'red', ['red_test']], ['C', 'blue', ['blue_test']]
+        ]);
+    });
+    
+    test('holding more points scores faster and reaches the score target first', () => {
+        const control = new DominationControl(POINTS, 20);
+        const reds = [tankAt('red', POINTS[0], 'red_a'), tankAt('red', POINTS[1], 'red_b')];
+        const blue = tankAt('blue', POINTS[2]);
+        
+        hold(control, [...reds, blue], 10);
+        expect(control.score.red).toBeCloseTo(control.score.blue * 2, 6);
+        expect(control.isGameWon()).toBe(false);
+        
+        hold(control, [...reds, blue], 4);
+        expect(control.getWinner()).toBe('red');
+    });
+    
+    test('gives each team per-point information to split up over', () => {
+        const control = new DominationControl(POINTS, 50);
+        const red = tankAt('red', POINTS[0]);
+        const blue = tankAt('blue', POINTS[1]);
+        hold(control, [red, blue, tankAt('red', POINTS[1], 'red_contester')], 4);
+        
+        const info = control.getStrategicInfo('red');
+        expect(info.points.map(point => [point.label, point.isOwned, point.isContested, point.allies, point.enemies])).toEqual([
+            ['A', true, false, 1, 0],
+            ['B', false, true, 1, 1],
+            ['C', false, false, 0, 0]
+        ]);
+        expect(info).toMatchObject({ ownedPoints: 1, enemyPoints: 0, scoreToWin: 50 });
+        expect(control.getStrategicInfo('blue').points[0].isEnemyOwned).toBe(true);
+    });
+});
+
+describe('domination battles', () => {
+    test('the scenario points are set up and the result carries the per-point record', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(3, 3, 'domination', 'open_field', 5);
+        const { controlPoints } = engine.battlefield;
+        
+        expect(engine.battlefield.hill).toBeNull();
+        expect(controlPoints.points).toHaveLength(GAME_CONFIG.BATTLE.DOMINATION.DEFAULT_POINTS.length);
+        
+        const result = engine.runToCompletion();
+        expect(result.dominationData.points.map(point => point.label)).toEqual(['A', 'B', 'C']);
+        const held = result.dominationData.points.reduce((total, point) => total + point.redHoldTime + point.blueHoldTime, 0);
+        expect(held).toBeGreaterThan(0);
+        expect(result.dominationData.score.red + result.dominationData.score.blue).toBeCloseTo(held, 0);
+    });
+});
@@ -0,0 +1,129 @@
+const { loadHeadlessRuntime, createHeadlessEngine } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const RED_BASE = { x: 50, y: 300 };
+const BLUE_BASE = { x: 750, y: 300 };
+
+/**
+ * Tank entity of a team centred on a point
+ */
+function tankAt(team, x, y, tankId = `${team}_test`) {
+    const tank = new TankEntity(0, 0, team, new Array(9).fill(0.5));
+    tank.tankId = tankId;
+    moveTo(tank, x, y);
+    return tank;
+}
+
+/**
+ * Centre a tank on a point
+ */
+function moveTo(tank, x, y) {
+    tank.x = x - tank.width / 2;
+    tank.y = y - tank.height / 2;
+}
+
+describe('FlagControl', () => {
+    test('an enemy picks up the flag, carries it home and scores', () => {
+        const flags = new FlagControl(RED_BASE, BLUE_BASE);
+        const raider = tankAt('red', BLUE_BASE.x, BLUE_BASE.y);
+        
+        flags.update(0.1, [raider]);
+        expect(flags.getFlag('blue').getStatus()).toBe('carried');
+        expect(flags.getFlag('blue').carrierId).toBe('red_test');
+        
+        moveTo(raider, 400, 300);
+        flags.update(0.1, [raider]);
+        expect(flags.getFlag('blue')).toMatchObject({ x: 400, y: 300 });
+        
+        moveTo(raider, RED_BASE.x, RED_BASE.y);
+        flags.update(0.1, [raider]);
+        expect(flags.captures).toEqual({ red: 1, blue: 0 });
+        expect(flags.getFlag('blue').isHome()).toBe(true);
+        expect(raider.stats).toMatchObject({ flagPickups: 1, flagCaptures: 1 });
+        expect(flags.getFlagData().events.map(event => event.type)).toEqual(['pickup', 'capture']);
+    });
+    
+    test('a capture only counts while the own flag is at home', () => {
+        const flags = new FlagControl(RED_BASE, BLUE_BASE);
+        const redRaider = tankAt('red', BLUE_BASE.x, BLUE_BASE.y, 'red_raider');
+        const blueRaider = tankAt('blue', RED_BASE.x, RED_BASE.y, 'blue_raider');
+        flags.update(0.1, [redRaider, blueRaider]);
+        
+        moveTo(blueRaider, 400, 500);
+        moveTo(redRaider, RED_BASE.x, RED_BASE.y);
+        flags.update(0.1, [redRaider, blueRaider]);
+        
+        expect(flags.captures.red).toBe(0);
+        expect(flags.getFlag('blue').getStatus()).toBe('carried');
+    });
+    
+    test('a dead carrier drops the flag; its owner returns it, or it goes home by itself', () => {
+        const flags = new FlagControl(RED_BASE, BLUE_BASE);
+        const raider = tankAt('red', BLUE_BASE.x, BLUE_BASE.y);
+        flags.update(0.1, [raider]);
+        moveTo(raider, 500, 300);
+        flags.update(0.1, [raider]);
+        
+        raider.isAlive = false;
+        flags.update(0.1, [raider]);
+        expect(flags.getFlag('blue').getStatus()).toBe('dropped');
+        expect(flags.drops.red).toBe(1);
+        
+        const defender = tankAt('blue', 500, 300);
+        flags.update(0.1, [raider, defender]);
+        expect(flags.getFlag('blue').isHome()).toBe(true);
+        expect(defender.stats.flagReturns).toBe(1);
+        
+        // Dropped again with nobody around: it waits RETURN_TIME seconds, then returns on its own
+        const secondRaider = tankAt('red', BLUE_BASE.x, BLUE_BASE.y);
+        flags.update(0.1, [secondRaider]);
+        moveTo(secondRaider, 300, 100);
+        flags.update(0.1, [secondRaider]);
+        secondRaider.isAlive = false;
+        flags.update(0.1, [secondRaider]);
+        flags.update(flags.returnTime - 1, [secondRaider]);
+        expect(flags.getFlag('blue').getStatus()).toBe('dropped');
+        flags.update(1, [secondRaider]);
+        expect(flags.getFlag('blue').isHome()).toBe(true);
+        expect(flags.returns.blue).toBe(1);
+        expect(flags.getFlagData().events.map(event => event.type)).toEqual(['pickup', 'drop', 'return', 'pickup', 'drop', 'return']);
+    });
+    
+    test('the first team to the capture target wins', () => {
+        const flags = new FlagControl(RED_BASE, BLUE_BASE);
+        flags.captures.blue = flags.capturesToWin - 1;
+        expect(flags.isGameWon()).toBe(false);
+        
+        flags.captures.blue++;
+        expect(flags.getWinner()).toBe('blue');
+    });
+});
+
+describe('capture_the_flag battles', () => {
+    test('flags start at the spawn-side bases and the result carries the flag record', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(3, 3, 'capture_the_flag', 'open_field', 5);
+        const { flags } = engine.battlefield;
+        const states = new Set();
+        
+        expect(engine.battlefield.hill).toBeNull();
+        expect(flags.getFlag('red').baseX).toBeLessThan(engine.width / 2);
+        expect(flags.getFlag('blue').baseX).toBeGreaterThan(engine.width / 2);
+        
+        engine.start();
+        while (engine.step() > 0) {
+            engine.tanks.forEach(tank => states.add(tank.state));
+        }
+        const result = engine.lastBattleResult;
+        
+        expect(states).toContain(TANK_STATES.SEEK_FLAG);
+        expect(result.hillControlData).toBeNull();
+        expect(result.flagData.events.length).toBeGreaterThan(0);
+        expect(result.flagData.capturesToWin).toBe(GAME_CONFIG.BATTLE.CAPTURE_THE_FLAG.CAPTURES_TO_WIN);
+        const tankIds = engine.tanks.map(tank => tank.tankId);
+        result.flagData.events.filter(event => event.tankId).forEach(event => {
+            expect(tankIds).toContain(event.tankId);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+const { loadHeadlessRuntime, fixedGenomes } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const genomes = fixedGenomes(4, 0.4);
+
+/**
+ * Hall with one blue champion per genome, inducted in generations 1, 2, ...
+ */
+function hallWithBlueChampions(count, options = {}) {
+    const hall = new HallOfFame(options);
+    const champions = genomes.slice(0, count).map((genome, i) => hall.induct('blue', { genome, fitness: i / 10 }, i + 1));
+    return { hall, champions };
+}
+
+describe('HallOfFame.induct', () => {
+    test('keeps a copy of each generation\'s champion under a team and generation id', () => {
+        const hall = new HallOfFame();
+        const genome = genomes[0].slice();
+        const champion = hall.induct('red', { genome, fitness: 0.8 }, 3);
+        genome[0] = 1;
+        
+        expect(champion).toMatchObject({ id: 'red-3', team: 'red', generation: 3, fitness: 0.8, behaviorTree: null });
+        expect(hall.champions.red[0].genome).toEqual(genomes[0]);
+        expect(hall.champions.blue).toEqual([]);
+    });
+    
+    test('does not add a genome that is already in the hall', () => {
+        const hall = new HallOfFame();
+        hall.induct('red', { genome: genomes[0], fitness: 0.5 }, 1);
+        expect(hall.induct('red', { genome: genomes[0].slice(), fitness: 0.6 }, 2)).toBeNull();
+        expect(hall.champions.red).toHaveLength(1);
+    });
+    
+    test('drops the oldest champion once the hall is full', () => {
+        const { hall } = hallWithBlueChampions(3, { size: 2 });
+        expect(hall.champions.blue.map(champion => champion.id)).toEqual(['blue-2', 'blue-3']);
+    });
+});
+
+describe('HallOfFame.sample', () => {
+    test('draws the requested number of champions, with replacement, from the seeded rng', () => {
+        const { hall } = hallWithBlueChampions(2, { opponents: 3 });
+        const sample = hall.sample('blue', undefined, createSeededRNG(9));
+        
+        expect(sample).toHaveLength(3);
+        sample.forEach(champion => expect(hall.champions.blue).toContain(champion));
+        expect(hall.sample('blue', 3, createSeededRNG(9))).toEqual(sample);
+        expect(hall.sample('blue', 5, createSeededRNG(9)).length).toBe(5);
+    });
+    
+    test('an empty hall has nobody to sample', () => {
+        expect(new HallOfFame().sample('red', 2)).toEqual([]);
+    });
+});
+
+describe('HallOfFame results', () => {
+    test('the matrix has a row per challenger generation with its score against each champion', () => {
+        const { hall, champions: [first, second] } = hallWithBlueChampions(2);
+        hall.record('red', 2, first, 1);
+        hall.record('red', 2, first, 0);
+        hall.record('red', 2, second, -1);
+        hall.record('red', 3, first, 1);
+        
+        expect(hall.getMatrix('red')).toEqual([
+            { generation: 2, scores: { 'blue-1': 0.75, 'blue-2': 0 } },
+            { generation: 3, scores: { 'blue-1': 1 } }
+        ]);
+        expect(hall.getMatrix('blue')).toEqual([]);
+        expect(hall.getScore('red', 3, 'blue-2')).toBeNull();
+    });
+    
+    test('a generation losing to a champion an earlier generation had beaten is a regression', () => {
+        const { hall, champions: [first, second] } = hallWithBlueChampions(2);
+        hall.record('red', 2, first, 1);
+        hall.record('red', 3, first, 1);
+        hall.record('red', 4, first, -1);
+        // Never beaten before, so losing to it is no regression
+        hall.record('red', 4, second, -1);
+        
+        expect(hall.findRegressions('red', 3)).toEqual([]);
+        expect(hall.findRegressions('red', 4)).toEqual([
+            { championId: 'blue-1', championGeneration: 1, score: 0, beatenBy: 3 }
+        ]);
+        expect(hall.findRegressions('red', 5)).toEqual([]);
+    });
+    
+    test('a record under half the points against a beaten champion is a regression, an even one is not', () => {
+        const { hall, champions: [first] } = hallWithBlueChampions(1);
+        hall.record('red', 2, first, 1);
+        hall.record('red', 3, first, 1);
+        hall.record('red', 3, first, -1);
+        hall.record('red', 4, first, 0);
+        hall.record('red', 4, first, -1);
+        
+        expect(hall.findRegressions('red', 3)).toEqual([]);
+        expect(hall.findRegressions('red', 4)).toEqual([
+            { championId: 'blue-1', championGeneration: 1, score: 0.25, beatenBy: 2 }
+        ]);
+    });
+    
+    test('reset forgets champions and results', () => {
+        const { hall, champions: [first] } = hallWithBlueChampions(1);
+        hall.record('red', 2, first, 1);
+        hall.reset();
+        expect(hall.toJSON()).toEqual({ champions: { red: [], blue: [] }, matrix: { red: [], blue: [] } });
+    });
+});
@@ -0,0 +1,24 @@
+const { createHeadlessEngine } = require('./test-helpers');
+
+describe('headless engine', () => {
+    test('runs a King of the Hill battle to a winner without a canvas', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(3, 3, 'king_of_hill', 'open_field', 1234);
+        const result = engine.runToCompletion();
+        
+        expect(result).toBeTruthy();
+        expect(result.winner).toBeTruthy();
+        expect(result.scenarioId).toBe('open_field');
+        expect(result.seed).toBe(1234);
+        expect(engine.stats.battleTime).toBeLessThanOrEqual(GAME_CONFIG.HEADLESS.MAX_SIMULATED_TIME);
+    });
+    
+    test('stops at the simulated time cap', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(3, 3, 'king_of_hill', 'open_field', 1234);
+        const result = engine.runToCompletion(1);
+        
+        expect(result.winner).toBe(BATTLE_OUTCOMES.TIMEOUT);
+        expect(engine.stats.battleTime).toBeLessThanOrEqual(1);
+    });
+});
@@ -0,0 +1,92 @@
+const { loadHeadlessRuntime, createHeadlessEngine } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+/**
+ * Stand-in for window or the canvas that keeps its listeners so tests can fire events at them
+ */
+function createEventTarget(extra = {}) {
+    return {
+        listeners: [],
+        addEventListener(type, handler) {
+            this.listeners.push({ type, handler });
+        },
+        removeEventListener(type, handler) {
+            this.listeners = this.listeners.filter(listener => listener.type !== type || listener.handler !== handler);
+        },
+        fire(type, event) {
+            this.listeners.filter(listener => listener.type === type).forEach(listener => listener.handler(event));
+        },
+        ...extra
+    };
+}
+
+/**
+ * Keyboard event for a key, typed into the given target (the page body unless a field is given)
+ */
+function keyEvent(key, target = { tagName: 'BODY' }) {
+    return { key, target, preventDefault: jest.fn() };
+}
+
+describe('HumanController input', () => {
+    let engine;
+    let controller;
+    let canvas;
+    
+    beforeEach(() => {
+        globalThis.window = createEventTarget();
+        canvas = createEventTarget({ width: 800, height: 600 });
+        engine = createHeadlessEngine();
+        engine.initializeBattle(2, 2, 'king_of_hill', 'open_field', 4);
+        controller = engine.takeControl('red', 0);
+        controller.bindInput(canvas);
+    });
+    
+    afterEach(() => {
+        delete globalThis.window;
+    });
+    
+    test('steering and fire keys on the page drive the tank instead of scrolling it', () => {
+        const keydown = keyEvent('W');
+        window.fire('keydown', keydown);
+        window.fire('keydown', keyEvent(' '));
+        
+        expect(controller.input).toMatchObject({ up: true, fire: true });
+        expect(keydown.preventDefault).toHaveBeenCalled();
+        
+        window.fire('keyup', keyEvent('w'));
+        expect(controller.input.up).toBe(false);
+    });
+    
+    test.each([
+        ['an input', { tagName: 'INPUT' }],
+        ['a text area', { tagName: 'TEXTAREA' }],
+        ['a contentEditable element', { tagName: 'DIV', isContentEditable: true }]
+    ])('keys typed into %s are left to it', (_, field) => {
+        const keydown = keyEvent('ArrowLeft', field);
+        window.fire('keydown', keydown);
+        
+        expect(controller.input.left).toBe(false);
+        expect(keydown.preventDefault).not.toHaveBeenCalled();
+    });
+    
+    test('a key held before focusing a field is still released in it', () => {
+        window.fire('keydown', keyEvent('d'));
+        window.fire('keyup', keyEvent('d', { tagName: 'INPUT' }));
+        expect(controller.input.right).toBe(false);
+    });
+    
+    test('the listeners are removed when the battle ends', () => {
+        expect(window.listeners.length).toBeGreaterThan(0);
+        expect(canvas.listeners.length).toBeGreaterThan(0);
+        
+        engine.runToCompletion();
+        
+        expect(window.listeners).toEqual([]);
+        expect(canvas.listeners).toEqual([]);
+        const keydown = keyEvent('s');
+        window.fire('keydown', keydown);
+        expect(keydown.preventDefault).not.toHaveBeenCalled();
+        expect(engine.lastBattleResult.humanControl).toMatchObject({ team: 'red', tankId: controller.tank.tankId });
+    });
+});
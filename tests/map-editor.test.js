@@ -0,0 +1,226 @@
+const { loadHeadlessRuntime, createHeadlessEngine } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const { MapEditor, MAP_EDITOR_TOOLS } = require('../refactored/game/map-editor');
+
+/**
+ * Stand-in for window or the canvas that keeps its listeners so tests can fire events at them
+ */
+function createEventTarget(extra = {}) {
+    return {
+        listeners: [],
+        addEventListener(type, handler) {
+            this.listeners.push({ type, handler });
+        },
+        removeEventListener(type, handler) {
+            this.listeners = this.listeners.filter(listener => listener.type !== type || listener.handler !== handler);
+        },
+        fire(type, event) {
+            this.listeners.filter(listener => listener.type === type).forEach(listener => listener.handler(event));
+        },
+        ...extra
+    };
+}
+
+/**
+ * Canvas for an 800x600 battlefield drawn at half size, 100px from the left of the page
+ */
+function createCanvas() {
+    return createEventTarget({
+        width: 800,
+        height: 600,
+        getBoundingClientRect: () => ({ left: 100, top: 0, width: 400, height: 300 })
+    });
+}
+
+/**
+ * Mouse event at a battlefield point on the half-size canvas
+ */
+function mouseAt(x, y, button = 0) {
+    return { clientX: 100 + x / 2, clientY: y / 2, button, preventDefault: jest.fn() };
+}
+
+/**
+ * Press, move and release the left button with the current tool
+ */
+function drag(editor, from, to) {
+    editor.startDrag(from);
+    editor.moveDrag(to);
+    editor.endDrag();
+}
+
+describe('MapEditor drawing', () => {
+    let editor;
+    
+    beforeEach(() => {
+        editor = new MapEditor(createHeadlessEngine());
+    });
+    
+    test('starts from an open map with the hill in the center', () => {
+        expect(editor.map).toMatchObject({ id: 'custom_map', size: { width: 800, height: 600 }, obstacles: [], spawnZones: {} });
+        expect(editor.map.hills).toEqual([{ x: 400, y: 300, radius: GAME_CONFIG.SCENARIO_FILE.HILL_RADIUS }]);
+        expect(editor.getErrors()).toEqual([]);
+    });
+    
+    test('dragging on open ground draws an obstacle of the chosen type, too small a drag draws nothing', () => {
+        editor.setObstacleType(OBSTACLE_TYPES.COVER);
+        drag(editor, { x: 500, y: 500 }, { x: 505, y: 540 });
+        drag(editor, { x: 300, y: 100 }, { x: 200, y: 200 });
+        
+        expect(editor.map.obstacles).toEqual([{ x: 200, y: 100, width: 100, height: 100, type: OBSTACLE_TYPES.COVER }]);
+        expect(editor.selected).toBe(0);
+        expect(editor.getErrors()).toEqual([]);
+    });
+    
+    test('an obstacle is moved by dragging it and resized by its handle, without leaving the map', () => {
+        drag(editor, { x: 100, y: 100 }, { x: 200, y: 200 });
+        
+        drag(editor, { x: 150, y: 150 }, { x: 800, y: 170 });
+        expect(editor.map.obstacles[0]).toMatchObject({ x: 700, y: 120, width: 100, height: 100 });
+        
+        editor.map.obstacles[0].x = 100;
+        drag(editor, { x: 200, y: 220 }, { x: 100, y: 400 });
+        expect(editor.map.obstacles[0]).toMatchObject({ x: 100, y: 120, width: GAME_CONFIG.MAP_EDITOR.MIN_OBSTACLE_SIZE, height: 280 });
+    });
+    
+    test('the hill moves to a click and takes its radius from the drag, within limits', () => {
+        editor.setTool(MAP_EDITOR_TOOLS.HILL);
+        drag(editor, { x: 200, y: 200 }, { x: 240, y: 230 });
+        expect(editor.map.hills).toEqual([{ x: 200, y: 200, radius: 50 }]);
+        
+        drag(editor, { x: 300, y: 300 }, { x: 305, y: 300 });
+        expect(editor.map.hills).toEqual([{ x: 300, y: 300, radius: 50 }]);
+        
+        drag(editor, { x: 300, y: 300 }, { x: 800, y: 300 });
+        expect(editor.map.hills[0].radius).toBe(GAME_CONFIG.MAP_EDITOR.MAX_HILL_RADIUS);
+    });
+    
+    test('the spawn tools paint a zone per team, drop zones too small for a tank and clear one on right-click', () => {
+        editor.setTool(MAP_EDITOR_TOOLS.RED_SPAWN);
+        drag(editor, { x: 0, y: 200 }, { x: 120, y: 400 });
+        editor.setTool(MAP_EDITOR_TOOLS.BLUE_SPAWN);
+        drag(editor, { x: 680, y: 200 }, { x: 800, y: 400 });
+        drag(editor, { x: 700, y: 100 }, { x: 705, y: 105 });
+        
+        expect(editor.map.spawnZones).toEqual({
+            red: { x: 0, y: 200, width: 120, height: 200 },
+            blue: { x: 680, y: 200, width: 120, height: 200 }
+        });
+        
+        editor.erase({ x: 0, y: 0 });
+        expect(Object.keys(editor.map.spawnZones)).toEqual(['red']);
+        expect(editor.toScenario().spawnZones).toEqual({ red: { x: 0, y: 200, width: 120, height: 200 } });
+    });
+    
+    test('unknown tools and obstacle types are refused', () => {
+        expect(() => editor.setTool('eraser')).toThrow('Unknown map editor tool "eraser"');
+        expect(() => editor.setObstacleType('lava')).toThrow('Unknown obstacle type "lava"');
+    });
+});
+
+describe('MapEditor input', () => {
+    let editor;
+    let canvas;
+    
+    beforeEach(() => {
+        globalThis.window = createEventTarget();
+        canvas = createCanvas();
+        editor = new MapEditor(createHeadlessEngine());
+        editor.bindInput(canvas);
+    });
+    
+    afterEach(() => {
+        delete globalThis.window;
+    });
+    
+    test('mouse positions on a scaled canvas snap to the battlefield grid', () => {
+        canvas.fire('mousedown', mouseAt(103, 98));
+        canvas.fire('mousemove', mouseAt(251, 199));
+        window.fire('mouseup', mouseAt(251, 199));
+        
+        expect(editor.map.obstacles).toEqual([{ x: 100, y: 100, width: 150, height: 100, type: OBSTACLE_TYPES.BARRIER }]);
+    });
+    
+    test('Delete removes the selected obstacle, but not while typing in a field', () => {
+        drag(editor, { x: 100, y: 100 }, { x: 200, y: 200 });
+        
+        const typed = { key: 'Backspace', target: { tagName: 'INPUT' }, preventDefault: jest.fn() };
+        window.fire('keydown', typed);
+        expect(editor.map.obstacles).toHaveLength(1);
+        expect(typed.preventDefault).not.toHaveBeenCalled();
+        
+        window.fire('keydown', { key: 'Delete', target: { tagName: 'BODY' }, preventDefault: jest.fn() });
+        expect(editor.map.obstacles).toEqual([]);
+        expect(editor.selected).toBeNull();
+    });
+    
+    test('a right-click removes the obstacle under the mouse', () => {
+        drag(editor, { x: 100, y: 100 }, { x: 200, y: 200 });
+        drag(editor, { x: 400, y: 100 }, { x: 500, y: 200 });
+        
+        canvas.fire('contextmenu', mouseAt(450, 150, 2));
+        expect(editor.map.obstacles.map(obstacle => obstacle.x)).toEqual([100]);
+    });
+    
+    test('unbinding removes every listener', () => {
+        editor.unbindInput();
+        expect(window.listeners).toEqual([]);
+        expect(canvas.listeners).toEqual([]);
+    });
+});
+
+describe('MapEditor saving', () => {
+    test('naming the map sets its id and every edit reports the errors left', () => {
+        const editor = new MapEditor(createHeadlessEngine());
+        const reports = [];
+        editor.events.on('change', errors => reports.push(errors));
+        
+        editor.setName('  Twin Towers! ');
+        expect(editor.map).toMatchObject({ name: 'Twin Towers!', id: 'twin_towers' });
+        
+        drag(editor, { x: 100, y: 100 }, { x: 200, y: 200 });
+        expect(reports).toEqual([[], []]);
+        
+        editor.setName('Open Field');
+        expect(reports[2]).toContain('id "open_field" belongs to a built-in scenario');
+    });
+    
+    test('a registered map is fought on with the drawn layout, hill and spawn zones', () => {
+        const editor = new MapEditor(createHeadlessEngine());
+        editor.setName('Editor Test Map');
+        drag(editor, { x: 380, y: 0 }, { x: 420, y: 220 });
+        editor.setTool(MAP_EDITOR_TOOLS.RED_SPAWN);
+        drag(editor, { x: 0, y: 200 }, { x: 120, y: 400 });
+        
+        expect(editor.register()).toBe('editor_test_map');
+        
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(2, 2, 'king_of_hill', 'editor_test_map', 3);
+        expect(engine.battlefield.obstacles).toHaveLength(1);
+        const { x, y, width, height } = engine.battlefield.obstacles[0];
+        expect([x, y, width, height].map(Math.round)).toEqual([380, 0, 40, 220]);
+        expect(engine.battlefield.hill).toMatchObject({ x: 400, y: 300, radius: GAME_CONFIG.SCENARIO_FILE.HILL_RADIUS });
+        engine.redTeam.forEach(tank => {
+            expect(tank.x).toBeGreaterThanOrEqual(0);
+            expect(tank.x + tank.width).toBeLessThanOrEqual(120);
+        });
+    });
+    
+    test('copying the battlefield takes over a generated layout without changing it', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(2, 2, 'king_of_hill', 'urban_warfare', 12);
+        const snapshot = JSON.parse(JSON.stringify(engine.battlefield.obstacles));
+        const editor = new MapEditor(engine);
+        
+        editor.copyBattlefield();
+        
+        expect(editor.map.obstacles).toHaveLength(snapshot.length);
+        editor.map.obstacles.forEach((obstacle, i) => {
+            expect(obstacle.x).toBe(Math.round(snapshot[i].x));
+            expect(obstacle.width).toBe(Math.round(snapshot[i].width));
+        });
+        expect(editor.map.hills[0]).toMatchObject({ x: Math.round(engine.battlefield.hill.x), y: Math.round(engine.battlefield.hill.y) });
+        expect(JSON.parse(JSON.stringify(engine.battlefield.obstacles))).toEqual(snapshot);
+    });
+});
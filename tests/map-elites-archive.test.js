@@ -0,0 +1,105 @@
+const { loadHeadlessRuntime, runBattle, fixedGenomes } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const [genomeA, genomeB] = fixedGenomes(2, 0.3);
+
+/**
+ * Small archive: engagement distance 100-300 in 4 bins, hill control in 2 bins
+ */
+function createArchive() {
+    return new MapElitesArchive({ engagementBins: 4, minEngagementDistance: 100, maxEngagementDistance: 300, hillBins: 2 });
+}
+
+/**
+ * Battle result with per-tank engagement distances and hill control times
+ */
+function battleResult({ redDistances = [150, null], blueDistances = [260], redControlTime = 15, blueControlTime = 5, duration = 30 } = {}) {
+    return {
+        duration,
+        redTeamStats: { tankEngagementDistances: redDistances },
+        blueTeamStats: { tankEngagementDistances: blueDistances },
+        hillControlData: { redControlTime, blueControlTime }
+    };
+}
+
+describe('MapElitesArchive.describe', () => {
+    test('places a tank by its engagement distance and its team\'s share of the hill', () => {
+        expect(MapElitesArchive.describe(battleResult(), 'red', 0)).toEqual({ engagementDistance: 150, hillControl: 0.5 });
+        expect(MapElitesArchive.describe(battleResult(), 'blue', 0)).toEqual({ engagementDistance: 260, hillControl: 5 / 30 });
+    });
+    
+    test('cannot describe a tank that never fired or a battle without a hill', () => {
+        expect(MapElitesArchive.describe(battleResult(), 'red', 1)).toBeNull();
+        expect(MapElitesArchive.describe({ ...battleResult(), hillControlData: null }, 'red', 0)).toBeNull();
+        expect(MapElitesArchive.describe(battleResult({ duration: 0 }), 'red', 0)).toBeNull();
+    });
+    
+    test('reads the per-tank distances of a real battle result', () => {
+        const result = runBattle({ seed: 31 });
+        expect(result.redTeamStats.tankEngagementDistances).toHaveLength(3);
+        [0, 1, 2].forEach(index => {
+            const values = MapElitesArchive.describe(result, 'red', index);
+            expect(values === null || (values.engagementDistance > 0 && values.hillControl >= 0 && values.hillControl <= 1)).toBe(true);
+        });
+    });
+});
+
+describe('MapElitesArchive.add', () => {
+    test('fills a cell per behavior, clamping values beyond the grid into its edge cells', () => {
+        const archive = createArchive();
+        expect(archive.getCellCoordinates({ engagementDistance: 150, hillControl: 0.5 })).toEqual([1, 1]);
+        expect(archive.getCellCoordinates({ engagementDistance: 50, hillControl: 1 })).toEqual([0, 1]);
+        expect(archive.getCellCoordinates({ engagementDistance: 900, hillControl: 0 })).toEqual([3, 0]);
+        
+        expect(archive.add('red', genomeA, 0.4, { engagementDistance: 150, hillControl: 0.5 }, 2)).toBe(true);
+        expect(archive.add('red', genomeB, 0.2, { engagementDistance: 290, hillControl: 0.1 }, 2)).toBe(true);
+        expect(archive.add('red', genomeB, 0.9, null)).toBe(false);
+        
+        expect(archive.getFilledCount('red')).toBe(2);
+        expect(archive.getFilledCount('blue')).toBe(0);
+        expect(archive.getCoverage('red')).toBe(2 / 8);
+        expect(archive.getElites('red').map(elite => [elite.cell, elite.fitness, elite.generation])).toEqual([
+            [[1, 1], 0.4, 2],
+            [[3, 0], 0.2, 2]
+        ]);
+    });
+    
+    test('a cell keeps only the fittest genome that landed in it', () => {
+        const archive = createArchive();
+        const values = { engagementDistance: 150, hillControl: 0.5 };
+        archive.add('blue', genomeA, 0.5, values, 1);
+        
+        expect(archive.add('blue', genomeB, 0.5, { engagementDistance: 160, hillControl: 0.6 }, 2)).toBe(false);
+        expect(archive.getElites('blue')[0].genome).toEqual(genomeA);
+        
+        expect(archive.add('blue', genomeB, 0.7, { engagementDistance: 160, hillControl: 0.6 }, 3)).toBe(true);
+        expect(archive.getFilledCount('blue')).toBe(1);
+        expect(archive.getElites('blue')[0]).toMatchObject({ genome: genomeB, fitness: 0.7, generation: 3 });
+        expect(archive.getStats().blue).toMatchObject({ filledCells: 1, bestFitness: 0.7, insertions: 2 });
+    });
+    
+    test('stores a copy of the genome', () => {
+        const archive = createArchive();
+        const genome = genomeA.slice();
+        archive.add('red', genome, 0.5, { engagementDistance: 150, hillControl: 0.5 });
+        genome[0] = 1;
+        expect(archive.getElites('red')[0].genome).toEqual(genomeA);
+    });
+});
+
+describe('MapElitesArchive.getHeatmap', () => {
+    test('has a row per hill control bin and a column per engagement bin, null where empty', () => {
+        const archive = createArchive();
+        archive.add('red', genomeA, 0.4, { engagementDistance: 150, hillControl: 0.5 });
+        archive.add('red', genomeB, 0.2, { engagementDistance: 290, hillControl: 0.1 });
+        
+        expect(archive.getHeatmap('red')).toEqual([
+            [null, null, null, 0.2],
+            [null, 0.4, null, null]
+        ]);
+        
+        archive.reset();
+        expect(archive.getHeatmap('red').flat().every(cell => cell === null)).toBe(true);
+    });
+});
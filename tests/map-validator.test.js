@@ -0,0 +1,90 @@
+const { loadHeadlessRuntime, createHeadlessEngine } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+/**
+ * 800x600 layout with one red and one blue spawn facing each other and a hill in the middle
+ */
+function layout({ obstacles = [], hill = { x: 400, y: 300, radius: 30 } } = {}) {
+    return {
+        width: 800,
+        height: 600,
+        obstacles,
+        spawns: { red: [{ x: 60, y: 280 }], blue: [{ x: 710, y: 280 }] },
+        hill
+    };
+}
+
+describe('MapValidator.validate', () => {
+    test('an open map is valid with even paths to the hill', () => {
+        const report = MapValidator.validate(layout());
+        expect(report.valid).toBe(true);
+        expect(report.errors).toEqual([]);
+        expect(report.paths.redToBlue).toBeGreaterThan(600);
+        expect(report.asymmetry).toBeLessThan(0.1);
+    });
+    
+    test('flags a team sealed off by a wall across the map', () => {
+        const wall = ObstacleUtils.create(200, 0, 30, 600, 'barrier');
+        const report = MapValidator.validate(layout({ obstacles: [wall] }));
+        
+        expect(report.valid).toBe(false);
+        expect(report.errors).toEqual(expect.arrayContaining([
+            'red spawn 1 cannot reach the blue spawns',
+            'blue spawn 1 cannot reach the red spawns',
+            'red spawn 1 cannot reach the hill'
+        ]));
+        expect(report.paths.redToBlue).toBeNull();
+    });
+    
+    test('flags a hill much closer to one team, within the tolerance it passes', () => {
+        const nearRed = layout({ hill: { x: 200, y: 300, radius: 30 } });
+        
+        const strict = MapValidator.validate(nearRed);
+        expect(strict.valid).toBe(false);
+        expect(strict.errors[0]).toMatch(/^paths to the hill differ by \d+%/);
+        
+        expect(MapValidator.validate(nearRed, 1).valid).toBe(true);
+    });
+    
+    test('flags a hill buried under an obstacle', () => {
+        const block = ObstacleUtils.create(340, 240, 120, 120, 'barrier');
+        expect(MapValidator.validate(layout({ obstacles: [block] })).errors).toContain('no room for a tank on the hill');
+    });
+});
+
+describe('GameEngine map validation', () => {
+    test('every scenario battle reports its final map check', () => {
+        const engine = createHeadlessEngine();
+        const reports = [];
+        engine.events.on('mapValidation', report => reports.push(report));
+        
+        [3, 4].forEach(seed => {
+            engine.reset();
+            engine.initializeBattle(3, 3, 'king_of_hill', 'urban_warfare', seed);
+        });
+        
+        expect(reports).toHaveLength(2);
+        reports.forEach(report => {
+            expect(report.valid).toBe(true);
+            expect(report.attempts.length).toBeGreaterThanOrEqual(1);
+            expect(report.attempts[report.attempts.length - 1].mapSeed).toBe(report.mapSeed);
+        });
+        expect(engine.getBattleResult(null).mapSeed).toBe(reports[1].mapSeed);
+    });
+    
+    test('describes a map that passed and one that was rebuilt', () => {
+        const paths = { redToBlue: 640, blueToRed: 640, redToHill: 320, blueToHill: 330 };
+        const passed = { scenarioId: 'open_field', seed: 5, mapSeed: 5, valid: true, paths, attempts: [{ mapSeed: 5, valid: true, errors: [] }] };
+        const rebuilt = {
+            ...passed,
+            mapSeed: 1005,
+            attempts: [{ mapSeed: 5, valid: false, errors: ['red spawn 1 cannot reach the hill'] }, { mapSeed: 1005, valid: true, errors: [] }]
+        };
+        
+        expect(MapValidator.hasRejections(passed)).toBe(false);
+        expect(MapValidator.describe(passed)).toBe('Map open_field passed (seed 5): spawns 640px apart, to the hill red 320px / blue 330px');
+        expect(MapValidator.hasRejections(rebuilt)).toBe(true);
+        expect(MapValidator.describe(rebuilt)).toBe('Map open_field rejected (seed 5: red spawn 1 cannot reach the hill) - regenerated with seed 1005');
+    });
+});
@@ -0,0 +1,56 @@
+const { loadHeadlessRuntime } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+/**
+ * Every leg from the start through the waypoints stays on walkable cells
+ */
+function expectClearPath(grid, startX, startY, path) {
+    let [x, y] = [startX, startY];
+    path.forEach(point => {
+        expect(grid.isSegmentClear(x, y, point.x, point.y)).toBe(true);
+        [x, y] = [point.x, point.y];
+    });
+}
+
+describe('NavigationGrid.findPath', () => {
+    test('goes around a wall between start and goal', () => {
+        // Wall down the middle with a gap at the bottom
+        const wall = ObstacleUtils.create(390, 0, 20, 450, 'barrier');
+        const grid = new NavigationGrid(800, 600, [wall]);
+        
+        const path = grid.findPath(100, 200, 700, 200);
+        
+        expect(path).not.toBeNull();
+        expect(path[path.length - 1]).toEqual({ x: 700, y: 200 });
+        expect(path.some(point => point.y >= 450)).toBe(true);
+        expectClearPath(grid, 100, 200, path);
+    });
+    
+    test('takes the straight line when nothing is in the way', () => {
+        const grid = new NavigationGrid(800, 600, []);
+        expect(grid.findPath(100, 200, 700, 200)).toEqual([{ x: 700, y: 200 }]);
+    });
+    
+    test('returns a partial path to the closest reachable cell when the goal is sealed off', () => {
+        // Box around the goal with room for a tank inside
+        const box = [
+            ObstacleUtils.create(580, 180, 200, 20, 'barrier'),
+            ObstacleUtils.create(580, 400, 200, 20, 'barrier'),
+            ObstacleUtils.create(580, 180, 20, 240, 'barrier'),
+            ObstacleUtils.create(760, 180, 20, 240, 'barrier')
+        ];
+        const grid = new NavigationGrid(800, 600, box);
+        
+        expect(grid.findPath(100, 300, 680, 300)).toBeNull();
+        
+        const partial = grid.findPath(100, 300, 680, 300, true);
+        expect(partial).not.toBeNull();
+        const end = partial[partial.length - 1];
+        const insideBox = end.x > 580 && end.x < 780 && end.y > 180 && end.y < 420;
+        expect(insideBox).toBe(false);
+        expect(MathUtils.distance(end.x, end.y, 680, 300)).toBeLessThan(MathUtils.distance(100, 300, 680, 300) / 2);
+        expect(grid.isWalkable(end.x, end.y)).toBe(true);
+        expectClearPath(grid, 100, 300, partial);
+    });
+});
@@ -0,0 +1,35 @@
+const { createHeadlessEngine } = require('./test-helpers');
+
+describe('NeuralController', () => {
+    test('drives only the teams whose controller is a neural network', () => {
+        const engine = createHeadlessEngine();
+        const networkGenome = NeuralController.generateGenome(createSeededRNG(3));
+        engine.initializeBattle(2, 2, 'king_of_hill', 'open_field', 10, {
+            redGenomes: [networkGenome, networkGenome],
+            blueGenomes: [networkGenome, networkGenome],
+            controllers: { red: CONTROLLER_TYPES.NEURAL_NETWORK, blue: CONTROLLER_TYPES.TRAITS }
+        });
+        
+        engine.redTeam.forEach(tank => expect(tank.neuralController).toBeInstanceOf(NeuralController));
+        engine.blueTeam.forEach(tank => expect(tank.neuralController).toBeNull());
+        expect(engine.runToCompletion(5)).toBeTruthy();
+    });
+    
+    test('rejects a network genome that does not fit the current network', () => {
+        const engine = createHeadlessEngine();
+        const staleGenome = NeuralController.generateGenome(createSeededRNG(3)).slice(0, -4);
+        
+        expect(() => engine.initializeBattle(1, 1, 'king_of_hill', 'open_field', 10, {
+            redGenomes: [staleGenome],
+            controllers: { red: CONTROLLER_TYPES.NEURAL_NETWORK }
+        })).toThrow(/Network genome has \d+ genes/);
+    });
+    
+    test('fills missing network genomes with random ones of the right length', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(2, 1, 'king_of_hill', 'open_field', 10, { controllers: { red: CONTROLLER_TYPES.NEURAL_NETWORK } });
+        
+        engine.redTeam.forEach(tank => expect(tank.neuralController).toBeInstanceOf(NeuralController));
+        engine.battleGenomes.red.forEach(genome => expect(genome).toHaveLength(NeuralController.getGenomeLength()));
+    });
+});
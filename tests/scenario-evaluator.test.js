@@ -0,0 +1,73 @@
+const { loadHeadlessRuntime, createHeadlessEngine, fixedGenomes } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const WEIGHTS = { adaptabilityWeight: 0.3, consistencyWeight: 0.2, specializationPenalty: 0.15 };
+const SCENARIOS = ['open_field', 'chokepoint_control'];
+const redGenomes = fixedGenomes(2, 0.7);
+const blueGenomes = fixedGenomes(2, 0.2);
+
+describe('MultiScenarioEvaluator.combine', () => {
+    test('rewards a genome that does about as well everywhere', () => {
+        const combined = MultiScenarioEvaluator.combine({ open_field: 2, chokepoint_control: 1 }, WEIGHTS);
+        
+        expect(combined).toMatchObject({ mean: 1.5, adaptability: 0.5, specialized: false, weakest: 'chokepoint_control', strongest: 'open_field' });
+        expect(combined.consistency).toBeCloseTo(2 / 3, 10);
+        expect(combined.fitness).toBeCloseTo(1.5 * (1 + 0.3 * 0.5 + 0.2 * (2 / 3)), 10);
+    });
+    
+    test('penalizes a genome that is only effective on one scenario', () => {
+        const combined = MultiScenarioEvaluator.combine({ open_field: 4, chokepoint_control: 1 }, WEIGHTS);
+        
+        expect(combined).toMatchObject({ mean: 2.5, adaptability: 0.25, specialized: true });
+        expect(combined.fitness).toBeCloseTo(2.5 * (1 + 0.3 * 0.25 + 0.2 * 0.4) * 0.85, 10);
+    });
+    
+    test('negative scores count as zero, a single scenario is never specialized and no scores give nothing', () => {
+        expect(MultiScenarioEvaluator.combine({ open_field: -3, chokepoint_control: 2 }, WEIGHTS)).toMatchObject({ mean: 1, adaptability: 0 });
+        expect(MultiScenarioEvaluator.combine({ open_field: 2 }, WEIGHTS)).toMatchObject({ specialized: false, adaptability: 1, consistency: 1 });
+        expect(MultiScenarioEvaluator.combine({}, WEIGHTS)).toEqual({
+            fitness: 0, mean: 0, adaptability: 0, consistency: 0, specialized: false, weakest: null, strongest: null
+        });
+    });
+});
+
+describe('MultiScenarioEvaluator.evaluate', () => {
+    afterEach(() => {
+        delete globalThis.window;
+    });
+    
+    test('scores every tank on every scenario and combines them, the same way each time', () => {
+        const evaluator = new MultiScenarioEvaluator({ scenarios: SCENARIOS, seed: 40, weights: WEIGHTS });
+        const evaluation = evaluator.evaluate(redGenomes, blueGenomes);
+        
+        expect(Object.keys(evaluation.winners)).toEqual(SCENARIOS);
+        expect(evaluation.red).toHaveLength(2);
+        expect(evaluation.blue).toHaveLength(2);
+        [...evaluation.red, ...evaluation.blue].forEach(tank => {
+            expect(Object.keys(tank.scores)).toEqual(SCENARIOS);
+            expect(tank).toEqual({ scores: tank.scores, ...MultiScenarioEvaluator.combine(tank.scores, WEIGHTS) });
+        });
+        
+        expect(new MultiScenarioEvaluator({ scenarios: SCENARIOS, seed: 40, weights: WEIGHTS }).evaluate(redGenomes, blueGenomes))
+            .toEqual(evaluation);
+    });
+    
+    test('evaluation battles leave the battle on the page alone', () => {
+        const liveEngine = createHeadlessEngine();
+        liveEngine.initializeBattle(3, 3, 'king_of_hill', 'urban_warfare', 7);
+        const liveObstacles = liveEngine.battlefield.obstacles;
+        const liveSnapshot = JSON.parse(JSON.stringify(liveObstacles));
+        const liveHill = liveEngine.battlefield.hill;
+        globalThis.window = { gameEngine: liveEngine };
+        
+        ['king_of_hill', 'capture_the_flag', 'domination'].forEach(mode => {
+            new MultiScenarioEvaluator({ scenarios: SCENARIOS, seed: 40, mode }).evaluate(redGenomes, blueGenomes);
+        });
+        
+        expect(liveEngine.battlefield.obstacles).toBe(liveObstacles);
+        expect(JSON.parse(JSON.stringify(liveEngine.battlefield.obstacles))).toEqual(liveSnapshot);
+        expect(liveEngine.battlefield.hill).toBe(liveHill);
+        expect(liveEngine).not.toHaveProperty('hillX');
+    });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { loadHeadlessRuntime, createHeadlessEngine } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const TWIN_BRIDGES = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'scenarios', 'twin_bridges.json'), 'utf8'));
+
+/**
+ * Smallest valid scenario file, with fields replaced or added by changes (undefined removes a field)
+ */
+function scenarioFile(changes = {}) {
+    const file = {
+        format: 'alphatanks-scenario',
+        version: 1,
+        id: 'test_map',
+        name: 'Test Map',
+        obstacles: [{ x: 380, y: 200, width: 40, height: 200, type: 'barrier' }],
+        ...changes
+    };
+    Object.keys(file).forEach(key => file[key] === undefined && delete file[key]);
+    return file;
+}
+
+describe('ScenarioLoader.validate', () => {
+    test('accepts the bundled scenario and the smallest valid file', () => {
+        expect(ScenarioLoader.validate(TWIN_BRIDGES)).toEqual([]);
+        expect(ScenarioLoader.validate(scenarioFile())).toEqual([]);
+    });
+    
+    test.each([
+        ['a list', [], 'Scenario must be a JSON object'],
+        ['the wrong format', scenarioFile({ format: 'other' }), 'format must be "alphatanks-scenario"'],
+        ['a newer version', scenarioFile({ version: 2 }), 'version must be a whole number from 1 to 1'],
+        ['an unknown field', scenarioFile({ teleporters: [] }), 'unknown field "teleporters"'],
+        ['a bad id', scenarioFile({ id: 'Test Map' }), 'id must be lowercase letters, digits and underscores'],
+        ['a missing name', scenarioFile({ name: undefined }), 'name is required'],
+        ['an unknown mode', scenarioFile({ mode: 'racing' }), 'mode must be one of'],
+        ['an out-of-range path tolerance', scenarioFile({ maxPathAsymmetry: 1.5 }), 'maxPathAsymmetry must be a number from 0 to 1'],
+        ['no obstacles or generator', scenarioFile({ obstacles: undefined }), 'obstacles or generator is required'],
+        ['an obstacle off the map', scenarioFile({ obstacles: [{ x: 790, y: 0, width: 40, height: 10 }] }), 'obstacles[0] lies outside the 800x600 map'],
+        ['an unknown obstacle type', scenarioFile({ obstacles: [{ x: 0, y: 0, width: 40, height: 10, type: 'lava' }] }), 'obstacles[0].type must be one of'],
+        ['an unknown generator', scenarioFile({ generator: { type: 'maze' } }), 'generator.type must be one of'],
+        ['a hill without a position', scenarioFile({ hills: [{ radius: 30 }] }), 'hills[0] needs x and y'],
+        ['a negative hill radius', scenarioFile({ hills: [{ x: 400, y: 300, radius: -5 }] }), 'hills[0].radius must be a positive number'],
+        ['a single control point', scenarioFile({ controlPoints: [{ x: 400, y: 300 }] }), 'controlPoints must list'],
+        ['a spawn zone for a third team', scenarioFile({ spawnZones: { green: { x: 0, y: 0, width: 100, height: 100 } } }), 'spawnZones.green: teams are red and blue'],
+        ['a spawn zone too small for a tank', scenarioFile({ spawnZones: { red: { x: 0, y: 0, width: 5, height: 5 } } }), 'spawnZones.red is too small for a tank'],
+        ['an unknown victory rule', scenarioFile({ victory: { laps: 3 } }), 'victory.laps is not a victory rule'],
+        ['a zero victory limit', scenarioFile({ victory: { killsToWin: 0 } }), 'victory.killsToWin must be a positive number']
+    ])('rejects %s', (_, file, message) => {
+        const errors = ScenarioLoader.validate(file);
+        expect(errors.some(error => error.includes(message))).toBe(true);
+    });
+    
+    test('register refuses an invalid file and names every problem', () => {
+        const file = scenarioFile({ name: '', foo: 1 });
+        expect(() => ScenarioLoader.register(file)).toThrow('Invalid scenario "test_map": unknown field "foo"; name is required');
+        expect(ScenarioLoader.getScenario('test_map')).toBeNull();
+    });
+    
+    test('a file cannot take the id of a built-in scenario, but may replace a registered one', () => {
+        const openField = ScenarioLoader.getScenario('open_field');
+        expect(() => ScenarioLoader.register(scenarioFile({ id: 'open_field' })))
+            .toThrow('Invalid scenario "open_field": id "open_field" belongs to a built-in scenario');
+        expect(ScenarioLoader.getScenario('open_field')).toBe(openField);
+        
+        ScenarioLoader.register(scenarioFile({ id: 'reloaded_map' }));
+        ScenarioLoader.register(scenarioFile({ id: 'reloaded_map', name: 'Reloaded Map' }));
+        expect(ScenarioLoader.getScenario('reloaded_map')).toMatchObject({ name: 'Reloaded Map', source: 'file' });
+    });
+});
+
+describe('ScenarioLoader positions', () => {
+    test('hill and control point radii scale with the map like their positions', () => {
+        const id = ScenarioLoader.register(scenarioFile({
+            id: 'half_size',
+            size: { width: 400, height: 300 },
+            obstacles: [{ x: 190, y: 100, width: 20, height: 100 }],
+            hills: [{ x: 100, y: 150, radius: 20 }],
+            controlPoints: [{ x: 100, y: 75, radius: 15 }, { x: 300, y: 225 }]
+        }));
+        const scenario = ScenarioLoader.getScenario(id);
+        const bounds = { width: 800, height: 600 };
+        
+        expect(ScenarioLoader.toPixels(scenario.hills[0], bounds)).toEqual({ x: 200, y: 300, radius: 40 });
+        expect(ScenarioLoader.toPixels(scenario.domination.points[0], bounds)).toEqual({ x: 200, y: 150, radius: 30 });
+        expect(ScenarioLoader.placeObstacles(scenario, bounds)[0]).toMatchObject({ x: 380, y: 200, width: 40, height: 200 });
+        
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(2, 2, 'king_of_hill', id, 11);
+        expect(engine.battlefield.hill).toMatchObject({ x: 200, y: 300, radius: 40 });
+        
+        engine.reset();
+        engine.initializeBattle(2, 2, 'domination', id, 11);
+        expect(engine.battlefield.controlPoints.points.map(point => point.radius))
+            .toEqual([30, GAME_CONFIG.BATTLE.DOMINATION.POINT_RADIUS]);
+    });
+});
@@ -0,0 +1,97 @@
+const { loadHeadlessRuntime, fixedGenomes } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const { BatchRunner } = require('../refactored/game/batch-runner');
+
+const SCENARIOS = ['open_field', 'urban_warfare', 'chokepoint_control'];
+
+/**
+ * Scheduler over SCENARIOS with a seeded rng; options override the policy, interval, unit and so on
+ */
+function createScheduler(options = {}) {
+    return new ScenarioScheduler({
+        enabled: true,
+        scenarios: SCENARIOS,
+        interval: 1,
+        unit: ROTATION_UNITS.BATTLES,
+        seedRange: [10, 12],
+        rng: createSeededRNG(3),
+        ...options
+    });
+}
+
+const scenariosOf = (scheduler, battles) => Array.from({ length: battles }, () => scheduler.nextBattle().scenarioId);
+
+describe('ScenarioScheduler', () => {
+    test('round-robin walks the list every interval battles and wraps around', () => {
+        const scheduler = createScheduler({ policy: ROTATION_POLICIES.ROUND_ROBIN, interval: 2 });
+        expect(scenariosOf(scheduler, 7)).toEqual([
+            'open_field', 'open_field', 'urban_warfare', 'urban_warfare', 'chokepoint_control', 'chokepoint_control', 'open_field'
+        ]);
+    });
+    
+    test('a curriculum keeps its own order, stays on its last scenario and ignores the start scenario', () => {
+        const scheduler = createScheduler({ policy: ROTATION_POLICIES.CURRICULUM, curriculum: ['chokepoint_control', 'open_field', 'unknown'] });
+        scheduler.reset('urban_warfare');
+        expect(scenariosOf(scheduler, 4)).toEqual(['chokepoint_control', 'open_field', 'open_field', 'open_field']);
+    });
+    
+    test('weighted rotation follows the weights and repeats for the same rng seed', () => {
+        const weights = { open_field: 0, urban_warfare: 1, chokepoint_control: 3 };
+        const picks = scenariosOf(createScheduler({ policy: ROTATION_POLICIES.WEIGHTED, weights }), 2000);
+        const count = id => picks.filter(pick => pick === id).length;
+        
+        // The first battle is on the starting scenario, every later one is drawn
+        expect(count('open_field')).toBe(1);
+        expect(count('chokepoint_control') / count('urban_warfare')).toBeGreaterThan(2.5);
+        expect(count('chokepoint_control') / count('urban_warfare')).toBeLessThan(3.5);
+        expect(scenariosOf(createScheduler({ policy: ROTATION_POLICIES.WEIGHTED, weights }), 2000)).toEqual(picks);
+    });
+    
+    test('a generation interval only rotates on completed generations', () => {
+        const scheduler = createScheduler({ unit: ROTATION_UNITS.GENERATIONS });
+        expect(scenariosOf(scheduler, 3)).toEqual(['open_field', 'open_field', 'open_field']);
+        expect(scheduler.completeGeneration()).toBe(true);
+        expect(scheduler.nextBattle().scenarioId).toBe('urban_warfare');
+    });
+    
+    test('seeds cycle through the seed range, and off-schedule seeds leave the rotation alone', () => {
+        const scheduler = createScheduler();
+        expect(scheduler.nextBattle()).toMatchObject({ scenarioId: 'open_field', seed: 10, battle: 0 });
+        expect(scheduler.nextSeed()).toBe(11);
+        expect(scheduler.nextSeed()).toBe(12);
+        expect(scheduler.nextBattle()).toMatchObject({ scenarioId: 'urban_warfare', seed: 10, battle: 1 });
+        expect(scheduler.getState()).toMatchObject({ battles: 2, rotations: 2 });
+    });
+    
+    test('rejects unknown policies, units and bad intervals', () => {
+        expect(() => createScheduler({ policy: 'random' })).toThrow('Unknown rotation policy');
+        expect(() => createScheduler({ unit: 'minutes' })).toThrow('Unknown rotation unit');
+        expect(() => createScheduler({ interval: 0 })).toThrow('Rotation interval');
+    });
+});
+
+describe('BatchRunner.recordBattle', () => {
+    test('a battle on an overridden scenario takes a seed without counting towards the rotation', () => {
+        const runner = new BatchRunner({ scenarios: ['open_field', 'urban_warfare'], seedRange: [500, 599] });
+        const fought = [];
+        runner.runBattle = (redGenomes, blueGenomes, scenarioId, seed) => {
+            fought.push({ scenarioId, seed });
+            return { result: { winner: BATTLE_OUTCOMES.TIMEOUT, scenarioId, redGenomes, blueGenomes }, redFitness: [], blueFitness: [] };
+        };
+        const summary = BatchRunner.createSummary();
+        const [red, blue] = [fixedGenomes(2, 0.2), fixedGenomes(2, 0.8)];
+        
+        runner.recordBattle(red, blue, 1, summary, 0, 3, null, null, 'chokepoint_control');
+        runner.recordBattle(red, blue, 1, summary, 1, 3, null, null, 'chokepoint_control');
+        runner.recordBattle(red, blue, 1, summary, 2, 3);
+        
+        expect(fought).toEqual([
+            { scenarioId: 'chokepoint_control', seed: 500 },
+            { scenarioId: 'chokepoint_control', seed: 501 },
+            { scenarioId: 'open_field', seed: 502 }
+        ]);
+        expect(runner.scheduler.getState()).toMatchObject({ battles: 1, scenarioId: 'urban_warfare' });
+    });
+});
@@ -0,0 +1,49 @@
+const { loadHeadlessRuntime, fixedGenomes } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const redGenomes = fixedGenomes(3, 0.7);
+const blueGenomes = fixedGenomes(3, 0.3);
+
+describe('SkillRatings.recordBattle', () => {
+    test('the winner gains skill, the loser drops and both become more certain', () => {
+        const ratings = new SkillRatings();
+        const initial = ratings.getRating(redGenomes[0]);
+        
+        ratings.recordBattle({ redGenomes, blueGenomes, winner: BATTLE_OUTCOMES.RED_WINS });
+        const winner = ratings.getRating(redGenomes[0]);
+        const loser = ratings.getRating(blueGenomes[0]);
+        
+        expect(winner.mu).toBeGreaterThan(initial.mu);
+        expect(winner.sigma).toBeLessThan(initial.sigma);
+        expect(loser.mu).toBeLessThan(initial.mu);
+        expect(loser.sigma).toBeLessThan(initial.sigma);
+        expect([winner.wins, loser.losses]).toEqual([1, 1]);
+    });
+    
+    test('a blue win rates the line-ups the other way round', () => {
+        const ratings = new SkillRatings();
+        const result = ratings.recordBattle({ redGenomes, blueGenomes, winner: BATTLE_OUTCOMES.BLUE_WINS });
+        
+        expect(result.blue.mu).toBeGreaterThan(result.red.mu);
+        expect(ratings.getCompositionRating(blueGenomes)).toEqual(result.blue);
+    });
+    
+    test('a timeout between equal teams is a draw that leaves skill alone', () => {
+        const ratings = new SkillRatings();
+        const initial = ratings.getRating(redGenomes[0]);
+        
+        ratings.recordBattle({ redGenomes, blueGenomes, winner: BATTLE_OUTCOMES.TIMEOUT });
+        const red = ratings.getRating(redGenomes[0]);
+        
+        expect(red.mu).toBeCloseTo(initial.mu, 6);
+        expect(red.sigma).toBeLessThan(initial.sigma);
+        expect(red.draws).toBe(1);
+    });
+    
+    test('results without genomes are ignored', () => {
+        const ratings = new SkillRatings();
+        expect(ratings.recordBattle({ winner: BATTLE_OUTCOMES.RED_WINS })).toBeNull();
+        expect(ratings.battles).toBe(0);
+    });
+});
@@ -0,0 +1,51 @@
+const { loadHeadlessRuntime } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+/**
+ * Tank-sized stand-ins scattered over the battlefield (including its edges) from a fixed seed
+ */
+function scatterTanks(count, rng) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: i,
+        x: rng.random() * 840 - 20,
+        y: rng.random() * 640 - 20,
+        width: GAME_CONFIG.TANK.WIDTH,
+        height: GAME_CONFIG.TANK.HEIGHT
+    }));
+}
+
+describe('SpatialIndex', () => {
+    test('radius queries match a brute-force scan', () => {
+        const rng = createSeededRNG(2024);
+        const tanks = scatterTanks(60, rng);
+        const index = new SpatialIndex(800, 600);
+        index.indexTanks(tanks);
+        
+        for (let query = 0; query < 200; query++) {
+            const x = rng.random() * 800;
+            const y = rng.random() * 600;
+            const radius = 10 + rng.random() * 300;
+            const expected = tanks.filter(tank => MathUtils.distance(x, y, tank.x, tank.y) <= radius);
+            expect(index.tanksInRadius(x, y, radius)).toEqual(expected);
+        }
+    });
+    
+    test('rectangle queries return every item overlapping the rectangle once', () => {
+        const rng = createSeededRNG(7);
+        const tanks = scatterTanks(40, rng);
+        const hash = new SpatialHash(800, 600, 64);
+        tanks.forEach(tank => hash.insert(tank, tank.x, tank.y, tank.width, tank.height));
+        
+        for (let query = 0; query < 100; query++) {
+            const [x, y] = [rng.random() * 800, rng.random() * 600];
+            const [width, height] = [rng.random() * 200, rng.random() * 200];
+            const found = hash.queryRect(x, y, width, height);
+            const overlapping = tanks.filter(tank =>
+                tank.x < x + width && tank.x + tank.width > x && tank.y < y + height && tank.y + tank.height > y);
+            
+            expect(new Set(found).size).toBe(found.length);
+            overlapping.forEach(tank => expect(found).toContain(tank));
+        }
+    });
+});
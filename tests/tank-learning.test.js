@@ -0,0 +1,72 @@
+const { createHeadlessEngine, fixedGenomes } = require('./test-helpers');
+
+/**
+ * Fixed genomes with the learning trait (gene 6) set for every tank
+ */
+function learningGenomes(count, gene, learning) {
+    return fixedGenomes(count, gene).map(genome => {
+        genome[6] = learning;
+        return genome;
+    });
+}
+
+/**
+ * Adaptation summary of every tank after a seeded battle fought at the given learning trait
+ */
+function foughtAdaptations(learning) {
+    const engine = createHeadlessEngine();
+    engine.initializeBattle(3, 3, 'king_of_hill', 'open_field', 21, {
+        redGenomes: learningGenomes(3, 0.6, learning),
+        blueGenomes: learningGenomes(3, 0.4, learning)
+    });
+    engine.runToCompletion();
+    return engine.tanks.map(tank => ({ tank, adaptation: tank.getCombatStats().adaptation }));
+}
+
+describe('TankLearning', () => {
+    test('tanks shift their weights towards what worked during the battle', () => {
+        const fought = foughtAdaptations(1);
+        const adapted = fought.filter(({ adaptation }) => adaptation.adaptations > 0);
+        const { max_drift: maxDrift } = GAME_CONFIG.GENOME.MODIFIERS.LEARNING;
+        
+        expect(adapted.length).toBeGreaterThan(0);
+        adapted.forEach(({ tank, adaptation }) => {
+            expect(adaptation.learningRate).toBe(1);
+            expect(adaptation.history).toHaveLength(adaptation.adaptations);
+            expect(adaptation.totalShift).toBeGreaterThan(0);
+            
+            // Attacks that traded damage well make the tank bolder, bad trades make it more careful
+            const [{ outcomes, changes }] = adaptation.history;
+            expect(Math.sign(changes.aggression)).toBe(Math.sign(outcomes.attack));
+            expect(Math.sign(changes.caution)).toBe(-Math.sign(outcomes.attack));
+            
+            Object.entries(adaptation.weightDrift).forEach(([key, drift]) => {
+                expect(Math.abs(drift)).toBeLessThanOrEqual(maxDrift + 1e-9);
+                expect(tank.entity.behaviorWeights[key] - tank.learning.baseWeights[key]).toBeCloseTo(drift, 3);
+            });
+        });
+    });
+    
+    test('the learning trait scales how far each step moves the weights', () => {
+        const fast = foughtAdaptations(1);
+        const slow = foughtAdaptations(0.5);
+        
+        // Both battles are identical up to the first adaptation, so the same outcomes are scored
+        fast.forEach(({ adaptation }, i) => {
+            const slowAdaptation = slow[i].adaptation;
+            expect(slowAdaptation.learningRate).toBe(0.5);
+            expect(slowAdaptation.adaptations > 0).toBe(adaptation.adaptations > 0);
+            if (adaptation.adaptations === 0) {
+                return;
+            }
+            
+            const [first] = adaptation.history;
+            const [slowFirst] = slowAdaptation.history;
+            expect(slowFirst.time).toBe(first.time);
+            expect(slowFirst.outcomes).toEqual(first.outcomes);
+            Object.entries(first.changes).forEach(([key, change]) => {
+                expect(slowFirst.changes[key]).toBeCloseTo(change / 2, 2);
+            });
+        });
+    });
+});
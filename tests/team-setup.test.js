@@ -0,0 +1,79 @@
+const { loadHeadlessRuntime, createHeadlessEngine } = require('./test-helpers');
+
+loadHeadlessRuntime();
+
+const { TEAMS } = GAME_CONFIG;
+
+/**
+ * Empty 800x600 battlefield
+ */
+function createBattlefield() {
+    const engine = createHeadlessEngine();
+    engine.battlefield.obstacles = [];
+    return engine.battlefield;
+}
+
+describe('BattlefieldManager.getFormationSlot', () => {
+    test('a small team stands in one column centred on the midline, blue mirroring red', () => {
+        const battlefield = createBattlefield();
+        const red = [0, 1, 2].map(i => battlefield.getFormationSlot('red', i, 3));
+        const blue = [0, 1, 2].map(i => battlefield.getFormationSlot('blue', i, 3));
+        
+        expect(red.map(slot => slot.x)).toEqual([TEAMS.SPAWN_INSET, TEAMS.SPAWN_INSET, TEAMS.SPAWN_INSET]);
+        expect(red.map(slot => slot.y)).toEqual([300 - TEAMS.ROW_SPACING, 300, 300 + TEAMS.ROW_SPACING]);
+        expect(blue).toEqual(red.map(slot => ({ x: 800 - slot.x, y: slot.y })));
+    });
+    
+    test('larger teams add columns further back towards their own edge', () => {
+        const battlefield = createBattlefield();
+        const slots = Array.from({ length: TEAMS.MAX_SIZE }, (_, i) => battlefield.getFormationSlot('red', i, TEAMS.MAX_SIZE));
+        const columns = [...new Set(slots.map(slot => slot.x))];
+        
+        expect(columns).toEqual([TEAMS.SPAWN_INSET, TEAMS.SPAWN_INSET - TEAMS.COLUMN_SPACING]);
+        expect(new Set(slots.map(slot => `${slot.x},${slot.y}`)).size).toBe(TEAMS.MAX_SIZE);
+    });
+    
+    test('a team with a spawn zone spreads over a grid inside it', () => {
+        const battlefield = createBattlefield();
+        battlefield.spawnZones = { red: { x: 0, y: 0, width: 200, height: 200 } };
+        
+        const slots = [0, 1, 2, 3].map(i => battlefield.getFormationSlot('red', i, 4));
+        expect(slots).toEqual([{ x: 50, y: 50 }, { x: 150, y: 50 }, { x: 50, y: 150 }, { x: 150, y: 150 }]);
+    });
+});
+
+describe('team sizes and handicaps', () => {
+    test('uneven teams spawn on their own side without overlapping', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(2, 7, 'king_of_hill', 'open_field', 8);
+        
+        expect([engine.redTeam.length, engine.blueTeam.length]).toEqual([2, 7]);
+        engine.redTeam.forEach(tank => expect(tank.x).toBeLessThan(engine.width / 2));
+        engine.blueTeam.forEach(tank => expect(tank.x).toBeGreaterThan(engine.width / 2));
+        engine.tanks.forEach((tank, i) => {
+            engine.tanks.slice(i + 1).forEach(other => expect(MathUtils.rectOverlap(tank, other)).toBe(false));
+        });
+    });
+    
+    test('a health handicap scales one side and is recorded in the result', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(3, 5, 'king_of_hill', 'open_field', 8, {
+            handicaps: { red: { healthMultiplier: 2 }, blue: { healthMultiplier: 100 } }
+        });
+        
+        engine.redTeam.forEach(tank => expect([tank.health, tank.maxHealth]).toEqual([GAME_CONFIG.TANK.MAX_HEALTH * 2, GAME_CONFIG.TANK.MAX_HEALTH * 2]));
+        engine.blueTeam.forEach(tank => expect(tank.maxHealth).toBe(GAME_CONFIG.TANK.MAX_HEALTH * TEAMS.MAX_HEALTH_MULTIPLIER));
+        
+        const result = engine.runToCompletion();
+        expect(result.teams).toEqual({
+            red: { size: 3, healthMultiplier: 2 },
+            blue: { size: 5, healthMultiplier: TEAMS.MAX_HEALTH_MULTIPLIER }
+        });
+    });
+    
+    test('a battle without handicaps records even health', () => {
+        const engine = createHeadlessEngine();
+        engine.initializeBattle(4, 4, 'king_of_hill', 'open_field', 8);
+        expect(engine.teamSetup).toEqual({ red: { size: 4, healthMultiplier: 1 }, blue: { size: 4, healthMultiplier: 1 } });
+    });
+});
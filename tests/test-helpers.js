@@ -0,0 +1,38 @@
+/**
+ * Test Helpers - Shared setup for the engine tests
+ * The refactored modules publish their classes as globals (see refactored/headless.js), so tests load the
+ * headless runtime once and then use GameEngine, GAME_CONFIG and friends directly
+ */
+
+const { loadHeadlessRuntime, createHeadlessEngine } = require('../refactored/headless');
+
+/**
+ * Run one headless battle to the end and return its result
+ */
+function runBattle({ redTanks = 3, blueTanks = 3, mode = 'king_of_hill', scenarioId = 'open_field', seed = 1234, options = {} } = {}) {
+    const engine = createHeadlessEngine();
+    engine.initializeBattle(redTanks, blueTanks, mode, scenarioId, seed, options);
+    return engine.runToCompletion();
+}
+
+/**
+ * Fixed trait genomes (one per tank) so battles do not depend on random genome generation
+ */
+function fixedGenomes(count, gene = 0.5) {
+    return Array.from({ length: count }, (_, i) => Array.from({ length: 9 }, (_, j) => (gene + 0.05 * ((i + j) % 5)) % 1));
+}
+
+/**
+ * Deep copy of a value with every `timestamp` field removed (wall-clock time differs between identical battles)
+ */
+function withoutTimestamps(value) {
+    return JSON.parse(JSON.stringify(value, (key, field) => (key === 'timestamp' ? undefined : field)));
+}
+
+module.exports = {
+    loadHeadlessRuntime,
+    createHeadlessEngine,
+    runBattle,
+    fixedGenomes,
+    withoutTimestamps
+};